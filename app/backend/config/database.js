@@ -208,6 +208,7 @@ const initializeTables = async () => {
         email VARCHAR(255) UNIQUE NOT NULL,
         name VARCHAR(255) NOT NULL,
         turo_host_id VARCHAR(100),
+        toll_accounts JSONB NOT NULL DEFAULT '[]',
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       )
@@ -219,27 +220,137 @@ const initializeTables = async () => {
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
         turo_trip_id VARCHAR(255) NOT NULL,
+        toll_id VARCHAR(255),
         status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'retry')),
         toll_amount DECIMAL(10,2) NOT NULL,
         toll_location VARCHAR(255) NOT NULL,
+        toll_date TIMESTAMP WITH TIME ZONE,
         trip_start_date TIMESTAMP WITH TIME ZONE NOT NULL,
         trip_end_date TIMESTAMP WITH TIME ZONE NOT NULL,
         proof_image_url TEXT,
         submission_attempts INTEGER DEFAULT 0,
         last_submission_date TIMESTAMP WITH TIME ZONE,
+        next_attempt_at TIMESTAMP WITH TIME ZONE,
+        queued_at TIMESTAMP WITH TIME ZONE,
         submission_id VARCHAR(255),
+        claim_toll_ids JSONB,
+        claim_status VARCHAR(20) CHECK (claim_status IN ('submitted', 'under_review', 'approved', 'paid', 'disputed', 'denied')),
+        claim_status_history JSONB NOT NULL DEFAULT '[]',
+        claim_status_checked_at TIMESTAMP WITH TIME ZONE,
+        lease_owner VARCHAR(255),
+        lease_expires_at TIMESTAMP WITH TIME ZONE,
+        lease_expired_at TIMESTAMP WITH TIME ZONE,
+        lease_expirations INTEGER NOT NULL DEFAULT 0,
         error_message TEXT,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       )
     `);
 
+    // Toll notices table (toll-by-mail invoices and violation notices)
+    await query(`
+      CREATE TABLE IF NOT EXISTS toll_notices (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        notice_number VARCHAR(100) NOT NULL,
+        agency VARCHAR(50) NOT NULL,
+        state VARCHAR(2),
+        notice_type VARCHAR(20) NOT NULL DEFAULT 'toll-by-mail' CHECK (notice_type IN ('toll-by-mail', 'violation')),
+        plate VARCHAR(20),
+        plate_state VARCHAR(2),
+        issued_date DATE,
+        due_date DATE,
+        items JSONB NOT NULL DEFAULT '[]',
+        fees JSONB NOT NULL DEFAULT '[]',
+        toll_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+        fee_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+        document_url TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'claimed', 'paid', 'void')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    // Outbound webhook subscriptions and their delivery log
+    await query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        events JSONB NOT NULL DEFAULT '[]',
+        secret VARCHAR(100) NOT NULL,
+        description VARCHAR(255),
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_attempt_at TIMESTAMP WITH TIME ZONE,
+        response_status INTEGER,
+        error_message TEXT,
+        attempt_log JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    // Job event log (feeds GET /api/jobs/events; ids are the stream's event ids)
+    await query(`
+      CREATE TABLE IF NOT EXISTS job_events (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        type VARCHAR(50) NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    // Add columns introduced after the initial schema
+    await query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS toll_id VARCHAR(255);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_toll_ids JSONB;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS toll_date TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS queued_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_status VARCHAR(20) CHECK (claim_status IN ('submitted', 'under_review', 'approved', 'paid', 'disputed', 'denied'));
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_status_history JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_status_checked_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS lease_owner VARCHAR(255);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS lease_expired_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS lease_expirations INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS toll_accounts JSONB NOT NULL DEFAULT '[]';
+    `);
+
     // Create indexes for better performance
     await query(`
       CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id);
       CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
       CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at);
       CREATE INDEX IF NOT EXISTS idx_jobs_trip_dates ON jobs(trip_start_date, trip_end_date);
+      CREATE INDEX IF NOT EXISTS idx_jobs_queued_at ON jobs(queued_at) WHERE queued_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_jobs_next_attempt_at ON jobs(next_attempt_at) WHERE status = 'retry';
+      CREATE INDEX IF NOT EXISTS idx_jobs_claim_status ON jobs(user_id, claim_status) WHERE claim_status IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_jobs_lease_expires_at ON jobs(lease_expires_at) WHERE status = 'processing';
+      CREATE INDEX IF NOT EXISTS idx_jobs_lease_expired_at ON jobs(lease_expired_at) WHERE lease_expired_at IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_user_toll ON jobs(user_id, toll_id) WHERE toll_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_toll_notices_user_notice ON toll_notices(user_id, agency, notice_number);
+      CREATE INDEX IF NOT EXISTS idx_toll_notices_user_id ON toll_notices(user_id);
+      CREATE INDEX IF NOT EXISTS idx_job_events_user_id ON job_events(user_id, id);
+      CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
       CREATE INDEX IF NOT EXISTS idx_users_cognito_sub ON users(cognito_sub);
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
     `);
@@ -272,6 +383,30 @@ const initializeTables = async () => {
         EXECUTE FUNCTION update_updated_at_column();
     `);
 
+    await query(`
+      DROP TRIGGER IF EXISTS update_toll_notices_updated_at ON toll_notices;
+      CREATE TRIGGER update_toll_notices_updated_at
+        BEFORE UPDATE ON toll_notices
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+    `);
+
+    await query(`
+      DROP TRIGGER IF EXISTS update_webhooks_updated_at ON webhooks;
+      CREATE TRIGGER update_webhooks_updated_at
+        BEFORE UPDATE ON webhooks
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+    `);
+
+    await query(`
+      DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+      CREATE TRIGGER update_webhook_deliveries_updated_at
+        BEFORE UPDATE ON webhook_deliveries
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+    `);
+
     console.log('Database tables initialized successfully');
   } catch (error) {
     console.error('Failed to initialize database tables:', error);
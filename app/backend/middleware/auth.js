@@ -82,6 +82,49 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Verify an access token outside an HTTP request (WebSocket upgrades)
+ * @returns {Promise<Object>} the user info authMiddleware puts on req.user
+ */
+const verifyAccessToken = async (token) => {
+  if (!token) {
+    throw new Error('Access token is required');
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (process.env.VALIDATE_WITH_COGNITO === 'true') {
+    await cognitoService.validateUser(decoded.userSub);
+  }
+
+  return {
+    userSub: decoded.userSub,
+    email: decoded.email,
+    name: decoded.name,
+    turoHostId: decoded.turoHostId
+  };
+};
+
+/**
+ * Access Token Query Middleware
+ * EventSource can't send headers, so streaming routes also accept the token
+ * as ?access_token=; an Authorization header still takes precedence
+ */
+const accessTokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+
+  next();
+};
+
+/**
+ * URL with any ?access_token= value blanked, for request and error logs
+ */
+const redactAccessToken = (url) => {
+  return url ? url.replace(/([?&]access_token=)[^&#]*/gi, '$1[REDACTED]') : url;
+};
+
 /**
  * Optional Authentication Middleware
  * Adds user info if token is present, but doesn't require it
@@ -229,6 +272,9 @@ const userRateLimitMiddleware = (options = {}) => {
 module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
+  verifyAccessToken,
+  accessTokenFromQuery,
+  redactAccessToken,
   adminMiddleware,
   userRateLimitMiddleware
 };
\ No newline at end of file
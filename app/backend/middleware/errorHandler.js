@@ -1,3 +1,5 @@
+const { redactAccessToken } = require('./auth');
+
 /**
  * Global Error Handler Middleware
  * Handles all errors and sends appropriate responses
@@ -11,7 +13,7 @@ const errorHandler = (err, req, res, next) => {
     console.error('Error Details:', {
       message: err.message,
       stack: err.stack,
-      url: req.originalUrl,
+      url: redactAccessToken(req.originalUrl),
       method: req.method,
       ip: req.ip,
       userAgent: req.get('User-Agent'),
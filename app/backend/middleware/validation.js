@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { listProviders } = require('../scripts/scrapers/providers');
+const Webhook = require('../models/Webhook');
+const { webhookUrlError } = require('../services/webhookTargets');
 
 /**
  * Generic validation middleware factory
@@ -142,7 +145,11 @@ const jobQuerySchema = Joi.object({
     .optional()
     .messages({
       'number.min': 'Maximum amount must be greater than minimum amount'
-    })
+    }),
+
+  claimStatus: Joi.string()
+    .valid('submitted', 'under_review', 'approved', 'paid', 'disputed', 'denied')
+    .optional()
 });
 
 // Job Creation Validation
@@ -152,6 +159,13 @@ const createJobSchema = Joi.object({
     .messages({
       'any.required': 'Turo Trip ID is required'
     }),
+
+  tollId: Joi.string()
+    .max(255)
+    .optional()
+    .messages({
+      'string.max': 'Toll ID cannot exceed 255 characters'
+    }),
   
   tollAmount: Joi.number()
     .positive()
@@ -274,6 +288,227 @@ const fileUploadSchema = Joi.object({
     })
 });
 
+// Toll Accounts Validation
+const tollAccountSchema = Joi.object({
+  provider: Joi.string()
+    .lowercase()
+    .valid(...listProviders().map(provider => provider.id))
+    .required()
+    .messages({
+      'any.only': `Provider must be one of: ${listProviders().map(provider => provider.id).join(', ')}`,
+      'any.required': 'Provider is required'
+    }),
+
+  label: Joi.string()
+    .max(50)
+    .optional()
+    .messages({
+      'string.max': 'Label cannot exceed 50 characters'
+    }),
+
+  secretName: Joi.string()
+    .max(512)
+    .required()
+    .messages({
+      'any.required': 'Secret name is required'
+    }),
+
+  enabled: Joi.boolean().default(true)
+});
+
+const tollAccountsSchema = Joi.object({
+  accounts: Joi.array()
+    .items(tollAccountSchema)
+    .max(20)
+    // Two accounts with one provider need distinct labels
+    .unique((a, b) => a.provider === b.provider && (a.label || a.provider) === (b.label || b.provider))
+    .required()
+    .messages({
+      'array.max': 'Maximum 20 toll accounts are allowed',
+      'array.unique': 'Each toll account needs a unique label for its provider',
+      'any.required': 'Accounts array is required'
+    })
+});
+
+// Toll Notice Validation
+// Dates are kept as written: converting them to Date objects would move
+// date-only tolls to UTC midnight, the evening before in US timezones
+const noticeDate = () => Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({
+    'string.pattern.base': '{{#label}} must be a date like 2025-07-14'
+  });
+
+const noticeFeeSchema = Joi.object({
+  type: Joi.string()
+    .valid('late', 'violation', 'admin', 'mail', 'other')
+    .optional(),
+
+  description: Joi.string()
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Fee description is required'
+    }),
+
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.positive': 'Fee amount must be positive',
+      'any.required': 'Fee amount is required'
+    })
+});
+
+const noticeItemSchema = Joi.object({
+  transactionNumber: Joi.string()
+    .max(100)
+    .optional(),
+
+  // A plain date (the time is often missing on mailed notices) or a full timestamp
+  date: noticeDate().optional(),
+
+  time: Joi.string()
+    .pattern(/^\d{1,2}:\d{2}(:\d{2})?(\s*[AP]M)?$/i)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Time must look like 08:15 or 8:15 PM'
+    }),
+
+  timestamp: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Timestamp must be ISO 8601 with an offset, like 2025-07-14T08:15:00-04:00'
+    }),
+
+  location: Joi.string()
+    .max(255)
+    .required()
+    .messages({
+      'any.required': 'Toll location is required'
+    }),
+
+  amount: Joi.number()
+    .min(0)
+    .precision(2)
+    .required()
+    .messages({
+      'any.required': 'Toll amount is required'
+    }),
+
+  fees: Joi.array()
+    .items(noticeFeeSchema)
+    .default([])
+}).or('date', 'timestamp')
+  .messages({
+    'object.missing': 'Each toll needs a date or timestamp'
+  });
+
+const tollNoticeSchema = Joi.object({
+  noticeNumber: Joi.string()
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Notice number is required'
+    }),
+
+  agency: Joi.string()
+    .max(50)
+    .required()
+    .messages({
+      'any.required': 'Agency is required'
+    }),
+
+  // Needed when the agency is not one of the supported providers
+  state: Joi.string()
+    .length(2)
+    .lowercase()
+    .optional(),
+
+  noticeType: Joi.string()
+    .valid('toll-by-mail', 'violation')
+    .default('toll-by-mail'),
+
+  plate: Joi.string()
+    .max(20)
+    .uppercase()
+    .optional(),
+
+  plateState: Joi.string()
+    .length(2)
+    .uppercase()
+    .optional(),
+
+  issuedDate: noticeDate().optional(),
+
+  dueDate: noticeDate().optional(),
+
+  items: Joi.array()
+    .items(noticeItemSchema)
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'array.min': 'A notice needs at least one toll',
+      'array.max': 'Maximum 100 tolls per notice',
+      'any.required': 'Items array is required'
+    }),
+
+  // Fees charged once for the whole notice
+  fees: Joi.array()
+    .items(noticeFeeSchema)
+    .default([])
+});
+
+// Webhook Validation
+const webhookFields = {
+  // https only outside development, and never a loopback, private or link-local host
+  url: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .max(2048)
+    .custom((value, helpers) => {
+      const reason = webhookUrlError(value);
+      return reason ? helpers.message(reason) : value;
+    })
+    .messages({
+      'string.uri': 'Webhook URL must be a valid http(s) URL',
+      'string.uriCustomScheme': 'Webhook URL must be a valid http(s) URL'
+    }),
+
+  events: Joi.array()
+    .items(Joi.string().valid(...Webhook.EVENTS))
+    .min(1)
+    .unique()
+    .messages({
+      'any.only': `Events must be one of: ${Webhook.EVENTS.join(', ')}`,
+      'array.min': 'Subscribe to at least one event'
+    }),
+
+  description: Joi.string()
+    .max(255)
+    .allow('')
+    .optional(),
+
+  enabled: Joi.boolean()
+    .optional()
+};
+
+const webhookSchema = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required().messages({
+    'any.required': 'Webhook URL is required'
+  }),
+  events: webhookFields.events.required().messages({
+    'any.required': 'Events array is required'
+  })
+});
+
+const updateWebhookSchema = Joi.object(webhookFields).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
 // Middleware exports
 const validateSignup = validate(signupSchema);
 const validateLogin = validate(loginSchema);
@@ -282,6 +517,10 @@ const validateCreateJob = validate(createJobSchema);
 const validateUpdateJob = validate(updateJobSchema);
 const validateBulkJobs = validate(bulkJobsSchema);
 const validateFileUpload = validate(fileUploadSchema);
+const validateTollAccounts = validate(tollAccountsSchema);
+const validateTollNotice = validate(tollNoticeSchema);
+const validateWebhook = validate(webhookSchema);
+const validateUpdateWebhook = validate(updateWebhookSchema);
 
 // Custom validation middleware for request parameters
 const validateParams = (schema) => {
@@ -307,6 +546,12 @@ const validatePagination = validate(Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20)
 }), 'query');
 
+// Expired job lease listing (admin)
+const validateExpiredLeasesQuery = validate(Joi.object({
+  since: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+}), 'query');
+
 // Date range validation helper
 const validateDateRange = validate(Joi.object({
   startDate: Joi.date().iso().required(),
@@ -322,8 +567,13 @@ module.exports = {
   validateUpdateJob,
   validateBulkJobs,
   validateFileUpload,
+  validateTollAccounts,
+  validateTollNotice,
+  validateWebhook,
+  validateUpdateWebhook,
   validateJobIdParam,
   validatePagination,
+  validateExpiredLeasesQuery,
   validateDateRange,
   
   // Export schemas for reuse
@@ -335,6 +585,9 @@ module.exports = {
     updateJobSchema,
     bulkJobsSchema,
     fileUploadSchema,
+    tollNoticeSchema,
+    webhookSchema,
+    updateWebhookSchema,
     uuidParamSchema
   }
 };
\ No newline at end of file
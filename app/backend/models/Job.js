@@ -1,19 +1,44 @@
 const { query, transaction } = require('../config/database');
+const retryPolicy = require('../services/retryPolicy');
+
+// Claim states a host needs to act on (mirrors app/scripts/utils/claimStatus.js)
+const FOLLOW_UP_CLAIM_STATES = ['disputed', 'denied'];
+
+// How long a worker holds a job before it must heartbeat or lose it
+const DEFAULT_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+
+// Pending jobs can be attempted at once; retries wait for their next attempt
+const READY_TO_ATTEMPT = `
+  status IN ('pending', 'retry')
+  AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+`;
 
 class Job {
   constructor(data) {
     this.id = data.id;
     this.user_id = data.user_id;
     this.turo_trip_id = data.turo_trip_id;
+    this.toll_id = data.toll_id;
     this.status = data.status;
     this.toll_amount = data.toll_amount;
     this.toll_location = data.toll_location;
+    this.toll_date = data.toll_date;
     this.trip_start_date = data.trip_start_date;
     this.trip_end_date = data.trip_end_date;
     this.proof_image_url = data.proof_image_url;
     this.submission_attempts = data.submission_attempts;
     this.last_submission_date = data.last_submission_date;
+    this.next_attempt_at = data.next_attempt_at;
+    this.queued_at = data.queued_at;
     this.submission_id = data.submission_id;
+    this.claim_toll_ids = data.claim_toll_ids;
+    this.claim_status = data.claim_status;
+    this.claim_status_history = data.claim_status_history || [];
+    this.claim_status_checked_at = data.claim_status_checked_at;
+    this.lease_owner = data.lease_owner;
+    this.lease_expires_at = data.lease_expires_at;
+    this.lease_expired_at = data.lease_expired_at;
+    this.lease_expirations = data.lease_expirations;
     this.error_message = data.error_message;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
@@ -25,6 +50,7 @@ class Job {
   static async create({
     userId,
     turoTripId,
+    tollId = null,
     tollAmount,
     tollLocation,
     tripStartDate,
@@ -35,20 +61,20 @@ class Job {
     try {
       const result = await query(`
         INSERT INTO jobs (
-          user_id, turo_trip_id, toll_amount, toll_location,
+          user_id, turo_trip_id, toll_id, toll_amount, toll_location,
           trip_start_date, trip_end_date, proof_image_url, status
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *
       `, [
-        userId, turoTripId, tollAmount, tollLocation,
+        userId, turoTripId, tollId, tollAmount, tollLocation,
         tripStartDate, tripEndDate, proofImageUrl, status
       ]);
 
       return new Job(result.rows[0]);
     } catch (error) {
       if (error.code === '23505') { // Unique violation
-        throw new Error('Job with this Turo Trip ID already exists for this user');
+        throw new Error('Job for this toll already exists for this user');
       }
       if (error.code === '23503') { // Foreign key violation
         throw new Error('User not found');
@@ -87,6 +113,17 @@ class Job {
     return result.rows.length > 0 ? new Job(result.rows[0]) : null;
   }
 
+  /**
+   * Find job by toll transaction ID
+   */
+  static async findByTollId(tollId, userId) {
+    const result = await query(
+      'SELECT * FROM jobs WHERE toll_id = $1 AND user_id = $2',
+      [tollId, userId]
+    );
+    return result.rows.length > 0 ? new Job(result.rows[0]) : null;
+  }
+
   /**
    * Find jobs with filters
    */
@@ -102,7 +139,8 @@ class Job {
       endDate,
       tollLocation,
       minAmount,
-      maxAmount
+      maxAmount,
+      claimStatus
     } = options;
 
     let whereConditions = [];
@@ -151,6 +189,12 @@ class Job {
       paramCount++;
     }
 
+    if (claimStatus) {
+      whereConditions.push(`claim_status = $${paramCount}`);
+      queryParams.push(claimStatus);
+      paramCount++;
+    }
+
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
     const offset = (page - 1) * limit;
     const orderBy = `${sortBy} ${sortOrder.toUpperCase()}`;
@@ -199,8 +243,11 @@ class Job {
     const allowedFields = [
       'status', 'toll_amount', 'toll_location', 'trip_start_date',
       'trip_end_date', 'proof_image_url', 'submission_attempts',
-      'last_submission_date', 'submission_id', 'error_message'
+      'last_submission_date', 'next_attempt_at', 'queued_at', 'submission_id', 'error_message',
+      'claim_toll_ids', 'claim_status', 'claim_status_history', 'claim_status_checked_at'
     ];
+    // JSONB columns are sent as JSON text; pg would send arrays as Postgres arrays
+    const jsonFields = ['claim_toll_ids', 'claim_status_history'];
 
     const updates = [];
     const values = [];
@@ -209,7 +256,7 @@ class Job {
     Object.keys(updateData).forEach(key => {
       if (allowedFields.includes(key) && updateData[key] !== undefined) {
         updates.push(`${key} = $${paramCount}`);
-        values.push(updateData[key]);
+        values.push(jsonFields.includes(key) ? JSON.stringify(updateData[key]) : updateData[key]);
         paramCount++;
       }
     });
@@ -218,6 +265,11 @@ class Job {
       throw new Error('No valid fields provided for update');
     }
 
+    // A job leaves its worker's lease once it moves out of processing
+    if (updateData.status && updateData.status !== 'processing') {
+      updates.push('lease_owner = NULL', 'lease_expires_at = NULL');
+    }
+
     values.push(this.id);
 
     const result = await query(`
@@ -254,8 +306,26 @@ class Job {
   async markAsProcessing() {
     await this.update({
       status: 'processing',
-      last_submission_date: new Date(),
-      submission_attempts: (this.submission_attempts || 0) + 1
+      last_submission_date: new Date()
+    });
+    return this;
+  }
+
+  /**
+   * Queue job for the submission worker
+   */
+  async enqueue() {
+    // A job waiting to retry keeps its backoff schedule
+    if (this.status === 'retry') {
+      await this.update({ queued_at: new Date() });
+      return this;
+    }
+
+    await this.update({
+      status: 'pending',
+      queued_at: new Date(),
+      next_attempt_at: null,
+      error_message: null
     });
     return this;
   }
@@ -267,7 +337,10 @@ class Job {
     await this.update({
       status: 'completed',
       submission_id: submissionId,
-      error_message: null
+      error_message: null,
+      next_attempt_at: null,
+      claim_status: 'submitted',
+      claim_status_history: [{ status: 'submitted', at: new Date().toISOString(), label: null, detail: null }]
     });
     return this;
   }
@@ -276,14 +349,7 @@ class Job {
    * Mark job as failed
    */
   async markAsFailed(errorMessage) {
-    const newAttempts = (this.submission_attempts || 0) + 1;
-    const shouldRetry = newAttempts < 3;
-
-    await this.update({
-      status: shouldRetry ? 'retry' : 'failed',
-      error_message: errorMessage,
-      submission_attempts: newAttempts
-    });
+    await this.update(retryPolicy.failureUpdate(this, errorMessage));
     return this;
   }
 
@@ -293,6 +359,7 @@ class Job {
   async resetForRetry() {
     await this.update({
       status: 'pending',
+      next_attempt_at: null,
       error_message: null
     });
     return this;
@@ -304,8 +371,7 @@ class Job {
   static async getReadyForProcessing(limit = 10) {
     const result = await query(`
       SELECT * FROM jobs 
-      WHERE status IN ('pending', 'retry')
-      AND (last_submission_date IS NULL OR last_submission_date < NOW() - INTERVAL '1 hour')
+      WHERE ${READY_TO_ATTEMPT}
       ORDER BY 
         CASE status 
           WHEN 'retry' THEN 1 
@@ -318,6 +384,130 @@ class Job {
     return result.rows.map(row => new Job(row));
   }
 
+  /**
+   * Lease the oldest queued job to a worker, with every other queued job for
+   * the same user and trip, so the trip's tolls are filed as one claim
+   */
+  static async leaseNextQueuedTrip(owner, leaseSeconds = DEFAULT_LEASE_SECONDS) {
+    const ready = `queued_at IS NOT NULL AND ${READY_TO_ATTEMPT}`;
+
+    // Both lookups skip rows locked by another worker's lease
+    const result = await query(`
+      WITH next AS (
+        SELECT user_id, turo_trip_id FROM jobs
+        WHERE ${ready}
+        ORDER BY queued_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      ),
+      trip_jobs AS (
+        SELECT jobs.id, jobs.status AS previous_status FROM jobs
+        JOIN next ON jobs.user_id = next.user_id AND jobs.turo_trip_id = next.turo_trip_id
+        WHERE ${ready}
+        FOR UPDATE OF jobs SKIP LOCKED
+      )
+      UPDATE jobs
+      SET status = 'processing',
+          lease_owner = $1,
+          lease_expires_at = NOW() + make_interval(secs => $2),
+          last_submission_date = NOW(),
+          updated_at = NOW()
+      FROM trip_jobs
+      WHERE jobs.id = trip_jobs.id
+      RETURNING jobs.*, trip_jobs.previous_status
+    `, [owner, leaseSeconds]);
+
+    // previous_status (pending or retry) is kept for the status change event
+    return result.rows.map(row => {
+      const job = new Job(row);
+      job.previous_status = row.previous_status;
+      return job;
+    });
+  }
+
+  /**
+   * Heartbeat: extend a worker's leases on jobs it is still processing
+   * @returns {Promise<Array<string>>} ids of the jobs the worker still holds
+   */
+  static async extendLeases(jobIds, owner, leaseSeconds = DEFAULT_LEASE_SECONDS) {
+    const result = await query(`
+      UPDATE jobs
+      SET lease_expires_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+      WHERE id = ANY($1) AND lease_owner = $2 AND status = 'processing'
+      RETURNING id
+    `, [jobIds, owner, leaseSeconds]);
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Visibility timeout: return processing jobs whose lease expired to retry
+   * Jobs marked processing without a lease count as expired once the lease
+   * period has passed since their last submission. The abandoned attempt
+   * counts towards retryPolicy.MAX_ATTEMPTS, so a job that keeps crashing its
+   * worker fails instead of being leased forever.
+   */
+  static async releaseExpiredLeases(leaseSeconds = DEFAULT_LEASE_SECONDS) {
+    const result = await query(`
+      WITH expired AS (
+        SELECT id, COALESCE(submission_attempts, 0) + 1 AS attempts FROM jobs
+        WHERE status = 'processing'
+        AND COALESCE(lease_expires_at, last_submission_date + make_interval(secs => $1), updated_at + make_interval(secs => $1)) < NOW()
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE jobs
+      SET status = CASE WHEN expired.attempts >= $3 THEN 'failed' ELSE 'retry' END,
+          submission_attempts = expired.attempts,
+          next_attempt_at = CASE WHEN expired.attempts >= $3 THEN NULL ELSE NOW() + make_interval(secs => $2) END,
+          error_message = 'Lease expired before the worker reported an outcome',
+          lease_expired_at = NOW(),
+          lease_expirations = lease_expirations + 1,
+          lease_expires_at = NULL,
+          updated_at = NOW()
+      FROM expired
+      WHERE jobs.id = expired.id
+      RETURNING jobs.*
+    `, [leaseSeconds, retryPolicy.BASE_DELAY_SECONDS, retryPolicy.MAX_ATTEMPTS]);
+
+    return result.rows.map(row => new Job(row));
+  }
+
+  /**
+   * Get jobs whose lease expired: still processing past their lease, or
+   * returned to retry by the visibility timeout since the given date
+   */
+  static async findExpiredLeases({ since = null, limit = 100 } = {}) {
+    const result = await query(`
+      SELECT j.*, u.email as user_email, u.name as user_name
+      FROM jobs j
+      LEFT JOIN users u ON j.user_id = u.id
+      WHERE (j.status = 'processing' AND j.lease_expires_at < NOW())
+      OR (j.lease_expired_at IS NOT NULL AND ($1::timestamptz IS NULL OR j.lease_expired_at >= $1))
+      ORDER BY j.updated_at DESC
+      LIMIT $2
+    `, [since, limit]);
+
+    return result.rows.map(row => {
+      const job = new Job(row);
+      job.user_email = row.user_email;
+      job.user_name = row.user_name;
+      return job;
+    });
+  }
+
+  /**
+   * Get submitted jobs whose claim was disputed or denied
+   */
+  static async findNeedingFollowUp(userId) {
+    const result = await query(`
+      SELECT * FROM jobs
+      WHERE user_id = $1 AND claim_status = ANY($2)
+      ORDER BY claim_status_checked_at DESC NULLS LAST, created_at ASC
+    `, [userId, FOLLOW_UP_CLAIM_STATES]);
+
+    return result.rows.map(row => new Job(row));
+  }
+
   /**
    * Get job statistics
    */
@@ -393,20 +583,18 @@ class Job {
    * Check if job can be retried
    */
   canRetry() {
-    return this.status === 'failed' && (this.submission_attempts || 0) < 3;
+    return ['failed', 'retry'].includes(this.status) && (this.submission_attempts || 0) < retryPolicy.MAX_ATTEMPTS;
   }
 
   /**
-   * Get time until next retry (if applicable)
+   * Get time of the next scheduled retry (if it is still ahead)
    */
   getRetryTime() {
-    if (!this.last_submission_date || this.status !== 'retry') {
+    if (!this.next_attempt_at || this.status !== 'retry') {
       return null;
     }
 
-    const nextRetry = new Date(this.last_submission_date);
-    nextRetry.setHours(nextRetry.getHours() + 1); // 1 hour cooldown
-
+    const nextRetry = new Date(this.next_attempt_at);
     return nextRetry > new Date() ? nextRetry : null;
   }
 
@@ -421,12 +609,24 @@ class Job {
       status: this.status,
       tollAmount: parseFloat(this.toll_amount),
       tollLocation: this.toll_location,
+      tollDate: this.toll_date || null,
       tripStartDate: this.trip_start_date,
       tripEndDate: this.trip_end_date,
       proofImageUrl: this.proof_image_url,
       submissionAttempts: this.submission_attempts || 0,
       lastSubmissionDate: this.last_submission_date,
+      nextAttemptAt: this.next_attempt_at || null,
+      queuedAt: this.queued_at || null,
       submissionId: this.submission_id,
+      claimTollIds: this.claim_toll_ids || [],
+      claimStatus: this.claim_status || null,
+      claimStatusHistory: this.claim_status_history,
+      claimStatusCheckedAt: this.claim_status_checked_at || null,
+      needsFollowUp: FOLLOW_UP_CLAIM_STATES.includes(this.claim_status),
+      leaseOwner: this.lease_owner || null,
+      leaseExpiresAt: this.lease_expires_at || null,
+      leaseExpiredAt: this.lease_expired_at || null,
+      leaseExpirations: this.lease_expirations || 0,
       errorMessage: this.error_message,
       createdAt: this.created_at,
       updatedAt: this.updated_at,
@@ -0,0 +1,87 @@
+const { query } = require('../config/database');
+
+/**
+ * Entry in a user's job event log
+ * Events are kept in Postgres so a client that reconnects can resume from the
+ * last event it saw; each insert also sends a NOTIFY on the job_events channel
+ * so every API server can push it to the user's open streams.
+ */
+class JobEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.job_id = data.job_id;
+    this.type = data.type;
+    this.data = data.data || {};
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Record an event and notify listening servers
+   */
+  static async create({ userId, jobId = null, type, data = {} }) {
+    const result = await query(`
+      WITH event AS (
+        INSERT INTO job_events (user_id, job_id, type, data)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      )
+      SELECT event.*, pg_notify($5, json_build_object('id', event.id, 'userId', event.user_id)::text)
+      FROM event
+    `, [userId, jobId, type, JSON.stringify(data), JobEvent.CHANNEL]);
+
+    return new JobEvent(result.rows[0]);
+  }
+
+  /**
+   * Find event by ID
+   */
+  static async findById(id) {
+    const result = await query('SELECT * FROM job_events WHERE id = $1', [id]);
+    return result.rows.length > 0 ? new JobEvent(result.rows[0]) : null;
+  }
+
+  /**
+   * Get a user's events after the given event ID, oldest first
+   */
+  static async findForUser(userId, { afterId = 0, limit = 500 } = {}) {
+    const result = await query(`
+      SELECT * FROM job_events
+      WHERE user_id = $1 AND id > $2
+      ORDER BY id ASC
+      LIMIT $3
+    `, [userId, afterId, limit]);
+
+    return result.rows.map(row => new JobEvent(row));
+  }
+
+  /**
+   * ID of a user's latest event (0 when there are none)
+   */
+  static async lastIdForUser(userId) {
+    const result = await query(
+      'SELECT COALESCE(MAX(id), 0) AS id FROM job_events WHERE user_id = $1',
+      [userId]
+    );
+
+    return String(result.rows[0].id);
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      id: String(this.id),
+      type: this.type,
+      jobId: this.job_id || null,
+      data: this.data,
+      createdAt: this.created_at
+    };
+  }
+}
+
+// Postgres NOTIFY channel carrying { id, userId } for each new event
+JobEvent.CHANNEL = 'job_events';
+
+module.exports = JobEvent;
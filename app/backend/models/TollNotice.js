@@ -0,0 +1,186 @@
+const { query } = require('../config/database');
+
+/**
+ * Toll-by-mail invoice or violation notice entered by a host
+ * Items and fees are stored as JSONB in the shape the matcher reads
+ * (app/scripts/utils/notices.js), so fees stay itemized apart from the tolls.
+ */
+class TollNotice {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.notice_number = data.notice_number;
+    this.agency = data.agency;
+    this.state = data.state;
+    this.notice_type = data.notice_type;
+    this.plate = data.plate;
+    this.plate_state = data.plate_state;
+    this.issued_date = data.issued_date;
+    this.due_date = data.due_date;
+    this.items = data.items || [];
+    this.fees = data.fees || [];
+    this.toll_total = data.toll_total;
+    this.fee_total = data.fee_total;
+    this.document_url = data.document_url;
+    this.status = data.status;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Create a notice; totals are computed from its items and fees
+   */
+  static async create({
+    userId,
+    noticeNumber,
+    agency,
+    state = null,
+    noticeType = 'toll-by-mail',
+    plate = null,
+    plateState = null,
+    issuedDate = null,
+    dueDate = null,
+    items,
+    fees = [],
+    documentUrl = null
+  }) {
+    const { tollTotal, feeTotal } = TollNotice.computeTotals(items, fees);
+
+    try {
+      const result = await query(`
+        INSERT INTO toll_notices (
+          user_id, notice_number, agency, state, notice_type, plate, plate_state,
+          issued_date, due_date, items, fees, toll_total, fee_total, document_url
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING *
+      `, [
+        userId, noticeNumber, agency, state, noticeType, plate, plateState,
+        issuedDate, dueDate, JSON.stringify(items), JSON.stringify(fees),
+        tollTotal, feeTotal, documentUrl
+      ]);
+
+      return new TollNotice(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique violation
+        throw new Error('This notice has already been entered');
+      }
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('User not found');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Toll and fee totals for a notice, with per-item fees counted as fees
+   */
+  static computeTotals(items, fees = []) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const itemFees = items.flatMap(item => item.fees || []);
+
+    return {
+      tollTotal: round(items.reduce((sum, item) => sum + Number(item.amount || 0), 0)),
+      feeTotal: round([...itemFees, ...fees].reduce((sum, fee) => sum + Number(fee.amount || 0), 0))
+    };
+  }
+
+  /**
+   * Find notice by ID with user verification
+   */
+  static async findByIdAndUser(id, userId) {
+    const result = await query(
+      'SELECT * FROM toll_notices WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rows.length > 0 ? new TollNotice(result.rows[0]) : null;
+  }
+
+  /**
+   * Find a user's notices, newest first
+   */
+  static async findByUser(userId, options = {}) {
+    const { status, page = 1, limit = 20 } = options;
+
+    const whereConditions = ['user_id = $1'];
+    const queryParams = [userId];
+
+    if (status) {
+      whereConditions.push('status = $2');
+      queryParams.push(status);
+    }
+
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total FROM toll_notices WHERE ${whereConditions.join(' AND ')}
+    `, queryParams);
+
+    const noticesResult = await query(`
+      SELECT * FROM toll_notices
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY issued_date DESC NULLS LAST, created_at DESC
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, limit, offset]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      notices: noticesResult.rows.map(row => new TollNotice(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Void a notice so the matcher no longer reads it
+   * Notices are kept rather than deleted, since jobs may reference their tolls.
+   */
+  async void() {
+    const result = await query(`
+      UPDATE toll_notices SET status = 'void', updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [this.id]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Notice not found');
+    }
+
+    Object.assign(this, result.rows[0]);
+    return this;
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      noticeNumber: this.notice_number,
+      agency: this.agency,
+      state: this.state,
+      noticeType: this.notice_type,
+      plate: this.plate,
+      plateState: this.plate_state,
+      issuedDate: this.issued_date,
+      dueDate: this.due_date,
+      items: this.items,
+      fees: this.fees,
+      tollTotal: parseFloat(this.toll_total),
+      feeTotal: parseFloat(this.fee_total),
+      documentUrl: this.document_url,
+      status: this.status,
+      createdAt: this.created_at,
+      updatedAt: this.updated_at
+    };
+  }
+}
+
+module.exports = TollNotice;
@@ -7,6 +7,7 @@ class User {
     this.email = data.email;
     this.name = data.name;
     this.turo_host_id = data.turo_host_id;
+    this.toll_accounts = data.toll_accounts || [];
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -72,7 +73,9 @@ class User {
    * Update user information
    */
   async update(updateData) {
-    const allowedFields = ['email', 'name', 'turo_host_id'];
+    const allowedFields = ['email', 'name', 'turo_host_id', 'toll_accounts'];
+    // JSONB columns are sent as JSON text; pg would send arrays as Postgres arrays
+    const jsonFields = ['toll_accounts'];
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -80,7 +83,7 @@ class User {
     Object.keys(updateData).forEach(key => {
       if (allowedFields.includes(key) && updateData[key] !== undefined) {
         updates.push(`${key} = $${paramCount}`);
-        values.push(updateData[key]);
+        values.push(jsonFields.includes(key) ? JSON.stringify(updateData[key]) : updateData[key]);
         paramCount++;
       }
     });
@@ -283,6 +286,7 @@ class User {
       email: this.email,
       name: this.name,
       turoHostId: this.turo_host_id,
+      tollAccounts: this.toll_accounts,
       createdAt: this.created_at,
       updatedAt: this.updated_at
     };
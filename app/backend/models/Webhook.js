@@ -0,0 +1,145 @@
+const { query } = require('../config/database');
+
+/**
+ * Outbound webhook a user subscribed to job lifecycle events
+ * Deliveries are signed with the webhook's secret, which is only shown when
+ * the webhook is created.
+ */
+class Webhook {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.url = data.url;
+    this.events = data.events || [];
+    this.secret = data.secret;
+    this.description = data.description;
+    this.enabled = data.enabled;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Create a webhook
+   */
+  static async create({ userId, url, events, secret, description = null, enabled = true }) {
+    const result = await query(`
+      INSERT INTO webhooks (user_id, url, events, secret, description, enabled)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, url, JSON.stringify(events), secret, description, enabled]);
+
+    return new Webhook(result.rows[0]);
+  }
+
+  /**
+   * Find webhook by ID
+   */
+  static async findById(id) {
+    const result = await query('SELECT * FROM webhooks WHERE id = $1', [id]);
+    return result.rows.length > 0 ? new Webhook(result.rows[0]) : null;
+  }
+
+  /**
+   * Find webhook by ID with user verification
+   */
+  static async findByIdAndUser(id, userId) {
+    const result = await query('SELECT * FROM webhooks WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rows.length > 0 ? new Webhook(result.rows[0]) : null;
+  }
+
+  /**
+   * Find a user's webhooks
+   */
+  static async findByUser(userId) {
+    const result = await query(`
+      SELECT * FROM webhooks
+      WHERE user_id = $1
+      ORDER BY created_at ASC
+    `, [userId]);
+
+    return result.rows.map(row => new Webhook(row));
+  }
+
+  /**
+   * Find a user's enabled webhooks subscribed to an event
+   */
+  static async findSubscribed(userId, eventType) {
+    const result = await query(`
+      SELECT * FROM webhooks
+      WHERE user_id = $1 AND enabled = true AND events @> $2
+    `, [userId, JSON.stringify([eventType])]);
+
+    return result.rows.map(row => new Webhook(row));
+  }
+
+  /**
+   * Update webhook
+   */
+  async update(updateData) {
+    const allowedFields = ['url', 'events', 'description', 'enabled'];
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        updates.push(`${key} = $${paramCount}`);
+        values.push(key === 'events' ? JSON.stringify(updateData[key]) : updateData[key]);
+        paramCount++;
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields provided for update');
+    }
+
+    values.push(this.id);
+
+    const result = await query(`
+      UPDATE webhooks
+      SET ${updates.join(', ')}, updated_at = NOW()
+      WHERE id = $${paramCount}
+      RETURNING *
+    `, values);
+
+    if (result.rows.length === 0) {
+      throw new Error('Webhook not found');
+    }
+
+    Object.assign(this, result.rows[0]);
+    return this;
+  }
+
+  /**
+   * Delete webhook (and its delivery log)
+   */
+  async delete() {
+    const result = await query('DELETE FROM webhooks WHERE id = $1 RETURNING *', [this.id]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Webhook not found');
+    }
+
+    return this;
+  }
+
+  /**
+   * Convert to JSON; the secret is left out
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      description: this.description || null,
+      enabled: this.enabled,
+      createdAt: this.created_at,
+      updatedAt: this.updated_at
+    };
+  }
+}
+
+// Events a webhook can subscribe to ('webhook.test' is only sent on request)
+Webhook.EVENTS = ['job.created', 'job.submitted', 'job.completed', 'job.failed', 'claim.paid'];
+
+module.exports = Webhook;
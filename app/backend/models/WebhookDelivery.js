@@ -0,0 +1,173 @@
+const { query } = require('../config/database');
+
+/**
+ * One event sent (or waiting to be sent) to a webhook
+ * Pending deliveries are retried until they succeed or run out of attempts;
+ * attempt_log keeps every attempt's outcome for the delivery log.
+ */
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id;
+    this.webhook_id = data.webhook_id;
+    this.event_type = data.event_type;
+    this.payload = data.payload || {};
+    this.status = data.status;
+    this.attempts = data.attempts;
+    this.next_attempt_at = data.next_attempt_at;
+    this.last_attempt_at = data.last_attempt_at;
+    this.response_status = data.response_status;
+    this.error_message = data.error_message;
+    this.attempt_log = data.attempt_log || [];
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Queue an event for a webhook, due after delaySeconds
+   */
+  static async create({ webhookId, eventType, payload, delaySeconds = 0 }) {
+    const result = await query(`
+      INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at)
+      VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+      RETURNING *
+    `, [webhookId, eventType, JSON.stringify(payload), delaySeconds]);
+
+    return new WebhookDelivery(result.rows[0]);
+  }
+
+  /**
+   * Get a webhook's deliveries, newest first
+   */
+  static async findByWebhook(webhookId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM webhook_deliveries WHERE webhook_id = $1',
+      [webhookId]
+    );
+
+    const result = await query(`
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [webhookId, limit, offset]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      deliveries: result.rows.map(row => new WebhookDelivery(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Lease due deliveries to a sender
+   * Each attempt is counted and the delivery is pushed leaseSeconds ahead
+   * before it is sent, so other senders skip it, and a sender that dies
+   * mid-attempt leaves it to be retried once the lease runs out.
+   */
+  static async leaseDue(limit, leaseSeconds) {
+    const result = await query(`
+      WITH due AS (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE webhook_deliveries
+      SET attempts = attempts + 1,
+          last_attempt_at = NOW(),
+          next_attempt_at = NOW() + make_interval(secs => $2),
+          updated_at = NOW()
+      FROM due
+      WHERE webhook_deliveries.id = due.id
+      RETURNING webhook_deliveries.*
+    `, [limit, leaseSeconds]);
+
+    return result.rows.map(row => new WebhookDelivery(row));
+  }
+
+  /**
+   * Lease this delivery for an attempt made right away (test events)
+   */
+  async startAttempt(leaseSeconds) {
+    const result = await query(`
+      UPDATE webhook_deliveries
+      SET attempts = attempts + 1,
+          last_attempt_at = NOW(),
+          next_attempt_at = NOW() + make_interval(secs => $2),
+          updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [this.id, leaseSeconds]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Delivery not found');
+    }
+
+    Object.assign(this, result.rows[0]);
+    return this;
+  }
+
+  /**
+   * Record the outcome of the current attempt
+   * @param {Object} outcome - { succeeded, responseStatus, error, durationMs, nextAttemptAt }
+   *   a failed attempt without nextAttemptAt fails the delivery for good
+   */
+  async recordAttempt({ succeeded, responseStatus = null, error = null, durationMs = null, nextAttemptAt = null }) {
+    const status = succeeded ? 'succeeded' : (nextAttemptAt ? 'pending' : 'failed');
+    const entry = {
+      attempt: this.attempts,
+      at: new Date().toISOString(),
+      responseStatus: responseStatus,
+      error: error,
+      durationMs: durationMs
+    };
+
+    const result = await query(`
+      UPDATE webhook_deliveries
+      SET status = $2,
+          response_status = $3,
+          error_message = $4,
+          next_attempt_at = $5,
+          attempt_log = attempt_log || $6::jsonb,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [this.id, status, responseStatus, error, succeeded ? null : nextAttemptAt, JSON.stringify([entry])]);
+
+    Object.assign(this, result.rows[0]);
+    return this;
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      webhookId: this.webhook_id,
+      eventType: this.event_type,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      nextAttemptAt: this.status === 'pending' ? this.next_attempt_at : null,
+      lastAttemptAt: this.last_attempt_at || null,
+      responseStatus: this.response_status || null,
+      errorMessage: this.error_message || null,
+      attemptLog: this.attempt_log,
+      createdAt: this.created_at,
+      updatedAt: this.updated_at
+    };
+  }
+}
+
+module.exports = WebhookDelivery;
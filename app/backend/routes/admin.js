@@ -0,0 +1,57 @@
+const express = require('express');
+const { adminMiddleware } = require('../middleware/auth');
+const jobService = require('../services/jobService');
+const { validateExpiredLeasesQuery } = require('../middleware/validation');
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/jobs/expired-leases
+ * @desc    List jobs whose worker lease expired: still processing past the
+ *          lease, or returned to retry by the visibility timeout
+ * @access  Admin
+ */
+router.get('/jobs/expired-leases', adminMiddleware, validateExpiredLeasesQuery, async (req, res, next) => {
+  try {
+    const { since, limit } = req.query;
+    const jobs = await jobService.getExpiredLeases({ since, limit });
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => ({
+          ...job.toJSON(),
+          // Awaiting the next visibility timeout sweep, or already back in retry
+          leaseState: job.status === 'processing' && new Date(job.lease_expires_at) < new Date() ? 'expired' : 'released'
+        })),
+        count: jobs.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/expired-leases/release
+ * @desc    Return processing jobs whose lease expired to retry now, without
+ *          waiting for a worker's next poll
+ * @access  Admin
+ */
+router.post('/jobs/expired-leases/release', adminMiddleware, async (req, res, next) => {
+  try {
+    const jobs = await jobService.releaseExpiredLeases();
+
+    res.json({
+      success: true,
+      message: `${jobs.length} jobs returned to retry`,
+      data: {
+        jobIds: jobs.map(job => job.id),
+        count: jobs.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
-const authMiddleware = require('../middleware/auth');
+const { authMiddleware, accessTokenFromQuery } = require('../middleware/auth');
 const jobService = require('../services/jobService');
+const databaseService = require('../services/databaseService');
+const jobEventStream = require('../services/jobEventStream');
 const { validateJobQuery } = require('../middleware/validation');
 const router = express.Router();
 
@@ -22,7 +24,8 @@ router.get('/', authMiddleware, validateJobQuery, async (req, res, next) => {
       endDate,
       tollLocation,
       minAmount,
-      maxAmount
+      maxAmount,
+      claimStatus
     } = req.query;
 
     // Build filter options
@@ -33,7 +36,8 @@ router.get('/', authMiddleware, validateJobQuery, async (req, res, next) => {
       ...(endDate && { endDate: new Date(endDate) }),
       ...(tollLocation && { tollLocation }),
       ...(minAmount && { minAmount: parseFloat(minAmount) }),
-      ...(maxAmount && { maxAmount: parseFloat(maxAmount) })
+      ...(maxAmount && { maxAmount: parseFloat(maxAmount) }),
+      ...(claimStatus && { claimStatus })
     };
 
     // Pagination options
@@ -65,7 +69,8 @@ router.get('/', authMiddleware, validateJobQuery, async (req, res, next) => {
           endDate,
           tollLocation,
           minAmount,
-          maxAmount
+          maxAmount,
+          claimStatus
         }
       }
     });
@@ -74,6 +79,61 @@ router.get('/', authMiddleware, validateJobQuery, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/jobs/follow-up
+ * @desc    Get submitted jobs whose claim Turo denied or the guest disputed
+ * @access  Private
+ */
+router.get('/follow-up', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await databaseService.users.findByCognitoSub(req.user.userSub);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const jobs = await jobService.getFollowUpJobs(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs,
+        total: jobs.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/jobs/events
+ * @desc    Stream the user's job events (Server-Sent Events): status changes,
+ *          submission progress and claim status updates. Reconnecting clients
+ *          resume after their Last-Event-ID; the same stream is served over
+ *          WebSocket at this path (services/jobEventStream.js)
+ * @access  Private (the token may be passed as ?access_token=)
+ */
+router.get('/events', accessTokenFromQuery, authMiddleware, async (req, res, next) => {
+  try {
+    const user = await databaseService.users.findByCognitoSub(req.user.userSub);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await jobEventStream.serveEventSource(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/jobs/:jobId
  * @desc    Get a specific job by ID
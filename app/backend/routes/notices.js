@@ -0,0 +1,183 @@
+const express = require('express');
+const multer = require('multer');
+const { authMiddleware } = require('../middleware/auth');
+const databaseService = require('../services/databaseService');
+const awsService = require('../services/awsService');
+const { validateTollNotice, validatePagination } = require('../middleware/validation');
+const router = express.Router();
+
+// The scanned notice is kept as the proof for its tolls
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, callback) => {
+    if (['application/pdf', 'image/jpeg', 'image/png'].includes(file.mimetype)) {
+      return callback(null, true);
+    }
+    const error = new Error('Notice document must be a PDF, JPEG or PNG');
+    error.statusCode = 400;
+    callback(error);
+  }
+});
+
+/**
+ * Multipart uploads send the notice as a JSON `notice` field next to the file
+ */
+const parseNoticeField = (req, res, next) => {
+  if (typeof req.body.notice !== 'string') {
+    return next();
+  }
+
+  try {
+    req.body = JSON.parse(req.body.notice);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'The notice field must be valid JSON'
+    });
+  }
+};
+
+/**
+ * Look up the signed-in user's database record
+ */
+const findUser = async (req, res) => {
+  const user = await databaseService.users.findByCognitoSub(req.user.userSub);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  return user;
+};
+
+/**
+ * @route   POST /api/notices
+ * @desc    Enter a toll-by-mail invoice or violation notice, optionally with the scanned notice
+ * @access  Private
+ */
+router.post('/', authMiddleware, upload.single('document'), parseNoticeField, validateTollNotice, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    let documentUrl = null;
+    if (req.file) {
+      const document = await awsService.uploadNoticeDocument(user.id, req.body.noticeNumber, req.file);
+      documentUrl = document.url;
+    }
+
+    const notice = await databaseService.notices.create({
+      ...req.body,
+      userId: user.id,
+      documentUrl: documentUrl
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Toll notice saved; its tolls will be matched on the next run',
+      data: {
+        notice: notice.toJSON()
+      }
+    });
+  } catch (error) {
+    if (error.message === 'This notice has already been entered') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/notices
+ * @desc    List the user's toll notices
+ * @access  Private
+ */
+router.get('/', authMiddleware, validatePagination, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const { page, limit } = req.query;
+    const result = await databaseService.notices.findByUser(user.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        notices: result.notices.map(notice => notice.toJSON()),
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/notices/:noticeId
+ * @desc    Get one toll notice with its itemized tolls and fees
+ * @access  Private
+ */
+router.get('/:noticeId', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const notice = await databaseService.notices.findByIdAndUser(req.params.noticeId, user.id);
+
+    if (!notice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        notice: notice.toJSON()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/notices/:noticeId
+ * @desc    Void a toll notice so its tolls are no longer matched
+ * @access  Private
+ */
+router.delete('/:noticeId', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const notice = await databaseService.notices.void(req.params.noticeId, user.id);
+
+    res.json({
+      success: true,
+      message: 'Toll notice voided',
+      data: {
+        notice: notice.toJSON()
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Notice not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
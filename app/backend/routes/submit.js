@@ -1,107 +1,53 @@
 const express = require('express');
-const authMiddleware = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth');
 const jobService = require('../services/jobService');
+const databaseService = require('../services/databaseService');
 const router = express.Router();
 
 /**
- * @route   POST /api/submit/:jobId
- * @desc    Submit a toll job for processing via TuroBot flow
- * @access  Private
+ * Look up the signed-in user's database record
  */
-router.post('/:jobId', authMiddleware, async (req, res, next) => {
-  try {
-    const { jobId } = req.params;
-    const userId = req.user.userSub;
-
-    // Validate job exists and belongs to user
-    const job = await jobService.getJobById(jobId, userId);
-    
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
+const findUser = async (req, res) => {
+  const user = await databaseService.users.findByCognitoSub(req.user.userSub);
 
-    // Check if job is in a submittable state
-    if (job.status === 'processing') {
-      return res.status(400).json({
-        success: false,
-        message: 'Job is already being processed'
-      });
-    }
-
-    if (job.status === 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Job has already been completed'
-      });
-    }
-
-    // Update job status to processing
-    await jobService.updateJob(jobId, userId, {
-      status: 'processing',
-      lastSubmissionDate: new Date(),
-      submissionAttempts: (job.submissionAttempts || 0) + 1
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
     });
+  }
 
-    // TODO: Integrate with TuroBot workflow
-    // This is where the actual Turo submission logic will be implemented
-    
-    // For now, simulate the submission process
-    const submissionResult = await simulateTuroSubmission(job);
-
-    // Update job based on submission result
-    const updateData = {
-      status: submissionResult.success ? 'completed' : 'failed',
-      lastSubmissionDate: new Date(),
-      ...(submissionResult.submissionId && { submissionId: submissionResult.submissionId }),
-      ...(submissionResult.errorMessage && { errorMessage: submissionResult.errorMessage })
-    };
-
-    const updatedJob = await jobService.updateJob(jobId, userId, updateData);
+  return user;
+};
 
-    res.json({
-      success: true,
-      message: submissionResult.success 
-        ? 'Job submitted successfully' 
-        : 'Job submission failed',
-      data: {
-        job: updatedJob,
-        submissionResult: {
-          success: submissionResult.success,
-          submissionId: submissionResult.submissionId,
-          message: submissionResult.message,
-          timestamp: new Date().toISOString()
-        }
-      }
-    });
+/**
+ * Why a job can't be queued, or null when it can
+ */
+const queueRejection = (job) => {
+  if (job.status === 'processing') return 'Job is already being processed';
+  if (job.status === 'completed') return 'Job has already been completed';
+  return null;
+};
 
-  } catch (error) {
-    // If there's an error, update job status to failed
-    try {
-      await jobService.updateJob(req.params.jobId, req.user.userSub, {
-        status: 'failed',
-        errorMessage: error.message,
-        lastSubmissionDate: new Date()
-      });
-    } catch (updateError) {
-      console.error('Failed to update job status after error:', updateError);
-    }
-    
-    next(error);
-  }
+/**
+ * Tracking handle returned for a queued job
+ */
+const trackingHandle = (req, job) => ({
+  jobId: job.id,
+  status: 'queued',
+  queuedAt: job.queued_at,
+  statusUrl: `${req.baseUrl}/status/${job.id}`
 });
 
 /**
  * @route   POST /api/submit/bulk
- * @desc    Submit multiple jobs for processing
+ * @desc    Queue multiple jobs for the submission worker
  * @access  Private
  */
+// Registered before /:jobId, which would otherwise match "bulk"
 router.post('/bulk', authMiddleware, async (req, res, next) => {
   try {
     const { jobIds } = req.body;
-    const userId = req.user.userSub;
 
     if (!jobIds || !Array.isArray(jobIds) || jobIds.length === 0) {
       return res.status(400).json({
@@ -117,13 +63,15 @@ router.post('/bulk', authMiddleware, async (req, res, next) => {
       });
     }
 
+    const user = await findUser(req, res);
+    if (!user) return;
+
     const results = [];
 
-    // Process each job
     for (const jobId of jobIds) {
       try {
-        const job = await jobService.getJobById(jobId, userId);
-        
+        const job = await databaseService.jobs.findByIdAndUser(jobId, user.id);
+
         if (!job) {
           results.push({
             jobId,
@@ -133,40 +81,25 @@ router.post('/bulk', authMiddleware, async (req, res, next) => {
           continue;
         }
 
-        if (job.status === 'processing' || job.status === 'completed') {
+        const rejection = queueRejection(job);
+        if (rejection) {
           results.push({
             jobId,
             success: false,
-            message: `Job is already ${job.status}`
+            message: rejection
           });
           continue;
         }
 
-        // Update to processing
-        await jobService.updateJob(jobId, userId, {
-          status: 'processing',
-          lastSubmissionDate: new Date(),
-          submissionAttempts: (job.submissionAttempts || 0) + 1
-        });
-
-        // Simulate submission
-        const submissionResult = await simulateTuroSubmission(job);
-
-        // Update based on result
-        await jobService.updateJob(jobId, userId, {
-          status: submissionResult.success ? 'completed' : 'failed',
-          lastSubmissionDate: new Date(),
-          ...(submissionResult.submissionId && { submissionId: submissionResult.submissionId }),
-          ...(submissionResult.errorMessage && { errorMessage: submissionResult.errorMessage })
-        });
+        const queuedJob = job.queued_at && job.status === 'pending'
+          ? job
+          : await jobService.enqueueJob(job.id, user.id);
 
         results.push({
-          jobId,
-          success: submissionResult.success,
-          message: submissionResult.message,
-          submissionId: submissionResult.submissionId
+          success: true,
+          message: 'Job queued for submission',
+          ...trackingHandle(req, queuedJob)
         });
-
       } catch (error) {
         results.push({
           jobId,
@@ -176,22 +109,66 @@ router.post('/bulk', authMiddleware, async (req, res, next) => {
       }
     }
 
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.length - successCount;
+    const queuedCount = results.filter(r => r.success).length;
+    const rejectedCount = results.length - queuedCount;
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Bulk submission completed: ${successCount} successful, ${failureCount} failed`,
+      message: `Bulk submission queued: ${queuedCount} queued, ${rejectedCount} rejected`,
       data: {
         results,
         summary: {
           total: results.length,
-          successful: successCount,
-          failed: failureCount
+          queued: queuedCount,
+          rejected: rejectedCount
         }
       }
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/submit/:jobId
+ * @desc    Queue a toll job for the submission worker, which files it on Turo
+ * @access  Private
+ */
+router.post('/:jobId', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const job = await databaseService.jobs.findByIdAndUser(req.params.jobId, user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
 
+    const rejection = queueRejection(job);
+    if (rejection) {
+      return res.status(400).json({
+        success: false,
+        message: rejection
+      });
+    }
+
+    // Already waiting for the worker - hand back the same handle
+    const queuedJob = job.queued_at && job.status === 'pending'
+      ? job
+      : await jobService.enqueueJob(job.id, user.id);
+    const handle = trackingHandle(req, queuedJob);
+
+    res.status(202)
+      .location(handle.statusUrl)
+      .json({
+        success: true,
+        message: 'Job queued for submission',
+        data: handle
+      });
   } catch (error) {
     next(error);
   }
@@ -204,11 +181,11 @@ router.post('/bulk', authMiddleware, async (req, res, next) => {
  */
 router.get('/status/:jobId', authMiddleware, async (req, res, next) => {
   try {
-    const { jobId } = req.params;
-    const userId = req.user.userSub;
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const job = await databaseService.jobs.findByIdAndUser(req.params.jobId, user.id);
 
-    const job = await jobService.getJobById(jobId, userId);
-    
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -216,56 +193,27 @@ router.get('/status/:jobId', authMiddleware, async (req, res, next) => {
       });
     }
 
+    const details = job.toJSON();
+
     res.json({
       success: true,
       data: {
-        jobId: job.id,
-        status: job.status,
-        submissionAttempts: job.submissionAttempts || 0,
-        lastSubmissionDate: job.lastSubmissionDate,
-        submissionId: job.submissionId,
-        errorMessage: job.errorMessage,
-        canRetry: job.status === 'failed' || job.status === 'retry'
+        jobId: details.id,
+        // Pending jobs that were queued are waiting for the worker
+        status: details.queuedAt && details.status === 'pending' ? 'queued' : details.status,
+        queuedAt: details.queuedAt,
+        submissionAttempts: details.submissionAttempts,
+        lastSubmissionDate: details.lastSubmissionDate,
+        nextAttemptAt: details.nextAttemptAt,
+        submissionId: details.submissionId,
+        claimTollIds: details.claimTollIds,
+        errorMessage: details.errorMessage,
+        canRetry: details.canRetry
       }
     });
-
   } catch (error) {
     next(error);
   }
 });
 
-/**
- * Simulate Turo submission process
- * TODO: Replace with actual TuroBot integration
- */
-async function simulateTuroSubmission(job) {
-  // Simulate processing delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
-
-  // Simulate success/failure (80% success rate for demo)
-  const success = Math.random() > 0.2;
-
-  if (success) {
-    return {
-      success: true,
-      submissionId: `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      message: 'Toll reimbursement submitted successfully to Turo'
-    };
-  } else {
-    const errorMessages = [
-      'Turo API timeout - please try again',
-      'Invalid trip data provided',
-      'Toll amount exceeds trip duration',
-      'Duplicate submission detected',
-      'Turo host interface temporarily unavailable'
-    ];
-    
-    return {
-      success: false,
-      errorMessage: errorMessages[Math.floor(Math.random() * errorMessages.length)],
-      message: 'Submission failed - please review and try again'
-    };
-  }
-}
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const databaseService = require('../services/databaseService');
+const { listProviders } = require('../scripts/scrapers/providers');
+const { validateTollAccounts } = require('../middleware/validation');
+const router = express.Router();
+
+/**
+ * @route   GET /api/toll-accounts
+ * @desc    Get the toll accounts the user has configured and the supported providers
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await databaseService.users.findByCognitoSub(req.user.userSub);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        accounts: user.toll_accounts,
+        providers: listProviders().map(({ id, name, state }) => ({ id, name, state }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/toll-accounts
+ * @desc    Replace the toll accounts to pull tolls from
+ * @access  Private
+ */
+router.put('/', authMiddleware, validateTollAccounts, async (req, res, next) => {
+  try {
+    const user = await databaseService.users.findByCognitoSub(req.user.userSub);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Credentials stay in Secrets Manager; only the secret names are stored
+    const accounts = req.body.accounts.map(account => ({
+      provider: account.provider,
+      label: account.label || account.provider,
+      secretName: account.secretName,
+      enabled: account.enabled
+    }));
+
+    const updatedUser = await user.update({ toll_accounts: accounts });
+
+    res.json({
+      success: true,
+      message: 'Toll accounts updated',
+      data: {
+        accounts: updatedUser.toll_accounts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const databaseService = require('../services/databaseService');
+const webhookService = require('../services/webhookService');
+const { validateWebhook, validateUpdateWebhook, validatePagination } = require('../middleware/validation');
+const router = express.Router();
+
+/**
+ * Look up the signed-in user's database record
+ */
+const findUser = async (req, res) => {
+  const user = await databaseService.users.findByCognitoSub(req.user.userSub);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  return user;
+};
+
+/**
+ * Look up one of the signed-in user's webhooks
+ */
+const findWebhook = async (req, res, user) => {
+  const webhook = await databaseService.webhooks.findByIdAndUser(req.params.webhookId, user.id);
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  return webhook;
+};
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List the user's webhooks
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const webhooks = await databaseService.webhooks.findByUser(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: webhooks.map(webhook => webhook.toJSON())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe a URL to job lifecycle events; the signing secret is only returned here
+ * @access  Private
+ */
+router.post('/', authMiddleware, validateWebhook, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const { webhook, secret } = await webhookService.createWebhook(user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created; store its secret now, it will not be shown again',
+      data: {
+        webhook: webhook.toJSON(),
+        secret: secret
+      }
+    });
+  } catch (error) {
+    if (error.message.startsWith('Webhook URL')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:webhookId
+ * @desc    Get one webhook
+ * @access  Private
+ */
+router.get('/:webhookId', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const webhook = await findWebhook(req, res, user);
+    if (!webhook) return;
+
+    res.json({
+      success: true,
+      data: {
+        webhook: webhook.toJSON()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:webhookId
+ * @desc    Change a webhook's URL, events or description, or enable/disable it
+ * @access  Private
+ */
+router.put('/:webhookId', authMiddleware, validateUpdateWebhook, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const webhook = await webhookService.updateWebhook(req.params.webhookId, user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      data: {
+        webhook: webhook.toJSON()
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Webhook not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.message.startsWith('Webhook URL')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:webhookId
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private
+ */
+router.delete('/:webhookId', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    await databaseService.webhooks.delete(req.params.webhookId, user.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    if (error.message === 'Webhook not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:webhookId/deliveries
+ * @desc    Delivery log of a webhook, newest first, with every attempt's outcome
+ * @access  Private
+ */
+router.get('/:webhookId/deliveries', authMiddleware, validatePagination, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const webhook = await findWebhook(req, res, user);
+    if (!webhook) return;
+
+    const { page, limit } = req.query;
+    const result = await databaseService.webhookDeliveries.findByWebhook(webhook.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: result.deliveries.map(delivery => delivery.toJSON()),
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:webhookId/test
+ * @desc    Send a webhook.test event right away and return how the endpoint responded
+ * @access  Private
+ */
+router.post('/:webhookId/test', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const webhook = await findWebhook(req, res, user);
+    if (!webhook) return;
+
+    const delivery = await webhookService.sendTestEvent(webhook);
+    const succeeded = delivery.status === 'succeeded';
+
+    res.json({
+      success: true,
+      message: succeeded ? 'Test event delivered' : 'Test event could not be delivered',
+      data: {
+        delivery: delivery.toJSON()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -17,7 +17,12 @@
 const puppeteer = require('puppeteer');
 
 class EZPassScraper {
-  constructor() {
+  /**
+   * @param {Object} provider - Toll provider from the registry ({ id, name, state, loginUrl });
+   *   without one the login URL is picked from the state passed to login()
+   */
+  constructor(provider = null) {
+    this.provider = provider;
     this.browser = null;
     this.page = null;
     this.isInitialized = false;
@@ -81,13 +86,14 @@ class EZPassScraper {
     try {
       await this.initialize();
 
-      console.log('Logging into EZPass account...', { username, state });
+      const providerName = this.provider ? this.provider.name : 'EZPass';
+      console.log(`Logging into ${providerName} account...`, { username, state });
 
       // TODO: Implement actual login logic
       // This is a placeholder implementation
       
-      // Navigate to appropriate EZPass login page based on state
-      const loginUrl = this._getLoginUrl(state);
+      // Navigate to the provider's login page, or the EZPass page for the state
+      const loginUrl = this.provider ? this.provider.loginUrl : this._getLoginUrl(state);
       await this.page.goto(loginUrl, { waitUntil: 'networkidle2' });
 
       // TODO: Fill in login form
@@ -7,14 +7,99 @@
 
 const EZPassScraper = require('./ezpass');
 const TuroScraper = require('./turo');
+const providers = require('./providers');
+const awsService = require('../../services/awsService');
 
 class ScraperManager {
   constructor() {
-    this.ezPassScraper = new EZPassScraper();
+    // One scraper per toll provider, created the first time an account needs it
+    this.tollScrapers = new Map();
     this.turoScraper = new TuroScraper();
     this.isInitialized = false;
   }
 
+  /**
+   * Get (or create) the scraper for a toll provider
+   *
+   * @param {string} providerId - Provider ID from the registry
+   */
+  getTollScraper(providerId) {
+    const provider = providers.getProvider(providerId);
+
+    if (!this.tollScrapers.has(provider.id)) {
+      this.tollScrapers.set(provider.id, providers.createScraper(provider.id));
+    }
+
+    return this.tollScrapers.get(provider.id);
+  }
+
+  /**
+   * Toll accounts to use from user credentials
+   *
+   * Credentials carry `tollAccounts` ([{ provider, label, username, password }]);
+   * the older single `ezpass` ({ username, password, state }) is treated as
+   * one E-ZPass account for its state.
+   *
+   * @param {Object} userCredentials - User credentials
+   * @returns {Array} Enabled toll accounts
+   */
+  getTollAccounts(userCredentials) {
+    if (Array.isArray(userCredentials.tollAccounts) && userCredentials.tollAccounts.length > 0) {
+      return userCredentials.tollAccounts.filter(account => account.enabled !== false);
+    }
+
+    if (userCredentials.ezpass) {
+      const providerId = providers.getEZPassProviderId(userCredentials.ezpass.state);
+      return [{
+        provider: providerId,
+        label: providerId,
+        username: userCredentials.ezpass.username,
+        password: userCredentials.ezpass.password
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Resolve a user's configured toll accounts to accounts with credentials
+   *
+   * @param {Object} user - User with `toll_accounts` ([{ provider, label, secretName, enabled }])
+   * @returns {Array} Toll accounts with username and password from Secrets Manager
+   */
+  async loadUserTollAccounts(user) {
+    try {
+      const accounts = (user.toll_accounts || []).filter(account => account.enabled !== false);
+      const resolved = [];
+
+      for (const account of accounts) {
+        const secret = await awsService.getSecretValue(account.secretName);
+        resolved.push({
+          provider: account.provider,
+          label: account.label || account.provider,
+          username: secret.username,
+          password: secret.password
+        });
+      }
+
+      return resolved;
+    } catch (error) {
+      console.error('Failed to load user toll accounts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log into a toll account with its provider's scraper
+   */
+  async _loginTollAccount(account) {
+    const provider = providers.getProvider(account.provider);
+    const scraper = this.getTollScraper(provider.id);
+
+    await scraper.login(account.username, account.password, provider.state);
+    return scraper;
+  }
+
   /**
    * Initialize all scrapers
    */
@@ -26,10 +111,8 @@ class ScraperManager {
 
       console.log('Initializing scraper manager...');
 
-      await Promise.all([
-        this.ezPassScraper.initialize(),
-        this.turoScraper.initialize()
-      ]);
+      // Toll scrapers initialize on first login, once the user's accounts are known
+      await this.turoScraper.initialize();
 
       this.isInitialized = true;
       console.log('Scraper manager initialized successfully');
@@ -62,25 +145,42 @@ class ScraperManager {
 
       const tripDetails = await this.turoScraper.getTripDetails(job.turo_trip_id);
 
-      // Step 2: Login to EZPass and find matching toll transaction
-      await this.ezPassScraper.login(
-        userCredentials.ezpass.username,
-        userCredentials.ezpass.password,
-        userCredentials.ezpass.state
-      );
+      // Step 2: Search each toll account for the matching toll transaction
+      const tollAccounts = this.getTollAccounts(userCredentials);
+      if (tollAccounts.length === 0) {
+        throw new Error('No toll accounts configured');
+      }
 
-      const tollTransaction = await this.ezPassScraper.findTollTransaction({
-        date: job.trip_start_date,
-        location: job.toll_location,
-        amount: job.toll_amount
-      });
+      let tollTransaction = null;
+      let tollScraper = null;
+      let tollAccount = null;
+
+      for (const account of tollAccounts) {
+        try {
+          const scraper = await this._loginTollAccount(account);
+          const transaction = await scraper.findTollTransaction({
+            date: job.trip_start_date,
+            location: job.toll_location,
+            amount: job.toll_amount
+          });
+
+          if (transaction) {
+            tollTransaction = { ...transaction, provider: account.provider, account: account.label };
+            tollScraper = scraper;
+            tollAccount = account;
+            break;
+          }
+        } catch (error) {
+          console.error(`Toll search failed for ${account.provider} account ${account.label}:`, error.message);
+        }
+      }
 
       if (!tollTransaction) {
         throw new Error('Matching toll transaction not found');
       }
 
-      // Step 3: Download toll receipt
-      const receiptBuffer = await this.ezPassScraper.downloadReceipt(
+      // Step 3: Download toll receipt from the account the toll was found in
+      const receiptBuffer = await tollScraper.downloadReceipt(
         tollTransaction.id
       );
 
@@ -105,7 +205,8 @@ class ScraperManager {
 
       console.log('Toll job processed successfully:', {
         jobId: job.id,
-        claimId: claimResult.claimId
+        claimId: claimResult.claimId,
+        tollProvider: tollAccount.provider
       });
 
       return result;
@@ -174,7 +275,8 @@ class ScraperManager {
 
       const results = {
         turo: false,
-        ezpass: false,
+        tollAccounts: [],
+        tolls: false,
         overall: false
       };
 
@@ -190,20 +292,24 @@ class ScraperManager {
         console.log('Turo credentials invalid:', error.message);
       }
 
-      // Validate EZPass credentials
-      try {
-        await this.ezPassScraper.login(
-          userCredentials.ezpass.username,
-          userCredentials.ezpass.password,
-          userCredentials.ezpass.state
-        );
-        results.ezpass = true;
-        console.log('EZPass credentials valid');
-      } catch (error) {
-        console.log('EZPass credentials invalid:', error.message);
+      // Validate each toll account
+      for (const account of this.getTollAccounts(userCredentials)) {
+        const result = { provider: account.provider, label: account.label, valid: false };
+
+        try {
+          await this._loginTollAccount(account);
+          result.valid = true;
+          console.log(`${account.provider} credentials valid for ${account.label}`);
+        } catch (error) {
+          result.error = error.message;
+          console.log(`${account.provider} credentials invalid for ${account.label}:`, error.message);
+        }
+
+        results.tollAccounts.push(result);
       }
 
-      results.overall = results.turo && results.ezpass;
+      results.tolls = results.tollAccounts.length > 0 && results.tollAccounts.every(result => result.valid);
+      results.overall = results.turo && results.tolls;
 
       console.log('Credential validation completed:', results);
       return results;
@@ -237,17 +343,20 @@ class ScraperManager {
         summaries.turo = { error: error.message };
       }
 
-      // Get EZPass account balance
-      try {
-        await this.ezPassScraper.login(
-          userCredentials.ezpass.username,
-          userCredentials.ezpass.password,
-          userCredentials.ezpass.state
-        );
-        summaries.ezpass = await this.ezPassScraper.getAccountBalance();
-      } catch (error) {
-        console.error('Failed to get EZPass summary:', error);
-        summaries.ezpass = { error: error.message };
+      // Get each toll account's balance
+      summaries.tollAccounts = [];
+      for (const account of this.getTollAccounts(userCredentials)) {
+        const summary = { provider: account.provider, label: account.label };
+
+        try {
+          const scraper = await this._loginTollAccount(account);
+          summary.balance = await scraper.getAccountBalance();
+        } catch (error) {
+          console.error(`Failed to get ${account.provider} summary for ${account.label}:`, error);
+          summary.error = error.message;
+        }
+
+        summaries.tollAccounts.push(summary);
       }
 
       console.log('Account summaries retrieved');
@@ -268,17 +377,27 @@ class ScraperManager {
       console.log('Performing scraper health check...');
 
       const health = {
-        ezpass: false,
+        tollProviders: {},
+        tolls: false,
         turo: false,
         overall: false,
         timestamp: new Date()
       };
 
-      try {
-        health.ezpass = await this.ezPassScraper.healthCheck();
-      } catch (error) {
-        console.error('EZPass health check failed:', error);
+      // Check the providers in use, or the default E-ZPass provider before any login
+      const providerIds = this.tollScrapers.size > 0
+        ? Array.from(this.tollScrapers.keys())
+        : [providers.getEZPassProviderId()];
+
+      for (const providerId of providerIds) {
+        try {
+          health.tollProviders[providerId] = await this.getTollScraper(providerId).healthCheck();
+        } catch (error) {
+          console.error(`${providerId} health check failed:`, error);
+          health.tollProviders[providerId] = false;
+        }
       }
+      health.tolls = Object.values(health.tollProviders).every(healthy => healthy);
 
       try {
         health.turo = await this.turoScraper.healthCheck();
@@ -286,14 +405,15 @@ class ScraperManager {
         console.error('Turo health check failed:', error);
       }
 
-      health.overall = health.ezpass && health.turo;
+      health.overall = health.tolls && health.turo;
 
       console.log('Scraper health check completed:', health);
       return health;
     } catch (error) {
       console.error('Scraper health check failed:', error);
       return {
-        ezpass: false,
+        tollProviders: {},
+        tolls: false,
         turo: false,
         overall: false,
         error: error.message,
@@ -310,7 +430,7 @@ class ScraperManager {
       console.log('Cleaning up scrapers...');
 
       await Promise.all([
-        this.ezPassScraper.cleanup(),
+        ...Array.from(this.tollScrapers.values()).map(scraper => scraper.cleanup()),
         this.turoScraper.cleanup()
       ]);
 
@@ -334,6 +454,7 @@ module.exports = {
   EZPassScraper,
   TuroScraper,
   ScraperManager,
+  providers,
   
   // Export singleton instance
   scraperManager: new ScraperManager()
@@ -0,0 +1,95 @@
+/**
+ * Toll Provider Registry
+ *
+ * Maps toll provider IDs (the `provider` of each entry in a user's
+ * `toll_accounts`) to agency details and the scraper class that handles them.
+ * Every toll scraper exposes the same interface:
+ *
+ * - login(username, password, state)
+ * - scrapeTollTransactions(startDate, endDate) / findTollTransaction(criteria)
+ * - downloadReceipt(transactionId)
+ * - getAccountBalance(), healthCheck(), cleanup()
+ *
+ * The agencies are the portals in app/scripts/providers/portals.js, the same
+ * list the local scrapers register, so the API accepts exactly the providers
+ * the scrapers support. All agencies currently use the placeholder
+ * EZPassScraper pointed at their own portal; register a dedicated scraper with
+ * registerProvider() once an agency needs different logic. Scrapers are only
+ * loaded in createScraper(), so the API can list and validate providers
+ * without loading puppeteer.
+ */
+
+const path = require('path');
+
+// Same app/scripts checkout the submission worker loads TuroBot from
+const TUROBOT_DIR = process.env.TUROBOT_DIR || path.join(__dirname, '..', '..', '..', 'scripts');
+const { PORTALS } = require(path.join(TUROBOT_DIR, 'providers', 'portals'));
+
+const registry = new Map();
+
+/**
+ * Add (or replace) a toll provider
+ *
+ * @param {Object} provider - { id, name, state, loginUrl }, e.g. a portal from portals.js
+ * @param {Function} [ScraperClass] - scraper constructed with the provider (EZPassScraper by default)
+ */
+const registerProvider = (provider, ScraperClass = null) => {
+  if (!provider || !provider.id) {
+    throw new Error('Toll provider must have an id');
+  }
+
+  registry.set(provider.id, { provider, ScraperClass });
+};
+
+/**
+ * Get provider details by ID
+ *
+ * @param {string} id - Provider ID, e.g. 'ezpass-nj'
+ * @returns {Object} Provider details
+ */
+const getProvider = (id) => {
+  const entry = registry.get(String(id || '').toLowerCase());
+
+  if (!entry) {
+    throw new Error(`Unknown toll provider: ${id}`);
+  }
+
+  return entry.provider;
+};
+
+/**
+ * List all registered providers
+ */
+const listProviders = () => {
+  return Array.from(registry.values()).map(entry => entry.provider);
+};
+
+/**
+ * Create a scraper for a provider
+ *
+ * @param {string} id - Provider ID
+ */
+const createScraper = (id) => {
+  const provider = getProvider(id);
+  const ScraperClass = registry.get(provider.id).ScraperClass || require('./ezpass');
+
+  return new ScraperClass(provider);
+};
+
+/**
+ * Provider ID for a legacy E-ZPass state code (e.g. 'nj' -> 'ezpass-nj')
+ */
+const getEZPassProviderId = (state = 'ny') => {
+  const id = `ezpass-${String(state || 'ny').toLowerCase()}`;
+  return registry.has(id) ? id : 'ezpass-ny';
+};
+
+Object.values(PORTALS).forEach(portal => registerProvider(portal));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  createScraper,
+  getEZPassProviderId
+};
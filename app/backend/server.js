@@ -9,7 +9,14 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const jobsRoutes = require('./routes/jobs');
 const submitRoutes = require('./routes/submit');
+const tollAccountsRoutes = require('./routes/tollAccounts');
+const noticesRoutes = require('./routes/notices');
+const adminRoutes = require('./routes/admin');
+const webhooksRoutes = require('./routes/webhooks');
 const errorHandler = require('./middleware/errorHandler');
+const { redactAccessToken } = require('./middleware/auth');
+const jobEventStream = require('./services/jobEventStream');
+const webhookService = require('./services/webhookService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -42,8 +49,9 @@ app.use('/api/', limiter);
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
+// Logging middleware; streaming routes take the access token in the query string
 if (process.env.NODE_ENV !== 'test') {
+  morgan.token('url', (req) => redactAccessToken(req.originalUrl || req.url));
   app.use(morgan('combined'));
 }
 
@@ -66,6 +74,10 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/jobs', jobsRoutes);
 app.use('/api/submit', submitRoutes);
+app.use('/api/toll-accounts', tollAccountsRoutes);
+app.use('/api/notices', noticesRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhooksRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -103,11 +115,17 @@ process.on('SIGINT', () => {
 
 // Start server
 if (require.main === module) {
-  app.listen(PORT, HOST, () => {
+  const server = app.listen(PORT, HOST, () => {
     console.log(`🚀 Turo EZPass Backend API running on http://${HOST}:${PORT}`);
     console.log(`📊 Health check available at http://${HOST}:${PORT}/health`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
   });
+
+  // WebSocket fallback for the GET /api/jobs/events stream
+  jobEventStream.attachWebSocket(server);
+
+  // Send queued webhook deliveries and retry failed ones
+  webhookService.start();
 }
 
 module.exports = app;
\ No newline at end of file
@@ -7,6 +7,9 @@ const {
   healthCheck 
 } = require('../config/aws');
 
+// s3.amazonaws.com, s3.<region>.amazonaws.com or the older s3-<region>.amazonaws.com
+const S3_HOST = /^s3([.-][a-z0-9-]+)?\.amazonaws\.com$/;
+
 class AWSService {
   constructor() {
     this.bucketName = process.env.S3_BUCKET_NAME;
@@ -107,6 +110,43 @@ class AWSService {
     }
   }
 
+  /**
+   * Whether a URL is an https object URL in the upload bucket, virtual-hosted
+   * (https://<bucket>.s3.<region>.amazonaws.com/<key>) or path-style
+   * (https://s3.<region>.amazonaws.com/<bucket>/<key>, or under S3_ENDPOINT)
+   */
+  isBucketUrl(url) {
+    if (!this.bucketName) return false;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password) {
+      return false;
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    const bucket = this.bucketName.toLowerCase();
+    const hasKey = (prefix) => parsed.pathname.length > prefix.length && parsed.pathname.startsWith(prefix);
+
+    if (host.startsWith(`${bucket}.`) && S3_HOST.test(host.slice(bucket.length + 1))) {
+      return hasKey('/');
+    }
+    if (S3_HOST.test(host)) {
+      return hasKey(`/${this.bucketName}/`);
+    }
+    if (process.env.S3_ENDPOINT) {
+      const endpoint = new URL(process.env.S3_ENDPOINT);
+      return endpoint.protocol === 'https:' && parsed.host === endpoint.host && hasKey(`/${this.bucketName}/`);
+    }
+
+    return false;
+  }
+
   /**
    * Upload proof image for a job
    */
@@ -136,6 +176,34 @@ class AWSService {
     }
   }
 
+  /**
+   * Upload a scanned toll notice
+   */
+  async uploadNoticeDocument(userId, noticeNumber, file) {
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const extension = file.originalname.split('.').pop();
+      const key = `toll-notices/${userId}/${noticeNumber}/${timestamp}.${extension}`;
+
+      const result = await this.uploadFile(file, key, {
+        userId: userId,
+        noticeNumber: noticeNumber,
+        type: 'toll-notice'
+      });
+
+      console.log('Toll notice uploaded:', {
+        userId: userId,
+        noticeNumber: noticeNumber,
+        key: result.key
+      });
+
+      return result;
+    } catch (error) {
+      console.error('AWSService: Toll notice upload failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Event Publishing Operations
    */
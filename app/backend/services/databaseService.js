@@ -1,6 +1,10 @@
 const { query, transaction, healthCheck, initializeTables } = require('../config/database');
 const User = require('../models/User');
 const Job = require('../models/Job');
+const TollNotice = require('../models/TollNotice');
+const JobEvent = require('../models/JobEvent');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
 
 class DatabaseService {
   /**
@@ -219,6 +223,18 @@ class DatabaseService {
       }
     },
 
+    /**
+     * Find job by toll transaction ID
+     */
+    findByTollId: async (tollId, userId) => {
+      try {
+        return await Job.findByTollId(tollId, userId);
+      } catch (error) {
+        console.error('Database: Find job by toll ID failed:', error);
+        throw error;
+      }
+    },
+
     /**
      * Find jobs with filters
      */
@@ -339,6 +355,66 @@ class DatabaseService {
       }
     },
 
+    /**
+     * Lease the next queued trip's jobs to a submission worker
+     */
+    leaseNextQueuedTrip: async (owner, leaseSeconds) => {
+      try {
+        return await Job.leaseNextQueuedTrip(owner, leaseSeconds);
+      } catch (error) {
+        console.error('Database: Lease next queued trip failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Extend a worker's leases on the jobs it is processing
+     */
+    extendLeases: async (jobIds, owner, leaseSeconds) => {
+      try {
+        return await Job.extendLeases(jobIds, owner, leaseSeconds);
+      } catch (error) {
+        console.error('Database: Extend job leases failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Return processing jobs whose lease expired to retry
+     */
+    releaseExpiredLeases: async (leaseSeconds) => {
+      try {
+        return await Job.releaseExpiredLeases(leaseSeconds);
+      } catch (error) {
+        console.error('Database: Release expired job leases failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Get jobs whose lease expired
+     */
+    findExpiredLeases: async (options = {}) => {
+      try {
+        return await Job.findExpiredLeases(options);
+      } catch (error) {
+        console.error('Database: Find expired job leases failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Get jobs whose claim was disputed or denied
+     */
+    findNeedingFollowUp: async (userId) => {
+      try {
+        return await Job.findNeedingFollowUp(userId);
+      } catch (error) {
+        console.error('Database: Find jobs needing follow-up failed:', error);
+        throw error;
+      }
+    },
+
     /**
      * Get job statistics
      */
@@ -364,6 +440,254 @@ class DatabaseService {
     }
   };
 
+  /**
+   * Toll notice operations
+   */
+  notices = {
+    /**
+     * Create a toll notice
+     */
+    create: async (noticeData) => {
+      try {
+        return await TollNotice.create(noticeData);
+      } catch (error) {
+        console.error('Database: Toll notice creation failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Find notice by ID with user verification
+     */
+    findByIdAndUser: async (noticeId, userId) => {
+      try {
+        return await TollNotice.findByIdAndUser(noticeId, userId);
+      } catch (error) {
+        console.error('Database: Find toll notice failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Find a user's notices
+     */
+    findByUser: async (userId, options = {}) => {
+      try {
+        return await TollNotice.findByUser(userId, options);
+      } catch (error) {
+        console.error('Database: Find toll notices failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Void a notice
+     */
+    void: async (noticeId, userId) => {
+      try {
+        const notice = await TollNotice.findByIdAndUser(noticeId, userId);
+        if (!notice) {
+          throw new Error('Notice not found');
+        }
+        return await notice.void();
+      } catch (error) {
+        console.error('Database: Void toll notice failed:', error);
+        throw error;
+      }
+    }
+  };
+
+  /**
+   * Job event log operations
+   */
+  jobEvents = {
+    /**
+     * Record a job event
+     */
+    create: async (eventData) => {
+      try {
+        return await JobEvent.create(eventData);
+      } catch (error) {
+        console.error('Database: Job event creation failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Find event by ID
+     */
+    findById: async (eventId) => {
+      try {
+        return await JobEvent.findById(eventId);
+      } catch (error) {
+        console.error('Database: Find job event failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Get a user's events after the given event ID
+     */
+    findForUser: async (userId, options = {}) => {
+      try {
+        return await JobEvent.findForUser(userId, options);
+      } catch (error) {
+        console.error('Database: Find job events failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Get the ID of a user's latest event
+     */
+    lastIdForUser: async (userId) => {
+      try {
+        return await JobEvent.lastIdForUser(userId);
+      } catch (error) {
+        console.error('Database: Find latest job event failed:', error);
+        throw error;
+      }
+    }
+  };
+
+  /**
+   * Webhook operations
+   */
+  webhooks = {
+    /**
+     * Create a webhook
+     */
+    create: async (webhookData) => {
+      try {
+        return await Webhook.create(webhookData);
+      } catch (error) {
+        console.error('Database: Webhook creation failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Find webhook by ID
+     */
+    findById: async (webhookId) => {
+      try {
+        return await Webhook.findById(webhookId);
+      } catch (error) {
+        console.error('Database: Find webhook failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Find webhook by ID with user verification
+     */
+    findByIdAndUser: async (webhookId, userId) => {
+      try {
+        return await Webhook.findByIdAndUser(webhookId, userId);
+      } catch (error) {
+        console.error('Database: Find webhook failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Find a user's webhooks
+     */
+    findByUser: async (userId) => {
+      try {
+        return await Webhook.findByUser(userId);
+      } catch (error) {
+        console.error('Database: Find webhooks failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Find a user's enabled webhooks subscribed to an event
+     */
+    findSubscribed: async (userId, eventType) => {
+      try {
+        return await Webhook.findSubscribed(userId, eventType);
+      } catch (error) {
+        console.error('Database: Find subscribed webhooks failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Update webhook
+     */
+    update: async (webhookId, userId, updateData) => {
+      try {
+        const webhook = await Webhook.findByIdAndUser(webhookId, userId);
+        if (!webhook) {
+          throw new Error('Webhook not found');
+        }
+        return await webhook.update(updateData);
+      } catch (error) {
+        console.error('Database: Webhook update failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Delete webhook
+     */
+    delete: async (webhookId, userId) => {
+      try {
+        const webhook = await Webhook.findByIdAndUser(webhookId, userId);
+        if (!webhook) {
+          throw new Error('Webhook not found');
+        }
+        return await webhook.delete();
+      } catch (error) {
+        console.error('Database: Webhook deletion failed:', error);
+        throw error;
+      }
+    }
+  };
+
+  /**
+   * Webhook delivery log operations
+   */
+  webhookDeliveries = {
+    /**
+     * Queue an event for a webhook
+     */
+    create: async (deliveryData) => {
+      try {
+        return await WebhookDelivery.create(deliveryData);
+      } catch (error) {
+        console.error('Database: Webhook delivery creation failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Get a webhook's deliveries
+     */
+    findByWebhook: async (webhookId, options = {}) => {
+      try {
+        return await WebhookDelivery.findByWebhook(webhookId, options);
+      } catch (error) {
+        console.error('Database: Find webhook deliveries failed:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Lease due deliveries to a sender
+     */
+    leaseDue: async (limit, leaseSeconds) => {
+      try {
+        return await WebhookDelivery.leaseDue(limit, leaseSeconds);
+      } catch (error) {
+        console.error('Database: Lease webhook deliveries failed:', error);
+        throw error;
+      }
+    }
+  };
+
   /**
    * Execute raw query
    */
@@ -419,6 +743,7 @@ class DatabaseService {
     const {
       deleteCompletedOlderThan = 90, // days
       deleteFailedOlderThan = 30,    // days
+      deleteEventsOlderThan = 30,    // days
       dryRun = false
     } = options;
 
@@ -447,6 +772,16 @@ class DatabaseService {
         queries.push({ type: 'failed', query: failedQuery });
       }
 
+      // Clean up old job events (streams can no longer resume from them)
+      if (deleteEventsOlderThan > 0) {
+        const eventsQuery = `
+          ${dryRun ? 'SELECT COUNT(*) as deleted_count FROM' : 'DELETE FROM'} job_events 
+          WHERE created_at < NOW() - INTERVAL '${deleteEventsOlderThan} days'
+          ${dryRun ? '' : 'RETURNING id'}
+        `;
+        queries.push({ type: 'events', query: eventsQuery });
+      }
+
       const results = {};
 
       for (const { type, query: queryText } of queries) {
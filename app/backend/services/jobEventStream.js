@@ -0,0 +1,294 @@
+const { WebSocketServer } = require('ws');
+const { getPool } = require('../config/database');
+const { verifyAccessToken } = require('../middleware/auth');
+const databaseService = require('./databaseService');
+const JobEvent = require('../models/JobEvent');
+
+// Events read per query when a feed catches up
+const PAGE_SIZE = 200;
+// Delay before listening again after the LISTEN connection drops
+const RECONNECT_DELAY = 5000;
+// Comment or ping sent on idle streams so proxies keep them open
+const KEEP_ALIVE_INTERVAL = 25000;
+
+class JobEventStream {
+  constructor() {
+    this.feeds = new Map(); // user id -> Set of open feeds
+    this.client = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Listen for new events on a dedicated database connection
+   * Every event is recorded with a NOTIFY (models/JobEvent.js), whichever
+   * process recorded it - the API, the submission worker or the reconciler.
+   */
+  async listen() {
+    if (this.client) return;
+
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        const pool = await getPool();
+        const client = await pool.connect();
+
+        client.on('notification', (message) => this.handleNotification(message));
+        client.on('error', (error) => {
+          console.error('Job event listener connection failed:', error);
+          this.reconnect(client);
+        });
+
+        try {
+          await client.query(`LISTEN ${JobEvent.CHANNEL}`);
+        } catch (error) {
+          client.release(true);
+          throw error;
+        }
+        this.client = client;
+        console.log('Listening for job events');
+      })().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    await this.connecting;
+  }
+
+  /**
+   * Replace a failed LISTEN connection; open feeds catch up on anything
+   * recorded while it was down
+   */
+  reconnect(client) {
+    if (!client || this.client !== client) return;
+
+    this.client = null;
+    client.release(true);
+    this.scheduleListen();
+  }
+
+  /**
+   * Listen again after RECONNECT_DELAY, retrying until the database is back
+   */
+  scheduleListen() {
+    setTimeout(async () => {
+      try {
+        await this.listen();
+        for (const feeds of this.feeds.values()) {
+          feeds.forEach(feed => this.pull(feed));
+        }
+      } catch (error) {
+        console.error('Failed to listen for job events again:', error);
+        this.scheduleListen();
+      }
+    }, RECONNECT_DELAY);
+  }
+
+  /**
+   * Wake the feeds of the user an event was recorded for
+   */
+  handleNotification(message) {
+    try {
+      const { userId } = JSON.parse(message.payload);
+      const feeds = this.feeds.get(userId);
+
+      if (feeds) {
+        feeds.forEach(feed => this.pull(feed));
+      }
+    } catch (error) {
+      console.error('Invalid job event notification:', error);
+    }
+  }
+
+  /**
+   * Send a feed every event recorded since the last one it sent
+   * Pulls for a feed run one at a time; a wake-up during a pull runs
+   * another pull once it finishes, so events always go out in order.
+   */
+  pull(feed) {
+    if (feed.pulling) {
+      feed.pullAgain = true;
+      return feed.pulling;
+    }
+
+    feed.pulling = (async () => {
+      do {
+        feed.pullAgain = false;
+        let events;
+
+        do {
+          events = await databaseService.jobEvents.findForUser(feed.userId, {
+            afterId: feed.lastId,
+            limit: PAGE_SIZE
+          });
+
+          for (const event of events) {
+            if (feed.closed) return;
+            feed.send(event);
+            feed.lastId = String(event.id);
+          }
+        } while (events.length === PAGE_SIZE);
+      } while (feed.pullAgain && !feed.closed);
+    })().catch(error => {
+      console.error('Failed to send job events:', {
+        userId: feed.userId,
+        lastId: feed.lastId,
+        error: error.message
+      });
+    }).finally(() => {
+      feed.pulling = null;
+    });
+
+    return feed.pulling;
+  }
+
+  /**
+   * Open a user's event feed
+   * Sends every event after lastEventId (a reconnecting client's Last-Event-ID),
+   * then each new event as it is recorded. Without lastEventId the feed starts
+   * with the next new event.
+   * @param {Function} send - called with each JobEvent, in order
+   * @returns {Promise<Function>} closes the feed
+   */
+  async openFeed(userId, lastEventId, send) {
+    const feed = {
+      userId: userId,
+      lastId: /^\d+$/.test(lastEventId || '') ? lastEventId : await databaseService.jobEvents.lastIdForUser(userId),
+      send: send,
+      pulling: null,
+      pullAgain: false,
+      closed: false
+    };
+
+    if (!this.feeds.has(userId)) {
+      this.feeds.set(userId, new Set());
+    }
+    this.feeds.get(userId).add(feed);
+
+    const close = () => {
+      feed.closed = true;
+
+      const feeds = this.feeds.get(userId);
+      if (feeds) {
+        feeds.delete(feed);
+        if (feeds.size === 0) this.feeds.delete(userId);
+      }
+    };
+
+    try {
+      await this.listen();
+      await this.pull(feed);
+    } catch (error) {
+      close();
+      throw error;
+    }
+
+    return close;
+  }
+
+  /**
+   * Serve GET /api/jobs/events as a Server-Sent Events stream
+   */
+  async serveEventSource(req, res, user) {
+    let closeFeed = null;
+    let closed = false;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Compression buffers responses until flushed
+    const write = (chunk) => {
+      res.write(chunk);
+      if (res.flush) res.flush();
+    };
+
+    const keepAlive = setInterval(() => write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+    req.on('close', () => {
+      closed = true;
+      clearInterval(keepAlive);
+      if (closeFeed) closeFeed();
+    });
+
+    write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    try {
+      closeFeed = await this.openFeed(user.id, req.header('Last-Event-ID') || req.query.lastEventId, (event) => {
+        write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.toJSON())}\n\n`);
+      });
+      if (closed) closeFeed();
+    } catch (error) {
+      console.error('Failed to open job event stream:', error);
+      clearInterval(keepAlive);
+      res.end();
+    }
+  }
+
+  /**
+   * Serve the same stream over WebSocket, for clients that can't use
+   * EventSource: ws(s)://<host>/api/jobs/events?access_token=<token>&lastEventId=<id>
+   * Each message is one event's JSON ({ id, type, jobId, data, createdAt }).
+   */
+  attachWebSocket(server, path = '/api/jobs/events') {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        socket.destroy();
+        return;
+      }
+
+      let user;
+      try {
+        const authHeader = req.headers.authorization || '';
+        const token = url.searchParams.get('access_token') || authHeader.replace(/^Bearer /, '');
+        const tokenUser = await verifyAccessToken(token);
+
+        user = await databaseService.users.findByCognitoSub(tokenUser.userSub);
+        if (!user) {
+          throw new Error('User not found');
+        }
+      } catch (error) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        this.serveWebSocket(ws, user, url.searchParams.get('lastEventId'));
+      });
+    });
+
+    return wss;
+  }
+
+  /**
+   * Stream a user's events to an open WebSocket
+   */
+  async serveWebSocket(ws, user, lastEventId) {
+    let closeFeed = null;
+    let closed = false;
+
+    const keepAlive = setInterval(() => ws.ping(), KEEP_ALIVE_INTERVAL);
+    ws.on('close', () => {
+      closed = true;
+      clearInterval(keepAlive);
+      if (closeFeed) closeFeed();
+    });
+
+    try {
+      closeFeed = await this.openFeed(user.id, lastEventId, (event) => {
+        ws.send(JSON.stringify(event.toJSON()));
+      });
+      if (closed) closeFeed();
+    } catch (error) {
+      console.error('Failed to open job event socket:', error);
+      ws.close(1011, 'Job events unavailable');
+    }
+  }
+}
+
+module.exports = new JobEventStream();
@@ -1,5 +1,7 @@
 const databaseService = require('./databaseService');
 const awsService = require('./awsService');
+const retryPolicy = require('./retryPolicy');
+const webhookService = require('./webhookService');
 const { publishEvent } = require('../config/aws');
 
 class JobService {
@@ -14,14 +16,27 @@ class JobService {
         throw new Error('User not found');
       }
 
-      // Check if job with same Turo Trip ID already exists for this user
-      const existingJob = await databaseService.jobs.findByTuroTripId(
-        jobData.turoTripId, 
-        userId
-      );
+      if (jobData.tollId) {
+        // One job per toll: a trip has a job for each of its tolls, and a toll
+        // can only be claimed once, whichever trip it was matched to (the
+        // idx_jobs_user_toll index enforces the same)
+        const existingTollJob = await databaseService.jobs.findByTollId(jobData.tollId, userId);
 
-      if (existingJob) {
-        throw new Error('Job with this Turo Trip ID already exists');
+        if (existingTollJob) {
+          throw new Error(existingTollJob.turo_trip_id === jobData.turoTripId
+            ? 'Job for this toll already exists on this trip'
+            : 'Job for this toll already exists');
+        }
+      } else {
+        // Without a toll ID a job stands for the whole trip
+        const existingJob = await databaseService.jobs.findByTuroTripId(
+          jobData.turoTripId,
+          userId
+        );
+
+        if (existingJob) {
+          throw new Error('Job with this Turo Trip ID already exists');
+        }
       }
 
       // Create the job
@@ -103,10 +118,11 @@ class JobService {
       };
 
       if (status === 'processing') {
+        // The attempt is counted when it fails (retryPolicy.failureUpdate)
         updateData.last_submission_date = new Date();
-        updateData.submission_attempts = (job.submission_attempts || 0) + 1;
       } else if (status === 'completed') {
         updateData.error_message = null;
+        updateData.next_attempt_at = null;
       }
 
       const updatedJob = await job.update(updateData);
@@ -173,14 +189,48 @@ class JobService {
     }
   }
 
+  /**
+   * Queue job for the submission worker (worker.js)
+   */
+  async enqueueJob(jobId, userId) {
+    try {
+      const job = await this.getJobById(jobId, userId);
+
+      if (job.status !== 'pending' && job.status !== 'retry' && job.status !== 'failed') {
+        throw new Error(`Job cannot be submitted in status: ${job.status}`);
+      }
+
+      const queuedJob = await job.enqueue();
+
+      console.log('Job queued for submission:', {
+        jobId: jobId,
+        userId: userId,
+        queuedAt: queuedJob.queued_at
+      });
+
+      const user = await databaseService.users.findById(userId);
+      await this._publishJobEvent('job.submitted', queuedJob, user);
+
+      return queuedJob;
+    } catch (error) {
+      console.error('JobService: Enqueue job failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Mark job as completed
+   * @param {Array<string>} [claimTollIds] - every toll on the claim it was filed with
    */
-  async markJobAsCompleted(jobId, userId, submissionId = null) {
+  async markJobAsCompleted(jobId, userId, submissionId = null, claimTollIds = null) {
     try {
       const updatedJob = await this.updateJobStatus(jobId, userId, 'completed', {
         submission_id: submissionId,
-        error_message: null
+        ...(claimTollIds && { claim_toll_ids: claimTollIds }),
+        error_message: null,
+        // Reconciliation (app/scripts/reconcile.js) appends later states to this history
+        claim_status: 'submitted',
+        claim_status_history: [{ status: 'submitted', at: new Date().toISOString(), label: null, detail: null }]
       });
 
       console.log('Job marked as completed:', {
@@ -202,19 +252,27 @@ class JobService {
   async markJobAsFailed(jobId, userId, errorMessage) {
     try {
       const job = await this.getJobById(jobId, userId);
-      const newAttempts = (job.submission_attempts || 0) + 1;
-      const shouldRetry = newAttempts < 3;
 
-      const updatedJob = await this.updateJobStatus(jobId, userId, shouldRetry ? 'retry' : 'failed', {
-        error_message: errorMessage,
-        submission_attempts: newAttempts
-      });
+      // A filed claim stays filed; failing it would put it back in the queue
+      if (job.status === 'completed') {
+        console.warn('Not failing completed job:', {
+          jobId: jobId,
+          userId: userId,
+          error: errorMessage
+        });
+        return job;
+      }
+
+      const { status, ...failure } = retryPolicy.failureUpdate(job, errorMessage);
+
+      const updatedJob = await this.updateJobStatus(jobId, userId, status, failure);
 
       console.log('Job marked as failed:', {
         jobId: jobId,
         userId: userId,
-        attempts: newAttempts,
-        willRetry: shouldRetry,
+        attempts: failure.submission_attempts,
+        failure: retryPolicy.classifyFailure(errorMessage),
+        nextAttemptAt: failure.next_attempt_at,
         error: errorMessage
       });
 
@@ -236,13 +294,14 @@ class JobService {
         throw new Error('Job cannot be retried');
       }
 
-      // Check retry cooldown
+      // A scheduled retry can't be brought forward
       const retryTime = job.getRetryTime();
-      if (retryTime && retryTime > new Date()) {
+      if (retryTime) {
         throw new Error(`Job can be retried after ${retryTime.toISOString()}`);
       }
 
       const updatedJob = await this.updateJobStatus(jobId, userId, 'pending', {
+        next_attempt_at: null,
         error_message: null
       });
 
@@ -277,9 +336,10 @@ class JobService {
         userId: userId
       });
 
-      // Publish job deleted event
+      // Publish job deleted event; the row is gone, so the event carries the
+      // job's id in its payload rather than referencing it
       const user = await databaseService.users.findById(userId);
-      await this._publishJobEvent('job.deleted', job, user);
+      await this._publishJobEvent('job.deleted', job, user, { jobId: job.id }, null);
 
       return true;
     } catch (error) {
@@ -308,60 +368,71 @@ class JobService {
   }
 
   /**
-   * Process pending jobs (background task)
+   * Return jobs abandoned by their worker (lease expired) to retry, or fail
+   * them once the abandoned attempt uses up their last one
    */
-  async processPendingJobs() {
+  async releaseExpiredLeases(leaseSeconds) {
     try {
-      const jobs = await this.getJobsReadyForProcessing(5);
+      const jobs = await databaseService.jobs.releaseExpiredLeases(leaseSeconds);
 
-      if (jobs.length === 0) {
-        console.log('No jobs ready for processing');
-        return { processed: 0, total: 0 };
+      for (const job of jobs) {
+        await this.recordJobEvent(job.user_id, job.id, 'job.status_changed', {
+          job: job.toJSON(),
+          oldStatus: 'processing',
+          newStatus: job.status
+        });
       }
 
-      let processed = 0;
-
-      for (const job of jobs) {
-        try {
-          // Mark as processing
-          await databaseService.jobs.update(job.id, {
-            status: 'processing',
-            last_submission_date: new Date(),
-            submission_attempts: (job.submission_attempts || 0) + 1
-          });
-
-          // Get user details
-          const user = await databaseService.users.findById(job.user_id);
-
-          // Publish job for external processing
-          await this._publishJobEvent('job.submitted', job, user);
-
-          processed++;
-
-          console.log('Job submitted for processing:', {
-            jobId: job.id,
-            userId: job.user_id,
-            attempts: job.submission_attempts + 1
-          });
-        } catch (error) {
-          console.error('Failed to process job:', {
-            jobId: job.id,
-            error: error.message
-          });
-
-          // Mark job as failed
-          await databaseService.jobs.markAsFailed(job.id, error.message);
-        }
+      if (jobs.length > 0) {
+        console.warn('Released jobs with expired leases:', {
+          count: jobs.length,
+          retried: jobs.filter(job => job.status === 'retry').map(job => job.id),
+          failed: jobs.filter(job => job.status === 'failed').map(job => job.id),
+          owners: [...new Set(jobs.map(job => job.lease_owner).filter(Boolean))]
+        });
       }
 
-      console.log('Batch job processing completed:', {
-        processed: processed,
-        total: jobs.length
+      return jobs;
+    } catch (error) {
+      console.error('JobService: Release expired leases failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get jobs whose lease expired (admin function)
+   */
+  async getExpiredLeases(options = {}) {
+    try {
+      const jobs = await databaseService.jobs.findExpiredLeases(options);
+
+      console.log('Retrieved jobs with expired leases:', {
+        count: jobs.length,
+        since: options.since || null
       });
 
-      return { processed, total: jobs.length };
+      return jobs;
     } catch (error) {
-      console.error('JobService: Process pending jobs failed:', error);
+      console.error('JobService: Get expired leases failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get submitted jobs whose claim was disputed or denied
+   */
+  async getFollowUpJobs(userId) {
+    try {
+      const jobs = await databaseService.jobs.findNeedingFollowUp(userId);
+
+      console.log('Retrieved jobs needing follow-up:', {
+        userId: userId,
+        count: jobs.length
+      });
+
+      return jobs;
+    } catch (error) {
+      console.error('JobService: Get follow-up jobs failed:', error);
       throw error;
     }
   }
@@ -417,8 +488,15 @@ class JobService {
 
   /**
    * Publish job-related events to EventBridge
+   * @param {string|null} [eventJobId] - job the event log row references; null
+   *   once the job row is deleted
    */
-  async _publishJobEvent(eventType, job, user, additionalData = {}) {
+  async _publishJobEvent(eventType, job, user, additionalData = {}, eventJobId = job.id) {
+    await this.recordJobEvent(job.user_id, eventJobId, eventType, {
+      job: job.toJSON(),
+      ...additionalData
+    });
+
     try {
       const eventDetail = {
         job: job.toJSON(),
@@ -448,6 +526,26 @@ class JobService {
       // Don't throw here - event publishing failure shouldn't break the main operation
     }
   }
+
+  /**
+   * Add an event to the user's job event log, which streams it to their
+   * open GET /api/jobs/events connections and queues it for their webhooks
+   */
+  async recordJobEvent(userId, jobId, eventType, data = {}) {
+    try {
+      const event = await databaseService.jobEvents.create({ userId, jobId, type: eventType, data });
+      await webhookService.enqueueJobEvent(userId, eventType, data);
+      return event;
+    } catch (error) {
+      console.error('Failed to record job event:', {
+        eventType: eventType,
+        jobId: jobId,
+        error: error.message
+      });
+      // Don't throw here - the stream missing an event shouldn't break the main operation
+      return null;
+    }
+  }
 }
 
 module.exports = new JobService();
\ No newline at end of file
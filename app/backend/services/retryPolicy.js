@@ -0,0 +1,81 @@
+/**
+ * Retry Policy
+ *
+ * Decides what happens to a job whose submission failed: retry later with
+ * exponential backoff and jitter, or fail for good when the error is permanent
+ * or the job has used up its attempts.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const BASE_DELAY_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 300;
+const MAX_DELAY_SECONDS = parseInt(process.env.JOB_RETRY_MAX_SECONDS) || 6 * 60 * 60;
+
+// Turo refusing the claim itself - retrying would be refused the same way
+const PERMANENT_ERRORS = [
+  /not eligible for reimbursement/i,
+  /no longer eligible/i,
+  /reimbursement (window|period) (has )?(closed|expired|ended)/i,
+  /(deadline|time limit) .*(passed|expired)/i,
+  /already (been )?(submitted|requested|reimbursed)/i
+];
+
+/**
+ * Classify a submission error
+ * Anything not known to be permanent (a page selector that was not found,
+ * a timeout, a failed login) is treated as transient.
+ * @returns {string} 'permanent' or 'transient'
+ */
+const classifyFailure = (errorMessage) => {
+  return PERMANENT_ERRORS.some(pattern => pattern.test(errorMessage || '')) ? 'permanent' : 'transient';
+};
+
+/**
+ * Backoff before the given retry: doubles per attempt up to the maximum, and
+ * the upper half is randomized so failed jobs don't retry in lockstep
+ * @param {number} attempts - attempts made so far (1 after the first failure)
+ * @param {Object} options - { baseSeconds, maxSeconds, random }, job submission defaults
+ * @returns {number} delay in seconds
+ */
+const backoffSeconds = (attempts, options = {}) => {
+  const {
+    baseSeconds = BASE_DELAY_SECONDS,
+    maxSeconds = MAX_DELAY_SECONDS,
+    random = Math.random
+  } = options;
+
+  const delay = Math.min(baseSeconds * 2 ** Math.max(attempts - 1, 0), maxSeconds);
+  return Math.round(delay / 2 + random() * delay / 2);
+};
+
+/**
+ * Job update for a failed submission attempt
+ * @returns {Object} { status, error_message, submission_attempts, next_attempt_at }
+ */
+const failureUpdate = (job, errorMessage, now = new Date()) => {
+  const attempts = (job.submission_attempts || 0) + 1;
+  const permanent = classifyFailure(errorMessage) === 'permanent';
+
+  if (permanent || attempts >= MAX_ATTEMPTS) {
+    return {
+      status: 'failed',
+      error_message: errorMessage,
+      submission_attempts: attempts,
+      next_attempt_at: null
+    };
+  }
+
+  return {
+    status: 'retry',
+    error_message: errorMessage,
+    submission_attempts: attempts,
+    next_attempt_at: new Date(now.getTime() + backoffSeconds(attempts) * 1000)
+  };
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  BASE_DELAY_SECONDS,
+  classifyFailure,
+  backoffSeconds,
+  failureUpdate
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const databaseService = require('./databaseService');
+const { backoffSeconds } = require('./retryPolicy');
+const { webhookUrlError, publicLookup, assertPublicUrl } = require('./webhookTargets');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT = 10000;
+// A delivery whose sender died is retried once this runs out
+const LEASE_SECONDS = 60;
+const BATCH_SIZE = 20;
+
+// Job fields sent to webhooks; leases, proof URLs and the like stay internal
+const PUBLIC_JOB_FIELDS = [
+  'id', 'turoTripId', 'status', 'tollAmount', 'tollLocation', 'tollDate',
+  'tripStartDate', 'tripEndDate', 'submissionAttempts', 'lastSubmissionDate',
+  'nextAttemptAt', 'submissionId', 'claimStatus', 'errorMessage', 'createdAt', 'updatedAt'
+];
+
+// Every delivery connects through these, so a host is checked at the
+// address actually connected to
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.delivering = false;
+  }
+
+  /**
+   * Webhook event for an entry in the job event log, or null when webhooks
+   * don't carry it (progress, retries and the like)
+   * claim.paid is queued by the claim status reconciler (app/scripts/utils/ledger.js).
+   */
+  webhookEventFor(eventType, data = {}) {
+    if (eventType === 'job.created' || eventType === 'job.submitted') {
+      return eventType;
+    }
+
+    if (eventType === 'job.status_changed') {
+      if (data.newStatus === 'completed') return 'job.completed';
+      if (data.newStatus === 'failed') return 'job.failed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Webhook payload for a job event: the job is cut down to PUBLIC_JOB_FIELDS
+   */
+  webhookPayload(data = {}) {
+    if (!data.job) return data;
+
+    const job = {};
+    PUBLIC_JOB_FIELDS.forEach(field => {
+      if (data.job[field] !== undefined) job[field] = data.job[field];
+    });
+
+    return { ...data, job };
+  }
+
+  /**
+   * Queue a job event for the user's webhooks subscribed to it
+   * Called for every entry recorded in the job event log.
+   */
+  async enqueueJobEvent(userId, eventType, data = {}) {
+    const webhookEvent = this.webhookEventFor(eventType, data);
+    if (!webhookEvent) return [];
+
+    try {
+      const webhooks = await databaseService.webhooks.findSubscribed(userId, webhookEvent);
+      const deliveries = [];
+
+      for (const webhook of webhooks) {
+        deliveries.push(await databaseService.webhookDeliveries.create({
+          webhookId: webhook.id,
+          eventType: webhookEvent,
+          payload: this.webhookPayload(data)
+        }));
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.error('Failed to queue webhook deliveries:', {
+        eventType: webhookEvent,
+        userId: userId,
+        error: error.message
+      });
+      // Don't throw here - webhook failures shouldn't break the main operation
+      return [];
+    }
+  }
+
+  /**
+   * Create a webhook with a new signing secret
+   * @returns {Promise<Object>} { webhook, secret } - the secret is only returned here
+   */
+  async createWebhook(userId, { url, events, description, enabled }) {
+    try {
+      await assertPublicUrl(url);
+
+      const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+      const webhook = await databaseService.webhooks.create({ userId, url, events, secret, description, enabled });
+
+      console.log('Webhook created:', {
+        webhookId: webhook.id,
+        userId: userId,
+        events: events
+      });
+
+      return { webhook, secret };
+    } catch (error) {
+      console.error('WebhookService: Create webhook failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a webhook, checking a new URL like a new webhook's
+   */
+  async updateWebhook(webhookId, userId, updateData) {
+    try {
+      if (updateData.url !== undefined) {
+        await assertPublicUrl(updateData.url);
+      }
+
+      return await databaseService.webhooks.update(webhookId, userId, updateData);
+    } catch (error) {
+      console.error('WebhookService: Update webhook failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the
+   * webhook's secret, sent as X-Webhook-Signature: sha256=<hex>
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Send a leased delivery and record the attempt in its log
+   * Failed attempts are retried with backoff until MAX_ATTEMPTS, unless
+   * retry is false (test events are only tried once).
+   */
+  async deliver(delivery, webhook, { retry = true } = {}) {
+    const body = JSON.stringify({
+      id: delivery.id,
+      type: delivery.event_type,
+      createdAt: delivery.created_at,
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    let outcome;
+    try {
+      // The URL was checked when saved; checked again in case the rules tightened
+      const reason = webhookUrlError(webhook.url);
+      if (reason) {
+        throw new Error(reason);
+      }
+
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'turo-ezpass-webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        timeout: REQUEST_TIMEOUT,
+        maxRedirects: 0,
+        httpAgent: httpAgent,
+        httpsAgent: httpsAgent,
+        proxy: false,
+        validateStatus: () => true
+      });
+
+      const succeeded = response.status >= 200 && response.status < 300;
+      outcome = {
+        succeeded: succeeded,
+        responseStatus: response.status,
+        error: succeeded ? null : `Endpoint responded with ${response.status}`
+      };
+    } catch (error) {
+      outcome = { succeeded: false, error: error.message };
+    }
+
+    outcome.durationMs = Date.now() - startTime;
+
+    if (!outcome.succeeded && retry && delivery.attempts < MAX_ATTEMPTS) {
+      const delay = backoffSeconds(delivery.attempts, {
+        baseSeconds: RETRY_BASE_SECONDS,
+        maxSeconds: RETRY_MAX_SECONDS
+      });
+      outcome.nextAttemptAt = new Date(Date.now() + delay * 1000);
+    }
+
+    const recorded = await delivery.recordAttempt(outcome);
+
+    console.log(outcome.succeeded
+      ? `📬 Delivered ${delivery.event_type} to webhook ${webhook.id}`
+      : `⚠️ Webhook ${webhook.id} delivery of ${delivery.event_type} failed (attempt ${delivery.attempts}): ${outcome.error}`);
+
+    return recorded;
+  }
+
+  /**
+   * Send every due delivery, a batch at a time
+   * @returns {Promise<number>} deliveries attempted
+   */
+  async deliverDue() {
+    let attempted = 0;
+    let deliveries;
+
+    do {
+      deliveries = await databaseService.webhookDeliveries.leaseDue(BATCH_SIZE, LEASE_SECONDS);
+
+      for (const delivery of deliveries) {
+        try {
+          const webhook = await databaseService.webhooks.findById(delivery.webhook_id);
+
+          if (!webhook || !webhook.enabled) {
+            await delivery.recordAttempt({ succeeded: false, error: 'Webhook is disabled' });
+          } else {
+            await this.deliver(delivery, webhook);
+          }
+        } catch (error) {
+          // Left leased; retried once the lease runs out
+          console.error('Webhook delivery failed:', {
+            deliveryId: delivery.id,
+            error: error.message
+          });
+        }
+        attempted++;
+      }
+    } while (deliveries.length === BATCH_SIZE);
+
+    return attempted;
+  }
+
+  /**
+   * Queue a test event for a webhook and send it right away
+   * @returns {Promise<Object>} the delivery, with the attempt's outcome
+   */
+  async sendTestEvent(webhook) {
+    try {
+      // Not due until the lease would run out, so the background sender leaves it alone
+      const delivery = await databaseService.webhookDeliveries.create({
+        webhookId: webhook.id,
+        eventType: 'webhook.test',
+        payload: {
+          message: 'Test event from Turo EZPass',
+          events: webhook.events
+        },
+        delaySeconds: LEASE_SECONDS
+      });
+
+      await delivery.startAttempt(LEASE_SECONDS);
+      return await this.deliver(delivery, webhook, { retry: false });
+    } catch (error) {
+      console.error('WebhookService: Send test event failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send due deliveries in the background
+   */
+  start(interval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.delivering) return;
+      this.delivering = true;
+
+      try {
+        await this.deliverDue();
+      } catch (error) {
+        console.error('Webhook delivery poll failed:', error);
+      } finally {
+        this.delivering = false;
+      }
+    }, interval);
+
+    console.log('📮 Webhook deliveries started');
+  }
+
+  /**
+   * Stop sending deliveries
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new WebhookService();
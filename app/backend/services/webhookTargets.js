@@ -0,0 +1,136 @@
+/**
+ * Webhook Targets
+ *
+ * Webhook URLs are chosen by users but requested by the server, so they must
+ * not reach the server's own network: loopback, private (RFC 1918 / unique
+ * local), link-local (cloud metadata at 169.254.169.254) and other reserved
+ * addresses are refused, both when a webhook is saved and on every delivery.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  if (family === 6) {
+    // IPv4-mapped (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, 'ipv4');
+};
+
+/**
+ * Why a URL can't be a webhook target, checked without DNS
+ * Plain http is only allowed in development.
+ * @returns {string|null} the reason, or null when the URL is acceptable
+ */
+const webhookUrlError = (url, env = process.env.NODE_ENV) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Webhook URL must be a valid URL';
+  }
+
+  const allowedProtocols = env === 'development' ? ['https:', 'http:'] : ['https:'];
+  if (!allowedProtocols.includes(parsed.protocol)) {
+    return env === 'development' ? 'Webhook URL must be http(s)' : 'Webhook URL must use https';
+  }
+
+  if (parsed.username || parsed.password) {
+    return 'Webhook URL must not contain credentials';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return 'Webhook URL must be a public address';
+  }
+
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return 'Webhook URL must be a public address';
+  }
+
+  return null;
+};
+
+/**
+ * dns.lookup that fails for hosts resolving to a private address
+ * Given to the delivery's HTTP agent, so the address checked is the one
+ * connected to, even if the host's DNS changed since the webhook was saved.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check a webhook URL, resolving its host
+ * @throws {Error} when the URL is not an acceptable public target
+ */
+const assertPublicUrl = async (url) => {
+  const reason = webhookUrlError(url);
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return;
+
+  await new Promise((resolve, reject) => {
+    publicLookup(host, {}, (error) => {
+      if (!error) return resolve();
+      reject(new Error(error.code === 'ENOTFOUND'
+        ? 'Webhook URL host could not be resolved'
+        : 'Webhook URL must be a public address'));
+    });
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  webhookUrlError,
+  publicLookup,
+  assertPublicUrl
+};
@@ -0,0 +1,27 @@
+jest.mock('../services/cognitoService', () => ({}));
+
+const { accessTokenFromQuery, redactAccessToken } = require('../middleware/auth');
+
+describe('query string access tokens', () => {
+  test('uses ?access_token= only when there is no Authorization header', () => {
+    const next = jest.fn();
+    const fromQuery = { query: { access_token: 'abc' }, headers: {}, header: () => undefined };
+    const withHeader = { query: { access_token: 'abc' }, headers: { authorization: 'Bearer xyz' }, header: () => 'Bearer xyz' };
+
+    accessTokenFromQuery(fromQuery, {}, next);
+    accessTokenFromQuery(withHeader, {}, next);
+
+    expect(fromQuery.headers.authorization).toBe('Bearer abc');
+    expect(withHeader.headers.authorization).toBe('Bearer xyz');
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('blanks the token in logged URLs', () => {
+    expect(redactAccessToken('/api/jobs/events?access_token=eyJ.abc.def&lastEventId=5'))
+      .toBe('/api/jobs/events?access_token=[REDACTED]&lastEventId=5');
+    expect(redactAccessToken('/api/jobs/events?lastEventId=5&ACCESS_TOKEN=eyJ'))
+      .toBe('/api/jobs/events?lastEventId=5&ACCESS_TOKEN=[REDACTED]');
+    expect(redactAccessToken('/api/jobs?status=queued')).toBe('/api/jobs?status=queued');
+    expect(redactAccessToken(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,120 @@
+const { EventEmitter } = require('events');
+
+jest.mock('../config/database', () => ({
+  getPool: jest.fn()
+}));
+jest.mock('../middleware/auth', () => ({
+  verifyAccessToken: jest.fn()
+}));
+jest.mock('../services/databaseService', () => ({
+  jobEvents: {
+    findForUser: jest.fn(),
+    lastIdForUser: jest.fn()
+  }
+}));
+
+const { getPool } = require('../config/database');
+const databaseService = require('../services/databaseService');
+const jobEventStream = require('../services/jobEventStream');
+
+const fakeClient = (listen = async () => {}) => {
+  const client = new EventEmitter();
+  client.query = jest.fn(listen);
+  client.release = jest.fn();
+  return client;
+};
+
+const poolOf = (...clients) => {
+  const connect = jest.fn();
+  clients.forEach(client => connect.mockResolvedValueOnce(client));
+  getPool.mockResolvedValue({ connect });
+  return connect;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jobEventStream.client = null;
+  jobEventStream.feeds.clear();
+  databaseService.jobEvents.findForUser.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('jobEventStream', () => {
+  test('releases the connection when LISTEN fails and connects again on the next listen', async () => {
+    const failing = fakeClient(async () => { throw new Error('permission denied'); });
+    const listening = fakeClient();
+    const connect = poolOf(failing, listening);
+
+    await expect(jobEventStream.listen()).rejects.toThrow('permission denied');
+    expect(failing.release).toHaveBeenCalledWith(true);
+    expect(jobEventStream.client).toBeNull();
+
+    await jobEventStream.listen();
+    expect(connect).toHaveBeenCalledTimes(2);
+    expect(jobEventStream.client).toBe(listening);
+  });
+
+  test('ignores errors from a connection that is not the current listener', () => {
+    jest.useFakeTimers();
+    const stale = fakeClient();
+
+    jobEventStream.reconnect(null);
+    jobEventStream.reconnect(stale);
+
+    expect(stale.release).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('listens again after the connection drops and catches open feeds up', async () => {
+    jest.useFakeTimers();
+    const first = fakeClient();
+    const second = fakeClient();
+    poolOf(first, second);
+
+    const send = jest.fn();
+    await jobEventStream.openFeed('user-1', '10', send);
+    expect(databaseService.jobEvents.findForUser).toHaveBeenCalledTimes(1);
+
+    databaseService.jobEvents.findForUser.mockResolvedValueOnce([{ id: 11, type: 'job.progress' }]);
+    first.emit('error', new Error('terminating connection'));
+
+    expect(first.release).toHaveBeenCalledWith(true);
+    expect(jobEventStream.client).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(jobEventStream.client).toBe(second);
+    expect(second.query).toHaveBeenCalledWith('LISTEN job_events');
+    expect(send).toHaveBeenCalledWith({ id: 11, type: 'job.progress' });
+  });
+
+  test('keeps retrying while the database is down', async () => {
+    jest.useFakeTimers();
+    const first = fakeClient();
+    const connect = poolOf(first);
+    await jobEventStream.listen();
+
+    connect.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    const second = fakeClient();
+    connect.mockResolvedValueOnce(second);
+
+    first.emit('error', new Error('terminating connection'));
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(jobEventStream.client).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(jobEventStream.client).toBe(second);
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../services/databaseService', () => ({
+  jobs: { findByIdAndUser: jest.fn() },
+  users: { findById: jest.fn() },
+  jobEvents: { create: jest.fn() }
+}));
+jest.mock('../services/awsService', () => ({}));
+jest.mock('../services/webhookService', () => ({
+  enqueueJobEvent: jest.fn()
+}));
+jest.mock('../config/aws', () => ({
+  publishEvent: jest.fn()
+}));
+
+const databaseService = require('../services/databaseService');
+const webhookService = require('../services/webhookService');
+const jobService = require('../services/jobService');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('jobService.markJobAsFailed', () => {
+  beforeEach(() => {
+    jest.spyOn(jobService, 'updateJobStatus').mockImplementation(async (jobId, userId, status, data) => ({ id: jobId, status, ...data }));
+  });
+
+  afterEach(() => {
+    jobService.updateJobStatus.mockRestore();
+  });
+
+  test('leaves a completed job completed', async () => {
+    const job = { id: 'job-1', status: 'completed', submission_attempts: 1 };
+    databaseService.jobs.findByIdAndUser.mockResolvedValue(job);
+
+    await expect(jobService.markJobAsFailed('job-1', 'user-1', 'Lost the page')).resolves.toBe(job);
+    expect(jobService.updateJobStatus).not.toHaveBeenCalled();
+  });
+
+  test('schedules a retry for a transient failure', async () => {
+    databaseService.jobs.findByIdAndUser.mockResolvedValue({ id: 'job-1', status: 'processing', submission_attempts: 0 });
+
+    const updated = await jobService.markJobAsFailed('job-1', 'user-1', 'Upload button not found');
+
+    expect(updated).toMatchObject({ status: 'retry', submission_attempts: 1, error_message: 'Upload button not found' });
+    expect(updated.next_attempt_at).toBeInstanceOf(Date);
+  });
+});
+
+describe('jobService.submitJob', () => {
+  test('counts a failed submission as one attempt', async () => {
+    const job = {
+      id: 'job-1',
+      user_id: 'user-1',
+      status: 'pending',
+      submission_attempts: 0,
+      async update(data) {
+        Object.assign(this, data);
+        return this;
+      },
+      toJSON() {
+        return { id: this.id, status: this.status };
+      }
+    };
+    const user = { id: 'user-1', toJSON: () => ({ id: 'user-1' }) };
+    databaseService.jobs.findByIdAndUser.mockResolvedValue(job);
+    databaseService.users.findById
+      .mockResolvedValueOnce(user)
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue(user);
+
+    await expect(jobService.submitJob('job-1', 'user-1')).rejects.toThrow('connection reset');
+
+    expect(job).toMatchObject({ status: 'retry', submission_attempts: 1, error_message: 'connection reset' });
+  });
+});
+
+describe('jobService.deleteJob', () => {
+  test('records job.deleted without referencing the deleted row', async () => {
+    const deleted = [];
+    const job = {
+      id: 'job-1',
+      user_id: 'user-1',
+      status: 'completed',
+      delete: jest.fn(async () => deleted.push('job-1')),
+      toJSON: () => ({ id: 'job-1', status: 'completed' })
+    };
+    databaseService.jobs.findByIdAndUser.mockResolvedValue(job);
+    databaseService.users.findById.mockResolvedValue({ id: 'user-1', toJSON: () => ({ id: 'user-1' }) });
+    // Like the job_events.job_id foreign key, refuse a reference to a deleted job
+    databaseService.jobEvents.create.mockImplementation(async (event) => {
+      if (deleted.includes(event.jobId)) throw new Error('violates foreign key constraint');
+      return { id: 1, ...event };
+    });
+
+    await expect(jobService.deleteJob('job-1', 'user-1')).resolves.toBe(true);
+
+    expect(databaseService.jobEvents.create).toHaveBeenCalledWith({
+      userId: 'user-1',
+      jobId: null,
+      type: 'job.deleted',
+      data: { job: { id: 'job-1', status: 'completed' }, jobId: 'job-1' }
+    });
+    expect(webhookService.enqueueJobEvent).toHaveBeenCalledWith('user-1', 'job.deleted', expect.objectContaining({ jobId: 'job-1' }));
+  });
+});
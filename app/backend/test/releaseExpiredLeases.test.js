@@ -0,0 +1,94 @@
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../services/awsService', () => ({}));
+jest.mock('../services/webhookService', () => ({
+  enqueueJobEvent: jest.fn()
+}));
+jest.mock('../config/aws', () => ({
+  publishEvent: jest.fn()
+}));
+
+const { query } = require('../config/database');
+const Job = require('../models/Job');
+const retryPolicy = require('../services/retryPolicy');
+const databaseService = require('../services/databaseService');
+const jobService = require('../services/jobService');
+
+const row = (fields) => ({
+  user_id: 'user-1',
+  turo_trip_id: '51230001',
+  lease_owner: 'worker-a:123',
+  ...fields
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('Job.releaseExpiredLeases', () => {
+  test('counts the abandoned attempt and fails jobs that reach the attempt cap', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    await Job.releaseExpiredLeases(300);
+
+    const [sql, params] = query.mock.calls[0];
+    expect(params).toEqual([300, retryPolicy.BASE_DELAY_SECONDS, retryPolicy.MAX_ATTEMPTS]);
+    expect(sql).toMatch(/COALESCE\(submission_attempts, 0\) \+ 1 AS attempts/);
+    expect(sql).toMatch(/FOR UPDATE SKIP LOCKED/);
+    expect(sql).toMatch(/CASE WHEN expired\.attempts >= \$3 THEN 'failed' ELSE 'retry' END/);
+    expect(sql).toMatch(/submission_attempts = expired\.attempts/);
+    expect(sql).toMatch(/WHEN expired\.attempts >= \$3 THEN NULL/);
+  });
+
+  test('returns the released jobs', async () => {
+    query.mockResolvedValue({
+      rows: [
+        row({ id: 'job-1', status: 'retry', submission_attempts: 1 }),
+        row({ id: 'job-2', status: 'failed', submission_attempts: retryPolicy.MAX_ATTEMPTS })
+      ]
+    });
+
+    const jobs = await Job.releaseExpiredLeases(300);
+
+    expect(jobs.every(job => job instanceof Job)).toBe(true);
+    expect(jobs.map(job => [job.id, job.status])).toEqual([['job-1', 'retry'], ['job-2', 'failed']]);
+  });
+});
+
+describe('jobService.releaseExpiredLeases', () => {
+  test('records each released job as a status change from processing', async () => {
+    jest.spyOn(databaseService.jobs, 'releaseExpiredLeases').mockResolvedValue([
+      new Job(row({ id: 'job-1', status: 'retry', submission_attempts: 1 })),
+      new Job(row({ id: 'job-2', status: 'failed', submission_attempts: retryPolicy.MAX_ATTEMPTS }))
+    ]);
+    jest.spyOn(jobService, 'recordJobEvent').mockResolvedValue(null);
+
+    const jobs = await jobService.releaseExpiredLeases(300);
+
+    expect(jobs).toHaveLength(2);
+    expect(jobService.recordJobEvent.mock.calls.map(([userId, jobId, type, data]) => (
+      [userId, jobId, type, data.oldStatus, data.newStatus]
+    ))).toEqual([
+      ['user-1', 'job-1', 'job.status_changed', 'processing', 'retry'],
+      ['user-1', 'job-2', 'job.status_changed', 'processing', 'failed']
+    ]);
+    expect(console.warn).toHaveBeenCalledWith('Released jobs with expired leases:', {
+      count: 2,
+      retried: ['job-1'],
+      failed: ['job-2'],
+      owners: ['worker-a:123']
+    });
+  });
+});
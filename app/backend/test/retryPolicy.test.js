@@ -0,0 +1,69 @@
+const {
+  MAX_ATTEMPTS,
+  BASE_DELAY_SECONDS,
+  classifyFailure,
+  backoffSeconds,
+  failureUpdate
+} = require('../services/retryPolicy');
+
+describe('retryPolicy', () => {
+  test('treats Turo refusing the claim as permanent and everything else as transient', () => {
+    expect([
+      'This trip is not eligible for reimbursement',
+      'The reimbursement window has closed',
+      'Deadline to request has passed',
+      'Tolls have already been reimbursed',
+      'Upload button not found',
+      'Navigation timeout of 30000 ms exceeded',
+      null
+    ].map(classifyFailure)).toEqual([
+      'permanent',
+      'permanent',
+      'permanent',
+      'permanent',
+      'transient',
+      'transient',
+      'transient'
+    ]);
+  });
+
+  test('doubles the backoff per attempt up to the maximum, jittered over its upper half', () => {
+    const options = { baseSeconds: 60, maxSeconds: 600 };
+
+    expect([1, 2, 3, 4, 5].map(attempts => backoffSeconds(attempts, { ...options, random: () => 1 })))
+      .toEqual([60, 120, 240, 480, 600]);
+    expect([1, 2, 3, 4, 5].map(attempts => backoffSeconds(attempts, { ...options, random: () => 0 })))
+      .toEqual([30, 60, 120, 240, 300]);
+    expect(backoffSeconds(0, { ...options, random: () => 1 })).toBe(60);
+  });
+
+  test('schedules a retry for a transient failure', () => {
+    const now = new Date('2025-07-20T12:00:00Z');
+    const update = failureUpdate({ submission_attempts: 0 }, 'Upload button not found', now);
+
+    expect(update).toMatchObject({
+      status: 'retry',
+      error_message: 'Upload button not found',
+      submission_attempts: 1
+    });
+
+    const delaySeconds = (update.next_attempt_at - now) / 1000;
+    expect(delaySeconds).toBeGreaterThanOrEqual(BASE_DELAY_SECONDS / 2);
+    expect(delaySeconds).toBeLessThanOrEqual(BASE_DELAY_SECONDS);
+  });
+
+  test('fails a permanent failure at once and a transient one at the attempt cap', () => {
+    expect(failureUpdate({ submission_attempts: 0 }, 'Trip is no longer eligible')).toEqual({
+      status: 'failed',
+      error_message: 'Trip is no longer eligible',
+      submission_attempts: 1,
+      next_attempt_at: null
+    });
+
+    expect(failureUpdate({ submission_attempts: MAX_ATTEMPTS - 1 }, 'Upload button not found')).toMatchObject({
+      status: 'failed',
+      submission_attempts: MAX_ATTEMPTS,
+      next_attempt_at: null
+    });
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('../services/databaseService', () => ({
+  users: { findById: jest.fn() },
+  jobs: { extendLeases: jest.fn() }
+}));
+jest.mock('../services/jobService', () => ({
+  recordJobEvent: jest.fn(),
+  markJobAsCompleted: jest.fn(),
+  markJobAsFailed: jest.fn()
+}));
+jest.mock('../services/awsService', () => ({
+  getSecretValue: jest.fn(),
+  isBucketUrl: jest.fn()
+}));
+jest.mock('../services/webhookTargets', () => ({
+  assertPublicUrl: jest.fn(),
+  publicLookup: jest.fn()
+}));
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+jest.mock('../config/database', () => ({
+  close: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { assertPublicUrl } = require('../services/webhookTargets');
+const databaseService = require('../services/databaseService');
+const jobService = require('../services/jobService');
+const awsService = require('../services/awsService');
+const SubmissionWorker = require('../worker');
+
+const OWNER = 'user-1';
+
+const trip = () => [
+  { id: 'job-1', user_id: OWNER, turo_trip_id: '51230001', proof_image_url: null },
+  { id: 'job-2', user_id: OWNER, turo_trip_id: '51230001', proof_image_url: null }
+];
+
+const fakeSubmitter = ({ start = async () => {}, results = [] } = {}) => ({
+  start: jest.fn(start),
+  submit: jest.fn(async () => results),
+  stop: jest.fn(async () => {})
+});
+
+const workerWith = (submitter) => new SubmissionWorker({
+  workerId: 'test-worker',
+  heartbeatInterval: 60 * 60 * 1000,
+  createSubmitter: () => submitter
+});
+
+const filed = { tripId: '51230001', jobIds: ['job-1', 'job-2'], status: 'success', confirmationId: 'R-1', claimTollIds: ['TXN_NY_1', 'TXN_NY_2'] };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  databaseService.users.findById.mockResolvedValue({ id: OWNER });
+  awsService.getSecretValue.mockResolvedValue({ email: 'host@example.com', password: 'secret' });
+  jobService.markJobAsCompleted.mockResolvedValue({});
+  jobService.markJobAsFailed.mockResolvedValue({});
+});
+
+describe('SubmissionWorker outcomes', () => {
+  test('completes every job on a filed trip', async () => {
+    const submitter = fakeSubmitter({ results: [filed] });
+
+    await workerWith(submitter).processTrip(trip());
+
+    expect(jobService.markJobAsCompleted.mock.calls).toEqual([
+      ['job-1', OWNER, 'R-1', ['TXN_NY_1', 'TXN_NY_2']],
+      ['job-2', OWNER, 'R-1', ['TXN_NY_1', 'TXN_NY_2']]
+    ]);
+    expect(jobService.markJobAsFailed).not.toHaveBeenCalled();
+    expect(submitter.stop).toHaveBeenCalled();
+  });
+
+  test('fails the jobs of a trip Turo refused with its message', async () => {
+    const submitter = fakeSubmitter({
+      results: [{ tripId: '51230001', jobIds: ['job-1', 'job-2'], status: 'failed', message: 'Reimbursement window has closed' }]
+    });
+
+    await workerWith(submitter).processTrip(trip());
+
+    expect(jobService.markJobAsFailed.mock.calls).toEqual([
+      ['job-1', OWNER, 'Reimbursement window has closed'],
+      ['job-2', OWNER, 'Reimbursement window has closed']
+    ]);
+    expect(jobService.markJobAsCompleted).not.toHaveBeenCalled();
+  });
+
+  test('fails every job when logging in fails', async () => {
+    const submitter = fakeSubmitter({
+      start: async () => { throw new Error('Turo login failed'); }
+    });
+
+    await workerWith(submitter).processTrip(trip());
+
+    expect(jobService.markJobAsFailed.mock.calls).toEqual([
+      ['job-1', OWNER, 'Turo login failed'],
+      ['job-2', OWNER, 'Turo login failed']
+    ]);
+    expect(submitter.submit).not.toHaveBeenCalled();
+  });
+
+  test('never fails a filed job when recording its outcome throws', async () => {
+    jobService.markJobAsCompleted
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce({});
+
+    await workerWith(fakeSubmitter({ results: [filed] })).processTrip(trip());
+
+    // job-1 was recorded; job-2 is recorded again as completed, not failed
+    expect(jobService.markJobAsCompleted.mock.calls.map(([jobId]) => jobId)).toEqual(['job-1', 'job-2', 'job-2']);
+    expect(jobService.markJobAsFailed).not.toHaveBeenCalled();
+  });
+
+  test('fails only the jobs without an outcome when a later trip result throws', async () => {
+    const jobs = [...trip(), { id: 'job-3', user_id: OWNER, turo_trip_id: '51230001', proof_image_url: null }];
+    const submitter = fakeSubmitter({
+      results: [
+        { ...filed, jobIds: ['job-1'] },
+        { tripId: '51230001', jobIds: ['job-2', 'job-3'], status: 'failed', message: 'Upload button not found' }
+      ]
+    });
+    jobService.markJobAsFailed
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue({});
+
+    await workerWith(submitter).processTrip(jobs);
+
+    expect(jobService.markJobAsCompleted.mock.calls.map(([jobId]) => jobId)).toEqual(['job-1']);
+    expect(jobService.markJobAsFailed.mock.calls.map(([jobId]) => jobId)).toEqual(['job-2', 'job-2', 'job-3']);
+  });
+});
+
+describe('SubmissionWorker.fetchProof', () => {
+  const PROOF_URL = 'https://turo-proofs.s3.amazonaws.com/proof-images/user-1/job-1/proof.png';
+
+  const proofWorker = () => new SubmissionWorker({
+    workerId: 'test-worker',
+    proofDir: fs.mkdtempSync(path.join(os.tmpdir(), 'proofs-'))
+  });
+
+  test('never reads a local path or a URL outside the upload bucket', async () => {
+    awsService.isBucketUrl.mockReturnValue(false);
+
+    await expect(proofWorker().fetchProof({ id: 'job-1', proof_image_url: '/etc/passwd' })).resolves.toBeNull();
+    await expect(proofWorker().fetchProof({ id: 'job-1', proof_image_url: 'http://10.0.0.5/proof.png' })).resolves.toBeNull();
+
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('does not fetch a bucket URL whose host resolves to a private address', async () => {
+    awsService.isBucketUrl.mockReturnValue(true);
+    assertPublicUrl.mockRejectedValue(new Error('Webhook URL must be a public address'));
+
+    await expect(proofWorker().fetchProof({ id: 'job-1', proof_image_url: PROOF_URL })).resolves.toBeNull();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('downloads a bucket object through the public-address agent', async () => {
+    awsService.isBucketUrl.mockReturnValue(true);
+    assertPublicUrl.mockResolvedValue();
+    axios.get.mockResolvedValue({ data: Buffer.from('png') });
+    const worker = proofWorker();
+
+    const proofPath = await worker.fetchProof({ id: 'job-1', proof_image_url: PROOF_URL });
+
+    expect(proofPath).toBe(path.join(worker.proofDir, 'job-1.png'));
+    expect(fs.readFileSync(proofPath, 'utf8')).toBe('png');
+    expect(axios.get.mock.calls[0][1]).toMatchObject({ maxRedirects: 0, proxy: false, httpsAgent: expect.anything() });
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Submission Worker
+ *
+ * Separate process that files queued jobs on Turo. POST /api/submit/:jobId
+ * only queues a job; this worker leases the oldest queued trip's jobs, logs in
+ * as their owner and runs the TuroBot claim flow (app/scripts/jobSubmitter.js),
+ * then records each job's outcome through jobService.
+ *
+ * Leases are taken with FOR UPDATE SKIP LOCKED, so several workers can run at
+ * once, and are kept alive by a heartbeat while the trip is filed. A worker
+ * that dies stops heartbeating; once its lease expires, the next poll of any
+ * worker returns the jobs to retry.
+ *
+ * Each step of the submission (logging in, filling the form, uploading the
+ * proof, submitted) is recorded as a job.progress event for the owner's
+ * GET /api/jobs/events stream.
+ *
+ *   npm run worker             # poll the queue until stopped
+ *   npm run worker -- --once   # drain the queue and exit
+ */
+
+const fs = require('fs').promises;
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+require('dotenv').config();
+
+const databaseService = require('./services/databaseService');
+const jobService = require('./services/jobService');
+const awsService = require('./services/awsService');
+const { assertPublicUrl, publicLookup } = require('./services/webhookTargets');
+const { close } = require('./config/database');
+
+// TuroBot lives with the Playwright flows in app/scripts
+const TUROBOT_DIR = process.env.TUROBOT_DIR || path.join(__dirname, '..', 'scripts');
+
+// Proof downloads connect through this, so the address checked is the one connected to
+const proofAgent = new https.Agent({ lookup: publicLookup });
+
+class SubmissionWorker {
+  /**
+   * @param {Object} options - { pollInterval, leaseSeconds, heartbeatInterval, workerId, createSubmitter, proofDir }
+   *   createSubmitter({ credentials, onProgress }) returns a JobSubmitter (start, submit, stop)
+   */
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 15000;
+    this.leaseSeconds = options.leaseSeconds || parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+    this.heartbeatInterval = options.heartbeatInterval || parseInt(process.env.WORKER_HEARTBEAT_MS) || this.leaseSeconds * 1000 / 3;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.createSubmitter = options.createSubmitter || ((submitterOptions) => {
+      // Loaded lazily so the API never needs Playwright installed
+      const { JobSubmitter } = require(path.join(TUROBOT_DIR, 'jobSubmitter'));
+      return new JobSubmitter(submitterOptions);
+    });
+    this.proofDir = options.proofDir || path.join(os.tmpdir(), 'turo-ezpass-proofs');
+    this.stopping = false;
+  }
+
+  /**
+   * Turo login for a job's owner, from their own secret
+   * TURO_EMAIL and TURO_PASSWORD stand in for every user in development.
+   */
+  async getCredentials(user) {
+    const prefix = process.env.TURO_CREDENTIALS_SECRET_PREFIX || 'turo-ezpass/turo/credentials';
+
+    try {
+      const secret = await awsService.getSecretValue(`${prefix}/${user.id}`);
+
+      if (!secret.email || !secret.password) {
+        throw new Error('Invalid credentials format - missing email or password');
+      }
+
+      return { email: secret.email, password: secret.password };
+    } catch (error) {
+      if (process.env.TURO_EMAIL && process.env.TURO_PASSWORD) {
+        console.log('Using fallback environment variable credentials');
+        return { email: process.env.TURO_EMAIL, password: process.env.TURO_PASSWORD };
+      }
+
+      throw new Error(`No Turo credentials for user ${user.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Local copy of a job's proof image for the claim attachment
+   * Only https objects in the upload bucket (S3_BUCKET_NAME) are fetched, and
+   * only from public addresses; proof_image_url is never read as a local path.
+   * @returns {Promise<string|null>} file path, or null when there is no usable proof
+   */
+  async fetchProof(job) {
+    if (!job.proof_image_url) return null;
+
+    if (!awsService.isBucketUrl(job.proof_image_url)) {
+      console.warn(`Ignoring the proof for job ${job.id}: not an https URL in the upload bucket`);
+      return null;
+    }
+
+    try {
+      await assertPublicUrl(job.proof_image_url);
+
+      const response = await axios.get(job.proof_image_url, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxRedirects: 0,
+        httpsAgent: proofAgent,
+        proxy: false
+      });
+      const extension = path.extname(new URL(job.proof_image_url).pathname) || '.png';
+      const proofPath = path.join(this.proofDir, `${path.basename(String(job.id))}${extension}`);
+
+      await fs.mkdir(this.proofDir, { recursive: true });
+      await fs.writeFile(proofPath, response.data);
+      return proofPath;
+    } catch (error) {
+      console.warn(`Could not download the proof for job ${job.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the leases on a trip's jobs alive while they are filed
+   * @returns {Function} stops the heartbeat
+   */
+  startHeartbeat(jobs) {
+    const jobIds = jobs.map(job => job.id);
+
+    const timer = setInterval(async () => {
+      try {
+        const held = await databaseService.jobs.extendLeases(jobIds, this.workerId, this.leaseSeconds);
+
+        if (held.length < jobIds.length) {
+          console.warn(`⚠️ Lost the lease on ${jobIds.length - held.length} jobs for trip ${jobs[0].turo_trip_id}`);
+        }
+      } catch (error) {
+        console.error('Lease heartbeat failed:', error.message);
+      }
+    }, this.heartbeatInterval);
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Record a submission step on each of the given jobs' event streams
+   */
+  async reportProgress(jobs, step, tripId) {
+    for (const job of jobs) {
+      await jobService.recordJobEvent(job.user_id, job.id, 'job.progress', { step, tripId });
+    }
+  }
+
+  /**
+   * Record one job's submission result
+   */
+  async recordOutcome(jobId, ownerId, result) {
+    if (result.status === 'success') {
+      await jobService.markJobAsCompleted(jobId, ownerId, result.confirmationId, result.claimTollIds);
+    } else {
+      await jobService.markJobAsFailed(jobId, ownerId, result.message);
+    }
+  }
+
+  /**
+   * File one trip's leased jobs and record each job's outcome
+   * If anything throws, only jobs without a recorded outcome are failed; a
+   * job whose claim was filed is never failed, so it is never filed twice.
+   */
+  async processTrip(jobs) {
+    const ownerId = jobs[0].user_id;
+    const stopHeartbeat = this.startHeartbeat(jobs);
+    const recorded = new Set();
+    const filed = new Map(); // job id -> successful result
+    let submitter = null;
+
+    try {
+      const user = await databaseService.users.findById(ownerId);
+      if (!user) {
+        throw new Error(`Job owner ${ownerId} not found`);
+      }
+
+      const credentials = await this.getCredentials(user);
+      for (const job of jobs) {
+        job.proof_path = await this.fetchProof(job);
+      }
+
+      submitter = this.createSubmitter({
+        credentials,
+        onProgress: (step, { jobIds, tripId }) => this.reportProgress(
+          jobs.filter(job => jobIds.includes(job.id)), step, tripId
+        )
+      });
+
+      await this.reportProgress(jobs, 'logging_in', jobs[0].turo_trip_id);
+      await submitter.start();
+
+      const results = await submitter.submit(jobs);
+      for (const result of results) {
+        if (result.status === 'success') {
+          result.jobIds.forEach(jobId => filed.set(jobId, result));
+        }
+      }
+
+      for (const result of results) {
+        for (const jobId of result.jobIds) {
+          await this.recordOutcome(jobId, ownerId, result);
+          recorded.add(jobId);
+        }
+
+        console.log(result.status === 'success'
+          ? `✅ Filed trip ${result.tripId} (${result.jobIds.length} jobs): ${result.confirmationId || 'no confirmation number'}`
+          : `❌ Failed to file trip ${result.tripId}: ${result.message}`);
+      }
+    } catch (error) {
+      // Login or setup failed, or recording an outcome did
+      console.error(`Failed to process trip ${jobs[0].turo_trip_id}:`, error);
+
+      for (const job of jobs) {
+        if (recorded.has(job.id)) continue;
+
+        try {
+          if (filed.has(job.id)) {
+            await this.recordOutcome(job.id, ownerId, filed.get(job.id));
+          } else {
+            await jobService.markJobAsFailed(job.id, ownerId, error.message);
+          }
+        } catch (updateError) {
+          console.error('Failed to update job status after error:', {
+            jobId: job.id,
+            filed: filed.has(job.id),
+            error: updateError.message
+          });
+        }
+      }
+    } finally {
+      stopHeartbeat();
+
+      if (submitter) {
+        await submitter.stop();
+      }
+    }
+  }
+
+  /**
+   * Lease and process the next queued trip
+   * Jobs abandoned by a worker whose lease expired go back to retry first.
+   * @returns {Promise<boolean>} false when the queue was empty
+   */
+  async processNext() {
+    await jobService.releaseExpiredLeases(this.leaseSeconds);
+
+    const jobs = await databaseService.jobs.leaseNextQueuedTrip(this.workerId, this.leaseSeconds);
+    if (jobs.length === 0) return false;
+
+    console.log(`📨 Leased ${jobs.length} queued jobs for trip ${jobs[0].turo_trip_id}`);
+
+    for (const job of jobs) {
+      await jobService.recordJobEvent(job.user_id, job.id, 'job.status_changed', {
+        job: job.toJSON(),
+        oldStatus: job.previous_status,
+        newStatus: job.status
+      });
+    }
+
+    await this.processTrip(jobs);
+    return true;
+  }
+
+  /**
+   * Process queued trips until stopped (or, with once, until the queue is empty)
+   */
+  async run({ once = false } = {}) {
+    console.log(`🤖 Submission worker ${this.workerId} started`);
+
+    while (!this.stopping) {
+      let processed = false;
+
+      try {
+        processed = await this.processNext();
+      } catch (error) {
+        console.error('Submission worker poll failed:', error);
+      }
+
+      if (!processed) {
+        if (once) break;
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      }
+    }
+
+    console.log('Submission worker stopped');
+  }
+
+  /**
+   * Finish the current trip, then stop
+   */
+  stop() {
+    this.stopping = true;
+  }
+}
+
+module.exports = SubmissionWorker;
+
+// Run if called directly
+if (require.main === module) {
+  const worker = new SubmissionWorker();
+
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received. Stopping after the current trip...');
+    worker.stop();
+  });
+
+  worker.run({ once: process.argv.includes('--once') })
+    .then(() => close())
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Submission worker failed:', error);
+      process.exit(1);
+    });
+}
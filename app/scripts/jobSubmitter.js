@@ -0,0 +1,116 @@
+/**
+ * Job Submitter
+ *
+ * Files backend jobs through TuroBot's claim flow: logs in as the jobs'
+ * owner, then files each trip's tolls as one claim (navigate, fill, upload,
+ * submit). The backend worker (app/backend/worker.js) leases the jobs and
+ * records the outcomes and progress; this side only drives the browser.
+ */
+
+const TuroBot = require('./turobot');
+const { buildTripClaims } = require('./utils/claims');
+const { formatZonedISO } = require('./utils/time');
+
+/**
+ * Match in the shape TuroBot files, from a backend job row
+ * The toll's date and time come from toll_date when the job has one.
+ */
+const jobToMatch = (job) => {
+  const tollTimestamp = job.toll_date ? formatZonedISO(new Date(job.toll_date)) : null;
+  const [date, time] = tollTimestamp ? tollTimestamp.slice(0, 19).split('T') : [null, null];
+
+  return {
+    jobId: job.id,
+    tollId: job.toll_id || job.id,
+    tripId: job.turo_trip_id,
+    amount: parseFloat(job.toll_amount),
+    trip: {
+      tripId: job.turo_trip_id,
+      startDate: job.trip_start_date,
+      endDate: job.trip_end_date
+    },
+    toll: {
+      timestamp: tollTimestamp,
+      date: date,
+      time: time,
+      location: job.toll_location
+    },
+    // Downloaded by the worker when the proof is stored remotely
+    screenshotPath: job.proof_path || null
+  };
+};
+
+class JobSubmitter {
+  /**
+   * @param {Object} options - { credentials, bot, attachBrowser, onProgress }
+   *   credentials are the job owner's Turo login; attachBrowser(bot) replaces
+   *   TuroBot's own browser launch (the DOM tests attach the fixture browser);
+   *   onProgress(step, { jobIds, tripId }) follows each claim through TuroBot
+   */
+  constructor(options = {}) {
+    this.credentials = options.credentials || null;
+    this.bot = options.bot || new TuroBot();
+    this.attachBrowser = options.attachBrowser || null;
+
+    if (options.onProgress) {
+      this.bot.onProgress = (step, claim) => options.onProgress(step, {
+        jobIds: claim.matches.map(match => match.jobId),
+        tripId: claim.tripId
+      });
+    }
+  }
+
+  /**
+   * Open the browser and log in as the jobs' owner
+   */
+  async start() {
+    if (this.attachBrowser) {
+      await this.attachBrowser(this.bot);
+    } else {
+      await this.bot.initializeBrowser();
+    }
+
+    await this.bot.login(this.credentials || await this.bot.getCredentials());
+  }
+
+  /**
+   * File the given jobs, one claim per trip
+   * @returns {Promise<Array>} per claim: { jobIds, tripId, claimTollIds, status, confirmationId, message }
+   */
+  async submit(jobs) {
+    const claims = buildTripClaims(jobs.map(jobToMatch));
+    const results = [];
+
+    for (let i = 0; i < claims.length; i++) {
+      const claim = claims[i];
+      const result = await this.bot.processClaim(claim, i, claims.length);
+
+      results.push({
+        jobIds: claim.matches.map(match => match.jobId),
+        tripId: claim.tripId,
+        claimTollIds: claim.tollIds,
+        status: result.status,
+        confirmationId: result.confirmationId,
+        message: result.message
+      });
+
+      if (i < claims.length - 1) {
+        await this.bot.waitWithDelay(this.bot.submissionDelay);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Close the browser
+   */
+  async stop() {
+    await this.bot.cleanup();
+  }
+}
+
+module.exports = {
+  JobSubmitter,
+  jobToMatch
+};
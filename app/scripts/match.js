@@ -9,29 +9,89 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { DEFAULT_TIMEZONE, formatZonedDate, parseZonedDateTime } = require('./utils/time');
+const { DEFAULT_RULES_FILE, loadRules } = require('./utils/rules');
+const { parseArgs } = require('./utils/cli');
+const { DEFAULT_GAZETTEER_FILE, PlazaGazetteer, distanceKm } = require('./utils/gazetteer');
+const { FlowNetwork } = require('./utils/minCostFlow');
+const { LEDGER_STATUS, createLedger } = require('./utils/ledger');
+const { resolveScrapeWindow, saveCheckpoint, describeWindow, dedupeBy } = require('./utils/scrapeWindow');
+const { mergeTripSources } = require('./utils/tripMerge');
+const { getProvider } = require('./providers');
+const { buildNoticeRecords } = require('./utils/notices');
+
+// --since-last-run re-covers this much of the last window for tolls that posted late;
+// tolls matched the first time round are skipped by the ledger
+const MATCH_OVERLAP_DAYS = parseInt(process.env.MATCH_OVERLAP_DAYS) || 30;
+
+// Built-in rules, used until a rules file is loaded
+const DEFAULT_RULES = require('./rules/default.json');
 
 class TollTripMatcher {
-  constructor() {
+  /**
+   * @param {Object} options - { rulesFile, gazetteerFile, tollFile, noticeFile, tripFile, tripExportFile, ledger, from, to, sinceLastRun }
+   */
+  constructor(options = {}) {
+    // Scraper output by default; statement imports can be written elsewhere and passed with --tolls
+    this.tollFile = options.tollFile || process.env.TOLL_RECORDS_FILE || path.join(__dirname, 'scrapers', 'ezpass.json');
+    // Written by scrapers/tollNotice.js; added to the scraped tolls when present
+    this.noticeFile = options.noticeFile || process.env.TOLL_NOTICES_FILE || path.join(__dirname, 'scrapers', 'notices.json');
+    this.tripFile = options.tripFile || process.env.TURO_TRIPS_FILE || path.join(__dirname, 'scrapers', 'turo-trips.json');
+    // Written by scrapers/turoExport.js; merged over the scraped trips when present
+    this.tripExportFile = options.tripExportFile || process.env.TURO_EXPORT_FILE || path.join(__dirname, 'scrapers', 'turo-export.json');
+    this.rulesFile = options.rulesFile || process.env.MATCH_RULES_FILE || DEFAULT_RULES_FILE;
+    this.rules = { ...DEFAULT_RULES, source: DEFAULT_RULES_FILE };
+    this.gazetteerFile = options.gazetteerFile || process.env.PLAZA_GAZETTEER_FILE || DEFAULT_GAZETTEER_FILE;
+    this.gazetteer = new PlazaGazetteer();
+    this.ledger = options.ledger || null;
+    this.ledgerOpen = false;
+    this.windowOptions = { from: options.from, to: options.to, sinceLastRun: options.sinceLastRun };
+    this.window = null;
     this.tollRecords = [];
     this.tripData = [];
     this.matches = [];
     this.unmatchedTolls = [];
     this.unmatchedTrips = [];
+    this.excludedTrips = [];
+    this.unknownVehicleTolls = [];
+    this.alreadyClaimedTolls = [];
+    this.outOfWindowTolls = 0;
+    this.unmatchedReasons = new Map();
+    this.vehicles = [];
+    this.vehicleIndex = new Map();
   }
 
   /**
-   * Load toll records from E-ZPass scraper output
+   * Load and validate the matching rules file
+   */
+  async loadRules() {
+    try {
+      console.log(`Loading matching rules from: ${this.rulesFile}`);
+
+      this.rules = await loadRules(this.rulesFile);
+      console.log(`Using matching rules version ${this.rules.version}`);
+
+      return this.rules;
+    } catch (error) {
+      console.error('Failed to load matching rules:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load toll records from E-ZPass scraper or statement importer output
    */
   async loadTollRecords() {
     try {
-      const tollFilePath = path.join(__dirname, 'scrapers', 'ezpass.json');
+      const tollFilePath = this.tollFile;
       console.log(`Loading toll records from: ${tollFilePath}`);
       
       const tollFileContent = await fs.readFile(tollFilePath, 'utf8');
       const tollData = JSON.parse(tollFileContent);
       
-      this.tollRecords = tollData.records || [];
-      console.log(`Loaded ${this.tollRecords.length} toll records`);
+      this.tollRecords = this.applyProviderTimezones(tollData.records || []);
+      console.log(`Loaded ${this.tollRecords.length} toll records` +
+        (tollData.source === 'statement' ? ' from imported statements' : ''));
       
       return this.tollRecords;
     } catch (error) {
@@ -43,15 +103,15 @@ class TollTripMatcher {
         const emptyData = {
           scrapeDate: new Date().toISOString(),
           dateRange: {
-            start: new Date(Date.now() - (7 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0],
-            end: new Date().toISOString().split('T')[0]
+            start: formatZonedDate(new Date(Date.now() - (7 * 24 * 60 * 60 * 1000))),
+            end: formatZonedDate(new Date())
           },
           totalRecords: 0,
           records: []
         };
         
         await fs.writeFile(
-          path.join(__dirname, 'scrapers', 'ezpass.json'), 
+          this.tollFile, 
           JSON.stringify(emptyData, null, 2)
         );
         
@@ -64,151 +124,532 @@ class TollTripMatcher {
   }
 
   /**
-   * Load trip data from Turo scraper output
+   * Add tolls from toll-by-mail and violation notices
+   * Notices come from the tollNotice.js output and, with the Postgres ledger,
+   * from notices entered through the backend. A toll that is also in the
+   * scraped records keeps the notice's copy, which carries its fees.
+   */
+  async loadNoticeRecords() {
+    try {
+      let noticeRecords = [];
+
+      try {
+        const noticeData = JSON.parse(await fs.readFile(this.noticeFile, 'utf8'));
+        noticeRecords = noticeData.records || [];
+        console.log(`Loaded ${noticeRecords.length} notice tolls from: ${this.noticeFile}`);
+      } catch (error) {
+        // Notices are optional
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      await this.openLedger();
+      if (typeof this.ledger.findNotices === 'function') {
+        const notices = await this.ledger.findNotices();
+        const ledgerRecords = notices.flatMap(notice => buildNoticeRecords(notice));
+        console.log(`Loaded ${ledgerRecords.length} notice tolls from ${notices.length} notices in the ledger`);
+        noticeRecords = [...noticeRecords, ...ledgerRecords];
+      }
+
+      if (noticeRecords.length === 0) {
+        return this.tollRecords;
+      }
+
+      const noticeIds = new Set(noticeRecords.map(record => record.id));
+      const scraped = this.tollRecords.filter(toll => !noticeIds.has(toll.id));
+      this.tollRecords = [...dedupeBy(noticeRecords, record => record.id), ...scraped];
+
+      console.log(`${this.tollRecords.length} toll records after adding notices`);
+      return this.tollRecords;
+    } catch (error) {
+      console.error('Failed to load toll notices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give records without a timezone their provider's, so tolls from agencies
+   * in other timezones aren't read as Eastern time
+   */
+  applyProviderTimezones(records) {
+    const unknownProviders = new Set();
+
+    const zoned = records.map(record => {
+      if (record.timezone || !record.provider) return record;
+
+      try {
+        return { ...record, timezone: getProvider(record.provider).timezone };
+      } catch (error) {
+        unknownProviders.add(record.provider);
+        return record;
+      }
+    });
+
+    for (const provider of unknownProviders) {
+      console.warn(`Unknown toll provider "${provider}" - its tolls without a timezone are read as ${DEFAULT_TIMEZONE}`);
+    }
+
+    return zoned;
+  }
+
+  /**
+   * Toll counts per provider, for the report
+   * Records from before multi-agency support have no provider and count as "ezpass"
+   */
+  getTollsByProvider() {
+    const counts = {};
+
+    for (const toll of this.tollRecords) {
+      const provider = toll.provider || 'ezpass';
+      counts[provider] = (counts[provider] || 0) + 1;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Read trips from Turo scraper output, creating an empty file on first run
+   */
+  async readScrapedTrips() {
+    const tripFilePath = this.tripFile;
+    console.log(`Loading trip data from: ${tripFilePath}`);
+
+    try {
+      const tripData = JSON.parse(await fs.readFile(tripFilePath, 'utf8'));
+      return tripData.trips || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      console.log('Creating empty trip data file...');
+      const emptyData = {
+        scrapeDate: new Date().toISOString(),
+        dateRange: {
+          start: formatZonedDate(new Date(Date.now() - (7 * 24 * 60 * 60 * 1000))),
+          end: formatZonedDate(new Date())
+        },
+        totalTrips: 0,
+        trips: []
+      };
+
+      await fs.writeFile(tripFilePath, JSON.stringify(emptyData, null, 2));
+      return [];
+    }
+  }
+
+  /**
+   * Read trips imported from a Turo earnings CSV (none when there is no export file)
+   */
+  async readExportedTrips() {
+    try {
+      const exportData = JSON.parse(await fs.readFile(this.tripExportFile, 'utf8'));
+      console.log(`Loading Turo export trips from: ${this.tripExportFile}`);
+      return exportData.trips || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Load trip data from Turo scraper output merged with any Turo CSV export
    */
   async loadTripData() {
     try {
-      const tripFilePath = path.join(__dirname, 'scrapers', 'turo-trips.json');
-      console.log(`Loading trip data from: ${tripFilePath}`);
-      
-      const tripFileContent = await fs.readFile(tripFilePath, 'utf8');
-      const tripData = JSON.parse(tripFileContent);
-      
-      this.tripData = tripData.trips || [];
+      const scrapedTrips = await this.readScrapedTrips();
+      const exportedTrips = await this.readExportedTrips();
+
+      // The CSV export wins wherever it disagrees with the scrape
+      const { trips, merged, added, conflicts } = mergeTripSources(scrapedTrips, exportedTrips);
+      if (exportedTrips.length > 0) {
+        console.log(`Merged ${exportedTrips.length} exported trips: ${merged} matched scraped trips (${conflicts} with conflicting fields), ${added} added`);
+      }
+
+      // Trips without a real reservation ID can't be claimed against, so they never enter matching
+      this.excludedTrips = trips
+        .filter(trip => trip.incomplete || !trip.tripId)
+        .map(trip => ({
+          ...trip,
+          excludedReason: trip.incompleteReason || 'Trip has no Turo reservation ID'
+        }));
+      this.tripData = trips.filter(trip => !trip.incomplete && trip.tripId);
+
       console.log(`Loaded ${this.tripData.length} trips`);
+      if (this.excludedTrips.length > 0) {
+        console.warn(`Excluded ${this.excludedTrips.length} trips with no reservation ID from matching`);
+      }
       
       return this.tripData;
     } catch (error) {
       console.error('Failed to load trip data:', error);
-      
-      // Create empty file if it doesn't exist
+      throw error;
+    }
+  }
+
+  /**
+   * Load the fleet registry that ties E-ZPass tags and plates to vehicles
+   */
+  async loadVehicles() {
+    const vehiclesFilePath = process.env.VEHICLES_FILE || path.join(__dirname, 'vehicles.json');
+
+    try {
+      console.log(`Loading vehicle registry from: ${vehiclesFilePath}`);
+
+      const vehiclesFileContent = await fs.readFile(vehiclesFilePath, 'utf8');
+      const vehiclesData = JSON.parse(vehiclesFileContent);
+
+      this.vehicles = vehiclesData.vehicles || [];
+      console.log(`Loaded ${this.vehicles.length} vehicles`);
+
+      return this.vehicles;
+    } catch (error) {
       if (error.code === 'ENOENT') {
-        console.log('Creating empty trip data file...');
-        const emptyData = {
-          scrapeDate: new Date().toISOString(),
-          dateRange: {
-            start: new Date(Date.now() - (7 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0],
-            end: new Date().toISOString().split('T')[0]
-          },
-          totalTrips: 0,
-          trips: []
-        };
-        
-        await fs.writeFile(
-          path.join(__dirname, 'scrapers', 'turo-trips.json'), 
-          JSON.stringify(emptyData, null, 2)
-        );
-        
-        this.tripData = [];
-        return this.tripData;
+        // Without a registry, tolls can still be tied to trips by plate
+        console.warn('No vehicle registry found - matching on trip plates/VINs only');
+        this.vehicles = [];
+        return this.vehicles;
       }
-      
+
+      console.error('Failed to load vehicle registry:', error);
       throw error;
     }
   }
 
   /**
-   * Parse date string to Date object with error handling
+   * Load the toll plaza gazetteer used to resolve locations
    */
-  parseDate(dateString) {
-    if (!dateString) return null;
-    
+  async loadGazetteer() {
     try {
-      const date = new Date(dateString);
-      
-      // Check if date is valid
-      if (isNaN(date.getTime())) {
-        // Try parsing different date formats
-        const formats = [
-          // MM/DD/YYYY
-          /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
-          // YYYY-MM-DD
-          /^(\d{4})-(\d{1,2})-(\d{1,2})$/,
-          // DD-MM-YYYY
-          /^(\d{1,2})-(\d{1,2})-(\d{4})$/
-        ];
-        
-        for (const format of formats) {
-          const match = dateString.match(format);
-          if (match) {
-            let year, month, day;
-            
-            if (format === formats[0]) { // MM/DD/YYYY
-              [, month, day, year] = match;
-            } else if (format === formats[1]) { // YYYY-MM-DD
-              [, year, month, day] = match;
-            } else if (format === formats[2]) { // DD-MM-YYYY
-              [, day, month, year] = match;
-            }
-            
-            const parsedDate = new Date(year, month - 1, day);
-            if (!isNaN(parsedDate.getTime())) {
-              return parsedDate;
-            }
-          }
-        }
-        
+      console.log(`Loading plaza gazetteer from: ${this.gazetteerFile}`);
+
+      this.gazetteer = await PlazaGazetteer.load(this.gazetteerFile);
+      console.log(`Loaded ${this.gazetteer.plazas.length} plazas and ${this.gazetteer.places.length} pickup areas`);
+
+      return this.gazetteer;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // Locations fall back to text comparison
+        console.warn('No plaza gazetteer found - comparing locations as text');
+        this.gazetteer = new PlazaGazetteer();
+        return this.gazetteer;
+      }
+
+      console.error('Failed to load plaza gazetteer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the toll ledger once per run
+   */
+  async openLedger() {
+    if (!this.ledger) {
+      this.ledger = createLedger();
+    }
+    if (!this.ledgerOpen) {
+      await this.ledger.open();
+      this.ledgerOpen = true;
+    }
+    return this.ledger;
+  }
+
+  /**
+   * Drop tolls an earlier run already submitted (or queued for the backend's
+   * submission worker), so overlapping date ranges never claim a toll twice
+   * Tolls matched earlier but never submitted - held by the policy, left in
+   * review or failed on submit - are matched again, so they stay in
+   * matches.json for TuroBot.
+   */
+  async excludeClaimedTolls() {
+    try {
+      await this.openLedger();
+
+      // A toll recorded before a source showed its transaction number is under its content ID
+      const ledgerEntries = await this.ledger.findClaimed(
+        this.tollRecords.flatMap(toll => [toll.id, toll.contentId].filter(Boolean))
+      );
+      const ledgerEntry = (toll) => ledgerEntries.get(toll.id) || (toll.contentId && ledgerEntries.get(toll.contentId));
+      const isClaimed = (toll) => Boolean(ledgerEntry(toll)) && ledgerEntry(toll).status !== LEDGER_STATUS.MATCHED;
+
+      this.alreadyClaimedTolls = this.tollRecords
+        .filter(isClaimed)
+        .map(toll => ({ ...toll, ledger: ledgerEntry(toll) }));
+      this.tollRecords = this.tollRecords.filter(toll => !isClaimed(toll));
+
+      const unsubmitted = this.tollRecords.filter(toll => ledgerEntry(toll)).length;
+      console.log(`Skipping ${this.alreadyClaimedTolls.length} tolls already submitted; ${this.tollRecords.length} left to match ` +
+        `(${unsubmitted} matched earlier but not yet submitted)`);
+
+      return this.tollRecords;
+    } catch (error) {
+      console.error('Failed to read toll ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether any of --from, --to or --since-last-run was given
+   */
+  hasWindowOptions() {
+    const { from, to, sinceLastRun } = this.windowOptions;
+    return Boolean(from || to || sinceLastRun);
+  }
+
+  /**
+   * Restrict matching to the requested window
+   * Tolls must fall inside the window; trips are kept when they overlap it,
+   * widened by the rules' buffer so tolls at the window edges still find their trip.
+   * Without window options every loaded toll and trip is matched.
+   */
+  async applyMatchWindow() {
+    try {
+      if (!this.hasWindowOptions()) {
         return null;
       }
-      
-      return date;
+
+      this.window = await resolveScrapeWindow('match', this.windowOptions, {
+        timezone: DEFAULT_TIMEZONE,
+        defaultDays: 7,
+        overlapDays: MATCH_OVERLAP_DAYS
+      });
+
+      const overlaps = (range, start, end) => range && range.start && range.end &&
+        range.start <= end && range.end >= start;
+
+      const tollCount = this.tollRecords.length;
+      this.tollRecords = this.tollRecords.filter(toll =>
+        overlaps(this.getTollWindow(toll), this.window.start, this.window.end)
+      );
+      this.outOfWindowTolls = tollCount - this.tollRecords.length;
+
+      const bufferMs = this.rules.time.bufferHours * 60 * 60 * 1000;
+      const tripStart = new Date(this.window.start.getTime() - bufferMs);
+      const tripEnd = new Date(this.window.end.getTime() + bufferMs);
+      this.tripData = this.tripData.filter(trip => overlaps(this.getTripWindow(trip), tripStart, tripEnd));
+
+      const { start, end } = describeWindow(this.window);
+      console.log(`Matching window ${start} to ${end} (${this.window.mode}): ${this.tollRecords.length} tolls, ${this.tripData.length} trips`);
+
+      return this.window;
+    } catch (error) {
+      console.error('Failed to apply match window:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record this run's matches in the ledger
+   */
+  async recordMatchesInLedger() {
+    try {
+      const recorded = await this.ledger.recordMatches(this.matches);
+      console.log(`Recorded ${recorded} new matches in the toll ledger`);
+      return recorded;
+    } catch (error) {
+      console.error('Failed to record matches in toll ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a tag number, plate or VIN for comparison
+   */
+  normalizeIdentifier(value) {
+    if (!value) return null;
+
+    const normalized = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return normalized.length > 0 ? normalized : null;
+  }
+
+  /**
+   * Build the identifier -> vehicle lookup from the registry and trip data
+   */
+  buildVehicleIndex() {
+    this.vehicleIndex = new Map();
+
+    const register = (identifier, vehicleKey) => {
+      const normalized = this.normalizeIdentifier(identifier);
+      if (normalized && !this.vehicleIndex.has(normalized)) {
+        this.vehicleIndex.set(normalized, vehicleKey);
+      }
+    };
+
+    // Registry vehicles own their plate, VIN and every transponder tag
+    for (const vehicle of this.vehicles) {
+      const vehicleKey = vehicle.id ||
+        this.normalizeIdentifier(vehicle.plate) ||
+        this.normalizeIdentifier(vehicle.vin);
+
+      if (!vehicleKey) {
+        console.warn('Skipping vehicle registry entry without id, plate or VIN:', vehicle);
+        continue;
+      }
+
+      register(vehicle.plate, vehicleKey);
+      register(vehicle.vin, vehicleKey);
+      (vehicle.tags || []).forEach(tag => register(tag, vehicleKey));
+    }
+
+    // Vehicles seen on trips but missing from the registry are still known by plate/VIN
+    for (const trip of this.tripData) {
+      const vehicle = trip.vehicle || {};
+      const vehicleKey = this.getTripVehicleKey(trip) ||
+        this.normalizeIdentifier(vehicle.licensePlate) ||
+        this.normalizeIdentifier(vehicle.vin);
+
+      if (vehicleKey) {
+        register(vehicle.licensePlate, vehicleKey);
+        register(vehicle.vin, vehicleKey);
+      }
+    }
+
+    console.log(`Vehicle index built with ${this.vehicleIndex.size} identifiers`);
+    return this.vehicleIndex;
+  }
+
+  /**
+   * Resolve the vehicle a toll was charged to from its tag or plate
+   */
+  getTollVehicleKey(toll) {
+    for (const identifier of [toll.tagNumber, toll.plate]) {
+      const normalized = this.normalizeIdentifier(identifier);
+      if (normalized && this.vehicleIndex.has(normalized)) {
+        return this.vehicleIndex.get(normalized);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the vehicle a trip was booked on from its plate or VIN
+   */
+  getTripVehicleKey(trip) {
+    const vehicle = trip.vehicle || {};
+
+    for (const identifier of [vehicle.licensePlate, vehicle.vin]) {
+      const normalized = this.normalizeIdentifier(identifier);
+      if (normalized && this.vehicleIndex.has(normalized)) {
+        return this.vehicleIndex.get(normalized);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse date (and optional time) text to a Date, reading wall-clock values
+   * in the given timezone. Zoned ISO strings keep their own offset.
+   */
+  parseDate(dateString, timeString = null, timezone = DEFAULT_TIMEZONE) {
+    if (!dateString) return null;
+    if (dateString instanceof Date) return isNaN(dateString.getTime()) ? null : dateString;
+    
+    try {
+      return parseZonedDateTime(dateString, timeString, timezone);
     } catch (error) {
       console.warn(`Failed to parse date: ${dateString}`, error);
       return null;
     }
   }
 
+  /**
+   * Time window a toll could have happened in
+   * Tolls with a time are a single instant; date-only tolls span the whole day
+   */
+  getTollWindow(toll) {
+    const timezone = toll.timezone || DEFAULT_TIMEZONE;
+
+    if (toll.timestamp) {
+      const instant = this.parseDate(toll.timestamp, null, timezone);
+      return instant ? { start: instant, end: instant } : null;
+    }
+
+    const dayStart = this.parseDate(toll.date, toll.time || '00:00', timezone);
+    if (!dayStart) return null;
+    if (toll.time) return { start: dayStart, end: dayStart };
+
+    return {
+      start: dayStart,
+      end: this.parseDate(toll.date, '23:59:59', timezone)
+    };
+  }
+
+  /**
+   * Start and end instants of a trip in its listing's timezone
+   */
+  getTripWindow(trip) {
+    const timezone = trip.dates.timezone || DEFAULT_TIMEZONE;
+
+    return {
+      start: this.parseDate(trip.dates.start, null, timezone),
+      end: this.parseDate(trip.dates.end, null, timezone)
+    };
+  }
+
+  /**
+   * Describe where a toll falls relative to a trip, to the minute
+   * Returns { relation, minutesFromTrip } where relation is one of
+   * during, just_before, just_after, before, after or unknown
+   */
+  classifyTimeRelation(tollWindow, tripStart, tripEnd) {
+    if (!tollWindow || !tripStart || !tripEnd) {
+      return { relation: 'unknown', minutesFromTrip: null };
+    }
+
+    const minutesBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / 60000);
+
+    if (tollWindow.end < tripStart) {
+      const minutes = minutesBetween(tollWindow.end, tripStart);
+      return {
+        relation: minutes <= this.rules.time.justOutsideTripMinutes ? 'just_before' : 'before',
+        minutesFromTrip: minutes
+      };
+    }
+
+    if (tollWindow.start > tripEnd) {
+      const minutes = minutesBetween(tripEnd, tollWindow.start);
+      return {
+        relation: minutes <= this.rules.time.justOutsideTripMinutes ? 'just_after' : 'after',
+        minutesFromTrip: minutes
+      };
+    }
+
+    return { relation: 'during', minutesFromTrip: 0 };
+  }
+
   /**
    * Calculate time overlap between toll and trip
    */
-  calculateTimeOverlap(tollDate, tripStartDate, tripEndDate) {
+  calculateTimeOverlap(tollWindow, tripStart, tripEnd) {
     try {
-      const toll = this.parseDate(tollDate);
-      const tripStart = this.parseDate(tripStartDate);
-      const tripEnd = this.parseDate(tripEndDate);
-      
-      if (!toll) return 0;
+      if (!tollWindow) return 0;
       
       // If trip doesn't have valid dates, use a reasonable buffer
       if (!tripStart || !tripEnd) {
         if (tripStart) {
           // Only start date available - check if toll is within 48 hours of start
-          const timeDiff = Math.abs(toll.getTime() - tripStart.getTime());
+          const timeDiff = Math.abs(tollWindow.start.getTime() - tripStart.getTime());
           const hoursDiff = timeDiff / (1000 * 60 * 60);
           return hoursDiff <= 48 ? 0.5 : 0; // Partial match
         }
         return 0;
       }
+
+      const { relation, minutesFromTrip } = this.classifyTimeRelation(tollWindow, tripStart, tripEnd);
       
-      // Check if toll date falls within trip duration
-      if (toll >= tripStart && toll <= tripEnd) {
+      // Toll falls within trip duration
+      if (relation === 'during') {
         return 1.0; // Perfect time match
       }
+
+      // Just outside the trip - late drop-off or early pickup, still a strong match
+      if (relation === 'just_before' || relation === 'just_after') {
+        return 0.9 - (minutesFromTrip / this.rules.time.justOutsideTripMinutes) * 0.1;
+      }
       
-      // Check if toll is within reasonable buffer (24 hours before/after trip)
-      const bufferHours = 24;
-      const bufferMs = bufferHours * 60 * 60 * 1000;
-      
-      const tripStartWithBuffer = new Date(tripStart.getTime() - bufferMs);
-      const tripEndWithBuffer = new Date(tripEnd.getTime() + bufferMs);
+      // Check if toll is within reasonable buffer before/after trip
+      const bufferMinutes = this.rules.time.bufferHours * 60;
       
-      if (toll >= tripStartWithBuffer && toll <= tripEndWithBuffer) {
-        // Calculate proximity score (closer = higher score)
-        const totalTripDuration = tripEnd.getTime() - tripStart.getTime();
-        const bufferDuration = bufferMs * 2; // Before and after
-        const totalWindow = totalTripDuration + bufferDuration;
-        
-        let distanceFromTrip;
-        if (toll < tripStart) {
-          distanceFromTrip = tripStart.getTime() - toll.getTime();
-        } else if (toll > tripEnd) {
-          distanceFromTrip = toll.getTime() - tripEnd.getTime();
-        } else {
-          distanceFromTrip = 0; // Within trip
-        }
-        
-        // Score between 0.1 and 0.8 based on proximity
-        const proximityScore = Math.max(0.1, 0.8 - (distanceFromTrip / bufferMs) * 0.7);
+      if (minutesFromTrip <= bufferMinutes) {
+        // Score between 0.1 and 0.8 based on proximity (closer = higher score)
+        const proximityScore = Math.max(0.1, 0.8 - (minutesFromTrip / bufferMinutes) * 0.7);
         return proximityScore;
       }
       
@@ -219,10 +660,69 @@ class TollTripMatcher {
     }
   }
 
+  /**
+   * Compare a toll location with a trip's pickup location
+   *
+   * When both resolve in the gazetteer the score comes from the canonical
+   * facility and the distance between the plaza and the pickup area.
+   * Otherwise it falls back to comparing the text.
+   *
+   * @returns {Object} { similarity, basis, distanceKm, plaza, pickup }
+   */
+  describeLocationMatch(tollLocation, tripLocation) {
+    const plaza = this.gazetteer.resolvePlaza(tollLocation);
+    const pickup = this.gazetteer.resolvePickup(tripLocation);
+
+    if (!plaza || !pickup) {
+      return {
+        similarity: this.calculateTextSimilarity(tollLocation, tripLocation),
+        basis: 'text',
+        distanceKm: null,
+        plaza,
+        pickup
+      };
+    }
+
+    const { nearKm, maxDistanceKm } = this.rules.location;
+    const distance = distanceKm(plaza, pickup);
+    let similarity;
+
+    if (pickup.facility && pickup.facility === plaza.facility) {
+      similarity = 1.0; // Pickup is at the same bridge/tunnel
+    } else if (distance <= nearKm) {
+      similarity = 0.9;
+    } else if (distance >= maxDistanceKm) {
+      similarity = 0;
+    } else {
+      // Fall off linearly between the near radius and the maximum distance
+      similarity = 0.9 * (1 - (distance - nearKm) / (maxDistanceKm - nearKm));
+    }
+
+    return {
+      similarity,
+      basis: 'gazetteer',
+      distanceKm: Number(distance.toFixed(1)),
+      plaza,
+      pickup
+    };
+  }
+
   /**
    * Calculate location similarity between toll and trip
    */
   calculateLocationSimilarity(tollLocation, tripLocation) {
+    try {
+      return this.describeLocationMatch(tollLocation, tripLocation).similarity;
+    } catch (error) {
+      console.warn('Error calculating location similarity:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Text-only location similarity, used when a location isn't in the gazetteer
+   */
+  calculateTextSimilarity(tollLocation, tripLocation) {
     try {
       if (!tollLocation || !tripLocation) return 0;
       
@@ -236,14 +736,7 @@ class TollTripMatcher {
       if (toll.includes(trip) || trip.includes(toll)) return 0.8;
       
       // Check for common location keywords
-      const commonLocations = [
-        'newark', 'jfk', 'laguardia', 'manhattan', 'brooklyn', 'queens',
-        'bronx', 'holland tunnel', 'lincoln tunnel', 'george washington bridge',
-        'brooklyn bridge', 'manhattan bridge', 'williamsburg bridge',
-        'midtown tunnel', 'queensboro bridge'
-      ];
-      
-      for (const location of commonLocations) {
+      for (const location of this.rules.commonLocations) {
         if (toll.includes(location) && trip.includes(location)) {
           return 0.6;
         }
@@ -271,20 +764,19 @@ class TollTripMatcher {
   /**
    * Calculate overall match confidence score
    */
-  calculateMatchConfidence(timeOverlap, locationSimilarity, tollAmount) {
+  calculateMatchConfidence(timeOverlap, locationSimilarity, tollAmount, timeRelation = null, locationMatch = null) {
     try {
       // Weighted scoring
-      const timeWeight = 0.7;      // Time is most important
-      const locationWeight = 0.3;  // Location is secondary
+      const { weights, amount } = this.rules;
       
-      const baseScore = (timeOverlap * timeWeight) + (locationSimilarity * locationWeight);
+      const baseScore = (timeOverlap * weights.time) + (locationSimilarity * weights.location);
       
       // Boost confidence for reasonable toll amounts
       let amountBoost = 0;
-      if (tollAmount >= 5 && tollAmount <= 50) {
-        amountBoost = 0.1; // Reasonable toll range
-      } else if (tollAmount > 50) {
-        amountBoost = -0.1; // Very high toll, reduce confidence
+      if (tollAmount >= amount.min && tollAmount <= amount.max) {
+        amountBoost = amount.boost; // Reasonable toll range
+      } else if (tollAmount > amount.max) {
+        amountBoost = -amount.highAmountPenalty; // Very high toll, reduce confidence
       }
       
       const finalScore = Math.max(0, Math.min(1, baseScore + amountBoost));
@@ -292,7 +784,11 @@ class TollTripMatcher {
       return {
         score: finalScore,
         timeOverlap: timeOverlap,
+        timeRelation: timeRelation ? timeRelation.relation : 'unknown',
+        minutesFromTrip: timeRelation ? timeRelation.minutesFromTrip : null,
         locationSimilarity: locationSimilarity,
+        locationBasis: locationMatch ? locationMatch.basis : 'text',
+        distanceKm: locationMatch ? locationMatch.distanceKm : null,
         category: this.categorizeConfidence(finalScore)
       };
     } catch (error) {
@@ -300,7 +796,11 @@ class TollTripMatcher {
       return {
         score: 0,
         timeOverlap: 0,
+        timeRelation: 'unknown',
+        minutesFromTrip: null,
         locationSimilarity: 0,
+        locationBasis: 'text',
+        distanceKm: null,
         category: 'no_match'
       };
     }
@@ -310,12 +810,220 @@ class TollTripMatcher {
    * Categorize confidence score
    */
   categorizeConfidence(score) {
-    if (score >= 0.8) return 'high';
-    if (score >= 0.5) return 'medium';
-    if (score >= 0.2) return 'low';
+    const { categories } = this.rules;
+
+    if (score >= categories.high) return 'high';
+    if (score >= categories.medium) return 'medium';
+    if (score >= categories.low) return 'low';
     return 'no_match';
   }
 
+  /**
+   * Score a toll against every trip on the same vehicle
+   * Returns candidates above the minimum threshold, best first
+   */
+  scoreTollCandidates(toll, vehicleKey) {
+    const candidates = [];
+    const tollWindow = this.getTollWindow(toll);
+
+    for (const trip of this.tripData) {
+      // Skip trips on other vehicles before scoring time and location
+      if (this.getTripVehicleKey(trip) !== vehicleKey) continue;
+
+      // Calculate time overlap
+      const tripWindow = this.getTripWindow(trip);
+      const timeOverlap = this.calculateTimeOverlap(
+        tollWindow, 
+        tripWindow.start, 
+        tripWindow.end
+      );
+      
+      // Skip if no time overlap
+      if (timeOverlap === 0) continue;
+      
+      // Calculate location similarity
+      const locationMatch = this.describeLocationMatch(
+        toll.location, 
+        trip.location
+      );
+      
+      // Calculate overall confidence
+      const confidence = this.calculateMatchConfidence(
+        timeOverlap, 
+        locationMatch.similarity, 
+        toll.amount,
+        this.classifyTimeRelation(tollWindow, tripWindow.start, tripWindow.end),
+        locationMatch
+      );
+
+      // Only keep candidates above minimum threshold
+      if (confidence.score >= this.rules.minScore) {
+        candidates.push({ trip, confidence });
+      }
+    }
+
+    return candidates.sort((a, b) => b.confidence.score - a.confidence.score);
+  }
+
+  /**
+   * Sort key for ordering tolls and trips in time (missing dates sort last)
+   */
+  getSortTime(...dates) {
+    for (const date of dates) {
+      if (date) return date.getTime();
+    }
+    return Number.MAX_SAFE_INTEGER;
+  }
+
+  /**
+   * Optimal assignment of one vehicle's tolls to that vehicle's trips
+   *
+   * A car is only on one trip at a time, so once its tolls are put in time
+   * order they must land on trips in the same order. The choice is solved as a
+   * min-cost flow over the toll x trip confidence matrix: one unit of flow is
+   * the vehicle's timeline, which at each toll either charges it to the trip
+   * the car is on (at minus the confidence score) or passes it by, and can move
+   * on to a later trip between tolls. The cheapest flow is the assignment with
+   * the highest total confidence; a trip can take any number of tolls, and
+   * each toll goes to at most one trip.
+   *
+   * @param {Array} entries - [{ toll, candidates }] for a single vehicle
+   * @returns {Map} toll id -> chosen candidate
+   */
+  solveVehicleAssignment(entries) {
+    const tolls = [...entries].sort((a, b) =>
+      this.getSortTime(this.getTollWindow(a.toll)?.start) - this.getSortTime(this.getTollWindow(b.toll)?.start)
+    );
+
+    const tripsById = new Map();
+    tolls.forEach(entry => entry.candidates.forEach(candidate => {
+      tripsById.set(candidate.trip.tripId, candidate.trip);
+    }));
+    const trips = [...tripsById.values()].sort((a, b) =>
+      this.getSortTime(this.getTripWindow(a).start, this.getTripWindow(a).end) -
+      this.getSortTime(this.getTripWindow(b).start, this.getTripWindow(b).end)
+    );
+
+    const assignment = new Map();
+    if (trips.length === 0) return assignment;
+
+    // Node (i, j): the car is on trip j when toll i passes; (tolls.length, j) is after the last toll
+    const tripCount = trips.length;
+    const node = (i, j) => i * tripCount + j;
+    const source = node(tolls.length + 1, 0);
+    const sink = source + 1;
+    const network = new FlowNetwork(sink + 1);
+
+    network.addEdge(source, node(0, 0), 1, 0);
+    network.addEdge(node(tolls.length, tripCount - 1), sink, 1, 0);
+
+    const charges = [];
+    for (let i = 0; i <= tolls.length; i++) {
+      for (let j = 0; j < tripCount; j++) {
+        if (j + 1 < tripCount) network.addEdge(node(i, j), node(i, j + 1), 1, 0);
+        if (i === tolls.length) continue;
+
+        network.addEdge(node(i, j), node(i + 1, j), 1, 0);
+
+        const candidate = tolls[i].candidates.find(c => c.trip.tripId === trips[j].tripId);
+        if (candidate) {
+          // Integer costs keep ties between equal scores deterministic
+          const edge = network.addEdge(node(i, j), node(i + 1, j), 1, -Math.round(candidate.confidence.score * 10000));
+          charges.push({ edge, toll: tolls[i].toll, candidate });
+        }
+      }
+    }
+
+    network.solve(source, sink, 1);
+
+    for (const { edge, toll, candidate } of charges) {
+      if (network.flowOn(edge) > 0) {
+        assignment.set(toll.id, candidate);
+      }
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Build the match record for a toll assigned to a trip
+   */
+  buildMatch(toll, vehicleKey, chosen, candidates) {
+    const trip = chosen.trip;
+
+    // Strongest alternative the assignment passed over, for reviewing close calls
+    const runnerUp = candidates.find(c => c.trip.tripId !== trip.tripId) || null;
+
+    // 0 when the batch pass chose this trip over a higher-scoring one
+    const scoreMargin = runnerUp
+      ? Number(Math.max(0, chosen.confidence.score - runnerUp.confidence.score).toFixed(4))
+      : null;
+
+    const plaza = this.gazetteer.resolvePlaza(toll.location);
+    const pickup = this.gazetteer.resolvePickup(trip.location);
+
+    return {
+      tripId: trip.tripId,
+      tollId: toll.id,
+      vehicleId: vehicleKey,
+      amount: toll.amount,
+      screenshotPath: toll.screenshotPath || null,
+      screenshotFilename: toll.screenshotFilename || null,
+      statementPath: toll.statementPath || null,
+      noticePath: toll.noticePath || null,
+      // Notice fees are claimed with the toll but kept itemized
+      fees: toll.fees || [],
+      feeTotal: toll.feeTotal || 0,
+      totalAmount: Number((toll.amount + (toll.feeTotal || 0)).toFixed(2)),
+      confidence: chosen.confidence,
+      runnerUp: runnerUp ? {
+        tripId: runnerUp.trip.tripId,
+        score: runnerUp.confidence.score,
+        category: runnerUp.confidence.category
+      } : null,
+      scoreMargin: scoreMargin,
+      toll: {
+        id: toll.id,
+        contentId: toll.contentId || null,
+        transactionNumber: toll.transactionNumber || null,
+        date: toll.date,
+        time: toll.time,
+        timestamp: toll.timestamp || null,
+        timezone: toll.timezone || null,
+        location: toll.location,
+        plazaId: plaza ? plaza.plazaId : null,
+        facility: plaza ? plaza.facility : null,
+        authority: plaza ? plaza.authority : null,
+        amount: toll.amount,
+        description: toll.description,
+        tagNumber: toll.tagNumber || null,
+        plate: toll.plate || null,
+        provider: toll.provider || null,
+        account: toll.account || null,
+        source: toll.source || null,
+        noticeNumber: toll.noticeNumber || null,
+        noticeType: toll.noticeType || null
+      },
+      trip: {
+        tripId: trip.tripId,
+        status: trip.status,
+        guestName: trip.guest.name,
+        vehicleName: trip.vehicle.name,
+        licensePlate: trip.vehicle.licensePlate || null,
+        vin: trip.vehicle.vin || null,
+        startDate: trip.dates.start,
+        endDate: trip.dates.end,
+        timezone: trip.dates.timezone || null,
+        location: trip.location,
+        pickupId: pickup ? (pickup.placeId || pickup.plazaId) : null,
+        amount: trip.amount,
+        source: trip.source || 'scraper'
+      },
+      rulesVersion: this.rules.version,
+      matchedAt: new Date().toISOString()
+    };
+  }
+
   /**
    * Match toll records to trips
    */
@@ -326,80 +1034,60 @@ class TollTripMatcher {
       this.matches = [];
       this.unmatchedTolls = [...this.tollRecords];
       this.unmatchedTrips = [...this.tripData];
-      
-      // For each toll record, find the best matching trip
+      this.unknownVehicleTolls = [];
+      this.unmatchedReasons = new Map();
+
+      this.buildVehicleIndex();
+
+      // Score every toll against its vehicle's trips, grouped by vehicle
+      const entriesByVehicle = new Map();
+
       for (const toll of this.tollRecords) {
-        let bestMatch = null;
-        let bestConfidence = { score: 0 };
-        
-        for (const trip of this.tripData) {
-          // Calculate time overlap
-          const timeOverlap = this.calculateTimeOverlap(
-            toll.date, 
-            trip.dates.start, 
-            trip.dates.end
-          );
-          
-          // Skip if no time overlap
-          if (timeOverlap === 0) continue;
-          
-          // Calculate location similarity
-          const locationSimilarity = this.calculateLocationSimilarity(
-            toll.location, 
-            trip.location
-          );
-          
-          // Calculate overall confidence
-          const confidence = this.calculateMatchConfidence(
-            timeOverlap, 
-            locationSimilarity, 
-            toll.amount
-          );
-          
-          // Update best match if this is better
-          if (confidence.score > bestConfidence.score) {
-            bestMatch = trip;
-            bestConfidence = confidence;
-          }
+        // A toll can only belong to a trip on the same vehicle
+        const vehicleKey = this.getTollVehicleKey(toll);
+
+        if (!vehicleKey) {
+          this.unknownVehicleTolls.push(toll);
+          this.unmatchedTolls = this.unmatchedTolls.filter(t => t.id !== toll.id);
+          console.log(`Toll ${toll.id} has no known vehicle (tag: ${toll.tagNumber || 'none'}, plate: ${toll.plate || 'none'})`);
+          continue;
         }
-        
-        // Only create match if confidence is above minimum threshold
-        if (bestMatch && bestConfidence.score >= 0.2) {
-          const match = {
-            tripId: bestMatch.tripId,
-            tollId: toll.id,
-            amount: toll.amount,
-            screenshotPath: toll.screenshotPath || null,
-            screenshotFilename: toll.screenshotFilename || null,
-            confidence: bestConfidence,
-            toll: {
-              id: toll.id,
-              date: toll.date,
-              time: toll.time,
-              location: toll.location,
-              amount: toll.amount,
-              description: toll.description
-            },
-            trip: {
-              tripId: bestMatch.tripId,
-              status: bestMatch.status,
-              guestName: bestMatch.guest.name,
-              vehicleName: bestMatch.vehicle.name,
-              startDate: bestMatch.dates.start,
-              endDate: bestMatch.dates.end,
-              location: bestMatch.location,
-              amount: bestMatch.amount
-            },
-            matchedAt: new Date().toISOString()
-          };
-          
+
+        const candidates = this.scoreTollCandidates(toll, vehicleKey);
+        if (candidates.length === 0) continue;
+
+        if (!entriesByVehicle.has(vehicleKey)) {
+          entriesByVehicle.set(vehicleKey, []);
+        }
+        entriesByVehicle.get(vehicleKey).push({ toll, candidates });
+      }
+
+      // Resolve each vehicle's tolls as one batch instead of toll by toll
+      for (const [vehicleKey, entries] of entriesByVehicle) {
+        const assignment = this.solveVehicleAssignment(entries);
+
+        for (const { toll, candidates } of entries) {
+          const chosen = assignment.get(toll.id);
+
+          if (!chosen) {
+            this.unmatchedReasons.set(
+              toll.id,
+              `Candidate trips conflict with the time order of other tolls on this vehicle (best: ${candidates[0].trip.tripId})`
+            );
+            continue;
+          }
+
+          const match = this.buildMatch(toll, vehicleKey, chosen, candidates);
           this.matches.push(match);
           
           // Remove from unmatched lists
           this.unmatchedTolls = this.unmatchedTolls.filter(t => t.id !== toll.id);
-          this.unmatchedTrips = this.unmatchedTrips.filter(t => t.tripId !== bestMatch.tripId);
+          this.unmatchedTrips = this.unmatchedTrips.filter(t => t.tripId !== chosen.trip.tripId);
           
-          console.log(`Matched toll ${toll.id} to trip ${bestMatch.tripId} (confidence: ${bestConfidence.category})`);
+          const marginNote = match.scoreMargin !== null
+            ? `, margin over ${match.runnerUp.tripId}: ${match.scoreMargin.toFixed(2)}`
+            : '';
+          console.log(`Matched toll ${toll.id} to trip ${chosen.trip.tripId} (confidence: ${chosen.confidence.category}${marginNote})`);
         }
       }
       
@@ -408,7 +1096,9 @@ class TollTripMatcher {
       console.log(`- High confidence: ${this.matches.filter(m => m.confidence.category === 'high').length}`);
       console.log(`- Medium confidence: ${this.matches.filter(m => m.confidence.category === 'medium').length}`);
       console.log(`- Low confidence: ${this.matches.filter(m => m.confidence.category === 'low').length}`);
+      console.log(`- Close calls: ${this.getCloseCalls().length}`);
       console.log(`- Unmatched tolls: ${this.unmatchedTolls.length}`);
+      console.log(`- Unknown vehicle tolls: ${this.unknownVehicleTolls.length}`);
       console.log(`- Unmatched trips: ${this.unmatchedTrips.length}`);
       
       return this.matches;
@@ -418,6 +1108,13 @@ class TollTripMatcher {
     }
   }
 
+  /**
+   * Matches whose runner-up trip scored within the close-call margin
+   */
+  getCloseCalls() {
+    return this.matches.filter(m => m.scoreMargin !== null && m.scoreMargin < this.rules.closeCallMargin);
+  }
+
   /**
    * Save matches to JSON file
    */
@@ -427,14 +1124,26 @@ class TollTripMatcher {
       
       const outputData = {
         matchedAt: new Date().toISOString(),
+        rules: {
+          version: this.rules.version,
+          source: this.rules.source
+        },
+        window: this.window ? describeWindow(this.window) : null,
         summary: {
           totalMatches: this.matches.length,
           highConfidenceMatches: this.matches.filter(m => m.confidence.category === 'high').length,
           mediumConfidenceMatches: this.matches.filter(m => m.confidence.category === 'medium').length,
           lowConfidenceMatches: this.matches.filter(m => m.confidence.category === 'low').length,
+          closeCalls: this.getCloseCalls().length,
           unmatchedTolls: this.unmatchedTolls.length,
+          unknownVehicleTolls: this.unknownVehicleTolls.length,
+          alreadyClaimedTolls: this.alreadyClaimedTolls.length,
+          outOfWindowTolls: this.outOfWindowTolls,
+          tollsByProvider: this.getTollsByProvider(),
           unmatchedTrips: this.unmatchedTrips.length,
-          totalTollAmount: this.matches.reduce((sum, match) => sum + match.amount, 0)
+          excludedTrips: this.excludedTrips.length,
+          totalTollAmount: this.matches.reduce((sum, match) => sum + match.amount, 0),
+          totalFeeAmount: this.matches.reduce((sum, match) => sum + match.feeTotal, 0)
         },
         matches: this.matches,
         unmatchedTolls: this.unmatchedTolls.map(toll => ({
@@ -442,7 +1151,25 @@ class TollTripMatcher {
           date: toll.date,
           location: toll.location,
           amount: toll.amount,
-          reason: 'No matching trip found within time/location criteria'
+          reason: this.unmatchedReasons.get(toll.id) || 'No matching trip found within time/location criteria'
+        })),
+        unknownVehicleTolls: this.unknownVehicleTolls.map(toll => ({
+          id: toll.id,
+          date: toll.date,
+          location: toll.location,
+          amount: toll.amount,
+          tagNumber: toll.tagNumber || null,
+          plate: toll.plate || null,
+          reason: toll.tagNumber || toll.plate
+            ? 'Tag/plate does not belong to any known vehicle'
+            : 'Toll record has no tag or plate number'
+        })),
+        alreadyClaimedTolls: this.alreadyClaimedTolls.map(toll => ({
+          id: toll.id,
+          date: toll.date,
+          amount: toll.amount,
+          tripId: toll.ledger.tripId,
+          status: toll.ledger.status
         })),
         unmatchedTrips: this.unmatchedTrips.map(trip => ({
           tripId: trip.tripId,
@@ -450,6 +1177,15 @@ class TollTripMatcher {
           endDate: trip.dates.end,
           location: trip.location,
           reason: 'No matching tolls found for this trip'
+        })),
+        excludedTrips: this.excludedTrips.map(trip => ({
+          tripId: trip.tripId || null,
+          detailUrl: trip.detailUrl || null,
+          vehicleName: trip.vehicle ? trip.vehicle.name : null,
+          startDate: trip.dates.start,
+          endDate: trip.dates.end,
+          location: trip.location,
+          reason: trip.excludedReason
         }))
       };
 
@@ -458,6 +1194,9 @@ class TollTripMatcher {
       console.log(`Matches saved to: ${outputPath}`);
       console.log(`Total matches: ${this.matches.length}`);
       console.log(`Total toll amount: $${outputData.summary.totalTollAmount.toFixed(2)}`);
+      if (outputData.summary.totalFeeAmount > 0) {
+        console.log(`Total notice fees: $${outputData.summary.totalFeeAmount.toFixed(2)}`);
+      }
       
       return outputPath;
     } catch (error) {
@@ -466,15 +1205,36 @@ class TollTripMatcher {
     }
   }
 
+  /**
+   * Distinct toll locations the gazetteer could not resolve to a plaza
+   */
+  getUnresolvedTollLocations() {
+    const locations = new Set();
+
+    for (const toll of this.tollRecords) {
+      if (toll.location && !this.gazetteer.resolvePlaza(toll.location)) {
+        locations.add(toll.location);
+      }
+    }
+
+    return [...locations];
+  }
+
   /**
    * Generate match report
    */
   generateReport() {
     const report = {
       timestamp: new Date().toISOString(),
+      rulesVersion: this.rules.version,
+      window: this.window ? describeWindow(this.window) : null,
       summary: {
         tollRecordsProcessed: this.tollRecords.length,
+        tollsByProvider: this.getTollsByProvider(),
         tripsProcessed: this.tripData.length,
+        excludedTrips: this.excludedTrips.length,
+        unknownVehicleTolls: this.unknownVehicleTolls.length,
+        alreadyClaimedTolls: this.alreadyClaimedTolls.length,
         totalMatches: this.matches.length,
         matchRate: this.tollRecords.length > 0 ? 
           (this.matches.length / this.tollRecords.length * 100).toFixed(1) + '%' : '0%'
@@ -494,6 +1254,32 @@ class TollTripMatcher {
       );
     }
 
+    const unresolvedLocations = this.getUnresolvedTollLocations();
+    if (unresolvedLocations.length > 0) {
+      report.recommendations.push(
+        `${unresolvedLocations.length} toll locations are not in the plaza gazetteer and were compared as text: ${unresolvedLocations.join(', ')}. Add them as aliases in data/plazas.json.`
+      );
+    }
+
+    if (this.excludedTrips.length > 0) {
+      report.recommendations.push(
+        `${this.excludedTrips.length} trips were excluded because no Turo reservation ID could be found. Check excludedTrips in matches.json; tolls during those trips can't be claimed until the trip is identified.`
+      );
+    }
+
+    if (this.unknownVehicleTolls.length > 0) {
+      report.recommendations.push(
+        `${this.unknownVehicleTolls.length} tolls carry a tag/plate that is not in the vehicle registry. Add the transponder or plate to vehicles.json.`
+      );
+    }
+
+    const closeCalls = this.getCloseCalls();
+    if (closeCalls.length > 0) {
+      report.recommendations.push(
+        `${closeCalls.length} matches beat their runner-up trip by less than ${this.rules.closeCallMargin}. Review these before submitting claims.`
+      );
+    }
+
     if (this.matches.filter(m => m.confidence.category === 'low').length > 0) {
       report.recommendations.push(
         'Some matches have low confidence. Manual review recommended before submitting claims.'
@@ -515,16 +1301,33 @@ class TollTripMatcher {
   async process() {
     try {
       console.log('Starting toll-trip matching process...');
+
+      // Rules are checked first so a bad rules file fails before any work is done
+      await this.loadRules();
       
       // Load data
       await this.loadTollRecords();
+      await this.loadNoticeRecords();
       await this.loadTripData();
+      await this.loadVehicles();
+      await this.loadGazetteer();
+
+      // Narrow to --from/--to or --since-last-run when given
+      await this.applyMatchWindow();
+
+      // Drop tolls claimed by earlier runs
+      await this.excludeClaimedTolls();
       
       // Perform matching
       await this.matchTollsToTrips();
       
       // Save results
       const outputPath = await this.saveMatches();
+      await this.recordMatchesInLedger();
+
+      if (this.window) {
+        await saveCheckpoint('match', this.window, { matchCount: this.matches.length });
+      }
       
       // Generate report
       const report = this.generateReport();
@@ -545,6 +1348,11 @@ class TollTripMatcher {
     } catch (error) {
       console.error('Matching process failed:', error);
       throw error;
+    } finally {
+      if (this.ledger && this.ledgerOpen) {
+        await this.ledger.close();
+        this.ledgerOpen = false;
+      }
     }
   }
 }
@@ -554,7 +1362,16 @@ module.exports = TollTripMatcher;
 
 // Run if called directly
 if (require.main === module) {
-  const matcher = new TollTripMatcher();
+  const { options } = parseArgs();
+  const matcher = new TollTripMatcher({
+    rulesFile: options.rules,
+    tollFile: options.tolls ? path.resolve(options.tolls) : undefined,
+    noticeFile: options.notices ? path.resolve(options.notices) : undefined,
+    tripExportFile: options.tripExport ? path.resolve(options.tripExport) : undefined,
+    from: options.from,
+    to: options.to,
+    sinceLastRun: Boolean(options.sinceLastRun)
+  });
   
   matcher.process()
     .then(result => {
@@ -0,0 +1,77 @@
+/**
+ * Toll Accounts Config
+ *
+ * Lists which toll agency accounts to pull and where their credentials live:
+ *
+ *   { "accounts": [
+ *       { "provider": "ezpass-ny", "label": "fleet", "secretName": "turo-ezpass/ezpass/credentials" },
+ *       { "provider": "sunpass", "label": "miami", "secretName": "turo-ezpass/sunpass/credentials" }
+ *   ] }
+ *
+ * Without a config file there is one E-ZPass account for EZPASS_STATE, using
+ * the E-ZPass secret (or EZPASS_USERNAME/EZPASS_PASSWORD), as before.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getProvider } = require('./index');
+const { getEZPassPortal } = require('./portals');
+
+const DEFAULT_ACCOUNTS_FILE = path.join(__dirname, '..', 'toll-accounts.json');
+
+/**
+ * Check an account entry and fill in defaults
+ */
+const normalizeAccount = (account, index) => {
+  if (!account || !account.provider) {
+    throw new Error(`Toll account ${index + 1} has no provider`);
+  }
+
+  const portal = getProvider(account.provider);
+
+  return {
+    provider: portal.id,
+    label: account.label || portal.id,
+    secretName: account.secretName || null,
+    enabled: account.enabled !== false
+  };
+};
+
+/**
+ * Load the enabled toll accounts
+ * @param {string} filePath - accounts file; TOLL_ACCOUNTS_FILE or toll-accounts.json by default
+ */
+const loadTollAccounts = async (filePath = process.env.TOLL_ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE) => {
+  let config;
+
+  try {
+    config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read toll accounts from ${filePath}: ${error.message}`);
+    }
+
+    const portal = getEZPassPortal(process.env.EZPASS_STATE);
+    console.log(`No toll accounts file at ${filePath} - using the ${portal.name} account`);
+    return [{ provider: portal.id, label: portal.id, secretName: null, enabled: true }];
+  }
+
+  const accounts = (config.accounts || []).map(normalizeAccount);
+
+  // Labels key the checkpoints, so two accounts with one provider need distinct labels
+  const seen = new Set();
+  for (const account of accounts) {
+    const key = `${account.provider}:${account.label}`;
+    if (seen.has(key)) {
+      throw new Error(`Duplicate toll account "${account.label}" for ${account.provider} - give each account its own label`);
+    }
+    seen.add(key);
+  }
+
+  return accounts.filter(account => account.enabled);
+};
+
+module.exports = {
+  DEFAULT_ACCOUNTS_FILE,
+  loadTollAccounts
+};
@@ -0,0 +1,41 @@
+/**
+ * E-ZPass Providers
+ *
+ * One adapter per E-ZPass agency portal (NY, NJ, PA Turnpike, MA). They share
+ * the history-table scraper; the agency decides the login URL, the toll ID
+ * prefix and which statement layout downloaded CSV/PDFs are read with.
+ */
+
+const PortalTollProvider = require('./portalProvider');
+const { PORTALS } = require('./portals');
+
+class EZPassNYProvider extends PortalTollProvider {
+  constructor(account = {}) {
+    super(PORTALS['ezpass-ny'], account);
+  }
+}
+
+class EZPassNJProvider extends PortalTollProvider {
+  constructor(account = {}) {
+    super(PORTALS['ezpass-nj'], account);
+  }
+}
+
+class EZPassPAProvider extends PortalTollProvider {
+  constructor(account = {}) {
+    super(PORTALS['ezpass-pa'], account);
+  }
+}
+
+class EZPassMAProvider extends PortalTollProvider {
+  constructor(account = {}) {
+    super(PORTALS['ezpass-ma'], account);
+  }
+}
+
+module.exports = {
+  EZPassNYProvider,
+  EZPassNJProvider,
+  EZPassPAProvider,
+  EZPassMAProvider
+};
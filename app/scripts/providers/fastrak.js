@@ -0,0 +1,17 @@
+/**
+ * FasTrak Provider
+ *
+ * Bay Area FasTrak portal. Times are posted in Pacific time; license plate
+ * accounts have no transponder, so their tolls carry only a plate.
+ */
+
+const PortalTollProvider = require('./portalProvider');
+const { PORTALS } = require('./portals');
+
+class FasTrakProvider extends PortalTollProvider {
+  constructor(account = {}) {
+    super(PORTALS.fastrak, account);
+  }
+}
+
+module.exports = FasTrakProvider;
@@ -0,0 +1,16 @@
+/**
+ * Illinois Tollway Provider
+ *
+ * I-PASS portal for the Illinois Tollway. Times are posted in Central time.
+ */
+
+const PortalTollProvider = require('./portalProvider');
+const { PORTALS } = require('./portals');
+
+class IllinoisTollwayProvider extends PortalTollProvider {
+  constructor(account = {}) {
+    super(PORTALS['illinois-tollway'], account);
+  }
+}
+
+module.exports = IllinoisTollwayProvider;
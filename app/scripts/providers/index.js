@@ -0,0 +1,73 @@
+/**
+ * Toll Provider Registry
+ *
+ * Maps provider IDs (as used in the accounts config and on toll records) to
+ * their adapters. The toll account scraper creates adapters from here, and the
+ * matcher looks up a record's provider for its timezone and name.
+ *
+ * Register another agency with registerProvider(portal, ProviderClass), where
+ * ProviderClass extends TollProvider and takes the account as its only argument.
+ */
+
+const { PORTALS } = require('./portals');
+const { EZPassNYProvider, EZPassNJProvider, EZPassPAProvider, EZPassMAProvider } = require('./ezpass');
+const SunPassProvider = require('./sunpass');
+const FasTrakProvider = require('./fastrak');
+const IllinoisTollwayProvider = require('./illinoisTollway');
+
+const registry = new Map();
+
+/**
+ * Add (or replace) a provider
+ */
+const registerProvider = (portal, ProviderClass) => {
+  if (!portal || !portal.id) {
+    throw new Error('Toll provider needs a portal with an id');
+  }
+
+  registry.set(portal.id, { portal, ProviderClass });
+};
+
+/**
+ * Portal settings for a provider ID
+ * @throws when the provider isn't registered
+ */
+const getProvider = (id) => {
+  const entry = registry.get(String(id || '').toLowerCase());
+
+  if (!entry) {
+    throw new Error(`Unknown toll provider "${id}" (known: ${[...registry.keys()].join(', ')})`);
+  }
+
+  return entry.portal;
+};
+
+/**
+ * Portal settings for every registered provider
+ */
+const listProviders = () => [...registry.values()].map(entry => entry.portal);
+
+/**
+ * Create the adapter for one configured account
+ * @param {Object} account - { provider, label, secretName }
+ */
+const createProvider = (account) => {
+  getProvider(account.provider);
+  const { ProviderClass } = registry.get(account.provider.toLowerCase());
+  return new ProviderClass(account);
+};
+
+registerProvider(PORTALS['ezpass-ny'], EZPassNYProvider);
+registerProvider(PORTALS['ezpass-nj'], EZPassNJProvider);
+registerProvider(PORTALS['ezpass-pa'], EZPassPAProvider);
+registerProvider(PORTALS['ezpass-ma'], EZPassMAProvider);
+registerProvider(PORTALS.sunpass, SunPassProvider);
+registerProvider(PORTALS.fastrak, FasTrakProvider);
+registerProvider(PORTALS['illinois-tollway'], IllinoisTollwayProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  createProvider
+};
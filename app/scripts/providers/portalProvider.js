@@ -0,0 +1,61 @@
+/**
+ * Portal Toll Provider
+ *
+ * Adapter for agencies whose web portal lists tolls in an account history
+ * table. Drives the history-table scraper in scrapers/ezpass.js with the
+ * agency's portal settings.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EZPassScraper = require('../scrapers/ezpass');
+const TollProvider = require('./tollProvider');
+
+class PortalTollProvider extends TollProvider {
+  constructor(portal, account = {}) {
+    super(portal, account);
+    this.scraper = new EZPassScraper({ portal });
+    // EZPASS_TIMEZONE can still override E-ZPass portals
+    this.timezone = this.scraper.timezone;
+  }
+
+  async getCredentials() {
+    return this.scraper.getCredentials(this.account.secretName || null);
+  }
+
+  async login(credentials) {
+    await this.scraper.initializeBrowser();
+    return this.scraper.login(credentials);
+  }
+
+  async listTransactions(window) {
+    this.scraper.window = window;
+
+    await this.scraper.navigateToAccountHistory();
+    await this.scraper.setDateRangeFilter();
+
+    return this.tagTransactions(await this.scraper.extractTollTransactions());
+  }
+
+  /**
+   * Statement-sourced tolls already have their statement on disk; anything
+   * else gets a screenshot of the history page it was read from
+   */
+  async fetchReceipt(transaction) {
+    if (transaction.statementPath) {
+      return { type: 'statement', path: transaction.statementPath };
+    }
+
+    await fs.mkdir(this.scraper.screenshotsDir, { recursive: true });
+    const screenshotPath = path.join(this.scraper.screenshotsDir, `${this.id}_toll_${transaction.id}.png`);
+    await this.scraper.page.screenshot({ path: screenshotPath, fullPage: true, type: 'png' });
+
+    return { type: 'screenshot', path: screenshotPath };
+  }
+
+  async cleanup() {
+    await this.scraper.cleanup();
+  }
+}
+
+module.exports = PortalTollProvider;
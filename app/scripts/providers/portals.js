@@ -0,0 +1,104 @@
+/**
+ * Toll Agency Portals
+ *
+ * Portal settings for each toll agency the scrapers support, keyed by provider
+ * ID. The history-table scraper (scrapers/ezpass.js) reads these for URLs,
+ * plate prefixes and statement layout, and each adapter in providers/ picks
+ * its own entry. This module has no dependencies so the scraper, the
+ * adapters and the backend's provider registry (app/backend/scripts/scrapers/
+ * providers.js, which validates users' toll accounts) can all load it.
+ */
+
+const PORTALS = {
+  'ezpass-ny': {
+    id: 'ezpass-ny',
+    name: 'E-ZPass New York',
+    network: 'ezpass',
+    state: 'ny',
+    timezone: 'America/New_York',
+    loginUrl: 'https://www.e-zpassny.com/isp/home.do',
+    historyUrl: 'https://www.e-zpassny.com/account/history',
+    // E-ZPass accounts list plates from any member state
+    platePrefixes: ['NY', 'NJ', 'PA', 'CT', 'MA'],
+    statementLayout: 'ny'
+  },
+  'ezpass-nj': {
+    id: 'ezpass-nj',
+    name: 'E-ZPass New Jersey',
+    network: 'ezpass',
+    state: 'nj',
+    timezone: 'America/New_York',
+    loginUrl: 'https://www.ezpassnj.com/en/home/index.shtml',
+    historyUrl: null,
+    platePrefixes: ['NY', 'NJ', 'PA', 'CT', 'MA'],
+    statementLayout: 'nj'
+  },
+  'ezpass-pa': {
+    id: 'ezpass-pa',
+    name: 'PA Turnpike E-ZPass',
+    network: 'ezpass',
+    state: 'pa',
+    timezone: 'America/New_York',
+    loginUrl: 'https://www.paturnpike.com/e-zpass',
+    historyUrl: null,
+    platePrefixes: ['NY', 'NJ', 'PA', 'CT', 'MA'],
+    statementLayout: 'pa'
+  },
+  'ezpass-ma': {
+    id: 'ezpass-ma',
+    name: 'E-ZPass Massachusetts',
+    network: 'ezpass',
+    state: 'ma',
+    timezone: 'America/New_York',
+    loginUrl: 'https://www.ezdrivema.com',
+    historyUrl: null,
+    platePrefixes: ['NY', 'NJ', 'PA', 'CT', 'MA', 'NH', 'RI'],
+    statementLayout: null
+  },
+  'sunpass': {
+    id: 'sunpass',
+    name: 'SunPass',
+    network: 'sunpass',
+    state: 'fl',
+    timezone: 'America/New_York',
+    loginUrl: 'https://www.sunpass.com/en/home/index.shtml',
+    historyUrl: null,
+    platePrefixes: ['FL', 'GA', 'NC'],
+    statementLayout: null
+  },
+  'fastrak': {
+    id: 'fastrak',
+    name: 'Bay Area FasTrak',
+    network: 'fastrak',
+    state: 'ca',
+    timezone: 'America/Los_Angeles',
+    loginUrl: 'https://www.bayareafastrak.org/en/home/index.shtml',
+    historyUrl: null,
+    platePrefixes: ['CA'],
+    statementLayout: null
+  },
+  'illinois-tollway': {
+    id: 'illinois-tollway',
+    name: 'Illinois Tollway I-PASS',
+    network: 'ipass',
+    state: 'il',
+    timezone: 'America/Chicago',
+    loginUrl: 'https://www.getipass.com',
+    historyUrl: null,
+    platePrefixes: ['IL', 'IN', 'WI'],
+    statementLayout: null
+  }
+};
+
+/**
+ * Portal for an E-ZPass state code, e.g. "nj" -> ezpass-nj
+ * Falls back to E-ZPass NY, the portal the scraper was first written for.
+ */
+const getEZPassPortal = (state) => {
+  return PORTALS[`ezpass-${String(state || 'ny').toLowerCase()}`] || PORTALS['ezpass-ny'];
+};
+
+module.exports = {
+  PORTALS,
+  getEZPassPortal
+};
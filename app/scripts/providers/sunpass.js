@@ -0,0 +1,18 @@
+/**
+ * SunPass Provider
+ *
+ * Florida's SunPass portal. Toll-by-plate charges post to the same account
+ * history as transponder tolls, so plate-only tolls come through with `plate`
+ * set and no tag number.
+ */
+
+const PortalTollProvider = require('./portalProvider');
+const { PORTALS } = require('./portals');
+
+class SunPassProvider extends PortalTollProvider {
+  constructor(account = {}) {
+    super(PORTALS.sunpass, account);
+  }
+}
+
+module.exports = SunPassProvider;
@@ -0,0 +1,85 @@
+/**
+ * Toll Provider Interface
+ *
+ * Every toll agency adapter extends TollProvider and implements:
+ *   - login(credentials)          sign in to the agency account
+ *   - listTransactions(window)    tolls posted in a scrape window, in the ezpass.json record shape
+ *   - fetchReceipt(transaction)   proof for one toll: { type, path }
+ *   - cleanup()                   release browser/session resources
+ *
+ * An adapter is created per configured account (providers/accounts.js), so one
+ * agency can be pulled for several accounts in the same run.
+ */
+
+const { DEFAULT_TIMEZONE, AUTHORITY_TIMEZONES } = require('../utils/time');
+
+class TollProvider {
+  /**
+   * @param {Object} portal - agency settings: { id, name, state, timezone, ... }
+   * @param {Object} account - { provider, label, secretName } from the accounts config
+   */
+  constructor(portal, account = {}) {
+    this.portal = portal;
+    this.id = portal.id;
+    this.name = portal.name;
+    this.state = portal.state;
+    this.timezone = portal.timezone || AUTHORITY_TIMEZONES[portal.state] || DEFAULT_TIMEZONE;
+    this.account = account;
+    this.label = account.label || portal.id;
+  }
+
+  /**
+   * Checkpoint key for --since-last-run, one per account
+   */
+  get checkpointKey() {
+    return this.label === this.id ? this.id : `${this.id}:${this.label}`;
+  }
+
+  /**
+   * Credentials for this account
+   */
+  async getCredentials() {
+    throw new Error(`${this.name} provider does not implement getCredentials()`);
+  }
+
+  /**
+   * Sign in to the agency account
+   */
+  async login(credentials) {
+    throw new Error(`${this.name} provider does not implement login()`);
+  }
+
+  /**
+   * Tolls posted in the window, in the ezpass.json record shape
+   * @param {Object} window - { start, end, mode } from resolveScrapeWindow
+   */
+  async listTransactions(window) {
+    throw new Error(`${this.name} provider does not implement listTransactions()`);
+  }
+
+  /**
+   * Proof for one toll
+   * @returns {Promise<{type: string, path: string}|null>}
+   */
+  async fetchReceipt(transaction) {
+    throw new Error(`${this.name} provider does not implement fetchReceipt()`);
+  }
+
+  /**
+   * Release any browser or session resources
+   */
+  async cleanup() {}
+
+  /**
+   * Tag records with the provider and account they came from
+   */
+  tagTransactions(transactions) {
+    return transactions.map(transaction => ({
+      ...transaction,
+      provider: this.id,
+      account: this.label
+    }));
+  }
+}
+
+module.exports = TollProvider;
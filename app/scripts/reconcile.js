@@ -0,0 +1,240 @@
+/**
+ * Claim Reconciliation
+ *
+ * Checks every submitted reimbursement claim on Turo and records how it has
+ * moved on since TuroBot filed it (under review, approved, paid, disputed,
+ * denied). Each state change is appended to the claim's history in the
+ * ledger; paid claims are settled and no longer checked. Disputed and denied
+ * claims are listed in the report for the host to follow up.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TuroBot = require('./turobot');
+const { createLedger } = require('./utils/ledger');
+const { parseArgs } = require('./utils/cli');
+const { FOLLOW_UP_STATES, normalizeClaimStatus } = require('./utils/claimStatus');
+
+class ClaimReconciler {
+  /**
+   * @param {Object} options - { ledger, bot, reportPath }
+   *   bot is the TuroBot whose browser session is used to read the trip pages
+   */
+  constructor(options = {}) {
+    this.ledger = options.ledger || null;
+    this.bot = options.bot || new TuroBot();
+    this.reportPath = options.reportPath || path.join(__dirname, 'claim-status-report.json');
+    this.selectors = this.bot.selectors;
+    this.results = [];
+  }
+
+  /**
+   * Text of an optional element, trimmed; null when it isn't there
+   */
+  async readText(scope, key) {
+    const match = await this.selectors.find(scope, key);
+    if (!match) return null;
+
+    const text = (await match.element.textContent() || '').replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+
+  /**
+   * Read a claim's status from its trip page
+   * @returns {Promise<Object>} { status, label, detail }; status is null when
+   *   the claim isn't listed or its status text isn't recognised
+   */
+  async readClaimStatus(claim) {
+    const page = this.bot.page;
+
+    await this.bot.navigateToTrip(claim.tripId);
+
+    const tabMatch = await this.selectors.find(page, 'turobot.claimStatus.tab', { visible: true });
+    if (tabMatch) {
+      await tabMatch.element.click();
+      await this.bot.waitWithDelay(this.bot.requestDelay);
+    }
+
+    const rowMatch = await this.selectors.find(page, 'turobot.claimStatus.row', {
+      params: { confirmationId: claim.claimId }
+    });
+    if (!rowMatch) {
+      return { status: null, label: null, detail: 'Claim is not listed on the trip page' };
+    }
+
+    const row = rowMatch.element;
+    const label = await this.readText(row, 'turobot.claimStatus.status');
+    const detail = await this.readText(row, 'turobot.claimStatus.note');
+
+    return {
+      status: normalizeClaimStatus(label),
+      label: label,
+      detail: detail
+    };
+  }
+
+  /**
+   * Check one claim and record its status in the ledger
+   */
+  async reconcileClaim(claim) {
+    const result = {
+      claimId: claim.claimId,
+      tripId: claim.tripId,
+      tollIds: claim.tollIds,
+      previousStatus: claim.status
+    };
+
+    if (!claim.claimId) {
+      console.warn(`Claim for trip ${claim.tripId} (${claim.tollIds.join(', ')}) has no confirmation number - check it on Turo`);
+      return { ...result, outcome: 'unchecked', reason: 'No confirmation number was recorded when it was submitted' };
+    }
+
+    try {
+      const found = await this.readClaimStatus(claim);
+
+      if (!found.status) {
+        const reason = found.label ? `Unrecognised status "${found.label}"` : found.detail;
+        console.warn(`Could not read the status of claim ${claim.claimId}: ${reason}`);
+        return { ...result, outcome: 'unchecked', reason: reason };
+      }
+
+      const { changed, history } = await this.ledger.recordClaimStatus(claim, found.status, {
+        label: found.label,
+        detail: found.detail
+      });
+
+      console.log(changed
+        ? `🔄 Claim ${claim.claimId} (trip ${claim.tripId}): ${claim.status} → ${found.status}`
+        : `Claim ${claim.claimId} (trip ${claim.tripId}): still ${found.status}`);
+
+      return {
+        ...result,
+        outcome: 'checked',
+        status: found.status,
+        changed: changed,
+        label: found.label,
+        detail: found.detail,
+        history: history
+      };
+    } catch (error) {
+      console.error(`Failed to check claim ${claim.claimId}:`, error);
+      return { ...result, outcome: 'failed', reason: error.message };
+    }
+  }
+
+  /**
+   * Write the reconciliation report, listing claims that need follow-up
+   */
+  async saveReport() {
+    try {
+      const checked = this.results.filter(result => result.outcome === 'checked');
+      const followUp = checked.filter(result => FOLLOW_UP_STATES.includes(result.status));
+
+      const report = {
+        checkedAt: new Date().toISOString(),
+        summary: {
+          claims: this.results.length,
+          checked: checked.length,
+          changed: checked.filter(result => result.changed).length,
+          unchecked: this.results.filter(result => result.outcome === 'unchecked').length,
+          failed: this.results.filter(result => result.outcome === 'failed').length,
+          byStatus: checked.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+          }, {}),
+          needsFollowUp: followUp.length
+        },
+        followUp: followUp.map(result => ({
+          claimId: result.claimId,
+          tripId: result.tripId,
+          tollIds: result.tollIds,
+          status: result.status,
+          label: result.label,
+          detail: result.detail
+        })),
+        claims: this.results
+      };
+
+      await fs.writeFile(this.reportPath, JSON.stringify(report, null, 2));
+
+      console.log(`\n=== CLAIM STATUS REPORT ===`);
+      console.log(`Claims checked: ${report.summary.checked}/${report.summary.claims} (${report.summary.changed} changed)`);
+      for (const [status, count] of Object.entries(report.summary.byStatus)) {
+        console.log(`  ${status}: ${count}`);
+      }
+      console.log(`Unchecked: ${report.summary.unchecked}, failed: ${report.summary.failed}`);
+      for (const entry of report.followUp) {
+        console.log(`⚠️  Follow up: claim ${entry.claimId} (trip ${entry.tripId}) is ${entry.status}${entry.detail ? ` - ${entry.detail}` : ''}`);
+      }
+      console.log(`Report saved to: ${this.reportPath}`);
+
+      return report;
+    } catch (error) {
+      console.error('Failed to save claim status report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check every unpaid submitted claim
+   */
+  async run() {
+    try {
+      console.log('🔎 Checking the status of submitted claims...');
+
+      if (!this.ledger) {
+        this.ledger = createLedger();
+        await this.ledger.open();
+      }
+      // Closed with the browser in TuroBot's cleanup
+      this.bot.ledger = this.ledger;
+
+      const claims = await this.ledger.findSubmittedClaims();
+      console.log(`${claims.length} submitted claims awaiting payment`);
+
+      if (claims.length > 0 && !this.bot.page) {
+        const credentials = await this.bot.getCredentials();
+        await this.bot.initializeBrowser();
+        await this.bot.login(credentials);
+      }
+
+      for (let i = 0; i < claims.length; i++) {
+        this.results.push(await this.reconcileClaim(claims[i]));
+
+        if (i < claims.length - 1) {
+          await this.bot.waitWithDelay(this.bot.requestDelay);
+        }
+      }
+
+      const report = await this.saveReport();
+      console.log(`\n🎉 Claim reconciliation completed! ${report.summary.needsFollowUp} claims need follow-up`);
+
+      return report;
+    } catch (error) {
+      console.error('Claim reconciliation failed:', error);
+      throw error;
+    } finally {
+      await this.bot.cleanup();
+    }
+  }
+}
+
+module.exports = ClaimReconciler;
+
+// Run if called directly
+if (require.main === module) {
+  const { options } = parseArgs();
+
+  if (options.report === true) {
+    console.error('Usage: node reconcile.js [--report path]');
+    process.exit(1);
+  }
+
+  const reconciler = new ClaimReconciler({
+    reportPath: options.report ? path.resolve(options.report) : undefined
+  });
+
+  reconciler.run()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
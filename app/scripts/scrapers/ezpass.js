@@ -1,7 +1,11 @@
 /**
- * E-ZPass NY Portal Scraper
+ * E-ZPass Portal Scraper
  * 
- * Logs into the E-ZPass NY portal and scrapes toll records from the past 7 days.
+ * Logs into a toll agency portal (E-ZPass NY by default, or the portal for
+ * EZPASS_STATE) and scrapes toll records for the requested window
+ * (--from/--to, --since-last-run, or the past 7 days by default).
+ * The same history-table scraping backs every adapter in providers/, which pass
+ * their own portal settings from providers/portals.js.
  * Uses Playwright for browser automation and AWS Secrets Manager for credentials.
  * 
  * @Scraper-Agent Implementation
@@ -11,6 +15,24 @@ const { chromium } = require('playwright');
 const AWS = require('aws-sdk');
 const fs = require('fs').promises;
 const path = require('path');
+const { DEFAULT_TIMEZONE, AUTHORITY_TIMEZONES, formatZonedDate, toZonedTimestamp } = require('../utils/time');
+const { assignTollIds, mergeTollSources } = require('../utils/tollId');
+const EZPassStatementImporter = require('./ezpassStatement');
+const { getEZPassPortal } = require('../providers/portals');
+const { parseArgs } = require('../utils/cli');
+const { SelectorRegistry } = require('../utils/selectors');
+const {
+  resolveScrapeWindow,
+  saveCheckpoint,
+  describeWindow,
+  isWithinWindow
+} = require('../utils/scrapeWindow');
+
+// E-ZPass posts some tolls weeks late, so --since-last-run re-reads this much of the last window
+const LATE_POSTING_OVERLAP_DAYS = parseInt(process.env.EZPASS_OVERLAP_DAYS) || 30;
+
+// Upper bound on history pages (and "show more" clicks) in case a next control never disables
+const MAX_HISTORY_PAGES = parseInt(process.env.EZPASS_MAX_PAGES) || 50;
 
 // Configure AWS
 AWS.config.update({
@@ -26,22 +48,57 @@ AWS.config.update({
 const secretsManager = new AWS.SecretsManager();
 
 class EZPassScraper {
-  constructor() {
+  /**
+   * @param {Object} options - { from, to, sinceLastRun } scrape window options,
+   *   and `portal` (a providers/portals.js entry) to scrape a portal other than E-ZPass
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.window = null;
     this.browser = null;
     this.context = null;
     this.page = null;
     this.tollRecords = [];
+    this.pagesRead = 0;
+    this.statementFiles = [];
     this.screenshotsDir = path.join(__dirname, 'screenshots');
+    this.statementsDir = path.join(__dirname, 'statements');
+    this.usePortal(options.portal || getEZPassPortal(process.env.EZPASS_STATE));
+  }
+
+  /**
+   * Point the scraper at a toll agency portal
+   * Sets the login/history URLs, the authority state used in toll IDs, the
+   * timezone tolls are posted in, the statement layout and the selector registry.
+   */
+  usePortal(portal) {
+    const isEZPass = portal.network === 'ezpass';
+
+    this.portal = portal;
+    this.state = portal.state;
+    this.timezone = (isEZPass && process.env.EZPASS_TIMEZONE) ||
+      portal.timezone ||
+      AUTHORITY_TIMEZONES[portal.state] ||
+      DEFAULT_TIMEZONE;
+    this.statementImporter = new EZPassStatementImporter({
+      layout: (isEZPass && process.env.EZPASS_STATEMENT_LAYOUT) || portal.statementLayout || undefined
+    });
+    // Every portal shares the ezpass.* selectors but drifts on its own
+    this.selectors = new SelectorRegistry('ezpass', { label: portal.id });
   }
 
   /**
-   * Get E-ZPass credentials from AWS Secrets Manager
+   * Get portal credentials from AWS Secrets Manager
+   * @param {string} [secretName] - account secret; defaults to the E-ZPass secret,
+   *   the only one with an EZPASS_USERNAME/EZPASS_PASSWORD fallback
    */
-  async getCredentials() {
+  async getCredentials(secretName = null) {
+    const useEnvFallback = !secretName;
+
     try {
-      const secretName = process.env.EZPASS_CREDENTIALS_SECRET_NAME || 'turo-ezpass/ezpass/credentials';
+      secretName = secretName || process.env.EZPASS_CREDENTIALS_SECRET_NAME || 'turo-ezpass/ezpass/credentials';
       
-      console.log(`Retrieving E-ZPass credentials from AWS Secrets Manager: ${secretName}`);
+      console.log(`Retrieving ${this.portal.name} credentials from AWS Secrets Manager: ${secretName}`);
       
       const result = await secretsManager.getSecretValue({
         SecretId: secretName
@@ -56,13 +113,13 @@ class EZPassScraper {
       return {
         username: credentials.username,
         password: credentials.password,
-        state: credentials.state || 'ny'
+        state: credentials.state || this.state
       };
     } catch (error) {
-      console.error('Failed to retrieve E-ZPass credentials:', error);
+      console.error(`Failed to retrieve ${this.portal.name} credentials:`, error);
       
       // Fallback to environment variables for development
-      if (process.env.EZPASS_USERNAME && process.env.EZPASS_PASSWORD) {
+      if (useEnvFallback && process.env.EZPASS_USERNAME && process.env.EZPASS_PASSWORD) {
         console.log('Using fallback environment variable credentials');
         return {
           username: process.env.EZPASS_USERNAME,
@@ -95,6 +152,7 @@ class EZPassScraper {
     // Create browser context with stealth settings
     this.context = await this.browser.newContext({
       viewport: { width: 1280, height: 720 },
+      acceptDownloads: true,
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
     });
 
@@ -108,16 +166,16 @@ class EZPassScraper {
   }
 
   /**
-   * Login to E-ZPass NY portal
+   * Login to the portal
    */
   async login(credentials) {
     const { page } = this;
-    const loginUrl = 'https://www.e-zpassny.com/isp/home.do';
+    const { loginUrl } = this.portal;
     const startTime = Date.now();
 
     try {
       // Navigate to login page
-      console.log(`↗️ Navigating to E-ZPass login page: ${loginUrl}`);
+      console.log(`↗️ Navigating to ${this.portal.name} login page: ${loginUrl}`);
       await page.goto(loginUrl, { 
         waitUntil: 'domcontentloaded',
         timeout: 10000 
@@ -126,133 +184,51 @@ class EZPassScraper {
       // Wait a bit for page to fully render
       await page.waitForTimeout(1500);
 
-      // Comprehensive selectors for username field
-      const USER_SELECTORS = [
-        // ID-based
-        'input#userIdentifier',
-        'input#username',
-        'input#user',
-        'input#login',
-        'input#userid',
-        'input#accountNumber',
-        // Name attribute
-        'input[name="userIdentifier"]',
-        'input[name="username"]',
-        'input[name="user"]',
-        'input[name="login"]',
-        'input[name="userid"]',
-        'input[name="accountNumber"]',
-        // Placeholder-based
-        'input[placeholder*="username" i]',
-        'input[placeholder*="user" i]',
-        'input[placeholder*="account" i]',
-        'input[placeholder*="login" i]',
-        'input[placeholder*="id" i]',
-        // Aria labels
-        'input[aria-label*="username" i]',
-        'input[aria-label*="user" i]',
-        'input[aria-label*="account" i]',
-        // Type-based fallbacks
-        'input[type="text"]:not([type="password"])',
-        'input:not([type="password"]):not([type="submit"]):not([type="button"])'
-      ];
-      
-      const PASS_SELECTORS = [
-        // ID-based
-        'input#password',
-        'input#pass',
-        'input#pwd',
-        'input#userPassword',
-        // Name attribute
-        'input[name="password"]',
-        'input[name="pass"]',
-        'input[name="pwd"]',
-        'input[name="userPassword"]',
-        // Type-based (most reliable)
-        'input[type="password"]',
-        // Placeholder-based
-        'input[placeholder*="password" i]',
-        'input[placeholder*="pass" i]',
-        // Aria labels
-        'input[aria-label*="password" i]'
-      ];
-
-      // Find username field with timeout per selector
+      // Find username field, waiting briefly for each candidate to be interactable
       console.log('🔍 Looking for username field...');
-      let usernameField = null;
-      let foundUserSelector = null;
-      
-      for (const selector of USER_SELECTORS) {
-        if (Date.now() - startTime > 8000) break; // Leave time for other operations
-        
-        console.log(`  Trying selector: ${selector}`);
-        try {
-          // Try with a short wait to ensure element is interactable
-          await page.waitForSelector(selector, { 
-            timeout: 2000, 
-            state: 'visible' 
-          });
-          usernameField = await page.$(selector);
-          if (usernameField && await usernameField.isVisible()) {
-            foundUserSelector = selector;
-            console.log(`  ✅ Found username field with: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Selector not found, continue
-        }
-      }
+      const usernameMatch = await this.selectors.find(page, 'ezpass.login.username', {
+        waitTimeout: 2000,
+        deadline: startTime + 8000 // Leave time for other operations
+      });
       
-      if (!usernameField) {
-        const errorMsg = `Username field not found. Tried ${USER_SELECTORS.length} selectors`;
+      if (!usernameMatch) {
+        const tried = this.selectors.candidates('ezpass.login.username');
+        const errorMsg = `Username field not found. Tried ${tried.length} selectors`;
         console.error(`❌ ${errorMsg}`);
         console.error(`Current URL: ${page.url()}`);
         console.error(`Page title: "${await page.title()}"`);
-        console.error(`Tried selectors: ${USER_SELECTORS.slice(0, 5).join(', ')}... (and ${USER_SELECTORS.length - 5} more)`);
+        console.error(`Tried selectors: ${tried.slice(0, 5).join(', ')}... (and ${tried.length - 5} more)`);
         
         await page.screenshot({ 
           path: path.join(this.screenshotsDir, `ezpass_username_not_found_${Date.now()}.png`) 
         });
         throw new Error(errorMsg);
       }
+      console.log(`  ✅ Found username field with: ${usernameMatch.selector}`);
+      const usernameField = usernameMatch.element;
 
       // Find password field
       console.log('🔍 Looking for password field...');
-      let passwordField = null;
-      let foundPassSelector = null;
-      
-      for (const selector of PASS_SELECTORS) {
-        if (Date.now() - startTime > 9000) break;
-        
-        console.log(`  Trying selector: ${selector}`);
-        try {
-          await page.waitForSelector(selector, { 
-            timeout: 2000, 
-            state: 'visible' 
-          });
-          passwordField = await page.$(selector);
-          if (passwordField && await passwordField.isVisible()) {
-            foundPassSelector = selector;
-            console.log(`  ✅ Found password field with: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
+      const passwordMatch = await this.selectors.find(page, 'ezpass.login.password', {
+        waitTimeout: 2000,
+        deadline: startTime + 9000
+      });
       
-      if (!passwordField) {
-        const errorMsg = `Password field not found. Tried ${PASS_SELECTORS.length} selectors`;
+      if (!passwordMatch) {
+        const tried = this.selectors.candidates('ezpass.login.password');
+        const errorMsg = `Password field not found. Tried ${tried.length} selectors`;
         console.error(`❌ ${errorMsg}`);
         console.error(`Current URL: ${page.url()}`);
         console.error(`Page title: "${await page.title()}"`);
-        console.error(`Tried selectors: ${PASS_SELECTORS.slice(0, 5).join(', ')}... (and ${PASS_SELECTORS.length - 5} more)`);
+        console.error(`Tried selectors: ${tried.slice(0, 5).join(', ')}... (and ${tried.length - 5} more)`);
         
         await page.screenshot({ 
           path: path.join(this.screenshotsDir, `ezpass_password_not_found_${Date.now()}.png`) 
         });
         throw new Error(errorMsg);
       }
+      console.log(`  ✅ Found password field with: ${passwordMatch.selector}`);
+      const passwordField = passwordMatch.element;
 
       // Type credentials with human-like delays
       console.log('✏️ Filling in credentials...');
@@ -269,74 +245,27 @@ class EZPassScraper {
       await page.waitForTimeout(500);
 
       // Check for CAPTCHA
-      const captchaSelectors = [
-        'div.recaptcha',
-        'iframe[src*="recaptcha"]',
-        '.g-recaptcha',
-        '[class*="captcha"]',
-        '#captcha'
-      ];
-      
-      for (const selector of captchaSelectors) {
-        const captcha = await page.$(selector);
-        if (captcha) {
-          console.warn('⚠️ CAPTCHA detected on E-ZPass login page.');
-          await page.screenshot({ 
-            path: path.join(this.screenshotsDir, `ezpass_captcha_present_${Date.now()}.png`) 
-          });
-          break;
-        }
+      if (await this.selectors.find(page, 'ezpass.login.captcha')) {
+        console.warn(`⚠️ CAPTCHA detected on ${this.portal.name} login page.`);
+        await page.screenshot({ 
+          path: path.join(this.screenshotsDir, `ezpass_captcha_present_${Date.now()}.png`) 
+        });
       }
 
       // Find and click submit button
       console.log('🔍 Looking for submit button...');
-      const SUBMIT_SELECTORS = [
-        // Type-based
-        'button[type="submit"]',
-        'input[type="submit"]',
-        // Text-based
-        'button:has-text("Sign In")',
-        'button:has-text("Log In")',
-        'button:has-text("Login")',
-        'button:has-text("Submit")',
-        // Value attribute
-        'input[value="Sign In" i]',
-        'input[value="Log In" i]',
-        'input[value="Login" i]',
-        // Aria labels
-        'button[aria-label*="sign in" i]',
-        'button[aria-label*="log in" i]',
-        // ID/class based
-        '#loginButton',
-        '#submitButton',
-        '.login-button',
-        '.submit-button',
-        // Form button fallback
-        'form button:not([type="button"])',
-        'form input[type="button"]'
-      ];
-      
-      let submitButton = null;
-      for (const selector of SUBMIT_SELECTORS) {
-        try {
-          submitButton = await page.$(selector);
-          if (submitButton && await submitButton.isVisible()) {
-            console.log(`  ✅ Found submit button: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue
-        }
-      }
+      const submitMatch = await this.selectors.find(page, 'ezpass.login.submit', { visible: true });
       
-      if (!submitButton) {
-        const errorMsg = `Submit button not found. Tried ${SUBMIT_SELECTORS.length} selectors`;
+      if (!submitMatch) {
+        const errorMsg = `Submit button not found. Tried ${this.selectors.candidates('ezpass.login.submit').length} selectors`;
         console.error(`❌ ${errorMsg}`);
         await page.screenshot({ 
           path: path.join(this.screenshotsDir, `ezpass_submit_not_found_${Date.now()}.png`) 
         });
         throw new Error(errorMsg);
       }
+      console.log(`  ✅ Found submit button: ${submitMatch.selector}`);
+      const submitButton = submitMatch.element;
 
       // Submit the form
       console.log('📤 Submitting login form...');
@@ -361,10 +290,10 @@ class EZPassScraper {
         await page.screenshot({ 
           path: path.join(this.screenshotsDir, `ezpass_login_error_${Date.now()}.png`) 
         });
-        throw new Error('E-ZPass login failed - check credentials');
+        throw new Error(`${this.portal.name} login failed - check credentials`);
       }
 
-      console.log('✅ E-ZPass login completed!');
+      console.log(`✅ ${this.portal.name} login completed!`);
       console.log(`   Final URL: ${currentUrl}`);
       return true;
 
@@ -398,42 +327,25 @@ class EZPassScraper {
       console.log('Navigating to account history...');
 
       // Look for account history navigation links
-      const historyLinkSelectors = [
-        'a:has-text("Account History")',
-        'a:has-text("Transaction History")',
-        'a:has-text("Statements")',
-        'a[href*="history"]',
-        'a[href*="transactions"]',
-        'a[href*="statements"]',
-        '.nav-link:has-text("History")',
-        '.menu-item:has-text("History")'
-      ];
-
-      let historyLink = null;
-      for (const selector of historyLinkSelectors) {
-        try {
-          historyLink = await this.page.$(selector);
-          if (historyLink) {
-            console.log(`Found history link with selector: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
+      const historyMatch = await this.selectors.find(this.page, 'ezpass.history.link');
 
-      if (historyLink) {
+      if (historyMatch) {
+        console.log(`Found history link with selector: ${historyMatch.selector}`);
         await Promise.all([
           this.page.waitForNavigation({ waitUntil: 'networkidle', timeout: 30000 }),
-          historyLink.click()
+          historyMatch.element.click()
         ]);
-      } else {
+      } else if (this.portal.historyUrl) {
         // Try direct navigation
         console.log('Direct navigation to account history page...');
-        await this.page.goto('https://www.e-zpassny.com/account/history', {
+        await this.page.goto(this.portal.historyUrl, {
           waitUntil: 'networkidle',
           timeout: 30000
         });
+      } else {
+        // Some portals show recent activity on the account landing page
+        console.warn(`No history link found on ${this.portal.name} - reading the current page`);
+        return false;
       }
 
       console.log('Successfully navigated to account history page');
@@ -445,98 +357,41 @@ class EZPassScraper {
   }
 
   /**
-   * Set date range filter for last 7 days
+   * Set date range filter to the scrape window
    */
   async setDateRangeFilter() {
     try {
-      console.log('Setting date range filter for last 7 days...');
-
-      const today = new Date();
-      const sevenDaysAgo = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
+      console.log(`Setting date range filter (${this.window.mode} window)...`);
 
       const formatDate = (date) => {
-        return date.toISOString().split('T')[0]; // YYYY-MM-DD format
+        return formatZonedDate(date, this.timezone); // YYYY-MM-DD in the authority's timezone
       };
 
-      const startDate = formatDate(sevenDaysAgo);
-      const endDate = formatDate(today);
+      const startDate = formatDate(this.window.start);
+      const endDate = formatDate(this.window.end);
 
       console.log(`Date range: ${startDate} to ${endDate}`);
 
-      // Look for date filter elements
-      const startDateSelectors = [
-        'input[name="start-date"]',
-        'input[name="startDate"]',
-        'input[id="start-date"]',
-        'input[id="startDate"]',
-        'input[type="date"]:first-of-type',
-        '.date-picker input:first-of-type'
-      ];
-
-      const endDateSelectors = [
-        'input[name="end-date"]',
-        'input[name="endDate"]',
-        'input[id="end-date"]',
-        'input[id="endDate"]',
-        'input[type="date"]:last-of-type',
-        '.date-picker input:last-of-type'
-      ];
-
       // Set start date
-      let startDateField = null;
-      for (const selector of startDateSelectors) {
-        try {
-          startDateField = await this.page.$(selector);
-          if (startDateField) {
-            console.log(`Found start date field: ${selector}`);
-            await startDateField.fill(startDate);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const startDateMatch = await this.selectors.find(this.page, 'ezpass.history.startDate');
+      if (startDateMatch) {
+        console.log(`Found start date field: ${startDateMatch.selector}`);
+        await startDateMatch.element.fill(startDate);
       }
 
       // Set end date
-      let endDateField = null;
-      for (const selector of endDateSelectors) {
-        try {
-          endDateField = await this.page.$(selector);
-          if (endDateField) {
-            console.log(`Found end date field: ${selector}`);
-            await endDateField.fill(endDate);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const endDateMatch = await this.selectors.find(this.page, 'ezpass.history.endDate');
+      if (endDateMatch) {
+        console.log(`Found end date field: ${endDateMatch.selector}`);
+        await endDateMatch.element.fill(endDate);
       }
 
       // Look for and click search/filter button
-      const searchButtonSelectors = [
-        'button:has-text("Search")',
-        'button:has-text("Filter")',
-        'button:has-text("Apply")',
-        'button[type="submit"]',
-        'input[type="submit"]',
-        '#search-button',
-        '.search-btn',
-        '.filter-btn'
-      ];
-
-      let searchButton = null;
-      for (const selector of searchButtonSelectors) {
-        try {
-          searchButton = await this.page.$(selector);
-          if (searchButton) {
-            console.log(`Found search button: ${selector}`);
-            await searchButton.click();
-            await this.page.waitForTimeout(2000); // Wait for results
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const searchMatch = await this.selectors.find(this.page, 'ezpass.history.search');
+      if (searchMatch) {
+        console.log(`Found search button: ${searchMatch.selector}`);
+        await searchMatch.element.click();
+        await this.page.waitForTimeout(2000); // Wait for results
       }
 
       console.log('Date range filter applied successfully');
@@ -549,128 +404,356 @@ class EZPassScraper {
   }
 
   /**
-   * Extract toll transaction data from the page
+   * Wait for the transaction table/list to appear
+   * @returns {Promise<boolean>} false when the page has no transactions
    */
-  async extractTollTransactions() {
+  async waitForTransactionTable() {
+    const tableMatch = await this.selectors.find(this.page, 'ezpass.history.table', { waitTimeout: 5000 });
+    if (tableMatch) {
+      console.log(`Found transaction container: ${tableMatch.selector}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Read the transactions currently shown on the page (raw portal text)
+   */
+  async readTransactionPage() {
+    const selectors = this.selectors.lists([
+      'ezpass.extract.headerCells',
+      'ezpass.extract.rows',
+      'ezpass.extract.cells',
+      'ezpass.extract.vehicle',
+      'ezpass.extract.transactionNumber',
+      'ezpass.extract.items',
+      'ezpass.extract.itemDate',
+      'ezpass.extract.itemAmount',
+      'ezpass.extract.itemLocation'
+    ]);
+
+    const { transactions, matched } = await this.page.evaluate(({ platePrefixes, selectors }) => {
+      // Which registry candidate each key's elements were matched by, for drift reporting
+      const matched = {};
+      const note = (key, element) => {
+        if (element && !matched[key]) {
+          matched[key] = selectors[key].find(selector => element.matches(selector)) || null;
+        }
+        return element;
+      };
+      const queryOne = (container, key) => note(key, container.querySelector(selectors[key].join(', ')));
+      const queryAll = (container, key) => {
+        const elements = container.querySelectorAll(selectors[key].join(', '));
+        note(key, elements[0]);
+        return elements;
+      };
+
+      const extractTextContent = (element) => {
+        return element ? element.textContent.trim() : '';
+      };
+
+      const parseAmount = (amountText) => {
+        if (!amountText) return 0;
+        const match = amountText.match(/[\d.]+/);
+        return match ? parseFloat(match[0]) : 0;
+      };
+
+      // Split a "Tag/Plate" value into a transponder number or a license plate
+      const parseVehicleIdentifier = (text) => {
+        const value = (text || '').trim();
+        if (!value) return { tagNumber: null, plate: null };
+
+        // Transponder numbers are long digit strings, optionally with agency prefix separators
+        const digits = value.replace(/[\s-]/g, '');
+        if (/^\d{8,}$/.test(digits)) {
+          return { tagNumber: digits, plate: null };
+        }
+
+        const statePrefix = new RegExp(`^(${platePrefixes.join('|')})(\\s*[-:]\\s*|\\s+)`, 'i');
+        return { tagNumber: null, plate: value.replace(statePrefix, '') };
+      };
+
+      // Locate the Tag/Plate column from the table header when one is present
+      const headerCells = Array.from(queryAll(document, 'ezpass.extract.headerCells'));
+      const vehicleColumnIndex = headerCells.findIndex(th =>
+        /tag|plate|transponder/i.test(extractTextContent(th))
+      );
+
+      // The authority's own transaction/posting number, when the portal shows one
+      const transactionColumnIndex = headerCells.findIndex(th =>
+        /(transaction|posting|txn|reference|ref)\s*(#|no\.?|number|id)/i.test(extractTextContent(th))
+      );
+
+      const extractTransactionNumber = (container, cells) => {
+        if (transactionColumnIndex >= 0 && cells[transactionColumnIndex]) {
+          return extractTextContent(cells[transactionColumnIndex]) || null;
+        }
+
+        const element = container.matches('[data-transaction-id]')
+          ? container
+          : queryOne(container, 'ezpass.extract.transactionNumber');
+        if (!element) return null;
+
+        return element.getAttribute('data-transaction-id') || extractTextContent(element) || null;
+      };
+
+      // Try different table structures
+      const transactions = [];
+
+      // Method 1: Table rows
+      const tableRows = queryAll(document, 'ezpass.extract.rows');
+      
+      tableRows.forEach((row) => {
+        const cells = queryAll(row, 'ezpass.extract.cells');
+        
+        if (cells.length >= 3) {
+          const vehicleCell = vehicleColumnIndex >= 0
+            ? cells[vehicleColumnIndex]
+            : queryOne(row, 'ezpass.extract.vehicle');
+          const { tagNumber, plate } = parseVehicleIdentifier(extractTextContent(vehicleCell));
+
+          const transaction = {
+            transactionNumber: extractTransactionNumber(row, cells),
+            date: extractTextContent(cells[0]),
+            time: extractTextContent(cells[1]) || '',
+            location: extractTextContent(cells[2]) || '',
+            amount: parseAmount(extractTextContent(cells[3])),
+            description: extractTextContent(cells[4]) || '',
+            tagNumber: tagNumber,
+            plate: plate,
+            raw_data: Array.from(cells).map(cell => extractTextContent(cell))
+          };
+          
+          // Only add if we have essential data
+          if (transaction.date && transaction.amount > 0) {
+            transactions.push(transaction);
+          }
+        }
+      });
+
+      // Method 2: Structured divs (if table approach fails)
+      if (transactions.length === 0) {
+        const transactionItems = queryAll(document, 'ezpass.extract.items');
+        
+        transactionItems.forEach((item) => {
+          const dateElement = queryOne(item, 'ezpass.extract.itemDate');
+          const amountElement = queryOne(item, 'ezpass.extract.itemAmount');
+          const locationElement = queryOne(item, 'ezpass.extract.itemLocation');
+          const vehicleElement = queryOne(item, 'ezpass.extract.vehicle');
+          const { tagNumber, plate } = parseVehicleIdentifier(extractTextContent(vehicleElement));
+          
+          const transaction = {
+            transactionNumber: extractTransactionNumber(item, []),
+            date: extractTextContent(dateElement),
+            time: '',
+            location: extractTextContent(locationElement),
+            amount: parseAmount(extractTextContent(amountElement)),
+            description: extractTextContent(item),
+            tagNumber: tagNumber,
+            plate: plate,
+            raw_data: [extractTextContent(item)]
+          };
+          
+          if (transaction.date && transaction.amount > 0) {
+            transactions.push(transaction);
+          }
+        });
+      }
+
+      return { transactions, matched };
+    }, { platePrefixes: this.portal.platePrefixes, selectors });
+
+    this.selectors.recordMatches(matched);
+    return transactions;
+  }
+
+  /**
+   * Whether a page has reached transactions older than the scrape window
+   * Account history is listed newest first, so nothing after this page is needed.
+   */
+  isPastWindow(transactions) {
+    return transactions.some(transaction =>
+      transaction.timestamp && new Date(transaction.timestamp) < this.window.start
+    );
+  }
+
+  /**
+   * Zone one page of raw transactions
+   * IDs are assigned once every page and statement has been read.
+   */
+  normalizeTransactions(transactions) {
+    return transactions.map(transaction => this.applyTimezone(transaction));
+  }
+
+  /**
+   * Click "show more"/"load more" until the list reaches the start of the
+   * scrape window or the button goes away
+   * @returns {Promise<number>} number of clicks
+   */
+  async expandShowMore() {
+    let clicks = 0;
+    while (clicks < MAX_HISTORY_PAGES) {
+      const showMoreMatch = await this.selectors.find(this.page, 'ezpass.history.showMore', { visible: true, enabled: true });
+      if (!showMoreMatch) break;
+
+      const rowsBefore = await this.readTransactionPage();
+      if (this.isPastWindow(this.normalizeTransactions(rowsBefore))) break;
+
+      await showMoreMatch.element.click();
+      await this.page.waitForTimeout(2000); // Wait for more rows
+      clicks++;
+
+      // A button that no longer adds rows is the end of the list
+      if ((await this.readTransactionPage()).length <= rowsBefore.length) break;
+    }
+
+    if (clicks > 0) {
+      console.log(`Expanded transaction list ${clicks} times with "show more"`);
+    }
+    return clicks;
+  }
+
+  /**
+   * Go to the next page of account history
+   * @returns {Promise<boolean>} false when there is no enabled next-page control
+   */
+  async goToNextPage() {
+    const nextMatch = await this.selectors.find(this.page, 'ezpass.history.nextPage', { visible: true });
+    if (!nextMatch) return false;
+
+    const { element: nextButton, selector } = nextMatch;
+
     try {
-      console.log('Extracting toll transaction data...');
+      // Disabled controls on the last page are usually still rendered
+      const disabled = !(await nextButton.isEnabled()) || await nextButton.evaluate(element =>
+        element.getAttribute('aria-disabled') === 'true' ||
+        element.classList.contains('disabled') ||
+        Boolean(element.closest('.disabled'))
+      );
+      if (disabled) return false;
+
+      const firstRowBefore = JSON.stringify((await this.readTransactionPage())[0] || null);
+
+      console.log(`Going to next history page: ${selector}`);
+      await nextButton.click();
+      await this.page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => {});
+      await this.page.waitForTimeout(1000);
+
+      // Same first row means the click didn't change the page
+      const firstRowAfter = JSON.stringify((await this.readTransactionPage())[0] || null);
+      return firstRowAfter !== firstRowBefore;
+    } catch (e) {
+      console.warn(`Next history page control ${selector} failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Read a downloaded CSV/PDF statement with the statement importer
+   * Files in a layout the importer doesn't know are kept but not read.
+   */
+  async readStatementFile(filePath) {
+    try {
+      const { layout, transactions } = await this.statementImporter.readStatement(filePath);
+      console.log(`Read ${transactions.length} transactions from ${path.basename(filePath)} (${layout.name})`);
+      return transactions;
+    } catch (error) {
+      console.warn(`Could not read statement ${path.basename(filePath)}: ${error.message}`);
+      return [];
+    }
+  }
 
-      // Wait for transaction table/list to load
-      const tableSelectors = [
-        '.transaction-table',
-        '.transactions-list',
-        '.history-table',
-        'table',
-        '.transaction-row',
-        '.transaction-item'
-      ];
-
-      let transactionContainer = null;
-      for (const selector of tableSelectors) {
+  /**
+   * Download CSV/statement files linked from the history page
+   * @returns {Promise<Array<Array>>} raw transactions read from each statement
+   */
+  async downloadStatements() {
+    const statements = [];
+    const seenLinks = new Set();
+
+    for (const { elements: links } of await this.selectors.findAll(this.page, 'ezpass.history.download')) {
+      for (const link of links) {
         try {
-          await this.page.waitForSelector(selector, { timeout: 5000 });
-          transactionContainer = await this.page.$(selector);
-          if (transactionContainer) {
-            console.log(`Found transaction container: ${selector}`);
-            break;
-          }
+          const key = await link.evaluate(element => element.getAttribute('href') || element.textContent.trim());
+          if (seenLinks.has(key) || !(await link.isVisible())) continue;
+          seenLinks.add(key);
+
+          const [download] = await Promise.all([
+            this.page.waitForEvent('download', { timeout: 15000 }),
+            link.click()
+          ]);
+
+          await fs.mkdir(this.statementsDir, { recursive: true });
+          const filePath = path.join(this.statementsDir, `${this.portal.id}_${Date.now()}_${download.suggestedFilename()}`);
+          await download.saveAs(filePath);
+
+          const type = path.extname(filePath).slice(1).toLowerCase() || 'statement';
+          this.statementFiles.push({ path: filePath, type: type });
+          console.log(`Downloaded statement: ${path.basename(filePath)}`);
+
+          statements.push(await this.readStatementFile(filePath));
         } catch (e) {
-          // Continue to next selector
+          // Not a download link, or the download didn't start - continue
         }
       }
+    }
 
-      if (!transactionContainer) {
-        console.warn('No transaction table found - may be no transactions in date range');
-        return [];
-      }
+    return statements;
+  }
 
-      // Extract transaction data
-      const transactions = await this.page.evaluate(() => {
-        const extractTextContent = (element) => {
-          return element ? element.textContent.trim() : '';
-        };
+  /**
+   * Extract toll transaction data from every history page in the scrape window
+   */
+  async extractTollTransactions() {
+    try {
+      console.log('Extracting toll transaction data...');
 
-        const parseAmount = (amountText) => {
-          if (!amountText) return 0;
-          const match = amountText.match(/[\d.]+/);
-          return match ? parseFloat(match[0]) : 0;
-        };
+      const pageTransactions = [];
+      this.pagesRead = 0;
 
-        const parseDate = (dateText) => {
-          if (!dateText) return null;
-          try {
-            return new Date(dateText).toISOString().split('T')[0];
-          } catch (e) {
-            return dateText;
-          }
-        };
+      if (await this.waitForTransactionTable()) {
+        while (this.pagesRead < MAX_HISTORY_PAGES) {
+          await this.expandShowMore();
 
-        // Try different table structures
-        const transactions = [];
+          const transactions = this.normalizeTransactions(await this.readTransactionPage());
+          this.pagesRead++;
+          pageTransactions.push(...transactions);
+          console.log(`Page ${this.pagesRead}: extracted ${transactions.length} toll transactions`);
 
-        // Method 1: Table rows
-        const tableRows = document.querySelectorAll('table tbody tr, .transaction-row, .transaction-item');
-        
-        tableRows.forEach((row, index) => {
-          const cells = row.querySelectorAll('td, .cell, .transaction-field');
-          
-          if (cells.length >= 3) {
-            const transaction = {
-              id: `TXN_${Date.now()}_${index}`,
-              date: parseDate(extractTextContent(cells[0])),
-              time: extractTextContent(cells[1]) || '',
-              location: extractTextContent(cells[2]) || '',
-              amount: parseAmount(extractTextContent(cells[3])),
-              description: extractTextContent(cells[4]) || '',
-              raw_data: Array.from(cells).map(cell => extractTextContent(cell))
-            };
-            
-            // Only add if we have essential data
-            if (transaction.date && transaction.amount > 0) {
-              transactions.push(transaction);
-            }
+          if (this.isPastWindow(transactions)) {
+            console.log('Reached transactions older than the scrape window');
+            break;
           }
-        });
 
-        // Method 2: Structured divs (if table approach fails)
-        if (transactions.length === 0) {
-          const transactionItems = document.querySelectorAll('.transaction, .toll-record, .history-item');
-          
-          transactionItems.forEach((item, index) => {
-            const dateElement = item.querySelector('.date, .transaction-date, [class*="date"]');
-            const amountElement = item.querySelector('.amount, .transaction-amount, [class*="amount"]');
-            const locationElement = item.querySelector('.location, .toll-location, [class*="location"]');
-            
-            const transaction = {
-              id: `TXN_${Date.now()}_${index}`,
-              date: parseDate(extractTextContent(dateElement)),
-              time: '',
-              location: extractTextContent(locationElement),
-              amount: parseAmount(extractTextContent(amountElement)),
-              description: extractTextContent(item),
-              raw_data: [extractTextContent(item)]
-            };
-            
-            if (transaction.date && transaction.amount > 0) {
-              transactions.push(transaction);
-            }
-          });
+          if (!(await this.goToNextPage())) break;
         }
 
-        return transactions;
-      });
+        if (this.pagesRead >= MAX_HISTORY_PAGES) {
+          console.warn(`Stopped after ${MAX_HISTORY_PAGES} pages (EZPASS_MAX_PAGES) - older transactions may be missing`);
+        }
+      } else {
+        console.warn('No transaction table found - may be no transactions in date range');
+      }
 
-      console.log(`Extracted ${transactions.length} toll transactions`);
-      
-      // Filter for last 7 days (client-side filtering as backup)
-      const sevenDaysAgo = new Date(Date.now() - (7 * 24 * 60 * 60 * 1000));
-      const filteredTransactions = transactions.filter(transaction => {
-        if (!transaction.date) return false;
-        const transactionDate = new Date(transaction.date);
-        return transactionDate >= sevenDaysAgo;
-      });
+      // Statement downloads fill in anything the history pages didn't show
+      const statements = (await this.downloadStatements())
+        .map(transactions => assignTollIds(this.normalizeTransactions(transactions), this.state));
+      const statementCount = statements.reduce((count, transactions) => count + transactions.length, 0);
+
+      console.log(`Extracted ${pageTransactions.length} toll transactions from ${this.pagesRead} pages` +
+        (statementCount > 0 ? ` and ${statementCount} from statements` : ''));
+
+      // IDs are assigned over all history pages at once, so identical tolls on
+      // different pages stay distinct, and tolls also listed on a statement are
+      // kept once, under the transaction number the statement shows
+      const transactions = mergeTollSources([assignTollIds(pageTransactions, this.state), ...statements]);
 
-      console.log(`Filtered to ${filteredTransactions.length} transactions from last 7 days`);
+      // Filter to the scrape window (client-side filtering as backup)
+      const filteredTransactions = transactions.filter(transaction => isWithinWindow(transaction.timestamp, this.window));
+
+      const { start, end } = describeWindow(this.window);
+      console.log(`Filtered to ${filteredTransactions.length} transactions from ${start} to ${end}`);
       
       this.tollRecords = filteredTransactions;
       return filteredTransactions;
@@ -680,6 +763,24 @@ class EZPassScraper {
     }
   }
 
+  /**
+   * Resolve a transaction's portal date/time text to a zoned instant
+   */
+  applyTimezone(transaction) {
+    const zoned = toZonedTimestamp(transaction.date, transaction.time, this.timezone);
+
+    if (!zoned) {
+      console.warn(`Could not parse date "${transaction.date} ${transaction.time}" for transaction ${transaction.transactionNumber || transaction.location}`);
+    }
+
+    return {
+      ...transaction,
+      date: zoned ? zoned.date : null,
+      timestamp: zoned ? zoned.timestamp : null,
+      timezone: this.timezone
+    };
+  }
+
   /**
    * Take screenshots for each toll record
    */
@@ -697,7 +798,7 @@ class EZPassScraper {
           // Take a screenshot of the current page state
           const screenshotPath = path.join(
             this.screenshotsDir, 
-            `ezpass_toll_${record.id}_${Date.now()}.png`
+            `ezpass_toll_${record.id}.png`
           );
 
           await this.page.screenshot({
@@ -737,11 +838,11 @@ class EZPassScraper {
       
       const outputData = {
         scrapeDate: new Date().toISOString(),
-        dateRange: {
-          start: new Date(Date.now() - (7 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0],
-          end: new Date().toISOString().split('T')[0]
-        },
+        dateRange: describeWindow(this.window),
+        timezone: this.timezone,
         totalRecords: this.tollRecords.length,
+        pagesRead: this.pagesRead,
+        statementFiles: this.statementFiles,
         records: this.tollRecords
       };
 
@@ -757,10 +858,25 @@ class EZPassScraper {
     }
   }
 
+  /**
+   * Write which selectors matched this run, flagging any that fell back
+   */
+  async saveSelectorDrift() {
+    if (this.selectors.usage.size === 0) return;
+
+    try {
+      await this.selectors.saveDriftReport();
+    } catch (error) {
+      console.warn('Failed to save selector drift report:', error.message);
+    }
+  }
+
   /**
    * Cleanup browser resources
    */
   async cleanup() {
+    await this.saveSelectorDrift();
+
     try {
       if (this.page) {
         await this.page.close();
@@ -782,10 +898,22 @@ class EZPassScraper {
    */
   async scrape() {
     try {
-      console.log('Starting E-ZPass NY toll scraping...');
-
       // Get credentials
       const credentials = await this.getCredentials();
+
+      // The secret's state picks the E-ZPass portal, and with it the timezone
+      // toll times are posted in
+      if (!this.options.portal && credentials.state) {
+        this.usePortal(getEZPassPortal(credentials.state));
+      }
+
+      console.log(`Starting ${this.portal.name} toll scraping...`);
+
+      this.window = await resolveScrapeWindow('ezpass', this.options, {
+        timezone: this.timezone,
+        defaultDays: 7,
+        overlapDays: LATE_POSTING_OVERLAP_DAYS
+      });
       
       // Initialize browser
       await this.initializeBrowser();
@@ -807,17 +935,25 @@ class EZPassScraper {
       
       // Save results
       const outputPath = await this.saveTollRecords();
+
+      // Only a completed scrape moves the checkpoint forward
+      await saveCheckpoint('ezpass', this.window, {
+        recordCount: this.tollRecords.length,
+        pagesRead: this.pagesRead
+      });
       
-      console.log('E-ZPass scraping completed successfully!');
+      console.log(`${this.portal.name} scraping completed successfully!`);
       return {
         success: true,
         recordCount: this.tollRecords.length,
+        pagesRead: this.pagesRead,
+        statementFiles: this.statementFiles,
         outputPath: outputPath,
         records: this.tollRecords
       };
       
     } catch (error) {
-      console.error('E-ZPass scraping failed:', error);
+      console.error(`${this.portal.name} scraping failed:`, error);
       
       // Take error screenshot
       if (this.page) {
@@ -843,7 +979,12 @@ module.exports = EZPassScraper;
 
 // Run if called directly
 if (require.main === module) {
-  const scraper = new EZPassScraper();
+  const { options } = parseArgs();
+  const scraper = new EZPassScraper({
+    from: options.from,
+    to: options.to,
+    sinceLastRun: Boolean(options.sinceLastRun)
+  });
   
   scraper.scrape()
     .then(result => {
@@ -0,0 +1,424 @@
+/**
+ * E-ZPass Statement Importer
+ *
+ * Reads the transaction CSV export and the monthly PDF statement offered by the
+ * E-ZPass NY, NJ and PA Turnpike portals and writes the same `ezpass.json`
+ * records as the live scraper, so tolls can be loaded without Playwright when
+ * the portal changes or shows a CAPTCHA.
+ *
+ * Usage: node scrapers/ezpassStatement.js <file.csv|file.pdf> [...] [--layout ny|nj|pa] [--output path]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_TIMEZONE, AUTHORITY_TIMEZONES, formatZonedDate, toZonedTimestamp } = require('../utils/time');
+const { assignTollIds, mergeTollSources } = require('../utils/tollId');
+const { parseCsv } = require('../utils/csv');
+const { parseArgs } = require('../utils/cli');
+
+const AMOUNT_PATTERN = '-?\\(?-?\\$?[\\d,]+\\.\\d{2}\\)?(?:\\s*CR)?';
+const TIME_PATTERN = '\\d{1,2}:\\d{2}(?::\\d{2})?(?:\\s*[AP]M)?';
+
+/**
+ * Statement layouts by issuing agency
+ *
+ * csv.columns - header patterns per field; the first non-empty matching cell wins
+ * csv.requiredHeaders - headers that identify the layout
+ * pdf.detect - text that identifies the statement
+ * pdf.line - one transaction line; pdf.fields names its capture groups
+ * chargeSign - whether tolls are shown as positive or negative amounts
+ */
+const STATEMENT_LAYOUTS = {
+  ny: {
+    name: 'E-ZPass New York',
+    state: 'ny',
+    // Tolls are debits against the prepaid balance, payments are positive
+    chargeSign: 'negative',
+    csv: {
+      requiredHeaders: [/^posting date$/i, /^exit plaza$/i, /^balance$/i],
+      columns: {
+        date: [/^transaction date$/i],
+        time: [/^exit time$/i, /^entry time$/i],
+        location: [/^exit plaza$/i, /^entry plaza$/i],
+        amount: [/^amount$/i],
+        transactionNumber: [/lane\s*txn\s*id/i],
+        vehicle: [/tag\/plate/i],
+        agency: [/^agency$/i],
+        activity: [/^activity$/i]
+      }
+    },
+    pdf: {
+      detect: /E-ZPass New York/i,
+      line: new RegExp(`^(\\d{2}/\\d{2}/\\d{4})\\s+(\\d{2}/\\d{2}/\\d{4})\\s+(\\S+)\\s+(\\S+)\\s+(.+?)\\s+(${TIME_PATTERN})\\s+(${AMOUNT_PATTERN})$`, 'i'),
+      fields: ['postingDate', 'date', 'vehicle', 'agency', 'location', 'time', 'amount']
+    }
+  },
+  nj: {
+    name: 'E-ZPass New Jersey',
+    state: 'nj',
+    chargeSign: 'positive',
+    csv: {
+      requiredHeaders: [/^transaction id$/i, /^facility$/i, /^toll amount$/i],
+      columns: {
+        date: [/^transaction date$/i],
+        time: [/^transaction time$/i],
+        location: [/^exit plaza$/i, /^entry plaza$/i],
+        facility: [/^facility$/i],
+        amount: [/^toll amount$/i],
+        transactionNumber: [/^transaction id$/i],
+        tag: [/^tag number$/i],
+        plate: [/^license plate$/i],
+        agency: [/^agency$/i]
+      }
+    },
+    pdf: {
+      detect: /New Jersey E-ZPass/i,
+      line: new RegExp(`^(\\S*\\d\\S*)\\s+(\\d{2}/\\d{2}/\\d{4})\\s+(${TIME_PATTERN})\\s+(\\S+)\\s+(\\S+)\\s+(.+?)\\s+(${AMOUNT_PATTERN})$`, 'i'),
+      fields: ['transactionNumber', 'date', 'time', 'vehicle', 'facility', 'location', 'amount']
+    }
+  },
+  pa: {
+    name: 'Pennsylvania Turnpike E-ZPass',
+    state: 'pa',
+    chargeSign: 'positive',
+    csv: {
+      requiredHeaders: [/^trans #$/i, /^exit interchange$/i],
+      columns: {
+        // Date and time share one column ("07/14/2025 08:15:32")
+        dateTime: [/^trans date/i],
+        location: [/^exit interchange$/i],
+        entryLocation: [/^entry interchange$/i],
+        amount: [/^toll$/i, /amount/i],
+        transactionNumber: [/^trans #$/i],
+        vehicle: [/tag\/plate/i]
+      }
+    },
+    pdf: {
+      detect: /Pennsylvania Turnpike/i,
+      line: new RegExp(`^(\\d+)\\s+(\\S+)\\s+(\\d{2}/\\d{2}/\\d{4})\\s+(${TIME_PATTERN})\\s+(.+?)\\s+to\\s+(.+?)\\s+(${AMOUNT_PATTERN})$`, 'i'),
+      fields: ['transactionNumber', 'vehicle', 'date', 'time', 'entryLocation', 'location', 'amount']
+    }
+  }
+};
+
+/**
+ * Parse a statement amount as a signed number
+ * Handles $1,234.56, -$11.19, ($5.00) and 5.00 CR
+ */
+const parseSignedAmount = (text) => {
+  const value = String(text || '').trim();
+  const match = value.match(/[\d,]+\.?\d*/);
+  if (!match) return null;
+
+  const amount = parseFloat(match[0].replace(/,/g, ''));
+  const negative = /^-|-\$|^\(.*\)$|\bCR$/i.test(value);
+
+  return negative ? -amount : amount;
+};
+
+/**
+ * Split a "Tag/Plate" value into a transponder number or a license plate
+ * (same rule the scraper applies to portal rows)
+ */
+const parseVehicleIdentifier = (text) => {
+  const value = (text || '').trim();
+  if (!value) return { tagNumber: null, plate: null };
+
+  const digits = value.replace(/[\s-]/g, '');
+  if (/^\d{8,}$/.test(digits)) {
+    return { tagNumber: digits, plate: null };
+  }
+
+  return { tagNumber: null, plate: value.replace(/^(NY|NJ|PA|CT|MA)(\s*[-:]\s*|\s+)/i, '') };
+};
+
+class EZPassStatementImporter {
+  /**
+   * @param {Object} options - { layout } to skip layout detection
+   */
+  constructor(options = {}) {
+    this.layoutId = options.layout || null;
+    this.statementFiles = [];
+    this.tollRecords = [];
+  }
+
+  /**
+   * Pick the layout for a CSV header row
+   */
+  detectCsvLayout(headers) {
+    if (this.layoutId) return this.getLayout(this.layoutId);
+
+    const id = Object.keys(STATEMENT_LAYOUTS).find(key =>
+      STATEMENT_LAYOUTS[key].csv.requiredHeaders.every(pattern => headers.some(header => pattern.test(header)))
+    );
+
+    if (!id) {
+      throw new Error(`Unrecognized statement CSV layout (headers: ${headers.join(', ')}) - pass --layout ny|nj|pa`);
+    }
+    return { id, ...STATEMENT_LAYOUTS[id] };
+  }
+
+  /**
+   * Pick the layout for PDF statement text
+   */
+  detectPdfLayout(text) {
+    if (this.layoutId) return this.getLayout(this.layoutId);
+
+    const id = Object.keys(STATEMENT_LAYOUTS).find(key => STATEMENT_LAYOUTS[key].pdf.detect.test(text));
+
+    if (!id) {
+      throw new Error('Unrecognized PDF statement - pass --layout ny|nj|pa');
+    }
+    return { id, ...STATEMENT_LAYOUTS[id] };
+  }
+
+  getLayout(id) {
+    const layout = STATEMENT_LAYOUTS[String(id).toLowerCase()];
+    if (!layout) {
+      throw new Error(`Unknown statement layout "${id}" (expected ${Object.keys(STATEMENT_LAYOUTS).join(', ')})`);
+    }
+    return { id: String(id).toLowerCase(), ...layout };
+  }
+
+  /**
+   * Turn layout fields into a raw transaction (same shape as a scraped table row)
+   * Returns null for payments, credits and other non-toll lines.
+   */
+  buildTransaction(fields, layout, source, rawData) {
+    const signed = parseSignedAmount(fields.amount);
+    if (signed === null) return null;
+
+    const amount = layout.chargeSign === 'negative' ? -signed : signed;
+    if (amount <= 0) return null;
+
+    if (fields.activity && !/toll/i.test(fields.activity)) return null;
+
+    const { tagNumber, plate } = fields.vehicle
+      ? parseVehicleIdentifier(fields.vehicle)
+      : { tagNumber: fields.tag ? fields.tag.replace(/[\s-]/g, '') : null, plate: fields.plate || null };
+
+    const description = [fields.agency, fields.facility].filter(Boolean).join(' ') || 'Toll Transaction';
+
+    return {
+      transactionNumber: fields.transactionNumber || null,
+      date: fields.date,
+      time: fields.time || '',
+      location: fields.location || fields.entryLocation || '',
+      entryLocation: fields.entryLocation || null,
+      amount: amount,
+      description: description,
+      tagNumber: tagNumber || null,
+      plate: tagNumber ? null : plate || null,
+      raw_data: rawData,
+      source: source
+    };
+  }
+
+  /**
+   * Parse statement CSV text
+   * @returns {{ layout: Object, transactions: Array }}
+   */
+  parseCsvStatement(content) {
+    const { headers, records } = parseCsv(content);
+    const layout = this.detectCsvLayout(headers);
+
+    // Every header matching a field, in pattern order (exit plaza, then entry plaza)
+    const columns = {};
+    for (const [field, patterns] of Object.entries(layout.csv.columns)) {
+      columns[field] = patterns
+        .map(pattern => headers.find(header => pattern.test(header)))
+        .filter(Boolean);
+    }
+
+    const transactions = records
+      .map(record => {
+        const fields = {};
+        for (const [field, fieldHeaders] of Object.entries(columns)) {
+          fields[field] = fieldHeaders.map(header => record[header]).find(Boolean) || '';
+        }
+
+        if (fields.dateTime) {
+          const [date, ...time] = fields.dateTime.split(/\s+/);
+          fields.date = date;
+          fields.time = time.join(' ');
+        }
+
+        return this.buildTransaction(fields, layout, 'csv', headers.map(header => record[header]));
+      })
+      .filter(transaction => transaction && transaction.date);
+
+    return { layout, transactions };
+  }
+
+  /**
+   * Parse text extracted from a PDF statement, one transaction per line
+   * @returns {{ layout: Object, transactions: Array }}
+   */
+  parsePdfText(text) {
+    const layout = this.detectPdfLayout(text);
+    const transactions = [];
+
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim().replace(/\s+/g, ' ');
+      const match = trimmed.match(layout.pdf.line);
+      if (!match) continue;
+
+      const fields = {};
+      layout.pdf.fields.forEach((field, index) => {
+        fields[field] = match[index + 1];
+      });
+
+      const transaction = this.buildTransaction(fields, layout, 'pdf', [trimmed]);
+      if (transaction) transactions.push(transaction);
+    }
+
+    return { layout, transactions };
+  }
+
+  /**
+   * Extract the text of a PDF statement
+   */
+  async extractPdfText(filePath) {
+    // Loaded lazily so CSV-only imports don't need the PDF parser; the lib path
+    // skips pdf-parse's debug entry point
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+    // Copy out of Node's shared buffer pool: the PDF reader uses the underlying
+    // ArrayBuffer and misreads small files that sit at a pool offset
+    const data = await pdfParse(new Uint8Array(await fs.readFile(filePath)));
+    return data.text;
+  }
+
+  /**
+   * Read one statement file (.csv or .pdf) into raw transactions
+   * @returns {Promise<{ layout: Object, transactions: Array }>}
+   */
+  async readStatement(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.csv') {
+      return this.parseCsvStatement(await fs.readFile(filePath, 'utf8'));
+    }
+    if (extension === '.pdf') {
+      const result = this.parsePdfText(await this.extractPdfText(filePath));
+      // The PDF itself is the proof of the charge
+      result.transactions = result.transactions.map(transaction => ({ ...transaction, statementPath: filePath }));
+      return result;
+    }
+
+    throw new Error(`Unsupported statement file type "${extension}" (expected .csv or .pdf)`);
+  }
+
+  /**
+   * Zone and ID raw transactions the same way the scraper does
+   */
+  normalizeTransactions(transactions, layout) {
+    const timezone = process.env.EZPASS_TIMEZONE || AUTHORITY_TIMEZONES[layout.state] || DEFAULT_TIMEZONE;
+
+    const zoned = transactions.map(transaction => {
+      const result = toZonedTimestamp(transaction.date, transaction.time, timezone);
+
+      if (!result) {
+        console.warn(`Could not parse date "${transaction.date} ${transaction.time}" for transaction ${transaction.transactionNumber || transaction.location}`);
+      }
+
+      return {
+        ...transaction,
+        date: result ? result.date : null,
+        timestamp: result ? result.timestamp : null,
+        timezone: timezone,
+        screenshotPath: null
+      };
+    });
+
+    return assignTollIds(zoned, layout.state);
+  }
+
+  /**
+   * Import statement files into normalized toll records
+   */
+  async importFiles(filePaths) {
+    try {
+      const statements = [];
+
+      for (const filePath of filePaths) {
+        console.log(`Importing statement: ${filePath}`);
+        const { layout, transactions } = await this.readStatement(filePath);
+
+        const normalized = this.normalizeTransactions(transactions, layout);
+        console.log(`Read ${normalized.length} tolls from ${path.basename(filePath)} (${layout.name} ${path.extname(filePath).slice(1).toUpperCase()})`);
+
+        this.statementFiles.push({ path: path.resolve(filePath), layout: layout.id, records: normalized.length });
+        statements.push(normalized);
+      }
+
+      // Overlapping statements (CSV and PDF for the same month) list the same tolls
+      this.tollRecords = mergeTollSources(statements);
+      return this.tollRecords;
+    } catch (error) {
+      console.error('Failed to import statements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save imported records in the scraper's ezpass.json format
+   */
+  async saveTollRecords(outputPath = path.join(__dirname, 'ezpass.json')) {
+    try {
+      const timestamps = this.tollRecords.map(record => record.timestamp).filter(Boolean).sort();
+      const timezone = this.tollRecords.length > 0 ? this.tollRecords[0].timezone : DEFAULT_TIMEZONE;
+
+      const outputData = {
+        scrapeDate: new Date().toISOString(),
+        source: 'statement',
+        dateRange: {
+          start: timestamps.length > 0 ? formatZonedDate(new Date(timestamps[0]), timezone) : null,
+          end: timestamps.length > 0 ? formatZonedDate(new Date(timestamps[timestamps.length - 1]), timezone) : null
+        },
+        timezone: timezone,
+        totalRecords: this.tollRecords.length,
+        statementFiles: this.statementFiles,
+        records: this.tollRecords
+      };
+
+      await fs.writeFile(outputPath, JSON.stringify(outputData, null, 2));
+
+      console.log(`Toll records saved to: ${outputPath}`);
+      console.log(`Total records: ${this.tollRecords.length}`);
+
+      return outputPath;
+    } catch (error) {
+      console.error('Failed to save toll records:', error);
+      throw error;
+    }
+  }
+}
+
+// Export for use as module
+module.exports = EZPassStatementImporter;
+module.exports.STATEMENT_LAYOUTS = STATEMENT_LAYOUTS;
+module.exports.parseSignedAmount = parseSignedAmount;
+
+// Run if called directly
+if (require.main === module) {
+  const { options, positional } = parseArgs();
+
+  if (positional.length === 0) {
+    console.error('Usage: node scrapers/ezpassStatement.js <statement.csv|statement.pdf> [...] [--layout ny|nj|pa] [--output path]');
+    process.exit(1);
+  }
+
+  const importer = new EZPassStatementImporter({ layout: options.layout });
+
+  importer.importFiles(positional)
+    .then(() => importer.saveTollRecords(options.output ? path.resolve(options.output) : undefined))
+    .then(outputPath => {
+      console.log('Statement import completed:', outputPath);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Statement import failed:', error);
+      process.exit(1);
+    });
+}
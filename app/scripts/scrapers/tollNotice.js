@@ -0,0 +1,284 @@
+/**
+ * Toll Notice Importer
+ *
+ * Reads toll-by-mail invoices and violation notices (PDFs as mailed or
+ * downloaded, or JSON entered by hand) and writes their tolls to
+ * `notices.json` in the ezpass.json record shape. TollTripMatcher adds those
+ * records to the scraped tolls, and each record keeps the notice's fees
+ * itemized so the claim can include them.
+ *
+ * Usage: node scrapers/tollNotice.js <notice.pdf|notice.json> [...] [--agency id] [--output path]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_TIMEZONE, AUTHORITY_TIMEZONES, toZonedTimestamp } = require('../utils/time');
+const { NOTICE_TYPES, buildNoticeRecords, sumAmounts } = require('../utils/notices');
+const { parseArgs } = require('../utils/cli');
+const { dedupeBy } = require('../utils/scrapeWindow');
+
+const DEFAULT_NOTICES_FILE = path.join(__dirname, 'notices.json');
+
+const DATE_PATTERN = '\\d{1,2}/\\d{1,2}/\\d{4}';
+const TIME_PATTERN = '\\d{1,2}:\\d{2}(?::\\d{2})?(?:\\s*[AP]M)?';
+const AMOUNT_PATTERN = '\\$?[\\d,]+\\.\\d{2}';
+
+// [transaction #] date [time] location toll [fee]
+const TOLL_LINE = new RegExp(
+  `^(?:([0-9A-Z-]*\\d[0-9A-Z-]{4,})\\s+)?(${DATE_PATTERN})\\s+(?:(${TIME_PATTERN})\\s+)?(.+?)\\s+(${AMOUNT_PATTERN})(?:\\s+(${AMOUNT_PATTERN}))?$`,
+  'i'
+);
+
+// "Late Fee: $5.00", "Administrative Fee $25.00", "Violation Penalty $50.00"
+const FEE_LINE = new RegExp(`^([A-Za-z][A-Za-z /&-]*?\\b(?:fee|fees|penalty|surcharge)\\b[A-Za-z /&-]*?)\\s*:?\\s*(${AMOUNT_PATTERN})$`, 'i');
+const NOT_A_FEE = /total|balance|amount\s*due|paid|payment|toll\s*charges?/i;
+
+/**
+ * Agencies recognised from a notice's letterhead, in priority order
+ */
+const NOTICE_AGENCIES = [
+  { agency: 'ezpass-ny', pattern: /tolls\s*by\s*mail|new\s*york\s*state\s*thruway|mta\s*bridges|e-?zpass\s*new\s*york/i },
+  { agency: 'ezpass-pa', pattern: /pennsylvania\s*turnpike|pa\s*turnpike|toll\s*by\s*plate\s*pa/i },
+  { agency: 'ezpass-nj', pattern: /new\s*jersey\s*(e-?zpass|turnpike\s*authority)|nj\s*e-?zpass/i },
+  { agency: 'ezpass-ma', pattern: /massdot|ezdrivema|massachusetts/i },
+  { agency: 'sunpass', pattern: /sunpass|florida'?s\s*turnpike/i },
+  { agency: 'fastrak', pattern: /fastrak|golden\s*gate\s*bridge|bay\s*area\s*toll/i },
+  { agency: 'illinois-tollway', pattern: /illinois\s*tollway|i-?pass/i }
+];
+
+const parseAmount = (text) => (text ? parseFloat(text.replace(/[$,]/g, '')) : null);
+
+class TollNoticeImporter {
+  /**
+   * @param {Object} options - { agency } to override letterhead detection
+   */
+  constructor(options = {}) {
+    this.agency = options.agency || null;
+    this.noticeFiles = [];
+    this.notices = [];
+    this.tollRecords = [];
+  }
+
+  /**
+   * Agency that issued a notice, from its letterhead
+   */
+  detectAgency(text) {
+    const match = NOTICE_AGENCIES.find(({ pattern }) => pattern.test(text));
+    return match ? match.agency : null;
+  }
+
+  /**
+   * Parse the text of a notice PDF into a structured notice
+   */
+  parseNoticeText(text) {
+    const lines = text.split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const find = (pattern) => {
+      for (const line of lines) {
+        const match = line.match(pattern);
+        if (match) return match;
+      }
+      return null;
+    };
+
+    const agency = this.agency || this.detectAgency(text);
+    const noticeType = /violation|citation|penalty\s*notice/i.test(text) ? 'violation' : 'toll-by-mail';
+    const noticeNumber = find(/(?:invoice|notice|violation|citation)\s*(?:number|no\.?|#|id)\s*:?\s*([A-Z0-9-]{4,})/i);
+    const plate = find(/plate(?:\s*(?:number|no\.?|#))?\s*:\s*([A-Z0-9-]{2,10})(?:\s+\(?([A-Z]{2})\)?)?/i);
+    const plateState = find(/plate\s*state\s*:\s*([A-Z]{2})\b/i);
+    const issuedDate = find(new RegExp(`(?:invoice|notice|issue|mail(?:ing)?)\\s*date\\s*:?\\s*(${DATE_PATTERN})`, 'i'));
+    const dueDate = find(new RegExp(`due\\s*(?:date|by)?\\s*:?\\s*(${DATE_PATTERN})`, 'i'));
+
+    if (!noticeNumber) {
+      throw new Error('No invoice or notice number found on notice');
+    }
+
+    // A fee column on the toll lines ("Toll  Admin Fee") names the per-toll fee
+    const feeHeader = find(/\b(toll|amount)\b.*?\b((?:[A-Za-z]+\s+)?(?:fee|penalty))\s*$/i);
+    const lineFeeDescription = feeHeader
+      ? feeHeader[2].replace(/\b\w/g, letter => letter.toUpperCase())
+      : (noticeType === 'violation' ? 'Violation Fee' : 'Toll-by-Mail Fee');
+
+    const items = [];
+    const fees = [];
+
+    for (const line of lines) {
+      const tollMatch = line.match(TOLL_LINE);
+      if (tollMatch) {
+        const [, transactionNumber, date, time, location, amount, fee] = tollMatch;
+        items.push({
+          transactionNumber: transactionNumber || null,
+          date: date,
+          time: time || '',
+          location: location.trim(),
+          amount: parseAmount(amount),
+          fees: fee ? [{ description: lineFeeDescription, amount: parseAmount(fee) }] : [],
+          raw_data: [line]
+        });
+        continue;
+      }
+
+      const feeMatch = line.match(FEE_LINE);
+      if (feeMatch && !NOT_A_FEE.test(feeMatch[1])) {
+        fees.push({ description: feeMatch[1].trim(), amount: parseAmount(feeMatch[2]) });
+      }
+    }
+
+    if (items.length === 0) {
+      throw new Error(`No tolls found on notice ${noticeNumber[1]}`);
+    }
+
+    const state = agency ? null : (plate && plate[2] ? plate[2].toLowerCase() : null);
+    const timezone = AUTHORITY_TIMEZONES[state] || DEFAULT_TIMEZONE;
+    const toIsoDate = (match) => {
+      const zoned = match ? toZonedTimestamp(match[1], null, timezone) : null;
+      return zoned ? zoned.date : null;
+    };
+
+    return {
+      noticeNumber: noticeNumber[1],
+      noticeType: noticeType,
+      agency: agency,
+      state: state,
+      plate: plate ? plate[1].toUpperCase() : null,
+      plateState: plateState ? plateState[1].toUpperCase() : (plate && plate[2] ? plate[2].toUpperCase() : null),
+      issuedDate: toIsoDate(issuedDate),
+      dueDate: toIsoDate(dueDate),
+      items: items,
+      fees: fees
+    };
+  }
+
+  /**
+   * Extract the text of a PDF notice
+   */
+  async extractPdfText(filePath) {
+    // Loaded lazily so JSON-only imports don't need the PDF parser
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+    // Copy out of Node's shared buffer pool (see ezpassStatement.js)
+    const data = await pdfParse(new Uint8Array(await fs.readFile(filePath)));
+    return data.text;
+  }
+
+  /**
+   * Read one notice file into structured notices
+   * A JSON file holds one notice or `{ "notices": [...] }`.
+   */
+  async readNotice(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.pdf') {
+      const notice = this.parseNoticeText(await this.extractPdfText(filePath));
+      // The notice itself is the proof of the charge
+      return [{ ...notice, documentPath: filePath }];
+    }
+    if (extension === '.json') {
+      const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      const notices = Array.isArray(content.notices) ? content.notices : [content];
+
+      for (const notice of notices) {
+        if (!notice.noticeNumber || !Array.isArray(notice.items) || notice.items.length === 0) {
+          throw new Error(`Notice in ${path.basename(filePath)} needs a noticeNumber and at least one item`);
+        }
+        if (notice.noticeType && !NOTICE_TYPES.includes(notice.noticeType)) {
+          throw new Error(`Unknown notice type "${notice.noticeType}" (expected ${NOTICE_TYPES.join(' or ')})`);
+        }
+      }
+
+      return notices.map(notice => ({
+        noticeType: 'toll-by-mail',
+        ...notice,
+        agency: this.agency || notice.agency || null
+      }));
+    }
+
+    throw new Error(`Unsupported notice file type "${extension}" (expected .pdf or .json)`);
+  }
+
+  /**
+   * Import one or more notice files
+   */
+  async importFiles(filePaths) {
+    try {
+      const records = [];
+
+      for (const filePath of filePaths) {
+        console.log(`Importing toll notice: ${filePath}`);
+        const notices = await this.readNotice(filePath);
+        const fileRecords = notices.flatMap(notice => buildNoticeRecords(notice));
+
+        console.log(`Read ${fileRecords.length} tolls from ${notices.length} notice(s) in ${path.basename(filePath)}`);
+        this.noticeFiles.push({ path: path.resolve(filePath), notices: notices.length, records: fileRecords.length });
+        this.notices.push(...notices);
+        records.push(...fileRecords);
+      }
+
+      // A notice imported twice (PDF and JSON, or a reprint) keeps one copy of each toll
+      this.tollRecords = dedupeBy(records, record => record.id);
+      return this.tollRecords;
+    } catch (error) {
+      console.error('Failed to import toll notices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save notice tolls in the ezpass.json format
+   */
+  async saveNoticeRecords(outputPath = DEFAULT_NOTICES_FILE) {
+    try {
+      const dates = this.tollRecords.map(record => record.date).filter(Boolean).sort();
+
+      const outputData = {
+        scrapeDate: new Date().toISOString(),
+        source: 'notice',
+        dateRange: {
+          start: dates[0] || null,
+          end: dates[dates.length - 1] || null
+        },
+        totalRecords: this.tollRecords.length,
+        totalTollAmount: sumAmounts(this.tollRecords),
+        totalFeeAmount: sumAmounts(this.tollRecords.flatMap(record => record.fees)),
+        noticeFiles: this.noticeFiles,
+        records: this.tollRecords
+      };
+
+      await fs.writeFile(outputPath, JSON.stringify(outputData, null, 2));
+
+      console.log(`Notice tolls saved to: ${outputPath}`);
+      console.log(`Total records: ${this.tollRecords.length} (fees $${outputData.totalFeeAmount.toFixed(2)})`);
+
+      return outputPath;
+    } catch (error) {
+      console.error('Failed to save notice tolls:', error);
+      throw error;
+    }
+  }
+}
+
+// Export for use as module
+module.exports = TollNoticeImporter;
+module.exports.DEFAULT_NOTICES_FILE = DEFAULT_NOTICES_FILE;
+
+// Run if called directly
+if (require.main === module) {
+  const { options, positional } = parseArgs();
+
+  if (positional.length === 0) {
+    console.error('Usage: node scrapers/tollNotice.js <notice.pdf|notice.json> [...] [--agency id] [--output path]');
+    process.exit(1);
+  }
+
+  const importer = new TollNoticeImporter({ agency: options.agency });
+
+  importer.importFiles(positional)
+    .then(() => importer.saveNoticeRecords(options.output ? path.resolve(options.output) : undefined))
+    .then(outputPath => {
+      console.log('Toll notice import completed:', outputPath);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Toll notice import failed:', error);
+      process.exit(1);
+    });
+}
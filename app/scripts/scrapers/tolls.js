@@ -0,0 +1,191 @@
+/**
+ * Toll Account Scraper
+ *
+ * Pulls tolls from every account in the toll accounts config (E-ZPass NY/NJ/PA/MA,
+ * SunPass, FasTrak, Illinois Tollway) through the provider registry and writes
+ * them together to ezpass.json, the file the matcher reads. Each record carries
+ * the `provider` and `account` it came from.
+ *
+ * Each account keeps its own --since-last-run checkpoint. An account that fails
+ * is reported and skipped; the run fails only when every account fails.
+ *
+ * Usage: node scrapers/tolls.js [--from date] [--to date] [--since-last-run] [--accounts file]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createProvider } = require('../providers');
+const { loadTollAccounts } = require('../providers/accounts');
+const { parseArgs } = require('../utils/cli');
+const { DEFAULT_TIMEZONE } = require('../utils/time');
+const { resolveScrapeWindow, saveCheckpoint, describeWindow, dedupeBy } = require('../utils/scrapeWindow');
+
+// Agencies post some tolls weeks late, so --since-last-run re-reads this much of the last window
+const LATE_POSTING_OVERLAP_DAYS = parseInt(process.env.EZPASS_OVERLAP_DAYS) || 30;
+
+class TollAccountScraper {
+  /**
+   * @param {Object} options - { from, to, sinceLastRun, accountsFile, outputPath }
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.outputPath = options.outputPath || process.env.TOLL_RECORDS_FILE || path.join(__dirname, 'ezpass.json');
+    this.accountResults = [];
+    this.tollRecords = [];
+  }
+
+  /**
+   * Log in to one account, list its tolls in the window and fetch a receipt for each
+   */
+  async scrapeAccount(account) {
+    const provider = createProvider(account);
+
+    try {
+      console.log(`Scraping ${provider.name} account "${provider.label}"...`);
+
+      const credentials = await provider.getCredentials();
+      const window = await resolveScrapeWindow(provider.checkpointKey, this.options, {
+        timezone: provider.timezone,
+        defaultDays: 7,
+        overlapDays: LATE_POSTING_OVERLAP_DAYS
+      });
+
+      await provider.login(credentials);
+      const records = await provider.listTransactions(window);
+
+      for (const record of records) {
+        try {
+          const receipt = await provider.fetchReceipt(record);
+          record.receipt = receipt;
+          if (receipt && receipt.type === 'screenshot') {
+            record.screenshotPath = receipt.path;
+            record.screenshotFilename = path.basename(receipt.path);
+          }
+        } catch (error) {
+          console.error(`Failed to fetch receipt for ${record.id}:`, error.message);
+          record.receipt = null;
+        }
+      }
+
+      await saveCheckpoint(provider.checkpointKey, window, { recordCount: records.length });
+
+      console.log(`${provider.name} account "${provider.label}": ${records.length} tolls`);
+      return {
+        provider: provider.id,
+        account: provider.label,
+        success: true,
+        recordCount: records.length,
+        dateRange: describeWindow(window),
+        records: records
+      };
+    } finally {
+      await provider.cleanup();
+    }
+  }
+
+  /**
+   * Scrape every enabled account and save the combined records
+   */
+  async scrape() {
+    try {
+      const accounts = await loadTollAccounts(this.options.accountsFile);
+      console.log(`Scraping ${accounts.length} toll account(s): ${accounts.map(account => account.label).join(', ')}`);
+
+      const records = [];
+
+      for (const account of accounts) {
+        try {
+          const result = await this.scrapeAccount(account);
+          records.push(...result.records);
+          delete result.records;
+          this.accountResults.push(result);
+        } catch (error) {
+          console.error(`Toll account "${account.label}" (${account.provider}) failed:`, error.message);
+          this.accountResults.push({
+            provider: account.provider,
+            account: account.label,
+            success: false,
+            error: error.message
+          });
+        }
+      }
+
+      if (accounts.length > 0 && this.accountResults.every(result => !result.success)) {
+        throw new Error('Every toll account failed to scrape');
+      }
+
+      // IDs carry the agency's state, so records from different agencies can't collide
+      this.tollRecords = dedupeBy(records, record => record.id);
+
+      const outputPath = await this.saveTollRecords();
+
+      return {
+        success: true,
+        recordCount: this.tollRecords.length,
+        accounts: this.accountResults,
+        outputPath: outputPath
+      };
+    } catch (error) {
+      console.error('Toll account scraping failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save combined toll records in the ezpass.json format
+   */
+  async saveTollRecords() {
+    try {
+      const dates = this.tollRecords.map(record => record.date).filter(Boolean).sort();
+      const timezones = [...new Set(this.tollRecords.map(record => record.timezone).filter(Boolean))];
+
+      const outputData = {
+        scrapeDate: new Date().toISOString(),
+        source: 'providers',
+        dateRange: {
+          start: dates[0] || null,
+          end: dates[dates.length - 1] || null
+        },
+        // Per-record timezones win; this is only set when every record shares one
+        timezone: timezones.length === 1 ? timezones[0] : (timezones.length === 0 ? DEFAULT_TIMEZONE : null),
+        totalRecords: this.tollRecords.length,
+        accounts: this.accountResults,
+        records: this.tollRecords
+      };
+
+      await fs.writeFile(this.outputPath, JSON.stringify(outputData, null, 2));
+
+      console.log(`Toll records saved to: ${this.outputPath}`);
+      console.log(`Total records: ${this.tollRecords.length}`);
+
+      return this.outputPath;
+    } catch (error) {
+      console.error('Failed to save toll records:', error);
+      throw error;
+    }
+  }
+}
+
+// Export for use as module
+module.exports = TollAccountScraper;
+
+// Run if called directly
+if (require.main === module) {
+  const { options } = parseArgs();
+  const scraper = new TollAccountScraper({
+    from: options.from,
+    to: options.to,
+    sinceLastRun: Boolean(options.sinceLastRun),
+    accountsFile: options.accounts ? path.resolve(options.accounts) : undefined
+  });
+
+  scraper.scrape()
+    .then(result => {
+      console.log('Toll account scraping completed:', result);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Toll account scraping failed:', error);
+      process.exit(1);
+    });
+}
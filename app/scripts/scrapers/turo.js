@@ -1,7 +1,8 @@
 /**
  * Turo Host Dashboard Scraper
  * 
- * Logs into the Turo host dashboard and scrapes trip data from the past 7 days.
+ * Logs into the Turo host dashboard and scrapes trip data for the requested window
+ * (--from/--to, --since-last-run, or the past 7 days by default).
  * Uses Playwright for browser automation and AWS Secrets Manager for credentials.
  * 
  * @Scraper-Agent Implementation
@@ -11,6 +12,19 @@ const { chromium } = require('playwright');
 const AWS = require('aws-sdk');
 const fs = require('fs').promises;
 const path = require('path');
+const { DEFAULT_TIMEZONE, formatZonedDate, toZonedTimestamp } = require('../utils/time');
+const { parseArgs } = require('../utils/cli');
+const { SelectorRegistry } = require('../utils/selectors');
+const {
+  resolveScrapeWindow,
+  saveCheckpoint,
+  describeWindow,
+  isWithinWindow,
+  dedupeBy
+} = require('../utils/scrapeWindow');
+
+// Trips can be edited or extended after they end, so --since-last-run re-reads the last day
+const TRIP_UPDATE_OVERLAP_DAYS = parseInt(process.env.TURO_OVERLAP_DAYS) || 1;
 
 // Configure AWS
 AWS.config.update({
@@ -26,12 +40,19 @@ AWS.config.update({
 const secretsManager = new AWS.SecretsManager();
 
 class TuroScraper {
-  constructor() {
+  /**
+   * @param {Object} options - { from, to, sinceLastRun } scrape window options
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.window = null;
     this.browser = null;
     this.context = null;
     this.page = null;
     this.tripData = [];
     this.screenshotsDir = path.join(__dirname, 'screenshots');
+    this.timezone = process.env.TURO_TIMEZONE || DEFAULT_TIMEZONE;
+    this.selectors = new SelectorRegistry('turo');
   }
 
   /**
@@ -128,152 +149,51 @@ class TuroScraper {
       // Wait for page to fully render
       await page.waitForTimeout(2000);
 
-      // Comprehensive selectors for email field
-      const EMAIL_SELECTORS = [
-        // ID-based
-        'input#email',
-        'input#emailAddress',
-        'input#username',
-        'input#loginEmail',
-        'input#userEmail',
-        // Name attribute
-        'input[name="email"]',
-        'input[name="emailAddress"]',
-        'input[name="username"]',
-        'input[name="loginEmail"]',
-        'input[name="userEmail"]',
-        // Type-based
-        'input[type="email"]',
-        // Placeholder-based
-        'input[placeholder*="email" i]',
-        'input[placeholder*="e-mail" i]',
-        'input[placeholder*="username" i]',
-        'input[placeholder*="address" i]',
-        // Aria labels
-        'input[aria-label*="email" i]',
-        'input[aria-label*="e-mail" i]',
-        'input[aria-label*="username" i]',
-        // Data attributes
-        'input[data-testid*="email" i]',
-        'input[data-testid*="username" i]',
-        'input[data-automation*="email" i]',
-        // Autocomplete
-        'input[autocomplete="email"]',
-        'input[autocomplete="username"]',
-        // Class-based
-        'input[class*="email" i]',
-        'input[class*="username" i]',
-        // Generic text input in login form
-        'form input[type="text"]:not([type="password"])',
-        '#loginForm input[type="text"]',
-        '.login-form input[type="text"]'
-      ];
-      
-      const PASS_SELECTORS = [
-        // ID-based
-        'input#password',
-        'input#pass',
-        'input#pwd',
-        'input#loginPassword',
-        'input#userPassword',
-        // Name attribute
-        'input[name="password"]',
-        'input[name="pass"]',
-        'input[name="pwd"]',
-        'input[name="loginPassword"]',
-        'input[name="userPassword"]',
-        // Type-based (most reliable)
-        'input[type="password"]',
-        // Placeholder-based
-        'input[placeholder*="password" i]',
-        'input[placeholder*="pass" i]',
-        // Aria labels
-        'input[aria-label*="password" i]',
-        // Data attributes
-        'input[data-testid*="password" i]',
-        'input[data-automation*="password" i]',
-        // Autocomplete
-        'input[autocomplete="current-password"]',
-        'input[autocomplete="password"]',
-        // Class-based
-        'input[class*="password" i]'
-      ];
-
-      // Find email field with timeout per selector
+      // Find email field, waiting briefly for each candidate to be interactable
       console.log('🔍 Looking for email field...');
-      let emailField = null;
-      let foundEmailSelector = null;
-      
-      for (const selector of EMAIL_SELECTORS) {
-        if (Date.now() - startTime > 15000) break; // Leave time for other operations
-        
-        console.log(`  Trying selector: ${selector}`);
-        try {
-          await page.waitForSelector(selector, { 
-            timeout: 3000, 
-            state: 'visible' 
-          });
-          emailField = await page.$(selector);
-          if (emailField && await emailField.isVisible()) {
-            foundEmailSelector = selector;
-            console.log(`  ✅ Found email field with: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Selector not found, continue
-        }
-      }
+      const emailMatch = await this.selectors.find(page, 'turo.login.email', {
+        waitTimeout: 3000,
+        deadline: startTime + 15000 // Leave time for other operations
+      });
       
-      if (!emailField) {
-        const errorMsg = `Email field not found. Tried ${EMAIL_SELECTORS.length} selectors`;
+      if (!emailMatch) {
+        const tried = this.selectors.candidates('turo.login.email');
+        const errorMsg = `Email field not found. Tried ${tried.length} selectors`;
         console.error(`❌ ${errorMsg}`);
         console.error(`Current URL: ${page.url()}`);
         console.error(`Page title: "${await page.title()}"`);
-        console.error(`Tried selectors: ${EMAIL_SELECTORS.slice(0, 5).join(', ')}... (and ${EMAIL_SELECTORS.length - 5} more)`);
+        console.error(`Tried selectors: ${tried.slice(0, 5).join(', ')}... (and ${tried.length - 5} more)`);
         
         await page.screenshot({ 
           path: path.join(this.screenshotsDir, `turo_email_not_found_${Date.now()}.png`) 
         });
         throw new Error(errorMsg);
       }
+      console.log(`  ✅ Found email field with: ${emailMatch.selector}`);
+      const emailField = emailMatch.element;
 
       // Find password field
       console.log('🔍 Looking for password field...');
-      let passwordField = null;
-      let foundPassSelector = null;
-      
-      for (const selector of PASS_SELECTORS) {
-        if (Date.now() - startTime > 17000) break;
-        
-        console.log(`  Trying selector: ${selector}`);
-        try {
-          await page.waitForSelector(selector, { 
-            timeout: 2000, 
-            state: 'visible' 
-          });
-          passwordField = await page.$(selector);
-          if (passwordField && await passwordField.isVisible()) {
-            foundPassSelector = selector;
-            console.log(`  ✅ Found password field with: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
+      const passwordMatch = await this.selectors.find(page, 'turo.login.password', {
+        waitTimeout: 2000,
+        deadline: startTime + 17000
+      });
       
-      if (!passwordField) {
-        const errorMsg = `Password field not found. Tried ${PASS_SELECTORS.length} selectors`;
+      if (!passwordMatch) {
+        const tried = this.selectors.candidates('turo.login.password');
+        const errorMsg = `Password field not found. Tried ${tried.length} selectors`;
         console.error(`❌ ${errorMsg}`);
         console.error(`Current URL: ${page.url()}`);
         console.error(`Page title: "${await page.title()}"`);
-        console.error(`Tried selectors: ${PASS_SELECTORS.slice(0, 5).join(', ')}... (and ${PASS_SELECTORS.length - 5} more)`);
+        console.error(`Tried selectors: ${tried.slice(0, 5).join(', ')}... (and ${tried.length - 5} more)`);
         
         await page.screenshot({ 
           path: path.join(this.screenshotsDir, `turo_password_not_found_${Date.now()}.png`) 
         });
         throw new Error(errorMsg);
       }
+      console.log(`  ✅ Found password field with: ${passwordMatch.selector}`);
+      const passwordField = passwordMatch.element;
 
       // Type credentials with human-like delays
       console.log('✏️ Filling in credentials...');
@@ -291,60 +211,18 @@ class TuroScraper {
 
       // Find and click submit button
       console.log('🔍 Looking for submit button...');
-      const SUBMIT_SELECTORS = [
-        // Type-based
-        'button[type="submit"]',
-        'input[type="submit"]',
-        // Text-based
-        'button:has-text("Log in")',
-        'button:has-text("Sign in")',
-        'button:has-text("Login")',
-        'button:has-text("Continue")',
-        'button:has-text("Submit")',
-        // Aria labels
-        'button[aria-label*="log in" i]',
-        'button[aria-label*="sign in" i]',
-        'button[aria-label*="login" i]',
-        'button[aria-label*="submit" i]',
-        // Data attributes
-        'button[data-testid*="login" i]',
-        'button[data-testid*="submit" i]',
-        'button[data-automation*="login" i]',
-        // ID/class based
-        '#loginButton',
-        '#submitButton',
-        '#loginSubmit',
-        '.login-button',
-        '.submit-button',
-        '.btn-login',
-        '.btn-primary:has-text("Log")',
-        // Form buttons
-        'form button:not([type="button"])',
-        '#loginForm button',
-        '.login-form button'
-      ];
-      
-      let submitButton = null;
-      for (const selector of SUBMIT_SELECTORS) {
-        try {
-          submitButton = await page.$(selector);
-          if (submitButton && await submitButton.isVisible()) {
-            console.log(`  ✅ Found submit button: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue
-        }
-      }
+      const submitMatch = await this.selectors.find(page, 'turo.login.submit', { visible: true });
       
-      if (!submitButton) {
-        const errorMsg = `Submit button not found. Tried ${SUBMIT_SELECTORS.length} selectors`;
+      if (!submitMatch) {
+        const errorMsg = `Submit button not found. Tried ${this.selectors.candidates('turo.login.submit').length} selectors`;
         console.error(`❌ ${errorMsg}`);
         await page.screenshot({ 
           path: path.join(this.screenshotsDir, `turo_submit_not_found_${Date.now()}.png`) 
         });
         throw new Error(errorMsg);
       }
+      console.log(`  ✅ Found submit button: ${submitMatch.selector}`);
+      const submitButton = submitMatch.element;
 
       // Submit the form
       console.log('📤 Submitting login form...');
@@ -360,27 +238,12 @@ class TuroScraper {
       await page.waitForTimeout(1500);
 
       // Check for 2FA/MFA
-      const twoFactorSelectors = [
-        'input[name="otp"]',
-        'input[name="code"]',
-        'input[name="verificationCode"]',
-        'input[type="tel"][maxlength="6"]',
-        'input[placeholder*="code" i]',
-        'input[placeholder*="verification" i]',
-        'input[aria-label*="code" i]',
-        'input[aria-label*="verification" i]'
-      ];
-      
-      for (const selector of twoFactorSelectors) {
-        const twoFactorField = await page.$(selector);
-        if (twoFactorField && await twoFactorField.isVisible()) {
-          console.warn('⚠️ 2FA/MFA detected on Turo login.');
-          await page.screenshot({ 
-            path: path.join(this.screenshotsDir, `turo_2fa_detected_${Date.now()}.png`) 
-          });
-          console.log('   2FA field found - manual intervention may be required');
-          break;
-        }
+      if (await this.selectors.find(page, 'turo.login.twoFactor', { visible: true })) {
+        console.warn('⚠️ 2FA/MFA detected on Turo login.');
+        await page.screenshot({ 
+          path: path.join(this.screenshotsDir, `turo_2fa_detected_${Date.now()}.png`) 
+        });
+        console.log('   2FA field found - manual intervention may be required');
       }
 
       // Verify login success
@@ -449,32 +312,13 @@ class TuroScraper {
       console.log('Navigating to trips page...');
 
       // Try to find trips navigation link
-      const tripsLinkSelectors = [
-        'a[href*="/your/trips"]',
-        'a:has-text("Trips")',
-        'a:has-text("Your trips")',
-        '.nav-link:has-text("Trips")',
-        '.menu-item:has-text("Trips")',
-        'nav a:has-text("Trips")'
-      ];
-
-      let tripsLink = null;
-      for (const selector of tripsLinkSelectors) {
-        try {
-          tripsLink = await this.page.$(selector);
-          if (tripsLink) {
-            console.log(`Found trips link with selector: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
+      const tripsMatch = await this.selectors.find(this.page, 'turo.trips.link');
 
-      if (tripsLink) {
+      if (tripsMatch) {
+        console.log(`Found trips link with selector: ${tripsMatch.selector}`);
         await Promise.all([
           this.page.waitForNavigation({ waitUntil: 'networkidle', timeout: 30000 }),
-          tripsLink.click()
+          tripsMatch.element.click()
         ]);
       } else {
         // Try direct navigation
@@ -494,61 +338,35 @@ class TuroScraper {
   }
 
   /**
-   * Apply filters for last 7 days and specific vehicle (if specified)
+   * Apply filters for the scrape window and specific vehicle (if specified)
    */
   async applyFilters(vehicleId = null) {
     try {
-      console.log('Applying filters for last 7 days...');
+      console.log(`Applying filters (${this.window.mode} window)...`);
 
       // Wait for page to load
       await this.page.waitForTimeout(2000);
 
       // Look for filter controls
-      const filterButtonSelectors = [
-        'button:has-text("Filter")',
-        'button:has-text("Filters")',
-        '.filter-button',
-        '.filters-toggle',
-        '[class*="filter"]'
-      ];
-
-      let filterButton = null;
-      for (const selector of filterButtonSelectors) {
-        try {
-          filterButton = await this.page.$(selector);
-          if (filterButton) {
-            console.log(`Found filter button: ${selector}`);
-            await filterButton.click();
-            await this.page.waitForTimeout(1000);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const filterMatch = await this.selectors.find(this.page, 'turo.trips.filterButton');
+      if (filterMatch) {
+        console.log(`Found filter button: ${filterMatch.selector}`);
+        await filterMatch.element.click();
+        await this.page.waitForTimeout(1000);
       }
 
-      // Set date range for last 7 days
-      const today = new Date();
-      const sevenDaysAgo = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
-
+      // Set date range to the scrape window
       const formatDate = (date) => {
-        return date.toISOString().split('T')[0]; // YYYY-MM-DD format
+        return formatZonedDate(date, this.timezone); // YYYY-MM-DD in the listing's timezone
       };
 
-      const startDate = formatDate(sevenDaysAgo);
-      const endDate = formatDate(today);
+      const startDate = formatDate(this.window.start);
+      const endDate = formatDate(this.window.end);
 
       console.log(`Setting date range: ${startDate} to ${endDate}`);
 
       // Try to set date filters
-      const dateInputSelectors = [
-        'input[type="date"]',
-        'input[name*="date"]',
-        'input[placeholder*="date" i]',
-        '.date-picker input'
-      ];
-
-      const dateInputs = await this.page.$$(dateInputSelectors.join(', '));
+      const dateInputs = await this.selectors.queryAll(this.page, 'turo.trips.dateInputs');
       
       if (dateInputs.length >= 2) {
         console.log('Found date input fields, setting dates...');
@@ -560,47 +378,19 @@ class TuroScraper {
       if (vehicleId) {
         console.log(`Applying vehicle filter: ${vehicleId}`);
         
-        const vehicleSelectSelectors = [
-          'select[name*="vehicle"]',
-          'select[name*="car"]',
-          '.vehicle-select',
-          '.car-select'
-        ];
-
-        for (const selector of vehicleSelectSelectors) {
-          try {
-            const vehicleSelect = await this.page.$(selector);
-            if (vehicleSelect) {
-              await vehicleSelect.selectOption(vehicleId);
-              console.log(`Vehicle filter applied: ${vehicleId}`);
-              break;
-            }
-          } catch (e) {
-            // Continue to next selector
-          }
+        const vehicleMatch = await this.selectors.find(this.page, 'turo.trips.vehicleSelect');
+        if (vehicleMatch) {
+          await vehicleMatch.element.selectOption(vehicleId);
+          console.log(`Vehicle filter applied: ${vehicleId}`);
         }
       }
 
       // Apply filters
-      const applyButtonSelectors = [
-        'button:has-text("Apply")',
-        'button:has-text("Search")',
-        'button:has-text("Filter")',
-        'button[type="submit"]'
-      ];
-
-      for (const selector of applyButtonSelectors) {
-        try {
-          const applyButton = await this.page.$(selector);
-          if (applyButton) {
-            console.log(`Applying filters with button: ${selector}`);
-            await applyButton.click();
-            await this.page.waitForTimeout(3000); // Wait for results
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const applyMatch = await this.selectors.find(this.page, 'turo.trips.applyButton');
+      if (applyMatch) {
+        console.log(`Applying filters with button: ${applyMatch.selector}`);
+        await applyMatch.element.click();
+        await this.page.waitForTimeout(3000); // Wait for results
       }
 
       console.log('Filters applied successfully');
@@ -620,74 +410,83 @@ class TuroScraper {
       console.log('Extracting trip data...');
 
       // Wait for trip cards/items to load
-      const tripSelectors = [
-        '.trip-card',
-        '.trip-item',
-        '.trip',
-        '[class*="trip"]',
-        '.booking-card',
-        '.booking-item'
-      ];
+      const tripMatch = await this.selectors.find(this.page, 'turo.trips.card', { waitTimeout: 5000 });
 
-      let tripContainer = null;
-      for (const selector of tripSelectors) {
-        try {
-          await this.page.waitForSelector(selector, { timeout: 5000 });
-          tripContainer = await this.page.$(selector);
-          if (tripContainer) {
-            console.log(`Found trip container: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
-
-      if (!tripContainer) {
+      if (!tripMatch) {
         console.warn('No trip containers found - may be no trips in date range');
         return [];
       }
+      console.log(`Found trip container: ${tripMatch.selector}`);
 
       // Extract trip data using page evaluation
-      const trips = await this.page.evaluate(() => {
+      const selectors = this.selectors.lists([
+        'turo.extract.cards',
+        'turo.extract.detailLink',
+        'turo.extract.guest',
+        'turo.extract.vehicle',
+        'turo.extract.plate',
+        'turo.extract.vin',
+        'turo.extract.dates',
+        'turo.extract.status',
+        'turo.extract.amount',
+        'turo.extract.location'
+      ]);
+
+      const { trips, matched } = await this.page.evaluate((selectors) => {
+        // Which registry candidate each key's elements were matched by, for drift reporting
+        const matched = {};
+        const note = (key, element) => {
+          if (element && !matched[key]) {
+            matched[key] = selectors[key].find(selector => element.matches(selector)) || null;
+          }
+          return element;
+        };
+        const queryOne = (container, key) => note(key, container.querySelector(selectors[key].join(', ')));
+        const queryAll = (container, key) => {
+          const elements = container.querySelectorAll(selectors[key].join(', '));
+          note(key, elements[0]);
+          return elements;
+        };
+
         const extractTextContent = (element) => {
           return element ? element.textContent.trim() : '';
         };
 
+        // Dates are returned as shown; they are resolved in the listing's timezone outside the page
         const parseDate = (dateText) => {
-          if (!dateText) return null;
-          try {
-            // Handle various date formats
-            const date = new Date(dateText);
-            return date.toISOString();
-          } catch (e) {
-            return dateText;
-          }
+          return dateText ? dateText.trim() : null;
+        };
+
+        // Link to the trip's detail page, used to look up the ID when the card doesn't show it
+        const extractDetailUrl = (element) => {
+          const link = element.matches('a[href]')
+            ? element
+            : queryOne(element, 'turo.extract.detailLink');
+          return link ? link.href : null;
         };
 
+        // Real reservation ID only - never invent one, a made-up ID can't be claimed against
         const extractTripId = (element) => {
-          // Look for trip ID in various places
-          const href = element.getAttribute('href') || '';
-          const idMatch = href.match(/trips\/([^\/]+)/);
+          const detailUrl = extractDetailUrl(element) || '';
+          const idMatch = detailUrl.match(/\/(?:trips|reservations?)\/(\d+)/);
           if (idMatch) return idMatch[1];
 
-          const dataId = element.getAttribute('data-trip-id') || 
-                         element.getAttribute('data-id') ||
-                         element.getAttribute('id');
+          const dataId = element.getAttribute('data-trip-id') ||
+                         element.getAttribute('data-reservation-id');
           if (dataId) return dataId;
 
-          // Look for trip ID in text content
+          // Look for a reservation number in text content
           const text = element.textContent;
-          const textIdMatch = text.match(/trip\s*[#:]?\s*([a-zA-Z0-9]+)/i);
+          const textIdMatch = text.match(/(?:reservation|trip)\s*(?:#|id|number|no\.?)\s*:?\s*(\d{5,})/i);
           if (textIdMatch) return textIdMatch[1];
 
-          return `TRIP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+          return null;
         };
 
         const trips = [];
 
         // Method 1: Trip cards/items
-        const tripElements = document.querySelectorAll('.trip-card, .trip-item, .trip, [class*="trip"], .booking-card, .booking-item');
+        const tripElements = queryAll(document, 'turo.extract.cards');
         
         tripElements.forEach((tripElement, index) => {
           try {
@@ -695,15 +494,36 @@ class TuroScraper {
             const tripId = extractTripId(tripElement);
 
             // Extract guest information
-            const guestNameElement = tripElement.querySelector('.guest-name, .renter-name, .user-name, [class*="guest"], [class*="renter"]');
+            const guestNameElement = queryOne(tripElement, 'turo.extract.guest');
             const guestName = extractTextContent(guestNameElement);
 
             // Extract vehicle information
-            const vehicleElement = tripElement.querySelector('.vehicle, .car, [class*="vehicle"], [class*="car"]');
+            const vehicleElement = queryOne(tripElement, 'turo.extract.vehicle');
             const vehicleName = extractTextContent(vehicleElement);
 
+            // Extract vehicle identity (plate/VIN) so tolls can be tied to this car
+            const plateElement = queryOne(tripElement, 'turo.extract.plate');
+            const vinElement = queryOne(tripElement, 'turo.extract.vin');
+            const tripText = extractTextContent(tripElement);
+
+            let licensePlate = plateElement
+              ? (plateElement.getAttribute('data-license-plate') || extractTextContent(plateElement))
+              : null;
+            if (licensePlate) {
+              licensePlate = licensePlate.replace(/^(license\s*)?plate\s*[#:]?\s*/i, '');
+            } else {
+              const plateMatch = tripText.match(/(?:license\s*)?plate\s*[#:]?\s*([A-Z0-9][A-Z0-9 -]{1,9}[A-Z0-9])/i);
+              licensePlate = plateMatch ? plateMatch[1] : null;
+            }
+
+            let vin = vinElement
+              ? (vinElement.getAttribute('data-vin') || extractTextContent(vinElement))
+              : '';
+            const vinMatch = (vin || tripText).match(/\b([A-HJ-NPR-Z0-9]{17})\b/i);
+            vin = vinMatch ? vinMatch[1].toUpperCase() : null;
+
             // Extract dates
-            const dateElements = tripElement.querySelectorAll('.date, [class*="date"], time');
+            const dateElements = queryAll(tripElement, 'turo.extract.dates');
             let startDate = null;
             let endDate = null;
 
@@ -721,26 +541,29 @@ class TuroScraper {
             }
 
             // Extract status
-            const statusElement = tripElement.querySelector('.status, .trip-status, [class*="status"]');
+            const statusElement = queryOne(tripElement, 'turo.extract.status');
             const status = extractTextContent(statusElement) || 'unknown';
 
             // Extract earnings/amount
-            const amountElement = tripElement.querySelector('.amount, .earnings, .price, [class*="amount"], [class*="earnings"], [class*="price"]');
+            const amountElement = queryOne(tripElement, 'turo.extract.amount');
             const amountText = extractTextContent(amountElement);
             const amount = amountText ? parseFloat(amountText.replace(/[^0-9.]/g, '')) || 0 : 0;
 
             // Extract location
-            const locationElement = tripElement.querySelector('.location, .pickup, [class*="location"], [class*="pickup"]');
+            const locationElement = queryOne(tripElement, 'turo.extract.location');
             const location = extractTextContent(locationElement);
 
             const trip = {
               tripId: tripId,
+              detailUrl: extractDetailUrl(tripElement),
               status: status.toLowerCase(),
               guest: {
                 name: guestName || 'Unknown Guest'
               },
               vehicle: {
-                name: vehicleName || 'Unknown Vehicle'
+                name: vehicleName || 'Unknown Vehicle',
+                licensePlate: licensePlate ? licensePlate.trim().toUpperCase() : null,
+                vin: vin
               },
               dates: {
                 start: startDate,
@@ -752,8 +575,8 @@ class TuroScraper {
               raw_data: extractTextContent(tripElement)
             };
 
-            // Only add if we have essential data
-            if (trip.tripId && (trip.dates.start || trip.dates.end)) {
+            // Only add if we have essential data (missing IDs are looked up from the detail page)
+            if (trip.dates.start || trip.dates.end) {
               trips.push(trip);
             }
           } catch (error) {
@@ -761,25 +584,38 @@ class TuroScraper {
           }
         });
 
-        return trips;
-      });
+        return { trips, matched };
+      }, selectors);
+
+      this.selectors.recordMatches(matched);
 
       console.log(`Extracted ${trips.length} trips`);
+
+      // Cards without a reservation number get it from their detail page
+      const identifiedTrips = await this.resolveMissingTripIds(trips);
+
+      // Trip times are shown in the listing's local time
+      const zonedTrips = identifiedTrips.map(trip => this.applyTimezone(trip));
       
-      // Filter for last 7 days (client-side filtering as backup)
-      const sevenDaysAgo = new Date(Date.now() - (7 * 24 * 60 * 60 * 1000));
-      const filteredTrips = trips.filter(trip => {
+      // Filter to the scrape window (client-side filtering as backup)
+      const windowTrips = zonedTrips.filter(trip => {
         if (!trip.dates.start && !trip.dates.end) return false;
         
-        const tripStartDate = trip.dates.start ? new Date(trip.dates.start) : null;
-        const tripEndDate = trip.dates.end ? new Date(trip.dates.end) : null;
-        
-        // Include trip if start or end date is within last 7 days
-        return (tripStartDate && tripStartDate >= sevenDaysAgo) || 
-               (tripEndDate && tripEndDate >= sevenDaysAgo);
+        // Include trip if it starts or ends inside the window, or spans all of it
+        const spansWindow = trip.dates.start && trip.dates.end &&
+          new Date(trip.dates.start) <= this.window.start &&
+          new Date(trip.dates.end) >= this.window.end;
+
+        return isWithinWindow(trip.dates.start, this.window) ||
+               isWithinWindow(trip.dates.end, this.window) ||
+               spansWindow;
       });
 
-      console.log(`Filtered to ${filteredTrips.length} trips from last 7 days`);
+      // A trip listed under more than one tab or page is kept once
+      const filteredTrips = dedupeBy(windowTrips, trip => trip.tripId);
+
+      const { start, end } = describeWindow(this.window);
+      console.log(`Filtered to ${filteredTrips.length} trips from ${start} to ${end}`);
       
       this.tripData = filteredTrips;
       return filteredTrips;
@@ -789,6 +625,88 @@ class TuroScraper {
     }
   }
 
+  /**
+   * Follow the detail link of trips whose card had no reservation ID
+   * Trips that still have no ID are flagged incomplete so matching skips them
+   */
+  async resolveMissingTripIds(trips) {
+    const missing = trips.filter(trip => !trip.tripId);
+    if (missing.length === 0) return trips;
+
+    console.log(`${missing.length} trips have no reservation ID on their card - checking detail pages`);
+
+    const detailPage = await this.context.newPage();
+
+    try {
+      for (const trip of missing) {
+        if (!trip.detailUrl) {
+          trip.incomplete = true;
+          trip.incompleteReason = 'No reservation ID on the trip card and no detail link to look it up';
+          continue;
+        }
+
+        try {
+          await detailPage.goto(trip.detailUrl, { waitUntil: 'networkidle', timeout: 30000 });
+
+          trip.tripId = await detailPage.evaluate((reservationIdSelector) => {
+            const urlMatch = window.location.pathname.match(/\/(?:trips|reservations?)\/(\d+)/);
+            if (urlMatch) return urlMatch[1];
+
+            const element = document.querySelector(reservationIdSelector);
+            if (element) {
+              return element.getAttribute('data-reservation-id') || element.getAttribute('data-trip-id');
+            }
+
+            const textMatch = document.body.textContent.match(/(?:reservation|trip)\s*(?:#|id|number|no\.?)\s*:?\s*(\d{5,})/i);
+            return textMatch ? textMatch[1] : null;
+          }, this.selectors.candidates('turo.extract.reservationId').join(', '));
+        } catch (error) {
+          console.warn(`Failed to load trip detail page ${trip.detailUrl}:`, error.message);
+        }
+
+        if (trip.tripId) {
+          console.log(`Found reservation ID ${trip.tripId} on detail page`);
+        } else {
+          trip.incomplete = true;
+          trip.incompleteReason = `No reservation ID on the trip card or its detail page (${trip.detailUrl})`;
+        }
+
+        await this.page.waitForTimeout(1000);
+      }
+    } finally {
+      await detailPage.close();
+    }
+
+    const incomplete = trips.filter(trip => trip.incomplete).length;
+    if (incomplete > 0) {
+      console.warn(`${incomplete} trips still have no reservation ID and will be excluded from matching`);
+    }
+
+    return trips;
+  }
+
+  /**
+   * Resolve a trip's start/end text to zoned instants
+   */
+  applyTimezone(trip) {
+    const timezone = trip.timezone || this.timezone;
+    const start = toZonedTimestamp(trip.dates.start, null, timezone);
+    const end = toZonedTimestamp(trip.dates.end, null, timezone);
+
+    if ((trip.dates.start && !start) || (trip.dates.end && !end)) {
+      console.warn(`Could not parse dates "${trip.dates.start}" - "${trip.dates.end}" for trip ${trip.tripId}`);
+    }
+
+    return {
+      ...trip,
+      dates: {
+        start: start ? start.timestamp : null,
+        end: end ? end.timestamp : null,
+        timezone: timezone
+      }
+    };
+  }
+
   /**
    * Save trip data to JSON file
    */
@@ -798,11 +716,10 @@ class TuroScraper {
       
       const outputData = {
         scrapeDate: new Date().toISOString(),
-        dateRange: {
-          start: new Date(Date.now() - (7 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0],
-          end: new Date().toISOString().split('T')[0]
-        },
+        dateRange: describeWindow(this.window),
+        timezone: this.timezone,
         totalTrips: this.tripData.length,
+        incompleteTrips: this.tripData.filter(trip => trip.incomplete).length,
         trips: this.tripData
       };
 
@@ -818,10 +735,25 @@ class TuroScraper {
     }
   }
 
+  /**
+   * Write which selectors matched this run, flagging any that fell back
+   */
+  async saveSelectorDrift() {
+    if (this.selectors.usage.size === 0) return;
+
+    try {
+      await this.selectors.saveDriftReport();
+    } catch (error) {
+      console.warn('Failed to save selector drift report:', error.message);
+    }
+  }
+
   /**
    * Cleanup browser resources
    */
   async cleanup() {
+    await this.saveSelectorDrift();
+
     try {
       if (this.page) {
         await this.page.close();
@@ -845,6 +777,12 @@ class TuroScraper {
     try {
       console.log('Starting Turo trip scraping...');
 
+      this.window = await resolveScrapeWindow('turo', this.options, {
+        timezone: this.timezone,
+        defaultDays: 7,
+        overlapDays: TRIP_UPDATE_OVERLAP_DAYS
+      });
+
       // Ensure screenshots directory exists
       await fs.mkdir(this.screenshotsDir, { recursive: true });
 
@@ -868,6 +806,9 @@ class TuroScraper {
       
       // Save results
       const outputPath = await this.saveTripData();
+
+      // Only a completed scrape moves the checkpoint forward
+      await saveCheckpoint('turo', this.window, { tripCount: this.tripData.length });
       
       console.log('Turo scraping completed successfully!');
       return {
@@ -904,10 +845,15 @@ module.exports = TuroScraper;
 
 // Run if called directly
 if (require.main === module) {
-  const scraper = new TuroScraper();
+  const { options, positional } = parseArgs();
+  const scraper = new TuroScraper({
+    from: options.from,
+    to: options.to,
+    sinceLastRun: Boolean(options.sinceLastRun)
+  });
   
   // Get vehicle ID from command line arguments if provided
-  const vehicleId = process.argv[2] || null;
+  const vehicleId = positional[0] || null;
   
   scraper.scrape(vehicleId)
     .then(result => {
@@ -0,0 +1,194 @@
+/**
+ * Turo Trip Export Importer
+ *
+ * Reads the earnings/trip CSV hosts can download from Turo and writes the trips
+ * in the `turo-trips.json` shape to `turo-export.json`. TollTripMatcher merges
+ * that file with the scraped trips, and the CSV wins on conflicts since it
+ * carries Turo's exact reservation IDs, vehicles and trip times.
+ *
+ * Usage: node scrapers/turoExport.js <earnings.csv> [...] [--output path]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_TIMEZONE, formatZonedDate, toZonedTimestamp } = require('../utils/time');
+const { parseCsv } = require('../utils/csv');
+const { parseArgs } = require('../utils/cli');
+const { dedupeBy } = require('../utils/scrapeWindow');
+
+const DEFAULT_EXPORT_FILE = path.join(__dirname, 'turo-export.json');
+
+/**
+ * Header patterns per trip field; the first non-empty matching cell wins
+ */
+const EXPORT_COLUMNS = {
+  tripId: [/^reservation\s*(id|#|number)$/i, /^trip\s*id$/i],
+  guest: [/^guest(\s*name)?$/i],
+  vehicleName: [/^vehicle\s*name$/i, /^vehicle$/i],
+  licensePlate: [/license\s*plate/i, /^plate$/i],
+  vin: [/^vin$/i],
+  start: [/^trip\s*start/i, /^start\s*(date|time)/i],
+  end: [/^trip\s*end/i, /^end\s*(date|time)/i],
+  location: [/^pickup\s*location$/i, /^delivery\s*location$/i, /^location$/i],
+  status: [/^trip\s*status$/i, /^status$/i],
+  amount: [/^total\s*earnings$/i, /^earnings$/i, /^trip\s*price$/i]
+};
+
+class TuroExportImporter {
+  constructor() {
+    this.timezone = process.env.TURO_TIMEZONE || DEFAULT_TIMEZONE;
+    this.exportFiles = [];
+    this.tripData = [];
+  }
+
+  /**
+   * Parse an earnings CSV into trips in the scraper's shape
+   */
+  parseExport(content) {
+    const { headers, records } = parseCsv(content);
+
+    const columns = {};
+    for (const [field, patterns] of Object.entries(EXPORT_COLUMNS)) {
+      columns[field] = patterns
+        .map(pattern => headers.find(header => pattern.test(header)))
+        .filter(Boolean);
+    }
+
+    if (columns.tripId.length === 0 || columns.start.length === 0 || columns.end.length === 0) {
+      throw new Error(`Turo export needs reservation ID, trip start and trip end columns (headers: ${headers.join(', ')})`);
+    }
+
+    return records
+      .map(record => {
+        const fields = {};
+        for (const [field, fieldHeaders] of Object.entries(columns)) {
+          fields[field] = fieldHeaders.map(header => record[header]).find(Boolean) || '';
+        }
+        return this.buildTrip(fields, headers.map(header => record[header]));
+      })
+      .filter(trip => trip.tripId && (trip.dates.start || trip.dates.end));
+  }
+
+  /**
+   * Build one trip from CSV fields, with zoned start/end times
+   */
+  buildTrip(fields, rawData) {
+    const start = toZonedTimestamp(fields.start, null, this.timezone);
+    const end = toZonedTimestamp(fields.end, null, this.timezone);
+
+    if ((fields.start && !start) || (fields.end && !end)) {
+      console.warn(`Could not parse dates "${fields.start}" - "${fields.end}" for trip ${fields.tripId}`);
+    }
+
+    const amountMatch = fields.amount.replace(/,/g, '').match(/-?[\d.]+/);
+
+    return {
+      // Exports sometimes prefix the reservation number with "#"
+      tripId: fields.tripId.replace(/^#/, '').trim() || null,
+      status: fields.status.toLowerCase(),
+      guest: {
+        name: fields.guest || null
+      },
+      vehicle: {
+        name: fields.vehicleName || null,
+        licensePlate: fields.licensePlate ? fields.licensePlate.trim().toUpperCase() : null,
+        vin: fields.vin ? fields.vin.trim().toUpperCase() : null
+      },
+      dates: {
+        start: start ? start.timestamp : null,
+        end: end ? end.timestamp : null,
+        timezone: this.timezone
+      },
+      location: fields.location || null,
+      amount: amountMatch ? parseFloat(amountMatch[0]) : null,
+      raw_data: rawData,
+      source: 'csv'
+    };
+  }
+
+  /**
+   * Import one or more export files
+   */
+  async importFiles(filePaths) {
+    try {
+      const trips = [];
+
+      for (const filePath of filePaths) {
+        console.log(`Importing Turo export: ${filePath}`);
+        const fileTrips = this.parseExport(await fs.readFile(filePath, 'utf8'));
+
+        console.log(`Read ${fileTrips.length} trips from ${path.basename(filePath)}`);
+        this.exportFiles.push({ path: path.resolve(filePath), trips: fileTrips.length });
+        trips.push(...fileTrips);
+      }
+
+      // Overlapping exports list the same reservation more than once; the later file wins
+      this.tripData = dedupeBy(trips.reverse(), trip => trip.tripId).reverse();
+      return this.tripData;
+    } catch (error) {
+      console.error('Failed to import Turo export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save imported trips in the turo-trips.json format
+   */
+  async saveTripData(outputPath = DEFAULT_EXPORT_FILE) {
+    try {
+      const starts = this.tripData.map(trip => trip.dates.start).filter(Boolean).sort();
+      const ends = this.tripData.map(trip => trip.dates.end).filter(Boolean).sort();
+
+      const outputData = {
+        scrapeDate: new Date().toISOString(),
+        source: 'csv',
+        dateRange: {
+          start: starts.length > 0 ? formatZonedDate(new Date(starts[0]), this.timezone) : null,
+          end: ends.length > 0 ? formatZonedDate(new Date(ends[ends.length - 1]), this.timezone) : null
+        },
+        timezone: this.timezone,
+        totalTrips: this.tripData.length,
+        incompleteTrips: 0,
+        exportFiles: this.exportFiles,
+        trips: this.tripData
+      };
+
+      await fs.writeFile(outputPath, JSON.stringify(outputData, null, 2));
+
+      console.log(`Trip data saved to: ${outputPath}`);
+      console.log(`Total trips: ${this.tripData.length}`);
+
+      return outputPath;
+    } catch (error) {
+      console.error('Failed to save trip data:', error);
+      throw error;
+    }
+  }
+}
+
+// Export for use as module
+module.exports = TuroExportImporter;
+module.exports.DEFAULT_EXPORT_FILE = DEFAULT_EXPORT_FILE;
+
+// Run if called directly
+if (require.main === module) {
+  const { options, positional } = parseArgs();
+
+  if (positional.length === 0) {
+    console.error('Usage: node scrapers/turoExport.js <earnings.csv> [...] [--output path]');
+    process.exit(1);
+  }
+
+  const importer = new TuroExportImporter();
+
+  importer.importFiles(positional)
+    .then(() => importer.saveTripData(options.output ? path.resolve(options.output) : undefined))
+    .then(outputPath => {
+      console.log('Turo export import completed:', outputPath);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Turo export import failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeClaimStatus } = require('../utils/claimStatus');
+const { SqliteLedger } = require('../utils/ledger');
+const { makeMatch } = require('./harness/matches');
+
+describe('claim status', () => {
+  test('maps the status text Turo shows to claim states', () => {
+    expect([
+      'Submitted',
+      'Under review',
+      'Pending',
+      'Approved',
+      'Payment approved',
+      'Paid',
+      'Reimbursed',
+      'Disputed by guest',
+      'Dispute under review',
+      'Declined',
+      'Not approved',
+      'Something else'
+    ].map(normalizeClaimStatus)).toEqual([
+      'submitted',
+      'under_review',
+      'under_review',
+      'approved',
+      'paid',
+      'paid',
+      'paid',
+      'disputed',
+      'disputed',
+      'denied',
+      'denied',
+      null
+    ]);
+  });
+
+  test('reads negated payment text as not paid', () => {
+    expect([
+      'Not paid',
+      'Not reimbursed',
+      'Unpaid',
+      'Has not been reimbursed',
+      'Not yet paid',
+      'Payout pending',
+      'Awaiting payment'
+    ].map(normalizeClaimStatus)).toEqual([
+      'denied',
+      'denied',
+      'denied',
+      'denied',
+      'approved',
+      'approved',
+      'approved'
+    ]);
+  });
+
+  describe('in the SQLite ledger', () => {
+    let ledger;
+
+    beforeAll(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    beforeEach(async () => {
+      ledger = new SqliteLedger(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-')), 'ledger.sqlite3'));
+      await ledger.open();
+    });
+
+    afterEach(async () => {
+      await ledger.close();
+    });
+
+    afterAll(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('lists each submitted claim once, with the tolls it covers', async () => {
+      const claimTollIds = ['TXN_NY_1', 'TXN_NY_2'];
+      await ledger.markSubmitted(makeMatch('TXN_NY_1', '51234567', 11.19), 'CI1', claimTollIds);
+      await ledger.markSubmitted(makeMatch('TXN_NY_2', '51234567', 16.06), 'CI1', claimTollIds);
+      await ledger.markSubmitted(makeMatch('TXN_NY_3', '51239876', 2.95), null);
+
+      const claims = await ledger.findSubmittedClaims();
+
+      expect(claims.map(({ claimId, tripId, tollIds, status }) => ({ claimId, tripId, tollIds, status }))).toEqual([
+        { claimId: 'CI1', tripId: '51234567', tollIds: claimTollIds, status: 'submitted' },
+        { claimId: null, tripId: '51239876', tollIds: ['TXN_NY_3'], status: 'submitted' }
+      ]);
+      expect(claims[0].history.map(entry => entry.status)).toEqual(['submitted']);
+    });
+
+    test('keeps a history of status changes and stops checking paid claims', async () => {
+      await ledger.markSubmitted(makeMatch('TXN_NY_1', '51234567', 11.19), 'CI1');
+
+      let [claim] = await ledger.findSubmittedClaims();
+      expect(await ledger.recordClaimStatus(claim, 'under_review', { label: 'Under review' }))
+        .toMatchObject({ changed: true });
+
+      // A second check with no change doesn't grow the history
+      [claim] = await ledger.findSubmittedClaims();
+      expect(await ledger.recordClaimStatus(claim, 'under_review')).toMatchObject({ changed: false });
+
+      [claim] = await ledger.findSubmittedClaims();
+      expect(claim.history.map(entry => [entry.status, entry.label])).toEqual([
+        ['submitted', null],
+        ['under_review', 'Under review']
+      ]);
+      expect(claim.checkedAt).toEqual(expect.any(String));
+
+      await ledger.recordClaimStatus(claim, 'paid', { label: 'Paid' });
+      expect(await ledger.findSubmittedClaims()).toEqual([]);
+    });
+  });
+});
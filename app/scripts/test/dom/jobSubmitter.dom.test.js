@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobSubmitter } = require('../../jobSubmitter');
+const { describeDom, useFixtureSite, fixtureTuroBot } = require('../harness/domSuite');
+const { expectGolden } = require('../harness/golden');
+
+const site = useFixtureSite();
+
+const EVIDENCE_DIR = path.join(__dirname, '..', 'fixtures', 'evidence');
+
+/**
+ * Job row as the worker leases it from the backend jobs table
+ */
+const makeJob = (id, tollId, tollDate, location, amount) => ({
+  id: id,
+  user_id: '8d3c52f4-0b1e-4c55-9a64-2f0a7f1b6e21',
+  turo_trip_id: '51234567',
+  toll_id: tollId,
+  toll_amount: amount,
+  toll_location: location,
+  toll_date: new Date(tollDate),
+  trip_start_date: new Date('2025-07-13T14:00:00Z'),
+  trip_end_date: new Date('2025-07-15T22:00:00Z'),
+  proof_path: path.join(EVIDENCE_DIR, `${tollId}.png`)
+});
+
+describeDom('JobSubmitter against the Turo fixtures', () => {
+  test('logs in as the owner and files a trip\'s queued jobs as one claim', async () => {
+    const bot = fixtureTuroBot();
+    bot.attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+
+    const progress = [];
+    const submitter = new JobSubmitter({
+      bot: bot,
+      credentials: { email: 'host@example.com', password: 'fixture' },
+      attachBrowser: site.attach,
+      onProgress: (step, details) => progress.push({ step, ...details })
+    });
+
+    try {
+      await submitter.start();
+      expect(bot.page.url()).toBe('https://turo.com/your/trips');
+
+      const results = await submitter.submit([
+        makeJob('job-2', 'TXN_NY_4410019', '2025-07-14T22:40:05Z', 'GEORGE WASHINGTON BR', '16.06'),
+        makeJob('job-1', 'TXN_NY_4410017', '2025-07-14T12:12:31Z', 'THROGS NECK BR', '11.19')
+      ]);
+
+      expect(results).toEqual([{
+        jobIds: ['job-1', 'job-2'],
+        tripId: '51234567',
+        claimTollIds: ['TXN_NY_4410017', 'TXN_NY_4410019'],
+        status: 'success',
+        confirmationId: 'CI20250714001',
+        message: expect.any(String)
+      }]);
+
+      expect(progress.map(entry => entry.step)).toEqual([
+        'opening_trip', 'filling_form', 'uploading_proof', 'submitting', 'submitted'
+      ]);
+      expect(progress[0]).toEqual({ step: 'opening_trip', jobIds: ['job-1', 'job-2'], tripId: '51234567' });
+
+      const [{ body }] = site.server.requests;
+      expect(body.attachment).toMatchObject({ name: '51234567.pdf', type: 'application/pdf' });
+      expectGolden('job-submitter-claim', { ...body, attachment: { name: body.attachment.name, type: body.attachment.type } });
+    } finally {
+      await submitter.stop();
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClaimReconciler = require('../../reconcile');
+const { SqliteLedger } = require('../../utils/ledger');
+const { describeDom, useFixtureSite, fixtureTuroBot } = require('../harness/domSuite');
+const { expectGolden } = require('../harness/golden');
+
+const site = useFixtureSite();
+
+// Claims filed on trip 51234567, by confirmation number (null when none was read)
+const SUBMITTED = [
+  ['CI20250714001', ['TXN_NY_4410017']],
+  ['CI20250714002', ['TXN_NY_4410018', 'TXN_NY_4410019']],
+  ['CI20250715003', ['TXN_NY_4410020']],
+  ['CI20250716004', ['TXN_NY_4410021']],
+  ['CI20250717005', ['TXN_NY_4410022']],
+  [null, ['TXN_NY_4410023']]
+];
+
+/**
+ * Reconciler on the fixture browser, over a ledger holding the submitted claims
+ */
+const fixtureReconciler = async (directory, ledgerFile) => {
+  const ledger = await new SqliteLedger(ledgerFile).open();
+  const bot = await site.attach(fixtureTuroBot());
+
+  return new ClaimReconciler({ ledger, bot, reportPath: path.join(directory, 'claim-status-report.json') });
+};
+
+/**
+ * Report with the claims' history reduced to its states, which don't change between runs
+ */
+const describeReport = (report) => ({
+  summary: report.summary,
+  followUp: report.followUp,
+  claims: report.claims.map(({ history, ...claim }) => ({
+    ...claim,
+    ...(history && { history: history.map(entry => entry.status) })
+  }))
+});
+
+describeDom('Claim reconciliation against the Turo trip fixtures', () => {
+  test('records each claim\'s status and flags disputed and denied claims', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-'));
+    const ledgerFile = path.join(directory, 'ledger.sqlite3');
+
+    const seed = await new SqliteLedger(ledgerFile).open();
+    for (const [confirmationId, tollIds] of SUBMITTED) {
+      for (const tollId of tollIds) {
+        await seed.markSubmitted({ tollId, tripId: '51234567', amount: 10 }, confirmationId, tollIds);
+      }
+    }
+    await seed.close();
+
+    const reconciler = await fixtureReconciler(directory, ledgerFile);
+    const report = await reconciler.run();
+
+    expect(JSON.parse(fs.readFileSync(reconciler.reportPath, 'utf8')).summary).toEqual(report.summary);
+    expect(report.followUp.map(entry => [entry.claimId, entry.status])).toEqual([
+      ['CI20250715003', 'disputed'],
+      ['CI20250716004', 'denied']
+    ]);
+    expect(reconciler.selectors.getDriftReport()).toMatchObject({ drift: [] });
+    expectGolden('reconcile-claim-status', describeReport(report));
+
+    // Paid claims are settled; the rest are checked again without growing their history
+    const again = await (await fixtureReconciler(directory, ledgerFile)).run();
+
+    expect(again.claims.map(claim => claim.claimId)).not.toContain('CI20250714001');
+    expect(again.summary).toMatchObject({ claims: 5, checked: 3, changed: 0, needsFollowUp: 2 });
+  });
+});
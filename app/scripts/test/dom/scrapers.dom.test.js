@@ -0,0 +1,53 @@
+const EZPassScraper = require('../../scrapers/ezpass');
+const TuroScraper = require('../../scrapers/turo');
+const { getEZPassPortal } = require('../../providers/portals');
+const { resolveScrapeWindow } = require('../../utils/scrapeWindow');
+const { describeDom, useFixtureSite } = require('../harness/domSuite');
+const { expectGolden } = require('../harness/golden');
+
+const JULY_2025 = { from: '2025-07-01', to: '2025-07-31' };
+
+const site = useFixtureSite();
+
+describeDom('EZPassScraper against E-ZPass NY fixtures', () => {
+  test('logs in and reads every history page in the scrape window', async () => {
+    const scraper = new EZPassScraper({ portal: getEZPassPortal('ny') });
+    scraper.window = await resolveScrapeWindow('ezpass', JULY_2025, { timezone: scraper.timezone });
+    await site.attach(scraper);
+
+    try {
+      await scraper.login({ username: 'fixture', password: 'fixture' });
+      await scraper.navigateToAccountHistory();
+      const tolls = await scraper.extractTollTransactions();
+
+      // The second page reaches June, so there is no third page to read
+      expect(scraper.pagesRead).toBe(2);
+      expectGolden('ezpass-ny-transactions', tolls);
+
+      // The sign-in fixture renamed its user ID field
+      expect(scraper.selectors.getDriftReport().drift.map(entry => entry.key)).toEqual(['ezpass.login.username']);
+    } finally {
+      await scraper.cleanup();
+    }
+  });
+});
+
+describeDom('TuroScraper against Turo fixtures', () => {
+  test('reads trip cards and looks up IDs missing from a card on its detail page', async () => {
+    const scraper = new TuroScraper();
+    scraper.window = await resolveScrapeWindow('turo', JULY_2025, { timezone: scraper.timezone });
+    await site.attach(scraper);
+
+    try {
+      await scraper.login({ email: 'host@example.com', password: 'fixture' });
+      await scraper.navigateToTrips();
+      const trips = await scraper.extractTripData();
+
+      expect(trips.map(trip => trip.tripId)).toEqual(['51234567', '51239876', '51241102']);
+      expectGolden('turo-trips', trips);
+      expect(scraper.selectors.getDriftReport().missing).toEqual([]);
+    } finally {
+      await scraper.cleanup();
+    }
+  });
+});
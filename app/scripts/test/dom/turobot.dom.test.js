@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildTripClaims } = require('../../utils/claims');
+const { describeDom, useFixtureSite, fixtureTuroBot } = require('../harness/domSuite');
+const { expectGolden } = require('../harness/golden');
+
+const site = useFixtureSite();
+
+const match = {
+  tripId: '51234567',
+  tollId: 'TXN_NY_4410017',
+  trip: { tripId: '51234567' },
+  toll: { location: 'THROGS NECK BR', date: '2025-07-14', noticeNumber: 'T-100' },
+  amount: 11.19,
+  fees: [{ type: 'late', description: 'Late Fee', amount: 5 }],
+  totalAmount: 16.19,
+  confidence: { category: 'high', score: 0.92 }
+};
+
+const [claim] = buildTripClaims([match]);
+
+/**
+ * TuroBot on the fixture browser
+ */
+const fixtureBot = (options = {}) => site.attach(fixtureTuroBot(options));
+
+describeDom('TuroBot against the Turo claim fixtures', () => {
+  test('fills the reimbursement form and reads the confirmation number', async () => {
+    const bot = await fixtureBot();
+
+    try {
+      await bot.navigateToTrip(claim.tripId);
+      await bot.navigateToChargeIncidents();
+      await bot.fillTollForm(claim);
+
+      const form = await bot.page.evaluate(() => {
+        const { receipt, ...fields } = Object.fromEntries(new FormData(document.getElementById('incidentForm')));
+        return fields;
+      });
+      const result = await bot.submitClaim(claim);
+
+      expect(result.confirmationId).toBe('CI20250714001');
+      expectGolden('turobot-claim', { form, posted: site.server.requests, result });
+      expect(bot.selectors.getDriftReport()).toMatchObject({ drift: [], missing: [] });
+    } finally {
+      await bot.cleanup();
+    }
+  });
+
+  test('in review mode, screenshots the filled claim and backs out without submitting', async () => {
+    const reviewDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-'));
+    const bot = await fixtureBot({ dryRun: true, reviewDir: reviewDir });
+
+    try {
+      const result = await bot.processClaim(claim, 0, 1);
+
+      expect(result).toMatchObject({ status: 'review', claimId: '51234567', tollIds: ['TXN_NY_4410017'], confirmationId: null });
+      expect(site.server.requests).toEqual([]);
+      expect(bot.page.url()).toBe('https://turo.com/trips/51234567');
+
+      const [item] = bot.reviewItems;
+      expect(item.screenshot).toBe(path.join(reviewDir, '51234567.png'));
+      expect(fs.statSync(item.screenshot).size).toBeGreaterThan(0);
+      expectGolden('turobot-review-fields', item.fields);
+    } finally {
+      await bot.cleanup();
+    }
+  });
+
+  test('files every toll on a trip as one claim with a combined attachment', async () => {
+    const evidenceDir = path.join(__dirname, '..', 'fixtures', 'evidence');
+    const [tripClaim] = buildTripClaims([
+      {
+        ...match,
+        tollId: 'TXN_NY_4410019',
+        toll: { location: 'GEORGE WASHINGTON BR', date: '2025-07-14', time: '18:40:05' },
+        amount: 16.06,
+        fees: [],
+        totalAmount: 16.06,
+        screenshotPath: path.join(evidenceDir, 'TXN_NY_4410019.png')
+      },
+      { ...match, toll: { ...match.toll, time: '08:12:31' }, screenshotPath: path.join(evidenceDir, 'TXN_NY_4410017.png') }
+    ]);
+    const bot = await fixtureBot();
+    bot.attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+
+    try {
+      const result = await bot.processClaim(tripClaim, 0, 1);
+
+      expect(result).toMatchObject({
+        status: 'success',
+        claimId: '51234567',
+        tollIds: ['TXN_NY_4410017', 'TXN_NY_4410019'],
+        claimAmount: 32.25,
+        attachment: path.join(bot.attachmentsDir, '51234567.pdf'),
+        uploadSuccess: true
+      });
+
+      const [{ body }] = site.server.requests;
+      expect(body.attachment).toMatchObject({ name: '51234567.pdf', type: 'application/pdf' });
+      expectGolden('turobot-trip-claim', { ...body, attachment: { name: body.attachment.name, type: body.attachment.type } });
+    } finally {
+      await bot.cleanup();
+    }
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EZPassStatementImporter = require('../scrapers/ezpassStatement');
+const TollTripMatcher = require('../match');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', 'statements', name);
+
+// Fields every ezpass.json record carries, whether scraped or imported
+const RECORD_FIELDS = [
+  'id', 'transactionNumber', 'date', 'time', 'timestamp', 'timezone',
+  'location', 'amount', 'description', 'tagNumber', 'plate', 'raw_data'
+];
+
+const importFile = async (name, options) => {
+  const importer = new EZPassStatementImporter(options);
+  return importer.importFiles([fixture(name)]);
+};
+
+const summarize = (records) => records.map(record => ({
+  id: record.id,
+  timestamp: record.timestamp,
+  location: record.location,
+  amount: record.amount,
+  tagNumber: record.tagNumber,
+  plate: record.plate
+}));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('E-ZPass NY statements', () => {
+  test('reads tolls from the CSV export and skips payments and reversals', async () => {
+    const records = await importFile('ny-transactions.csv');
+
+    expect(summarize(records)).toEqual([
+      {
+        id: expect.stringMatching(/^TXN_NY_H[0-9a-f]{16}$/),
+        timestamp: '2025-07-14T08:15:32-04:00',
+        location: 'THROGS NECK BR',
+        amount: 11.19,
+        tagNumber: '00812345678',
+        plate: null
+      },
+      {
+        id: expect.stringMatching(/^TXN_NY_H[0-9a-f]{16}$/),
+        timestamp: '2025-07-14T18:02:10-04:00',
+        location: 'GWB UPPER LVL',
+        amount: 17.63,
+        tagNumber: '00812345678',
+        plate: null
+      },
+      {
+        id: expect.stringMatching(/^TXN_NY_H[0-9a-f]{16}$/),
+        timestamp: '2025-07-16T08:22:47-04:00',
+        location: 'HARRIMAN',
+        amount: 2.47,
+        tagNumber: null,
+        plate: 'ABC1234'
+      }
+    ]);
+  });
+
+  test('reads the same tolls with the same IDs from the PDF statement', async () => {
+    const csv = await importFile('ny-transactions.csv');
+    const pdf = await importFile('ny-statement.pdf');
+
+    expect(summarize(pdf)).toEqual(summarize(csv));
+    expect(pdf[0].statementPath).toBe(fixture('ny-statement.pdf'));
+  });
+});
+
+describe('E-ZPass NJ statements', () => {
+  test('reads tolls from the CSV export and skips credits', async () => {
+    const records = await importFile('nj-transactions.csv');
+
+    expect(summarize(records)).toEqual([
+      {
+        id: 'TXN_NJ_NJ2025071400123',
+        timestamp: '2025-07-14T08:15:00-04:00',
+        location: 'Interchange 14',
+        amount: 4.35,
+        tagNumber: '00812345678',
+        plate: null
+      },
+      {
+        id: 'TXN_NJ_NJ2025071400456',
+        timestamp: '2025-07-14T17:47:00-04:00',
+        location: 'Toms River Toll Plaza',
+        amount: 1002,
+        tagNumber: null,
+        plate: 'Z12ABC'
+      },
+      {
+        id: 'TXN_NJ_NJ2025071600111',
+        timestamp: '2025-07-16T23:05:00-04:00',
+        location: 'Lincoln Tunnel EB',
+        amount: 16.06,
+        tagNumber: '00812345678',
+        plate: null
+      }
+    ]);
+    expect(records[0].description).toBe('NJTP New Jersey Turnpike');
+  });
+
+  test('reads the same tolls from the PDF statement', async () => {
+    const csv = await importFile('nj-transactions.csv');
+    const pdf = await importFile('nj-statement.pdf');
+
+    expect(summarize(pdf)).toEqual(summarize(csv));
+  });
+});
+
+describe('PA Turnpike statements', () => {
+  test('reads tolls from the CSV export with combined date/time and entry/exit interchanges', async () => {
+    const records = await importFile('pa-transactions.csv');
+
+    expect(summarize(records)).toEqual([
+      {
+        id: 'TXN_PA_884512',
+        timestamp: '2025-07-14T08:15:32-04:00',
+        location: 'Mid-County (333)',
+        amount: 5.6,
+        tagNumber: '00812345678',
+        plate: null
+      },
+      {
+        id: 'TXN_PA_884513',
+        timestamp: '2025-07-14T17:02:11-04:00',
+        location: 'King of Prussia (326)',
+        amount: 5.6,
+        tagNumber: '00812345678',
+        plate: null
+      }
+    ]);
+    expect(records[0].entryLocation).toBe('King of Prussia (326)');
+  });
+
+  test('reads the same tolls from the PDF statement and skips CR lines', async () => {
+    const csv = await importFile('pa-transactions.csv');
+    const pdf = await importFile('pa-statement.pdf');
+
+    expect(summarize(pdf)).toEqual(summarize(csv));
+  });
+});
+
+describe('EZPassStatementImporter', () => {
+  test('produces records in the scraper record shape', async () => {
+    const records = await importFile('nj-transactions.csv');
+
+    for (const record of records) {
+      for (const field of RECORD_FIELDS) {
+        expect(record).toHaveProperty(field);
+      }
+      expect(record.timezone).toBe('America/New_York');
+    }
+  });
+
+  test('keeps one copy of tolls listed in both the CSV and the PDF', async () => {
+    const importer = new EZPassStatementImporter();
+    const records = await importer.importFiles([fixture('pa-transactions.csv'), fixture('pa-statement.pdf')]);
+
+    expect(records.map(record => record.id)).toEqual(['TXN_PA_884512', 'TXN_PA_884513']);
+    expect(importer.statementFiles.map(file => file.records)).toEqual([2, 2]);
+  });
+
+  test('rejects a CSV in an unknown layout unless one is given', async () => {
+    const importer = new EZPassStatementImporter();
+
+    expect(() => importer.parseCsvStatement('Date,Where,Cost\n07/14/2025,Somewhere,$1.00\n'))
+      .toThrow(/Unrecognized statement CSV layout/);
+    expect(() => new EZPassStatementImporter({ layout: 'ct' }).parseCsvStatement('Date\n'))
+      .toThrow(/Unknown statement layout "ct"/);
+  });
+
+  test('writes ezpass.json that TollTripMatcher.loadTollRecords reads', async () => {
+    const outputPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'statement-')), 'ezpass.json');
+    const importer = new EZPassStatementImporter();
+    await importer.importFiles([fixture('ny-transactions.csv')]);
+    await importer.saveTollRecords(outputPath);
+
+    const matcher = new TollTripMatcher({ tollFile: outputPath });
+    const loaded = await matcher.loadTollRecords();
+
+    expect(loaded).toEqual(JSON.parse(JSON.stringify(importer.tollRecords)));
+    expect(JSON.parse(fs.readFileSync(outputPath, 'utf8'))).toMatchObject({
+      source: 'statement',
+      dateRange: { start: '2025-07-14', end: '2025-07-16' },
+      totalRecords: 3
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const { DEFAULT_GAZETTEER_FILE, PlazaGazetteer, normalizeLocationText, distanceKm } = require('../utils/gazetteer');
+const TollTripMatcher = require('../match');
+
+const GAZETTEER = {
+  plazas: [
+    { plazaId: 'GWB-UL', facility: 'gwb', name: 'George Washington Bridge', aliases: ['gwb', 'gwb upper level'], lat: 40.8517, lon: -73.9603, direction: 'eastbound' },
+    { plazaId: 'GWB-LL', facility: 'gwb', name: 'GWB Lower Level', aliases: ['gwb lower level'], lat: 40.851, lon: -73.961, direction: 'eastbound' },
+    { plazaId: 'HT-EB', facility: 'holland-tunnel', name: 'Holland Tunnel', aliases: [], lat: 40.7267, lon: -74.0451, direction: 'eastbound' },
+    { plazaId: 'HT-WB', facility: 'holland-tunnel', name: 'Holland Tunnel', aliases: [], lat: 40.7267, lon: -74.0451, direction: 'westbound' },
+    { plazaId: 'NWK-BAY', facility: 'nj-turnpike', name: 'Newark Bay Bridge', aliases: ['newark bay extension'], lat: 40.6955, lon: -74.1217 }
+  ],
+  places: [
+    { placeId: 'NEWARK', name: 'Newark', aliases: [], lat: 40.7357, lon: -74.1724 },
+    { placeId: 'EWR', name: 'Newark Liberty International Airport', aliases: ['newark airport', 'ewr'], lat: 40.6895, lon: -74.1745 },
+    { placeId: 'FORT-LEE', name: 'Fort Lee', aliases: [], lat: 40.8509, lon: -73.9701, facility: 'gwb' },
+    { placeId: 'PHL', name: 'Philadelphia', aliases: [], lat: 39.9526, lon: -75.1652 }
+  ]
+};
+
+describe('PlazaGazetteer', () => {
+  const gazetteer = new PlazaGazetteer(GAZETTEER);
+
+  test('normalizes statement abbreviations and punctuation', () => {
+    expect(normalizeLocationText('GWB Upr Lvl')).toBe('gwb upper level');
+    expect(normalizeLocationText('Newark Liberty Intl Arpt.')).toBe('newark liberty international airport');
+    expect(normalizeLocationText(null)).toBe('');
+  });
+
+  test('prefers the longest alias in the text', () => {
+    expect(gazetteer.resolvePlaza('GWB Lower Level').plazaId).toBe('GWB-LL');
+    expect(gazetteer.resolvePlaza('GWB Upr Lvl').plazaId).toBe('GWB-UL');
+    expect(gazetteer.resolvePickup('Newark Airport, Terminal B').placeId).toBe('EWR');
+    expect(gazetteer.resolvePickup('Downtown Newark').placeId).toBe('NEWARK');
+  });
+
+  test('matches aliases only as whole words', () => {
+    expect(gazetteer.resolvePlaza('GWBX Plaza')).toBeNull();
+    expect(gazetteer.resolvePickup('Newarkville')).toBeNull();
+  });
+
+  test('breaks a tie between same-named plazas with the direction on the statement', () => {
+    expect(gazetteer.resolvePlaza('Holland Tunnel WB').plazaId).toBe('HT-WB');
+    expect(gazetteer.resolvePlaza('Holland Tunnel Eastbound').plazaId).toBe('HT-EB');
+  });
+
+  test('resolves a pickup to the more specific of a place and a plaza', () => {
+    expect(gazetteer.resolvePickup('Newark Bay Extension').plazaId).toBe('NWK-BAY');
+  });
+
+  test('loads the shipped gazetteer', async () => {
+    const shipped = await PlazaGazetteer.load(DEFAULT_GAZETTEER_FILE);
+
+    expect(shipped.resolvePlaza('GWB Upper Lvl').facility).toBe('george-washington-bridge');
+    expect(shipped.resolvePickup('Newark Liberty Intl Airport').placeId).toBe('EWR');
+  });
+
+  test('measures great-circle distance', () => {
+    // Newark airport to Philadelphia is about 118 km
+    expect(distanceKm(GAZETTEER.places[1], GAZETTEER.places[3])).toBeCloseTo(118, -1);
+    expect(distanceKm(GAZETTEER.places[0], GAZETTEER.places[0])).toBe(0);
+  });
+});
+
+describe('TollTripMatcher.describeLocationMatch', () => {
+  const matcher = new TollTripMatcher();
+  matcher.gazetteer = new PlazaGazetteer(GAZETTEER);
+
+  test('scores a pickup at the same facility as a full match', () => {
+    expect(matcher.describeLocationMatch('GWB Upper Level', 'Fort Lee')).toMatchObject({ similarity: 1, basis: 'gazetteer' });
+  });
+
+  test('falls off with distance between the near radius and the maximum distance', () => {
+    const { nearKm, maxDistanceKm } = matcher.rules.location;
+
+    const near = matcher.describeLocationMatch('Newark Bay Bridge', 'Newark Airport');
+    const middling = matcher.describeLocationMatch('Holland Tunnel EB', 'Newark Airport');
+    const far = matcher.describeLocationMatch('Holland Tunnel EB', 'Philadelphia');
+
+    expect(near.distanceKm).toBeLessThanOrEqual(nearKm);
+    expect(near.similarity).toBe(0.9);
+    expect(middling.distanceKm).toBeGreaterThan(nearKm);
+    expect(middling.similarity).toBeCloseTo(0.9 * (1 - (middling.distanceKm - nearKm) / (maxDistanceKm - nearKm)), 2);
+    expect(far.distanceKm).toBeGreaterThanOrEqual(maxDistanceKm);
+    expect(far.similarity).toBe(0);
+  });
+
+  test('falls back to comparing the text when either location is not in the gazetteer', () => {
+    const match = matcher.describeLocationMatch('Unknown Plaza 12', 'Unknown Plaza 12');
+
+    expect(match).toMatchObject({ similarity: 1, basis: 'text', distanceKm: null, plaza: null, pickup: null });
+    expect(matcher.describeLocationMatch('GWB Upper Level', 'Somewhere Else')).toMatchObject({ basis: 'text', pickup: null });
+  });
+});
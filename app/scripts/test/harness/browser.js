@@ -0,0 +1,58 @@
+/**
+ * Fixture Browser
+ *
+ * Headless Chromium wired to the fixture server. The flows under test keep
+ * their real URLs (https://turo.com/login, the portal's loginUrl): requests to
+ * a fixture site are answered from its directory under test/fixtures/pages,
+ * and every other request is aborted, so a run never leaves the machine.
+ */
+
+const { chromium } = require('playwright');
+
+// Origin -> fixture directory it is served from
+const FIXTURE_SITES = {
+  'https://turo.com': 'turo',
+  'https://www.e-zpassny.com': 'ezpass'
+};
+
+/**
+ * Answer a fixture site's requests from the fixture server
+ */
+const routeFixtureSites = async (context, baseUrl, sites = FIXTURE_SITES) => {
+  // Registered first so it runs last: anything not served from fixtures is blocked
+  await context.route('**/*', route => (
+    route.request().url().startsWith(baseUrl) ? route.continue() : route.abort()
+  ));
+
+  for (const [origin, directory] of Object.entries(sites)) {
+    await context.route(`${origin}/**`, async route => {
+      const { pathname, search } = new URL(route.request().url());
+      const response = await route.fetch({ url: `${baseUrl}/${directory}${pathname}${search}` });
+      await route.fulfill({ response });
+    });
+  }
+};
+
+/**
+ * Open a browser and attach it to a scraper or TuroBot instance
+ * PLAYWRIGHT_CHROMIUM_EXECUTABLE points at a Chromium build when the
+ * Playwright-managed one isn't installed.
+ * @param {Object} target - object given browser, context and page (EZPassScraper, TuroScraper, TuroBot)
+ * @param {string} baseUrl - fixture server URL
+ */
+const attachFixtureBrowser = async (target, baseUrl) => {
+  target.browser = await chromium.launch({
+    headless: true,
+    executablePath: process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE || undefined
+  });
+  target.context = await target.browser.newContext({ viewport: { width: 1280, height: 720 } });
+  await routeFixtureSites(target.context, baseUrl);
+  target.page = await target.context.newPage();
+  return target;
+};
+
+module.exports = {
+  FIXTURE_SITES,
+  routeFixtureSites,
+  attachFixtureBrowser
+};
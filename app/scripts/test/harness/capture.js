@@ -0,0 +1,92 @@
+/**
+ * Fixture Capture
+ *
+ * Saves a page from a real Turo or E-ZPass session as a DOM fixture. A headed
+ * browser opens at --url; log in and get to the page to capture by hand, then
+ * press Enter. The page's HTML is scrubbed of personal data and written to
+ * test/fixtures/pages/<name>.html, where the fixture server serves it.
+ *
+ *   node test/harness/capture.js --url https://turo.com/your/trips --name turo/your/trips \
+ *     --redact "Jordan Smith,Alex Doe"
+ *
+ * Names can't be recognised by pattern, so pass the account holder's and
+ * guests' names with --redact. Always read the output before committing it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { chromium } = require('playwright');
+const { parseArgs } = require('../../utils/cli');
+const { DEFAULT_PAGES_DIR } = require('./fixtureServer');
+const { scrubHtml } = require('./scrub');
+
+/**
+ * Wait for Enter on stdin
+ */
+const waitForEnter = (prompt) => new Promise(resolve => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(prompt, () => {
+    rl.close();
+    resolve();
+  });
+});
+
+/**
+ * Open a session, wait for the user, then save the current page scrubbed
+ * @param {Object} options - { url, name, redact } redact is a comma-separated list
+ * @returns {Promise<string>} path of the saved fixture
+ */
+const captureFixture = async (options) => {
+  const browser = await chromium.launch({
+    headless: false,
+    executablePath: process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE || undefined
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.goto(options.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+    await waitForEnter('Log in and open the page to capture, then press Enter here... ');
+
+    const redact = String(options.redact || '').split(',').map(name => name.trim()).filter(Boolean);
+    const { html, replaced } = scrubHtml(await page.content(), { redact });
+    const { html: source } = scrubHtml(page.url(), { redact });
+
+    const header = `<!-- Captured from ${source} on ${new Date().toISOString().slice(0, 10)} ` +
+      '(scripts removed, personal data scrubbed) -->\n';
+
+    const outputPath = path.join(DEFAULT_PAGES_DIR, `${options.name.replace(/\.html$/, '')}.html`);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, `<!DOCTYPE html>\n${header}${html.replace(/^\s*<!DOCTYPE html>\s*/i, '')}`);
+
+    console.log(`Fixture saved: ${path.relative(process.cwd(), outputPath)}`);
+    console.log(`Replaced: ${Object.entries(replaced).map(([kind, count]) => `${count} ${kind}`).join(', ') || 'nothing'}`);
+    console.log('Review the file for names, addresses or IDs the scrubber missed before committing it.');
+
+    return outputPath;
+  } finally {
+    await browser.close();
+  }
+};
+
+module.exports = {
+  captureFixture
+};
+
+// Run if called directly
+if (require.main === module) {
+  const { options } = parseArgs();
+
+  if (!options.url || !options.name) {
+    console.error('Usage: node test/harness/capture.js --url <start url> --name <fixture path, e.g. turo/your/trips> [--redact "Name One,Name Two"]');
+    process.exit(1);
+  }
+
+  captureFixture(options)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Fixture capture failed:', error);
+      process.exit(1);
+    });
+}
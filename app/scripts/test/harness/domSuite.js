@@ -0,0 +1,104 @@
+/**
+ * DOM Test Suite Setup
+ *
+ * Setup shared by the tests in test/dom: each file gets its own fixture
+ * server and selector drift file, a quiet console, and a describe that needs
+ * Chromium. Without a browser the tests are skipped on a developer machine,
+ * but fail on CI (CI set), where a missing browser means a broken setup and
+ * skipping would let the suite pass without running anything.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const TuroBot = require('../../turobot');
+const { startFixtureServer } = require('./fixtureServer');
+const { attachFixtureBrowser } = require('./browser');
+
+// Launching Chromium and walking a flow's pages is slow on CI machines
+const DOM_TEST_TIMEOUT = 90000;
+
+/**
+ * Whether a Chromium build is available to launch
+ */
+const browserInstalled = () => {
+  try {
+    const executable = process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE || chromium.executablePath();
+    return Boolean(executable) && fs.existsSync(executable);
+  } catch (error) {
+    return false;
+  }
+};
+
+const BROWSER_INSTALLED = browserInstalled();
+const ON_CI = Boolean(process.env.CI);
+const INSTALL_HINT = 'install it with `npx playwright install chromium`';
+
+if (!BROWSER_INSTALLED && !ON_CI) {
+  console.warn(`Chromium is not installed; skipping DOM tests (${INSTALL_HINT})`);
+}
+
+/**
+ * A describe whose only test fails because there is no browser
+ */
+const describeMissingBrowser = (name) => describe(name, () => {
+  test('has Chromium to run in', () => {
+    throw new Error(`Chromium is not installed, so the DOM tests cannot run on CI (${INSTALL_HINT})`);
+  });
+});
+
+// describe for DOM tests: without a browser, skipped locally and failing on CI
+const describeDom = BROWSER_INSTALLED ? describe : (ON_CI ? describeMissingBrowser : describe.skip);
+
+/**
+ * Start the fixture server for the calling test file
+ * The server is started before the file's tests and closed after them; the
+ * requests it recorded are cleared before each test.
+ * @returns {Object} { server, attach(target) } - server is set once started
+ */
+const useFixtureSite = () => {
+  const site = {
+    server: null,
+    attach: (target) => attachFixtureBrowser(target, site.server.baseUrl)
+  };
+
+  if (!BROWSER_INSTALLED) return site;
+
+  jest.setTimeout(DOM_TEST_TIMEOUT);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.SELECTOR_DRIFT_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dom-')), 'selector-drift.json');
+    site.server = await startFixtureServer();
+  });
+
+  beforeEach(() => {
+    site.server.requests.length = 0;
+  });
+
+  afterAll(async () => {
+    await site.server.close();
+    delete process.env.SELECTOR_DRIFT_FILE;
+    jest.restoreAllMocks();
+  });
+
+  return site;
+};
+
+/**
+ * TuroBot with its human-like pauses kept short, for the fixture pages
+ */
+const fixtureTuroBot = (options = {}) => {
+  const bot = new TuroBot(options);
+  bot.waitWithDelay = (ms) => bot.page.waitForTimeout(Math.min(ms, 250));
+  return bot;
+};
+
+module.exports = {
+  browserInstalled,
+  describeDom,
+  useFixtureSite,
+  fixtureTuroBot
+};
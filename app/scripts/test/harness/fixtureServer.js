@@ -0,0 +1,120 @@
+/**
+ * Fixture Server
+ *
+ * Serves saved HTML snapshots from test/fixtures/pages on localhost so the
+ * scrapers and TuroBot can run against them under headless Chromium.
+ * `/turo/trips` serves `turo/trips.html`; query strings are ignored.
+ *
+ * POSTs to a path containing /api/ are recorded in `requests` and answered
+ * with JSON, standing in for the form endpoints the claim page posts to.
+ */
+
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PAGES_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.png': 'image/png'
+};
+
+/**
+ * File under root for a request path, or null when there is none
+ */
+const resolveFixture = async (root, urlPath) => {
+  const relativePath = decodeURIComponent(urlPath).replace(/^\/+/, '').replace(/\/+$/, '');
+  const filePath = path.resolve(root, relativePath);
+
+  // Never serve anything outside the fixtures directory
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) return null;
+
+  for (const candidate of [filePath, `${filePath}.html`, path.join(filePath, 'index.html')]) {
+    try {
+      if ((await fs.stat(candidate)).isFile()) return candidate;
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  return null;
+};
+
+/**
+ * Read a request body as JSON or form fields
+ */
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (!body) return resolve({});
+    if ((req.headers['content-type'] || '').includes('application/json')) {
+      try {
+        return resolve(JSON.parse(body));
+      } catch (e) {
+        return resolve({ raw: body });
+      }
+    }
+    resolve(Object.fromEntries(new URLSearchParams(body)));
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Start the fixture server on a free port
+ * @param {Object} options - { root } directory of fixture pages
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+const startFixtureServer = async (options = {}) => {
+  const root = options.root || DEFAULT_PAGES_DIR;
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'POST' && pathname.includes('/api/')) {
+        const body = await readBody(req);
+        requests.push({ method: req.method, path: pathname, body: body });
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, confirmationId: `CI${String(20250714000 + requests.length)}` }));
+        return;
+      }
+
+      const filePath = await resolveFixture(root, pathname);
+      if (!filePath) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end(`No fixture for ${pathname}`);
+        return;
+      }
+
+      // Forms post back to pages too (login forms) - every method gets the page
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+      res.end(await fs.readFile(filePath));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(error.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', resolve);
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests: requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGES_DIR,
+  startFixtureServer
+};
@@ -0,0 +1,51 @@
+/**
+ * Golden Files
+ *
+ * Outputs of the DOM tests are compared with JSON checked in under
+ * test/fixtures/golden. After an intended change to a flow or a fixture,
+ * regenerate them with `UPDATE_GOLDEN=1 npm run test:dom` and review the diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'fixtures', 'golden');
+
+// Fields that change on every run
+const VOLATILE_FIELDS = ['extractedAt', 'runAt', 'scrapedAt'];
+
+/**
+ * Copy of a value with run-specific fields dropped
+ */
+const stripVolatile = (value) => {
+  if (Array.isArray(value)) return value.map(stripVolatile);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !VOLATILE_FIELDS.includes(key))
+    .map(([key, entry]) => [key, stripVolatile(entry)]));
+};
+
+/**
+ * Compare a value with its golden file (or write it when UPDATE_GOLDEN is set)
+ */
+const expectGolden = (name, value) => {
+  const filePath = path.join(GOLDEN_DIR, `${name}.json`);
+  const actual = JSON.parse(JSON.stringify(stripVolatile(value)));
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(actual, null, 2)}\n`);
+    return;
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No golden file ${path.relative(process.cwd(), filePath)} - run with UPDATE_GOLDEN=1 to create it`);
+  }
+
+  expect(actual).toEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+};
+
+module.exports = {
+  GOLDEN_DIR,
+  expectGolden
+};
@@ -0,0 +1,39 @@
+/**
+ * Match Fixtures
+ *
+ * Builds toll-trip matches shaped like the entries of matches.json, for the
+ * unit tests of the policy, the trip claims and the ledger.
+ */
+
+// Confidence score used for each category unless a test gives its own
+const CATEGORY_SCORES = { high: 0.9, medium: 0.6, low: 0.3 };
+
+/**
+ * A match of one toll to one trip
+ * @param {Object} options - category (default high), and date, time and
+ *   location of the toll; anything else (fees, totalAmount, confidence, ...)
+ *   is copied onto the match
+ */
+const makeMatch = (tollId, tripId, amount, options = {}) => {
+  const {
+    category = 'high',
+    date = '2025-07-14',
+    time = '08:12:31',
+    location = 'THROGS NECK BR',
+    ...extra
+  } = options;
+
+  return {
+    tollId: tollId,
+    tripId: tripId,
+    amount: amount,
+    trip: { tripId: tripId },
+    toll: { date: date, time: time, location: location },
+    confidence: { category: category, score: CATEGORY_SCORES[category] },
+    ...extra
+  };
+};
+
+module.exports = {
+  makeMatch
+};
@@ -0,0 +1,153 @@
+/**
+ * Fixture Scrubbing
+ *
+ * Pages captured from a real Turo or E-ZPass session carry the account
+ * holder's and guests' personal data. Before a page is saved as a fixture,
+ * scripts and embedded frames are dropped, hidden and password input values
+ * are blanked, and personal values are swapped for stand-ins of the same
+ * shape. The same value always gets the same stand-in within a page, so a
+ * reservation number in a link still matches the one in a data attribute.
+ */
+
+const DROPPED_ELEMENTS = ['script', 'noscript', 'iframe'];
+
+const STREET_SUFFIXES = 'St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Way|Ct|Court|Pl|Place|Pkwy|Parkway|Hwy|Highway|Ter|Terrace';
+
+/**
+ * Replacement patterns, applied in order
+ * VINs go before digit runs, which would otherwise take their digits.
+ */
+const SCRUB_RULES = [
+  {
+    kind: 'email',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    replace: (n) => `user${n}@example.com`
+  },
+  {
+    kind: 'vin',
+    pattern: /\b[A-HJ-NPR-Z0-9]{17}\b/g,
+    test: (value) => /\d/.test(value) && /[A-Z]/.test(value),
+    replace: (n) => `TESTVN${String(n).padStart(11, '0')}`
+  },
+  {
+    kind: 'phone',
+    pattern: /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g,
+    replace: (n) => `(555) 010-${String(n).padStart(4, '0')}`
+  },
+  {
+    kind: 'address',
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][A-Za-z]*\\.?\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?`, 'g'),
+    replace: (n) => `${n * 100} Fixture St`
+  },
+  {
+    // Plates only where the page labels them, so tolls and places aren't touched
+    kind: 'plate',
+    pattern: /((?:[Ll]icense\s*)?[Pp]late\s*(?:[Nn]umber|[Nn]o\.?)?(?:\s*[:#]\s*|\s*(?:<[^>]+>\s*)+))([A-Z0-9][A-Z0-9 -]{1,8}[A-Z0-9])\b/g,
+    group: 2,
+    replace: (n) => `TEST${String(n).padStart(3, '0')}`
+  },
+  {
+    kind: 'plate',
+    pattern: /(data-license-plate=")([^"]+)(")/gi,
+    group: 2,
+    replace: (n) => `TEST${String(n).padStart(3, '0')}`
+  },
+  {
+    // Account, tag, reservation and transaction numbers keep their length
+    kind: 'number',
+    pattern: /\b\d{8,}\b/g,
+    replace: (n, value) => `9${String(n).padStart(value.length - 1, '0')}`
+  }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Consistent stand-ins, one numbering per kind of value
+ */
+class Pseudonyms {
+  constructor() {
+    this.values = new Map();
+    this.counts = {};
+  }
+
+  get(kind, value, replace) {
+    const key = `${kind}:${value}`;
+    if (!this.values.has(key)) {
+      this.counts[kind] = (this.counts[kind] || 0) + 1;
+      this.values.set(key, replace(this.counts[kind], value));
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Number of distinct values replaced per kind
+   */
+  summary() {
+    return { ...this.counts };
+  }
+}
+
+/**
+ * Drop scripts and frames, and blank hidden and password input values
+ */
+const stripMarkup = (html) => {
+  let output = html;
+
+  for (const tag of DROPPED_ELEMENTS) {
+    output = output
+      .replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}\\s*>`, 'gi'), '')
+      .replace(new RegExp(`<${tag}\\b[^>]*/?>`, 'gi'), '');
+  }
+
+  // Comments can hold tracking IDs and server debug output
+  output = output.replace(/<!--[\s\S]*?-->/g, '');
+
+  return output.replace(/<input\b[^>]*>/gi, (input) => (
+    /type\s*=\s*["']?(hidden|password)\b/i.test(input)
+      ? input.replace(/\bvalue\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i, 'value=""')
+      : input
+  ));
+};
+
+/**
+ * Scrub personal data from captured HTML
+ * @param {string} html - page content
+ * @param {Object} options - { redact } names or other literal strings to replace
+ *   (guest and account holder names can't be recognised by pattern)
+ * @returns {Object} { html, replaced } with the count of values replaced per kind
+ */
+const scrubHtml = (html, options = {}) => {
+  const pseudonyms = options.pseudonyms || new Pseudonyms();
+  let output = stripMarkup(html);
+
+  const names = (options.redact || []).filter(Boolean).sort((a, b) => b.length - a.length);
+  for (const name of names) {
+    output = output.replace(new RegExp(escapeRegExp(name), 'gi'), () =>
+      pseudonyms.get('name', name.toLowerCase(), (n) => `Person ${String.fromCharCode(64 + ((n - 1) % 26) + 1)}`)
+    );
+  }
+
+  for (const rule of SCRUB_RULES) {
+    output = output.replace(rule.pattern, (...args) => {
+      const groups = args.slice(0, -2);
+      const value = rule.group ? groups[rule.group] : groups[0];
+
+      if (rule.test && !rule.test(value)) return groups[0];
+
+      const stand = pseudonyms.get(rule.kind, value.toUpperCase(), rule.replace);
+      if (!rule.group) return stand;
+
+      return groups.slice(1).map((part, index) => (index + 1 === rule.group ? stand : part || '')).join('');
+    });
+  }
+
+  return { html: output, replaced: pseudonyms.summary() };
+};
+
+module.exports = {
+  SCRUB_RULES,
+  Pseudonyms,
+  stripMarkup,
+  scrubHtml
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LEDGER_STATUS, SqliteLedger, PostgresLedger } = require('../utils/ledger');
+const { makeMatch } = require('./harness/matches');
+
+// buildMatch stamps every match with the time it was made
+const matched = (tollId, tripId, amount) => makeMatch(tollId, tripId, amount, { matchedAt: '2025-07-15T09:00:00.000Z' });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SqliteLedger', () => {
+  let dir;
+  let ledger;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    ledger = new SqliteLedger(path.join(dir, 'ledger.sqlite3'));
+    await ledger.open();
+  });
+
+  afterEach(async () => {
+    await ledger.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records a match once, however often it is matched again', async () => {
+    expect(await ledger.recordMatches([matched('TXN_NY_1', '51234567', 11.19)])).toBe(1);
+    expect(await ledger.recordMatches([
+      matched('TXN_NY_1', '59999999', 11.19),
+      matched('TXN_NY_2', '51234567', 16.06)
+    ])).toBe(1);
+
+    const claimed = await ledger.findClaimed(['TXN_NY_1', 'TXN_NY_2', 'TXN_NY_3']);
+
+    expect([...claimed.entries()]).toEqual([
+      ['TXN_NY_1', { status: LEDGER_STATUS.MATCHED, tripId: '51234567' }],
+      ['TXN_NY_2', { status: LEDGER_STATUS.MATCHED, tripId: '51234567' }]
+    ]);
+  });
+
+  test('moves a matched toll to submitted, and counts it towards its trip', async () => {
+    const match = matched('TXN_NY_1', '51234567', 11.19);
+    await ledger.recordMatches([match]);
+
+    await ledger.markSubmitted(match, 'CI1');
+
+    expect((await ledger.findClaimed(['TXN_NY_1'])).get('TXN_NY_1').status).toBe(LEDGER_STATUS.SUBMITTED);
+    expect(await ledger.findSubmittedTotals(['51234567', '59999999'])).toEqual(new Map([['51234567', 11.19]]));
+  });
+
+  test('records a toll submitted without an earlier match', async () => {
+    await ledger.markSubmitted(matched('TXN_NY_1', '51234567', 11.19), 'CI1');
+
+    expect((await ledger.findClaimed(['TXN_NY_1'])).get('TXN_NY_1')).toEqual({ status: LEDGER_STATUS.SUBMITTED, tripId: '51234567' });
+  });
+
+  test('leaves a submitted toll and its claim history alone when marked submitted again', async () => {
+    const match = matched('TXN_NY_1', '51234567', 11.19);
+    await ledger.markSubmitted(match, 'CI1');
+    let [claim] = await ledger.findSubmittedClaims();
+    await ledger.recordClaimStatus(claim, 'approved', { label: 'Approved' });
+
+    await ledger.markSubmitted(match, 'CI2');
+    await ledger.recordMatches([match]);
+
+    [claim] = await ledger.findSubmittedClaims();
+    expect(claim).toMatchObject({ claimId: 'CI1', status: 'approved', tollIds: ['TXN_NY_1'] });
+    expect(claim.history.map(entry => entry.status)).toEqual(['submitted', 'approved']);
+    expect(await ledger.findSubmittedTotals(['51234567'])).toEqual(new Map([['51234567', 11.19]]));
+  });
+});
+
+describe('PostgresLedger.markSubmitted', () => {
+  const JOB_ROW = {
+    id: '5f0c8a4e-0000-4000-8000-000000000001',
+    turo_trip_id: '51234567',
+    status: 'completed',
+    previous_status: 'pending',
+    toll_amount: '11.19',
+    toll_location: 'THROGS NECK BR',
+    submission_id: 'CI1',
+    claim_status: 'submitted',
+    lease_owner: null,
+    proof_image_url: null
+  };
+
+  const ledgerWith = (rows) => {
+    const ledger = new PostgresLedger({ userId: 'user-1' });
+    ledger.pool = { query: jest.fn(async () => ({ rows: rows, rowCount: rows.length })) };
+    return ledger;
+  };
+
+  test('records the status change and queues job.completed webhooks, like the backend', async () => {
+    const ledger = ledgerWith([JOB_ROW]);
+
+    await ledger.markSubmitted(matched('TXN_NY_1', '51234567', 11.19), 'CI1');
+
+    const [update, event, webhook] = ledger.pool.query.mock.calls;
+    expect(update[0]).toMatch(/status <> 'completed'/);
+    expect(update[1].slice(0, 3)).toEqual(['user-1', 'TXN_NY_1', 'CI1']);
+
+    expect(event[0]).toMatch(/INSERT INTO job_events/);
+    expect(event[1].slice(0, 3)).toEqual(['user-1', [JOB_ROW.id], 'job.status_changed']);
+    const data = JSON.parse(event[1][3]);
+    expect(data).toMatchObject({ oldStatus: 'pending', newStatus: 'completed' });
+    expect(data.job).toMatchObject({ id: JOB_ROW.id, status: 'completed', tollAmount: 11.19, submissionId: 'CI1' });
+    expect(data.job).not.toHaveProperty('leaseOwner');
+    expect(data.job).not.toHaveProperty('proofImageUrl');
+
+    expect(webhook[0]).toMatch(/INSERT INTO webhook_deliveries/);
+    expect(webhook[1]).toEqual(['user-1', 'job.completed', event[1][3], JSON.stringify(['job.completed'])]);
+  });
+
+  test('sends nothing for a job that was already completed', async () => {
+    const ledger = ledgerWith([]);
+
+    await ledger.markSubmitted(matched('TXN_NY_1', '51234567', 11.19), 'CI1');
+
+    expect(ledger.pool.query).toHaveBeenCalledTimes(1);
+  });
+});
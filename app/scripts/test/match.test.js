@@ -0,0 +1,134 @@
+const TollTripMatcher = require('../match');
+const { FlowNetwork } = require('../utils/minCostFlow');
+
+// Two overlapping trips on one car: A from 08:00 to 14:00, B from 12:00 to 18:00
+const trip = (tripId, start, end) => ({
+  tripId: tripId,
+  status: 'completed',
+  guest: { name: 'Jane Smith' },
+  vehicle: { name: 'Tesla Model 3', licensePlate: 'ABC1234' },
+  dates: { start: `2025-07-14T${start}:00-04:00`, end: `2025-07-14T${end}:00-04:00`, timezone: 'America/New_York' },
+  location: 'Newark Airport',
+  amount: 175.5
+});
+
+const TRIP_A = trip('A', '08:00', '14:00');
+const TRIP_B = trip('B', '12:00', '18:00');
+const TRIPS = { A: TRIP_A, B: TRIP_B };
+
+const toll = (id, time) => ({
+  id: id,
+  date: '2025-07-14',
+  time: `${time}:00`,
+  timestamp: `2025-07-14T${time}:00-04:00`,
+  location: 'Throgs Neck Br',
+  amount: 11.19
+});
+
+/**
+ * A toll with its candidate trips, best first, given as { tripId: score }
+ */
+const entry = (id, time, scores) => ({
+  toll: toll(id, time),
+  candidates: Object.entries(scores)
+    .map(([tripId, score]) => ({ trip: TRIPS[tripId], confidence: { score: score, category: score >= 0.8 ? 'high' : 'medium' } }))
+    .sort((a, b) => b.confidence.score - a.confidence.score)
+});
+
+const assignedTrips = (assignment, entries) =>
+  entries.map(({ toll }) => (assignment.get(toll.id) ? assignment.get(toll.id).trip.tripId : null));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TollTripMatcher.solveVehicleAssignment', () => {
+  const matcher = new TollTripMatcher();
+
+  test('keeps a car on one trip at a time when tolls each prefer a different overlapping trip', () => {
+    // Each toll's own best trip would be A, B, A - the car can't go back to A
+    const entries = [
+      entry('T1', '09:00', { A: 0.9 }),
+      entry('T2', '12:30', { A: 0.5, B: 0.8 }),
+      entry('T3', '13:30', { A: 0.9, B: 0.4 })
+    ];
+
+    expect(assignedTrips(matcher.solveVehicleAssignment(entries), entries)).toEqual(['A', 'A', 'A']);
+  });
+
+  test('moves to the later trip when that gives the higher total confidence', () => {
+    const entries = [
+      entry('T3', '15:00', { B: 0.9 }),
+      entry('T1', '09:00', { A: 0.6 }),
+      entry('T2', '12:30', { A: 0.3, B: 0.9 })
+    ];
+
+    expect(assignedTrips(matcher.solveVehicleAssignment(entries), entries)).toEqual(['B', 'A', 'B']);
+  });
+
+  test('leaves out a toll whose only trip conflicts with better-scoring tolls', () => {
+    const entries = [
+      entry('T1', '09:00', { B: 0.4 }),
+      entry('T2', '10:00', { A: 0.9 }),
+      entry('T3', '11:00', { A: 0.9 })
+    ];
+
+    expect(assignedTrips(matcher.solveVehicleAssignment(entries), entries)).toEqual([null, 'A', 'A']);
+  });
+
+  test('charges many tolls to one trip', () => {
+    const entries = ['09:00', '10:00', '11:00'].map((time, index) => entry(`T${index}`, time, { A: 0.7 }));
+
+    expect(assignedTrips(matcher.solveVehicleAssignment(entries), entries)).toEqual(['A', 'A', 'A']);
+  });
+});
+
+describe('TollTripMatcher.buildMatch', () => {
+  const matcher = new TollTripMatcher();
+
+  test('records the best other candidate and the margin over it', () => {
+    const { toll: record, candidates } = entry('T1', '13:00', { A: 0.9, B: 0.75 });
+
+    const match = matcher.buildMatch(record, 'ABC1234', candidates[0], candidates);
+
+    expect(match.runnerUp).toEqual({ tripId: 'B', score: 0.75, category: 'medium' });
+    expect(match.scoreMargin).toBe(0.15);
+  });
+
+  test('gives a margin of 0, not a negative one, when the batch chose a lower-scoring trip', () => {
+    const { toll: record, candidates } = entry('T2', '12:30', { A: 0.5, B: 0.8 });
+    const chosen = candidates.find(candidate => candidate.trip.tripId === 'A');
+
+    const match = matcher.buildMatch(record, 'ABC1234', chosen, candidates);
+
+    expect(match.runnerUp.tripId).toBe('B');
+    expect(match.scoreMargin).toBe(0);
+  });
+
+  test('has no runner-up or margin with a single candidate', () => {
+    const { toll: record, candidates } = entry('T1', '09:00', { A: 0.9 });
+
+    expect(matcher.buildMatch(record, 'ABC1234', candidates[0], candidates)).toMatchObject({ runnerUp: null, scoreMargin: null });
+  });
+});
+
+describe('FlowNetwork', () => {
+  test('finds the cheapest flow through edges with negative costs', () => {
+    // 0 -> 1 -> 3 costs -5, 0 -> 2 -> 3 costs -3; one unit fits through each
+    const network = new FlowNetwork(4);
+    const viaOne = network.addEdge(0, 1, 1, -2);
+    network.addEdge(1, 3, 1, -3);
+    const viaTwo = network.addEdge(0, 2, 1, -1);
+    network.addEdge(2, 3, 1, -2);
+
+    expect(network.solve(0, 3, 1)).toEqual({ flow: 1, cost: -5 });
+    expect([network.flowOn(viaOne), network.flowOn(viaTwo)]).toEqual([1, 0]);
+
+    expect(network.solve(0, 3)).toEqual({ flow: 1, cost: -3 });
+    expect(network.flowOn(viaTwo)).toBe(1);
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerProvider, getProvider, listProviders, createProvider } = require('../providers');
+const { loadTollAccounts } = require('../providers/accounts');
+const TollProvider = require('../providers/tollProvider');
+const TollAccountScraper = require('../scrapers/tolls');
+const TollTripMatcher = require('../match');
+
+// Stands in for an agency portal: lists canned tolls and fails for the "broken" account
+class FakeTollProvider extends TollProvider {
+  constructor(account = {}) {
+    super(FakeTollProvider.portal, account);
+    this.loggedIn = false;
+  }
+
+  async getCredentials() {
+    return { username: this.label, password: 'secret' };
+  }
+
+  async login(credentials) {
+    if (credentials.username === 'broken') {
+      throw new Error('Login failed');
+    }
+    this.loggedIn = true;
+  }
+
+  async listTransactions(window) {
+    return this.tagTransactions([
+      {
+        id: `TXN_TX_${this.label.toUpperCase()}1`,
+        date: '2025-07-14',
+        time: '08:15',
+        timestamp: '2025-07-14T08:15:00-05:00',
+        timezone: this.timezone,
+        location: 'Sam Houston Tollway',
+        amount: 2.25,
+        windowMode: window.mode
+      }
+    ]);
+  }
+
+  async fetchReceipt(transaction) {
+    return { type: 'screenshot', path: `/tmp/${transaction.id}.png` };
+  }
+}
+
+FakeTollProvider.portal = {
+  id: 'test-agency',
+  name: 'Test Agency',
+  state: 'tx',
+  timezone: 'America/Chicago'
+};
+
+let dir;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  registerProvider(FakeTollProvider.portal, FakeTollProvider);
+});
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+  process.env.CHECKPOINT_FILE = path.join(dir, 'checkpoint.json');
+});
+
+afterEach(() => {
+  delete process.env.CHECKPOINT_FILE;
+  delete process.env.EZPASS_STATE;
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+const writeAccounts = (accounts) => {
+  const filePath = path.join(dir, 'toll-accounts.json');
+  fs.writeFileSync(filePath, JSON.stringify({ accounts }));
+  return filePath;
+};
+
+describe('provider registry', () => {
+  test('has an adapter for each supported agency', () => {
+    expect(listProviders().map(portal => portal.id)).toEqual(expect.arrayContaining([
+      'ezpass-ny', 'ezpass-nj', 'ezpass-pa', 'ezpass-ma', 'sunpass', 'fastrak', 'illinois-tollway'
+    ]));
+    expect(getProvider('fastrak').timezone).toBe('America/Los_Angeles');
+    expect(getProvider('illinois-tollway').timezone).toBe('America/Chicago');
+  });
+
+  test('creates adapters pointed at their own portal', () => {
+    const provider = createProvider({ provider: 'ezpass-nj', label: 'fleet' });
+
+    expect(provider.scraper.portal.loginUrl).toMatch(/ezpassnj\.com/);
+    expect(provider.scraper.state).toBe('nj');
+    expect(provider.checkpointKey).toBe('ezpass-nj:fleet');
+    expect(createProvider({ provider: 'sunpass', label: 'sunpass' }).checkpointKey).toBe('sunpass');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => getProvider('peach-pass')).toThrow(/Unknown toll provider "peach-pass"/);
+  });
+});
+
+describe('loadTollAccounts', () => {
+  test('defaults to one E-ZPass account for EZPASS_STATE', async () => {
+    process.env.EZPASS_STATE = 'pa';
+
+    expect(await loadTollAccounts(path.join(dir, 'missing.json'))).toEqual([
+      { provider: 'ezpass-pa', label: 'ezpass-pa', secretName: null, enabled: true }
+    ]);
+  });
+
+  test('reads enabled accounts and fills in labels', async () => {
+    const accounts = await loadTollAccounts(writeAccounts([
+      { provider: 'ezpass-ny', secretName: 'turo-ezpass/ezpass/credentials' },
+      { provider: 'SunPass', label: 'miami', secretName: 'turo-ezpass/sunpass/credentials' },
+      { provider: 'fastrak', enabled: false }
+    ]));
+
+    expect(accounts).toEqual([
+      { provider: 'ezpass-ny', label: 'ezpass-ny', secretName: 'turo-ezpass/ezpass/credentials', enabled: true },
+      { provider: 'sunpass', label: 'miami', secretName: 'turo-ezpass/sunpass/credentials', enabled: true }
+    ]);
+  });
+
+  test('rejects unknown providers and duplicate labels', async () => {
+    await expect(loadTollAccounts(writeAccounts([{ provider: 'peach-pass' }])))
+      .rejects.toThrow(/Unknown toll provider/);
+    await expect(loadTollAccounts(writeAccounts([{ provider: 'sunpass' }, { provider: 'sunpass' }])))
+      .rejects.toThrow(/Duplicate toll account "sunpass"/);
+  });
+});
+
+describe('TollAccountScraper', () => {
+  test('combines tolls from every account and skips accounts that fail', async () => {
+    const outputPath = path.join(dir, 'ezpass.json');
+    const scraper = new TollAccountScraper({
+      accountsFile: writeAccounts([
+        { provider: 'test-agency', label: 'houston' },
+        { provider: 'test-agency', label: 'broken' },
+        { provider: 'test-agency', label: 'dallas' }
+      ]),
+      outputPath: outputPath
+    });
+
+    const result = await scraper.scrape();
+
+    expect(result.recordCount).toBe(2);
+    expect(result.accounts.map(account => [account.account, account.success])).toEqual([
+      ['houston', true], ['broken', false], ['dallas', true]
+    ]);
+
+    const saved = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    expect(saved.records.map(record => [record.id, record.provider, record.account])).toEqual([
+      ['TXN_TX_HOUSTON1', 'test-agency', 'houston'],
+      ['TXN_TX_DALLAS1', 'test-agency', 'dallas']
+    ]);
+    expect(saved.records[0].screenshotPath).toBe('/tmp/TXN_TX_HOUSTON1.png');
+    expect(saved.timezone).toBe('America/Chicago');
+
+    const checkpoints = JSON.parse(fs.readFileSync(process.env.CHECKPOINT_FILE, 'utf8'));
+    expect(Object.keys(checkpoints).sort()).toEqual(['test-agency:dallas', 'test-agency:houston']);
+  });
+
+  test('fails when every account fails', async () => {
+    const scraper = new TollAccountScraper({
+      accountsFile: writeAccounts([{ provider: 'test-agency', label: 'broken' }]),
+      outputPath: path.join(dir, 'ezpass.json')
+    });
+
+    await expect(scraper.scrape()).rejects.toThrow(/Every toll account failed/);
+  });
+});
+
+describe('TollTripMatcher.loadTollRecords', () => {
+  test('reads tolls without a timezone in their provider\'s timezone', async () => {
+    const tollFile = path.join(dir, 'ezpass.json');
+    fs.writeFileSync(tollFile, JSON.stringify({
+      records: [
+        { id: 'TXN_IL_1', date: '2025-07-14', time: '08:15', provider: 'illinois-tollway', amount: 1.9 },
+        { id: 'TXN_NY_1', date: '2025-07-14', time: '08:15', timezone: 'America/New_York', amount: 2.47 },
+        { id: 'TXN_NY_2', date: '2025-07-14', time: '08:15', amount: 2.47 }
+      ]
+    }));
+
+    const matcher = new TollTripMatcher({ tollFile });
+    const records = await matcher.loadTollRecords();
+
+    expect(records.map(record => record.timezone)).toEqual(['America/Chicago', 'America/New_York', undefined]);
+    expect(matcher.getTollsByProvider()).toEqual({ 'illinois-tollway': 1, ezpass: 2 });
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_RULES_FILE, validateRules, loadRules } = require('../utils/rules');
+
+const DEFAULT_RULES = require('../rules/default.json');
+const EXAMPLE_YAML = path.join(__dirname, '..', 'rules', 'example.yaml');
+
+/**
+ * The default rules with some fields replaced, as a deep copy
+ */
+const rulesWith = (changes = {}) => {
+  const rules = JSON.parse(JSON.stringify(DEFAULT_RULES));
+
+  for (const [dottedPath, value] of Object.entries(changes)) {
+    const keys = dottedPath.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => object[key], rules);
+    if (value === undefined) {
+      delete parent[keys[keys.length - 1]];
+    } else {
+      parent[keys[keys.length - 1]] = value;
+    }
+  }
+
+  return rules;
+};
+
+let dir;
+
+const writeRules = (name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('validateRules', () => {
+  test('accepts the shipped rules', () => {
+    expect(validateRules(DEFAULT_RULES)).toEqual([]);
+  });
+
+  test('reports missing fields, wrong types and out-of-range values', () => {
+    expect(validateRules(rulesWith({
+      version: undefined,
+      'weights.time': '0.7',
+      'categories.high': 1.5,
+      minScore: -0.1,
+      'time.bufferHours': 0,
+      commonLocations: ['newark', 7]
+    }))).toEqual([
+      'version is required',
+      'weights.time must be a number',
+      'minScore must be >= 0',
+      'categories.high must be <= 1',
+      'time.bufferHours must be > 0',
+      'commonLocations must be a list of strings'
+    ]);
+  });
+
+  test('checks fields against each other once each is valid on its own', () => {
+    expect(validateRules(rulesWith({
+      'weights.time': 0.6,
+      'amount.min': 60,
+      'location.nearKm': 80,
+      'categories.medium': 0.9
+    }))).toEqual([
+      'weights.time + weights.location must equal 1',
+      'amount.min must not exceed amount.max',
+      'location.nearKm must be less than location.maxDistanceKm',
+      'categories must satisfy high >= medium >= low'
+    ]);
+
+    // A field error hides the cross-field checks it would confuse
+    expect(validateRules(rulesWith({ 'weights.time': 0.6, 'weights.location': 'far' }))).toEqual([
+      'weights.location must be a number'
+    ]);
+  });
+
+  test('refuses anything but an object', () => {
+    expect(validateRules(null)).toEqual(['rules file must contain an object']);
+    expect(validateRules([DEFAULT_RULES])).toEqual(['rules file must contain an object']);
+  });
+});
+
+describe('loadRules', () => {
+  test('loads the default rules with their source', async () => {
+    const rules = await loadRules();
+
+    expect(rules.version).toBe(DEFAULT_RULES.version);
+    expect(rules.source).toBe(DEFAULT_RULES_FILE);
+  });
+
+  test('lowercases and trims common locations', async () => {
+    const filePath = writeRules('rules.json', JSON.stringify(rulesWith({ commonLocations: [' Holland Tunnel', 'JFK '] })));
+
+    expect((await loadRules(filePath)).commonLocations).toEqual(['holland tunnel', 'jfk']);
+  });
+
+  test('loads the YAML example', async () => {
+    const rules = await loadRules(EXAMPLE_YAML);
+
+    expect(typeof rules.version).toBe('string');
+    expect(rules.source).toBe(EXAMPLE_YAML);
+  });
+
+  test('reads a numeric YAML version as a string', async () => {
+    const yamlRules = fs.readFileSync(EXAMPLE_YAML, 'utf8').replace(/^version:.*$/m, 'version: 3');
+
+    const rules = await loadRules(writeRules('rules.yml', yamlRules));
+
+    expect(rules.version).toBe('3');
+  });
+
+  test('lists every problem in an invalid file', async () => {
+    const filePath = writeRules('rules.json', JSON.stringify(rulesWith({ 'amount.boost': 2, closeCallMargin: undefined })));
+
+    await expect(loadRules(filePath)).rejects.toThrow(
+      `Invalid matching rules in ${filePath}:\n  - amount.boost must be <= 1\n  - closeCallMargin is required`
+    );
+  });
+
+  test('refuses file types other than JSON and YAML', async () => {
+    await expect(loadRules(writeRules('rules.toml', 'version = "1"'))).rejects.toThrow('Unsupported rules file type ".toml"');
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadCheckpoint,
+  saveCheckpoint,
+  resolveScrapeWindow,
+  describeWindow,
+  isWithinWindow,
+  dedupeBy
+} = require('../utils/scrapeWindow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMEZONE = 'America/New_York';
+
+let dir;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+  process.env.CHECKPOINT_FILE = path.join(dir, 'scrape-checkpoint.json');
+});
+
+afterEach(() => {
+  delete process.env.CHECKPOINT_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('checkpoints', () => {
+  test('has no checkpoint before the first run', async () => {
+    expect(await loadCheckpoint('ezpass')).toBeNull();
+  });
+
+  test('saves each job\'s last window without touching the others', async () => {
+    const ezpassWindow = { start: new Date('2025-07-01T04:00:00Z'), end: new Date('2025-07-08T04:00:00Z'), mode: 'default' };
+    const turoWindow = { start: new Date('2025-07-02T04:00:00Z'), end: new Date('2025-07-09T04:00:00Z'), mode: 'range' };
+
+    await saveCheckpoint('ezpass', ezpassWindow, { recordCount: 12 });
+    await saveCheckpoint('turo', turoWindow);
+
+    expect(await loadCheckpoint('ezpass')).toMatchObject({
+      lastWindow: { start: '2025-07-01T04:00:00.000Z', end: '2025-07-08T04:00:00.000Z', mode: 'default' },
+      completedAt: expect.any(String),
+      recordCount: 12
+    });
+    expect((await loadCheckpoint('turo')).lastWindow.mode).toBe('range');
+  });
+
+  test('surfaces a checkpoint file it cannot read', async () => {
+    fs.writeFileSync(process.env.CHECKPOINT_FILE, '{ not json');
+
+    await expect(loadCheckpoint('ezpass')).rejects.toThrow(SyntaxError);
+  });
+});
+
+describe('resolveScrapeWindow', () => {
+  test('covers the default lookback up to now', async () => {
+    const before = Date.now();
+
+    const window = await resolveScrapeWindow('ezpass', {}, { timezone: TIMEZONE, defaultDays: 7 });
+
+    expect(window.mode).toBe('default');
+    expect(window.end.getTime()).toBeGreaterThanOrEqual(before);
+    expect(window.end.getTime() - window.start.getTime()).toBe(7 * DAY_MS);
+    expect(window.timezone).toBe(TIMEZONE);
+  });
+
+  test('reads bare --from/--to dates in the timezone, with --to covering the whole day', async () => {
+    const window = await resolveScrapeWindow('ezpass', { from: '2025-07-01', to: '2025-07-07' }, { timezone: TIMEZONE });
+
+    expect(window).toMatchObject({ mode: 'range', timezone: TIMEZONE });
+    expect(window.start.toISOString()).toBe('2025-07-01T04:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2025-07-08T03:59:59.000Z');
+    expect(describeWindow(window)).toMatchObject({ start: '2025-07-01', end: '2025-07-07', mode: 'range' });
+  });
+
+  test('rejects an unreadable date and a window that ends before it starts', async () => {
+    await expect(resolveScrapeWindow('ezpass', { from: 'last tuesday' }, { timezone: TIMEZONE }))
+      .rejects.toThrow('Invalid date "last tuesday"');
+    await expect(resolveScrapeWindow('ezpass', { from: '2025-07-08', to: '2025-07-01' }, { timezone: TIMEZONE }))
+      .rejects.toThrow('Scrape window starts after it ends');
+  });
+
+  test('starts --since-last-run at the end of the last window, less the overlap', async () => {
+    const lastEnd = new Date(Date.now() - 2 * DAY_MS);
+    await saveCheckpoint('ezpass', { start: new Date(lastEnd.getTime() - 7 * DAY_MS), end: lastEnd, mode: 'default' });
+
+    const window = await resolveScrapeWindow('ezpass', { sinceLastRun: true }, { timezone: TIMEZONE, overlapDays: 3 });
+
+    expect(window.mode).toBe('since-last-run');
+    expect(window.start.getTime()).toBe(lastEnd.getTime() - 3 * DAY_MS);
+  });
+
+  test('falls back to the default lookback when --since-last-run has no checkpoint', async () => {
+    await saveCheckpoint('turo', { start: new Date('2025-07-01T04:00:00Z'), end: new Date('2025-07-08T04:00:00Z'), mode: 'default' });
+
+    const window = await resolveScrapeWindow('ezpass', { sinceLastRun: true }, { timezone: TIMEZONE, defaultDays: 5 });
+
+    expect(window.mode).toBe('default');
+    expect(window.end.getTime() - window.start.getTime()).toBe(5 * DAY_MS);
+  });
+
+  test('lets --from win over --since-last-run', async () => {
+    await saveCheckpoint('ezpass', { start: new Date('2025-07-01T04:00:00Z'), end: new Date('2025-07-08T04:00:00Z'), mode: 'default' });
+
+    const window = await resolveScrapeWindow('ezpass', { from: '2025-06-01', to: '2025-06-30', sinceLastRun: true }, { timezone: TIMEZONE });
+
+    expect(window.mode).toBe('range');
+    expect(window.start.toISOString()).toBe('2025-06-01T04:00:00.000Z');
+  });
+});
+
+describe('isWithinWindow', () => {
+  const window = { start: new Date('2025-07-01T04:00:00Z'), end: new Date('2025-07-08T03:59:59Z') };
+
+  test('includes both ends of the window', () => {
+    expect(isWithinWindow('2025-07-01T00:00:00-04:00', window)).toBe(true);
+    expect(isWithinWindow(new Date('2025-07-08T03:59:59Z'), window)).toBe(true);
+    expect(isWithinWindow('2025-06-30T23:59:59-04:00', window)).toBe(false);
+    expect(isWithinWindow('2025-07-08T00:00:00-04:00', window)).toBe(false);
+  });
+
+  test('leaves out records without a readable time', () => {
+    expect(isWithinWindow(null, window)).toBe(false);
+    expect(isWithinWindow('not a date', window)).toBe(false);
+  });
+});
+
+describe('dedupeBy', () => {
+  test('keeps the first record for each key and every record without one', () => {
+    const records = [{ id: 'a', n: 1 }, { id: null, n: 2 }, { id: 'a', n: 3 }, { id: null, n: 4 }, { id: 'b', n: 5 }];
+
+    expect(dedupeBy(records, record => record.id).map(record => record.n)).toEqual([1, 2, 4, 5]);
+  });
+});
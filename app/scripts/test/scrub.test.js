@@ -0,0 +1,42 @@
+const { scrubHtml } = require('./harness/scrub');
+
+describe('scrubHtml', () => {
+  test('drops scripts and frames and blanks hidden and password values', () => {
+    const { html } = scrubHtml([
+      '<script>window.__session = "abc";</script>',
+      '<noscript><img src="/pixel?u=42"></noscript>',
+      '<iframe src="https://ads.example.net"></iframe>',
+      '<!-- rendered for account 123456789 -->',
+      '<input type="hidden" name="csrf" value="s3cr3t-token">',
+      '<input type="password" name="password" value="hunter2">',
+      '<input type="text" name="amount" value="12.50">'
+    ].join('\n'));
+
+    expect(html).not.toMatch(/script|noscript|iframe|__session|rendered for/);
+    expect(html).toContain('<input type="hidden" name="csrf" value="">');
+    expect(html).toContain('<input type="password" name="password" value="">');
+    expect(html).toContain('value="12.50"');
+  });
+
+  test('replaces personal values with stand-ins of the same shape, consistently', () => {
+    const { html, replaced } = scrubHtml(`
+      <li class="trip-card" data-reservation-id="51234567">
+        <a href="/trips/51234567">View</a>
+        <span class="guest-name">Jordan Smith</span>
+        <span class="license-plate">Plate: ABC1234</span>
+        <span class="vin">VIN 4T1B11HK5KU123456</span>
+        <p>Pickup at 42 Garden State Pkwy, call 201-555-0187 or jordan.smith@gmail.com</p>
+        <p>Tag 00012345678 at THROGS NECK BR on 07/14/2025 for $11.19</p>
+      </li>`, { redact: ['Jordan Smith'] });
+
+    expect(html).toContain('data-reservation-id="90000001"');
+    expect(html).toContain('href="/trips/90000001"');
+    expect(html).toContain('Person A');
+    expect(html).toContain('Plate: TEST001');
+    expect(html).toContain('VIN TESTVN00000000001');
+    expect(html).toContain('Pickup at 100 Fixture St, call (555) 010-0001 or user1@example.com');
+    expect(html).toContain('Tag 90000000002 at THROGS NECK BR on 07/14/2025 for $11.19');
+    expect(html).not.toMatch(/Jordan|ABC1234|4T1B11HK5KU123456|Garden State|0187|gmail/);
+    expect(replaced).toEqual({ name: 1, email: 1, vin: 1, phone: 1, address: 1, plate: 1, number: 2 });
+  });
+});
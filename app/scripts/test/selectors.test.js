@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SelectorRegistry,
+  loadSelectorRegistry,
+  validateSelectorRegistry
+} = require('../utils/selectors');
+
+const registry = {
+  version: 'test.1',
+  selectors: {
+    'turobot.claim.amount': {
+      candidates: ['input[name*="amount"]', 'input[type="number"]', '#amount']
+    },
+    'turobot.claim.location': {
+      optional: true,
+      candidates: ['input[name*="location"]', '#toll-location']
+    },
+    'turobot.claim.description': {
+      candidates: ['textarea[name*="description"]', '#description']
+    },
+    'turobot.trip.link': {
+      candidates: ['a[href*="{tripId}"]', '[data-trip-id="{tripId}"]']
+    }
+  }
+};
+
+/**
+ * Page stand-in whose elements are looked up by exact selector
+ */
+const fakePage = (elements) => {
+  const element = (options = {}) => ({
+    isVisible: async () => options.visible !== false,
+    isEnabled: async () => options.enabled !== false
+  });
+  const found = Object.fromEntries(Object.entries(elements).map(([selector, options]) => [selector, element(options)]));
+
+  return {
+    $: async (selector) => found[selector] || null,
+    $$: async (selector) => (found[selector] ? [found[selector]] : []),
+    waitForSelector: async (selector) => {
+      if (!found[selector]) throw new Error(`Timeout waiting for ${selector}`);
+      return found[selector];
+    }
+  };
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('selector registry file', () => {
+  test('is valid and has every key the Playwright flows look up', () => {
+    const shipped = loadSelectorRegistry();
+    expect(validateSelectorRegistry(shipped)).toEqual([]);
+
+    const sources = ['../scrapers/ezpass.js', '../scrapers/turo.js', '../turobot.js']
+      .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8'))
+      .join('\n');
+    const usedKeys = [...new Set(sources.match(/'(?:ezpass|turo|turobot)\.[a-z]+\.[a-zA-Z]+'/g))]
+      .map(key => key.slice(1, -1));
+
+    expect(usedKeys.length).toBeGreaterThan(40);
+    expect(usedKeys.filter(key => !shipped.selectors[key])).toEqual([]);
+  });
+
+  test('reports malformed entries', () => {
+    expect(validateSelectorRegistry({
+      selectors: {
+        'turo.login': { candidates: ['#email'] },
+        'turo.login.password': { candidates: [] },
+        'turo.login.submit': { candidates: ['button', 'button'] }
+      }
+    })).toEqual([
+      'version is required',
+      'turo.login must be named flow.step.element',
+      'turo.login.password.candidates must be a non-empty list',
+      'turo.login.submit.candidates lists the same selector twice'
+    ]);
+  });
+});
+
+describe('SelectorRegistry', () => {
+  test('uses the primary selector while it matches', async () => {
+    const selectors = new SelectorRegistry('turobot', { registry });
+    const match = await selectors.find(fakePage({ 'input[name*="amount"]': {} }), 'turobot.claim.amount');
+
+    expect(match.selector).toBe('input[name*="amount"]');
+    expect(selectors.getDriftReport().drift).toEqual([]);
+  });
+
+  test('reports drift when a fallback takes over from the primary', async () => {
+    const selectors = new SelectorRegistry('turobot', { registry });
+    const page = fakePage({ '#amount': {}, 'textarea[name*="description"]': {} });
+
+    expect((await selectors.find(page, 'turobot.claim.amount')).selector).toBe('#amount');
+    await selectors.find(page, 'turobot.claim.amount');
+    await selectors.find(page, 'turobot.claim.description');
+
+    const report = selectors.getDriftReport();
+    expect(report).toMatchObject({ flow: 'turobot', label: 'turobot', registryVersion: 'test.1', missing: [] });
+    expect(report.drift).toEqual([{
+      key: 'turobot.claim.amount',
+      primary: 'input[name*="amount"]',
+      fallbacks: [{ selector: '#amount', position: 2, matches: 2 }],
+      primaryStillMatches: false
+    }]);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('lists required selectors that never matched, but not optional ones', async () => {
+    const selectors = new SelectorRegistry('turobot', { registry });
+    const page = fakePage({});
+
+    expect(await selectors.find(page, 'turobot.claim.amount')).toBeNull();
+    expect(await selectors.find(page, 'turobot.claim.location')).toBeNull();
+
+    expect(selectors.getDriftReport().missing).toEqual([
+      { key: 'turobot.claim.amount', candidates: 3, description: null }
+    ]);
+  });
+
+  test('skips hidden elements when asked for visible ones', async () => {
+    const selectors = new SelectorRegistry('turobot', { registry });
+    const page = fakePage({ 'input[name*="amount"]': { visible: false }, 'input[type="number"]': {} });
+
+    expect((await selectors.find(page, 'turobot.claim.amount')).selector).toBe('input[name*="amount"]');
+    expect((await selectors.find(page, 'turobot.claim.amount', { visible: true })).selector).toBe('input[type="number"]');
+  });
+
+  test('fills templated candidates without counting them as drift', async () => {
+    const selectors = new SelectorRegistry('turobot', { registry });
+    const page = fakePage({ 'a[href*="12345"]': {} });
+
+    const match = await selectors.find(page, 'turobot.trip.link', { params: { tripId: '12345' } });
+
+    expect(match.selector).toBe('a[href*="12345"]');
+    expect(selectors.getDriftReport().drift).toEqual([]);
+  });
+
+  test('records matches made inside page.evaluate', () => {
+    const selectors = new SelectorRegistry('turobot', { registry });
+    selectors.recordMatches({ 'turobot.claim.description': '#description', 'turobot.claim.amount': null });
+
+    const report = selectors.getDriftReport();
+    expect(report.drift.map(entry => entry.key)).toEqual(['turobot.claim.description']);
+    expect(report.missing.map(entry => entry.key)).toEqual(['turobot.claim.amount']);
+  });
+
+  test('keeps the latest run of each flow in the drift report file', async () => {
+    const reportFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'selectors-')), 'selector-drift.json');
+    const page = fakePage({ '#amount': {} });
+
+    const first = new SelectorRegistry('turobot', { registry });
+    await first.find(page, 'turobot.claim.amount');
+    await first.saveDriftReport(reportFile);
+
+    const portal = new SelectorRegistry('ezpass', { registry, label: 'ezpass-nj' });
+    await portal.saveDriftReport(reportFile);
+
+    const saved = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    expect(Object.keys(saved.runs)).toEqual(['turobot', 'ezpass-nj']);
+    expect(saved.runs.turobot.drift[0].key).toBe('turobot.claim.amount');
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadSubmissionPolicy,
+  resolvePolicy,
+  evaluatePolicy,
+  validatePolicy
+} = require('../utils/policy');
+const { makeMatch } = require('./harness/matches');
+
+const held = (result) => result.held.map(({ match, action, rule }) => [match.tollId, action, rule]);
+
+describe('submission policy', () => {
+  test('the default policy submits high, holds medium for approval and never submits low', async () => {
+    const policy = resolvePolicy(await loadSubmissionPolicy());
+
+    const result = evaluatePolicy([
+      makeMatch('TXN_1', '51234567', 11.19),
+      makeMatch('TXN_2', '51234567', 6.12, { category: 'medium' }),
+      makeMatch('TXN_3', '51239876', 2.95, { category: 'low' })
+    ], policy);
+
+    expect(result.submit.map(match => match.tollId)).toEqual(['TXN_1']);
+    expect(held(result)).toEqual([
+      ['TXN_2', 'approval', 'confidence.medium'],
+      ['TXN_3', 'never', 'confidence.low']
+    ]);
+    expect(result.held[1].reason).toBe('low confidence (0.30) is never submitted');
+  });
+
+  test('claims over the amount ceiling, or past the trip total, wait for approval', async () => {
+    const policy = resolvePolicy(await loadSubmissionPolicy(path.join(__dirname, '..', 'policies', 'example.yaml')));
+
+    const result = evaluatePolicy([
+      makeMatch('TXN_1', '51230001', 38.5, { fees: [{ amount: 5 }], totalAmount: 43.5 }),
+      makeMatch('TXN_2', '51234567', 16.06),
+      makeMatch('TXN_3', '51234567', 14),
+      makeMatch('TXN_4', '51239876', 11.19)
+    ], policy, {
+      // Earlier runs already claimed $95 on the second trip
+      submittedTotals: new Map([['51234567', 95]])
+    });
+
+    expect(result.submit.map(match => match.tollId)).toEqual(['TXN_2', 'TXN_4']);
+    expect(held(result)).toEqual([
+      ['TXN_1', 'approval', 'limits.maxClaimAmount'],
+      ['TXN_3', 'approval', 'limits.maxTripTotal']
+    ]);
+    expect(result.held[0].reason).toBe('$43.50 claim is over the $40.00 auto-submit limit');
+    expect(result.held[1].reason).toBe(
+      'trip 51234567 would reach $125.06 ($95.00 already submitted), over the $120.00 auto-submit limit'
+    );
+  });
+
+  test('the amount ceiling applies to the trip claim, not each toll', async () => {
+    const policy = resolvePolicy(await loadSubmissionPolicy(path.join(__dirname, '..', 'policies', 'example.yaml')));
+    const crossings = [1, 2, 3, 4, 5, 6].map(n => makeMatch(`TXN_${n}`, '51234567', 16));
+
+    const result = evaluatePolicy([...crossings, makeMatch('TXN_7', '51239876', 16)], policy);
+
+    // Six $16 tolls are filed as one $96 claim, over the $40 limit
+    expect(result.submit.map(match => match.tollId)).toEqual(['TXN_7']);
+    expect(held(result)).toEqual(crossings.map(match => [match.tollId, 'approval', 'limits.maxClaimAmount']));
+    expect(result.held[0].reason).toBe('$96.00 claim (6 tolls on trip 51234567) is over the $40.00 auto-submit limit');
+  });
+
+  test('user overrides apply on top of the file settings', async () => {
+    const policy = await loadSubmissionPolicy(path.join(__dirname, '..', 'policies', 'example.yaml'));
+    const userId = '8d3c52f4-0b1e-4c55-9a64-2f0a7f1b6e21';
+
+    const resolved = resolvePolicy(policy, userId);
+
+    expect(resolved).toMatchObject({
+      user: userId,
+      confidence: { high: 'auto', medium: 'auto', low: 'never' },
+      limits: { maxClaimAmount: 25, maxTripTotal: 120 }
+    });
+    expect(resolvePolicy(policy, 'someone-else')).toMatchObject({ user: null, limits: { maxClaimAmount: 40 } });
+
+    const result = evaluatePolicy([
+      makeMatch('TXN_1', '51234567', 16.06, { category: 'medium' }),
+      makeMatch('TXN_2', '51239876', 30)
+    ], resolved);
+
+    expect(result.submit.map(match => match.tollId)).toEqual(['TXN_1']);
+    expect(held(result)).toEqual([['TXN_2', 'approval', 'limits.maxClaimAmount']]);
+  });
+
+  test('rejects invalid policies with a list of problems', async () => {
+    expect(validatePolicy({
+      version: '1',
+      confidence: { high: 'auto', medium: 'maybe' },
+      limits: { maxClaimAmount: -5 },
+      users: { abc: { limits: { maxTripTotal: 'lots' } } }
+    })).toEqual([
+      'confidence.medium must be one of auto, approval, never',
+      'confidence.low is required',
+      'limits.maxClaimAmount must be >= 0',
+      'users.abc.limits.maxTripTotal must be a number'
+    ]);
+
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'policy-')), 'policy.json');
+    fs.writeFileSync(filePath, JSON.stringify({ confidence: { high: 'auto', medium: 'auto', low: 'never' } }));
+
+    await expect(loadSubmissionPolicy(filePath)).rejects.toThrow(/Invalid submission policy[\s\S]*version is required/);
+  });
+});
@@ -0,0 +1,30 @@
+const { parseWallDate, toZonedTimestamp } = require('../utils/time');
+
+describe('time', () => {
+  test('reads dashed dates month first, like slashed ones', () => {
+    expect(parseWallDate('07-20-2025')).toEqual({ year: 2025, month: 7, day: 20 });
+    expect(toZonedTimestamp('07-20-2025', '11:50 PM').timestamp).toBe('2025-07-20T23:50:00-04:00');
+    expect(toZonedTimestamp('07/20/2025', '11:50 PM').timestamp).toBe('2025-07-20T23:50:00-04:00');
+  });
+
+  test('rejects impossible dates instead of rolling them over', () => {
+    expect(parseWallDate('20-07-2025')).toBeNull();
+    expect(parseWallDate('13/01/2025')).toBeNull();
+    expect(parseWallDate('2025-06-31')).toBeNull();
+    expect(parseWallDate('02/29/2025')).toBeNull();
+    expect(parseWallDate('02/29/2024')).toEqual({ year: 2024, month: 2, day: 29 });
+    expect(parseWallDate('Feb 30, 2025')).toBeNull();
+    expect(toZonedTimestamp('20-07-2025', '11:50 PM')).toBeNull();
+  });
+
+  test('moves wall times skipped by spring-forward ahead by the gap', () => {
+    expect(toZonedTimestamp('2025-03-09', '02:30').timestamp).toBe('2025-03-09T03:30:00-04:00');
+    expect(toZonedTimestamp('2025-03-09', '01:59').timestamp).toBe('2025-03-09T01:59:00-05:00');
+    expect(toZonedTimestamp('2025-03-09', '03:00').timestamp).toBe('2025-03-09T03:00:00-04:00');
+    expect(toZonedTimestamp('2025-03-09', '02:30', 'America/Los_Angeles').timestamp).toBe('2025-03-09T03:30:00-07:00');
+  });
+
+  test('keeps the earlier reading of a wall time repeated by fall-back', () => {
+    expect(toZonedTimestamp('2025-11-02', '01:30').timestamp).toBe('2025-11-02T01:30:00-04:00');
+  });
+});
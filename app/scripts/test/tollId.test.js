@@ -0,0 +1,55 @@
+const { assignTollIds, mergeTollSources } = require('../utils/tollId');
+
+const toll = (fields = {}) => ({
+  timestamp: '2025-07-14T08:15:00-04:00',
+  location: 'Throgs Neck Br',
+  tagNumber: '00812345678',
+  amount: 11.19,
+  ...fields
+});
+
+describe('tollId', () => {
+  test('identifies a toll by its transaction number when the source shows one', () => {
+    const [fromHistory] = assignTollIds([toll()], 'ny');
+    const [fromStatement] = assignTollIds([toll({ transactionNumber: '884512' })], 'ny');
+    const [adjusted] = assignTollIds([toll({ transactionNumber: '884512', amount: 9.11, timestamp: '2025-07-15T02:00:00-04:00' })], 'ny');
+
+    expect(fromHistory.id).toMatch(/^TXN_NY_H[0-9a-f]{16}$/);
+    expect(fromHistory.contentId).toBe(fromHistory.id);
+    expect(fromStatement).toMatchObject({ id: 'TXN_NY_884512', contentId: fromHistory.id });
+    expect(adjusted.id).toBe('TXN_NY_884512');
+  });
+
+  test('numbers identical tolls among themselves, whatever the scrape window and page order', () => {
+    const first = toll();
+    const second = toll();
+    const older = toll({ timestamp: '2025-07-10T17:40:00-04:00', amount: 4.35 });
+
+    const wide = assignTollIds([toll({ amount: 6.94 }), first, older, second], 'ny');
+    const narrow = assignTollIds([second, first], 'ny');
+
+    expect(narrow.map(record => record.id)).toEqual([wide[1].id, `${wide[1].id}_2`]);
+    expect(wide[3].id).toBe(`${wide[1].id}_2`);
+    expect(new Set(wide.map(record => record.id)).size).toBe(4);
+
+    const repeated = assignTollIds([
+      toll({ transactionNumber: '884512' }),
+      toll({ transactionNumber: '884512' })
+    ], 'ny');
+    expect(repeated).toHaveLength(1);
+  });
+
+  test('merges a toll read from history and a statement under its transaction number', () => {
+    const history = assignTollIds([toll(), toll(), toll({ amount: 4.35 })], 'ny');
+    const statement = assignTollIds([
+      toll({ transactionNumber: '884513' }),
+      toll({ transactionNumber: '884512' })
+    ], 'ny');
+
+    const merged = mergeTollSources([history, statement]);
+
+    expect(merged.map(record => record.id)).toEqual(['TXN_NY_884512', 'TXN_NY_884513', history[2].id]);
+    expect(merged[0]).toMatchObject({ contentId: history[0].id, transactionNumber: '884512' });
+    expect(merged[1]).toMatchObject({ contentId: history[1].id, transactionNumber: '884513' });
+  });
+});
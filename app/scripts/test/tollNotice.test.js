@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TollNoticeImporter = require('../scrapers/tollNotice');
+const TollTripMatcher = require('../match');
+const { buildNoticeRecords, classifyFee } = require('../utils/notices');
+
+const NOTICES = path.join(__dirname, 'fixtures', 'notices');
+const NY_TOLLS_BY_MAIL = path.join(NOTICES, 'ny-tolls-by-mail.pdf');
+const PA_VIOLATION = path.join(NOTICES, 'pa-violation.pdf');
+const SUNPASS_JSON = path.join(NOTICES, 'sunpass-toll-by-plate.json');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TollNoticeImporter', () => {
+  test('reads a Tolls by Mail invoice with its late fee kept apart from the tolls', async () => {
+    const records = await new TollNoticeImporter().importFiles([NY_TOLLS_BY_MAIL]);
+
+    expect(records.map(record => [record.location, record.amount, record.timestamp])).toEqual([
+      ['THROGS NECK BR', 13.19, '2025-07-14T08:15:32-04:00'],
+      ['HARRIMAN', 2.95, '2025-07-16T08:22:47-04:00']
+    ]);
+    expect(records[0]).toMatchObject({
+      source: 'notice',
+      provider: 'ezpass-ny',
+      plate: 'ABC1234',
+      noticeType: 'toll-by-mail',
+      noticePath: NY_TOLLS_BY_MAIL,
+      fees: [{ type: 'late', description: 'Late Fee', amount: 5, scope: 'notice' }],
+      feeTotal: 5
+    });
+    // Notice-level fees are counted once, on the notice's first toll
+    expect(records[1].fees).toEqual([]);
+    expect(records.every(record => record.id.startsWith('TXN_NY_'))).toBe(true);
+  });
+
+  test('reads a violation notice with per-toll admin fees and a notice penalty', async () => {
+    const records = await new TollNoticeImporter().importFiles([PA_VIOLATION]);
+
+    expect(records.map(record => record.id)).toEqual(['TXN_PA_77120045', 'TXN_PA_77120046']);
+    expect(records[0]).toMatchObject({
+      noticeType: 'violation',
+      plate: 'XYZ9876',
+      amount: 6.9,
+      feeTotal: 60
+    });
+    expect(records[0].fees.map(fee => [fee.type, fee.amount, fee.scope])).toEqual([
+      ['admin', 35, 'toll'],
+      ['violation', 25, 'notice']
+    ]);
+    expect(records[1].feeTotal).toBe(35);
+  });
+
+  test('reads notices entered as JSON and rejects ones without tolls', async () => {
+    const records = await new TollNoticeImporter().importFiles([SUNPASS_JSON]);
+
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({
+      id: 'TXN_FL_88120031',
+      contentId: expect.stringMatching(/^TXN_FL_H[0-9a-f]{16}$/),
+      provider: 'sunpass',
+      date: '2025-07-18',
+      time: '14:05:00',
+      fees: [{ type: 'admin', amount: 2.5, scope: 'toll' }]
+    });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notices-'));
+    const badNotice = path.join(dir, 'bad.json');
+    fs.writeFileSync(badNotice, JSON.stringify({ noticeNumber: 'X1', items: [] }));
+
+    await expect(new TollNoticeImporter().importFiles([badNotice]))
+      .rejects.toThrow(/needs a noticeNumber and at least one item/);
+  });
+
+  test('gives the same toll IDs when a notice is imported again', async () => {
+    const first = await new TollNoticeImporter().importFiles([NY_TOLLS_BY_MAIL]);
+    const again = await new TollNoticeImporter().importFiles([NY_TOLLS_BY_MAIL, NY_TOLLS_BY_MAIL]);
+
+    expect(again.map(record => record.id)).toEqual(first.map(record => record.id));
+  });
+});
+
+describe('buildNoticeRecords', () => {
+  test('leaves date-only tolls without a timestamp so the whole day is matched', () => {
+    const [record] = buildNoticeRecords({
+      noticeNumber: 'N1',
+      agency: 'ezpass-nj',
+      items: [{ date: '2025-07-14', location: 'Exit 16E', amount: 3.5 }]
+    });
+
+    expect(record).toMatchObject({ date: '2025-07-14', time: '', timestamp: null, timezone: 'America/New_York' });
+  });
+
+  test('classifies fees by description', () => {
+    expect(classifyFee('Toll-by-Plate Administrative Fee')).toBe('admin');
+    expect(classifyFee('Second Notice Late Fee')).toBe('late');
+    expect(classifyFee('Civil Penalty')).toBe('violation');
+    expect(classifyFee('Invoice Fee')).toBe('mail');
+  });
+});
+
+describe('TollTripMatcher.loadNoticeRecords', () => {
+  test('adds notice tolls, preferring them over the same toll from a scrape', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notices-'));
+    const importer = new TollNoticeImporter();
+    const [noticeToll] = await importer.importFiles([SUNPASS_JSON]);
+    await importer.saveNoticeRecords(path.join(dir, 'notices.json'));
+
+    fs.writeFileSync(path.join(dir, 'ezpass.json'), JSON.stringify({
+      records: [
+        { id: noticeToll.id, date: '2025-07-18', time: '14:05', amount: 2.71, provider: 'sunpass' },
+        { id: 'TXN_NY_1', date: '2025-07-18', time: '09:00', amount: 6.94 }
+      ]
+    }));
+
+    // The Postgres ledger also returns notices entered through the backend
+    const ledger = {
+      open: async () => {},
+      close: async () => {},
+      findNotices: async () => [{
+        noticeNumber: 'T-100',
+        agency: 'ezpass-ny',
+        items: [{ date: '2025-07-19', time: '11:30', location: 'VERRAZZANO', amount: 11.19 }],
+        fees: [{ description: 'Late Fee', amount: 5 }]
+      }]
+    };
+
+    const matcher = new TollTripMatcher({
+      tollFile: path.join(dir, 'ezpass.json'),
+      noticeFile: path.join(dir, 'notices.json'),
+      ledger: ledger
+    });
+    await matcher.loadTollRecords();
+    const records = await matcher.loadNoticeRecords();
+
+    expect(records.map(record => [record.amount, record.source || 'scraper', record.feeTotal || 0])).toEqual([
+      [2.71, 'notice', 2.5],
+      [11.19, 'notice', 5],
+      [6.94, 'scraper', 0]
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { buildTripClaims, describeTripClaim, claimLocations } = require('../utils/claims');
+const { combineEvidence } = require('../utils/evidence');
+const { makeMatch } = require('./harness/matches');
+
+const EVIDENCE_DIR = path.join(__dirname, 'fixtures', 'evidence');
+const NY_TOLLS_BY_MAIL = path.join(__dirname, 'fixtures', 'notices', 'ny-tolls-by-mail.pdf');
+
+describe('trip claims', () => {
+  const matches = [
+    makeMatch('TXN_NY_2', '51234567', 16.06, { date: '2025-07-14', time: '18:40:05', location: 'GEORGE WASHINGTON BR' }),
+    makeMatch('TXN_NY_3', '51239876', 2.95, { date: '2025-07-16', time: '09:02:44', location: 'HARRIMAN' }),
+    makeMatch('TXN_NY_1', '51234567', 11.19, {
+      date: '2025-07-14',
+      time: '08:12:31',
+      location: 'THROGS NECK BR',
+      fees: [{ type: 'late', description: 'Late Fee', amount: 5 }],
+      feeTotal: 5,
+      totalAmount: 16.19,
+      confidence: { category: 'medium', score: 0.64 }
+    }),
+    makeMatch('TXN_NY_4', '51234567', 16.06, { date: '2025-07-15', time: '07:55:10', location: 'GEORGE WASHINGTON BR' })
+  ];
+
+  test('groups tolls into one claim per trip, in the order they were driven', () => {
+    const claims = buildTripClaims(matches);
+
+    expect(claims.map(claim => [claim.id, claim.tollIds])).toEqual([
+      ['51234567', ['TXN_NY_1', 'TXN_NY_2', 'TXN_NY_4']],
+      ['51239876', ['TXN_NY_3']]
+    ]);
+    expect(claims[0]).toMatchObject({
+      amount: 43.31,
+      feeAmount: 5,
+      claimAmount: 48.31,
+      // The weakest toll decides how confident the claim is
+      confidence: { category: 'medium', score: 0.64 }
+    });
+  });
+
+  test('itemizes each toll with its date, time, plaza and amount', () => {
+    const [claim] = buildTripClaims(matches);
+
+    expect(describeTripClaim(claim)).toBe([
+      'Toll charges for trip 51234567:',
+      '1. 2025-07-14 08:12 THROGS NECK BR: $11.19',
+      '   Late Fee: $5.00',
+      '2. 2025-07-14 18:40 GEORGE WASHINGTON BR: $16.06',
+      '3. 2025-07-15 07:55 GEORGE WASHINGTON BR: $16.06',
+      'Total: $48.31 (3 tolls)'
+    ].join('\n'));
+    expect(claimLocations(claim)).toBe('THROGS NECK BR, GEORGE WASHINGTON BR');
+  });
+
+  test('combines screenshots and notices into one multi-page PDF', async () => {
+    const outputPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-')), '51234567.pdf');
+    const notice = await PDFDocument.load(fs.readFileSync(NY_TOLLS_BY_MAIL));
+
+    const combined = await combineEvidence([
+      { path: path.join(EVIDENCE_DIR, 'TXN_NY_4410017.png'), caption: 'TXN_NY_4410017 - 2025-07-14 08:12 THROGS NECK BR - $11.19' },
+      { path: NY_TOLLS_BY_MAIL },
+      { path: path.join(EVIDENCE_DIR, 'TXN_NY_4410019.png'), caption: 'TXN_NY_4410019 - 2025-07-14 18:40 GEORGE WASHINGTON BR - $16.06' }
+    ], outputPath);
+
+    const written = await PDFDocument.load(fs.readFileSync(outputPath));
+    expect(combined).toEqual({ path: outputPath, pages: notice.getPageCount() + 2, files: 3 });
+    expect(written.getPageCount()).toBe(combined.pages);
+  });
+
+  test('rejects evidence it cannot put in a PDF', async () => {
+    const outputPath = path.join(os.tmpdir(), 'unsupported-evidence.pdf');
+
+    await expect(combineEvidence([{ path: path.join(__dirname, 'fixtures', 'notices', 'sunpass-toll-by-plate.json') }], outputPath))
+      .rejects.toThrow(/Unsupported evidence file type ".json"/);
+  });
+});
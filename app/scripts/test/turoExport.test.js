@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TuroExportImporter = require('../scrapers/turoExport');
+const TollTripMatcher = require('../match');
+
+const EARNINGS_CSV = path.join(__dirname, 'fixtures', 'turo', 'earnings.csv');
+
+// A scrape of the same week: one trip agrees with the CSV, one has wrong times,
+// one card had no reservation number and one trip isn't in the export yet
+const SCRAPED_TRIPS = [
+  {
+    tripId: '123456789',
+    detailUrl: 'https://turo.com/us/en/reservation/123456789',
+    status: 'completed',
+    guest: { name: 'John Doe' },
+    vehicle: { name: 'Tesla Model 3', licensePlate: 'ABC1234', vin: null },
+    dates: { start: '2025-07-20T10:00:00-04:00', end: '2025-07-20T18:00:00-04:00', timezone: 'America/New_York' },
+    location: 'Newark Airport',
+    amount: 175.5
+  },
+  {
+    tripId: '123456790',
+    status: 'completed',
+    guest: { name: 'Unknown Guest' },
+    vehicle: { name: 'Honda Civic', licensePlate: null, vin: null },
+    dates: { start: '2025-07-21T00:00:00-04:00', end: '2025-07-23T00:00:00-04:00', timezone: 'America/New_York' },
+    location: 'Jersey City',
+    amount: 0
+  },
+  {
+    tripId: null,
+    detailUrl: 'https://turo.com/us/en/trips/abc',
+    incomplete: true,
+    incompleteReason: 'No reservation ID on trip card or detail page',
+    status: 'completed',
+    guest: { name: 'Sam Lee' },
+    vehicle: { name: 'Tesla Model 3', licensePlate: 'ABC1234', vin: null },
+    dates: { start: '2025-07-25T08:00:00-04:00', end: '2025-07-26T20:00:00-04:00', timezone: 'America/New_York' },
+    location: 'JFK Airport'
+  },
+  {
+    tripId: '123456799',
+    status: 'in progress',
+    guest: { name: 'Alex Kim' },
+    vehicle: { name: 'Honda Civic', licensePlate: 'XYZ9876', vin: null },
+    dates: { start: '2025-07-28T09:00:00-04:00', end: '2025-07-30T09:00:00-04:00', timezone: 'America/New_York' },
+    location: 'Jersey City'
+  }
+];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TuroExportImporter', () => {
+  test('reads reservations from the earnings CSV in the turo-trips.json shape', async () => {
+    const trips = await new TuroExportImporter().importFiles([EARNINGS_CSV]);
+
+    expect(trips.map(trip => trip.tripId)).toEqual(['123456789', '123456790', '123456791']);
+    expect(trips[0]).toMatchObject({
+      status: 'completed',
+      guest: { name: 'John Doe' },
+      vehicle: { name: 'Tesla Model 3', licensePlate: 'ABC1234', vin: '5YJ3E1EA7KF000001' },
+      dates: { start: '2025-07-20T10:00:00-04:00', end: '2025-07-20T18:00:00-04:00', timezone: 'America/New_York' },
+      location: 'Newark Liberty International Airport, Newark, NJ',
+      amount: 175.5,
+      source: 'csv'
+    });
+    expect(trips[1].amount).toBe(1104.25);
+  });
+
+  test('rejects a CSV without reservation IDs and trip times', () => {
+    expect(() => new TuroExportImporter().parseExport('Guest,Vehicle\nJohn,Tesla\n'))
+      .toThrow(/reservation ID, trip start and trip end/);
+  });
+});
+
+describe('TollTripMatcher.loadTripData', () => {
+  let dir;
+  let matcher;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'turo-export-'));
+    fs.writeFileSync(path.join(dir, 'turo-trips.json'), JSON.stringify({ trips: SCRAPED_TRIPS }));
+
+    const importer = new TuroExportImporter();
+    await importer.importFiles([EARNINGS_CSV]);
+    await importer.saveTripData(path.join(dir, 'turo-export.json'));
+
+    matcher = new TollTripMatcher({
+      tripFile: path.join(dir, 'turo-trips.json'),
+      tripExportFile: path.join(dir, 'turo-export.json')
+    });
+    await matcher.loadTripData();
+  });
+
+  const tripById = (tripId) => matcher.tripData.find(trip => trip.tripId === tripId);
+
+  test('lets the CSV win on conflicting fields and keeps scraped-only fields', () => {
+    const trip = tripById('123456790');
+
+    expect(trip.dates.start).toBe('2025-07-21T09:30:00-04:00');
+    expect(trip.dates.end).toBe('2025-07-23T11:00:00-04:00');
+    expect(trip.guest.name).toBe('Jane Smith');
+    expect(trip.vehicle.licensePlate).toBe('XYZ9876');
+    expect(trip.source).toBe('scraper+csv');
+    expect(trip.conflicts.map(conflict => conflict.field)).toEqual(
+      expect.arrayContaining(['location', 'amount', 'dates.start', 'dates.end'])
+    );
+
+    expect(tripById('123456789').detailUrl).toBe('https://turo.com/us/en/reservation/123456789');
+  });
+
+  test('identifies a scraped trip with no reservation ID from the CSV', () => {
+    const trip = tripById('123456791');
+
+    expect(trip).toBeDefined();
+    expect(trip.incomplete).toBeUndefined();
+    expect(trip.detailUrl).toBe('https://turo.com/us/en/trips/abc');
+    expect(matcher.excludedTrips).toHaveLength(0);
+  });
+
+  test('keeps trips found by only one source', () => {
+    expect(matcher.tripData.map(trip => trip.tripId).sort()).toEqual([
+      '123456789', '123456790', '123456791', '123456799'
+    ]);
+    expect(tripById('123456799').source).toBe('scraper');
+  });
+
+  test('loads scraped trips alone when there is no export file', async () => {
+    const scrapedOnly = new TollTripMatcher({
+      tripFile: path.join(dir, 'turo-trips.json'),
+      tripExportFile: path.join(dir, 'missing.json')
+    });
+    await scrapedOnly.loadTripData();
+
+    expect(scrapedOnly.tripData).toHaveLength(3);
+    expect(scrapedOnly.excludedTrips).toHaveLength(1);
+  });
+});
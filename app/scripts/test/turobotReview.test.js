@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TuroBot = require('../turobot');
+const { buildTripClaims } = require('../utils/claims');
+const { makeMatch } = require('./harness/matches');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Review directory holding a bundle written by a dry run of the given matches
+ */
+const reviewedDir = async (matches) => {
+  const reviewDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-'));
+  const reviewer = new TuroBot({ dryRun: true, reviewDir: reviewDir });
+
+  reviewer.matches = matches;
+  reviewer.claims = buildTripClaims(matches);
+  reviewer.reviewItems = reviewer.claims.map(claim => ({
+    id: claim.id,
+    tripId: claim.tripId,
+    tollIds: claim.tollIds,
+    claimAmount: claim.claimAmount,
+    fields: {},
+    matches: claim.matches
+  }));
+  await reviewer.saveReviewBundle();
+
+  return reviewDir;
+};
+
+describe('TuroBot --approve', () => {
+  const reviewed = [
+    makeMatch('TXN_NY_1', '51234567', 2.95),
+    makeMatch('TXN_NY_2', '51234567', 16.06),
+    makeMatch('TXN_NY_3', '51239876', 11.19),
+    makeMatch('TXN_NY_4', '51241102', 6.12)
+  ];
+
+  test('submits every toll on the approved trip claims from the last review', async () => {
+    const bot = new TuroBot({ approve: '51234567, 51241102', reviewDir: await reviewedDir(reviewed) });
+
+    const approved = await bot.selectApprovedMatches(reviewed);
+
+    expect(approved.map(match => match.tollId)).toEqual(['TXN_NY_1', 'TXN_NY_2', 'TXN_NY_4']);
+  });
+
+  test('"all" approves everything that was reviewed', async () => {
+    const bot = new TuroBot({ approve: 'all', reviewDir: await reviewedDir(reviewed.slice(0, 3)) });
+
+    const approved = await bot.selectApprovedMatches(reviewed);
+
+    expect(approved.map(match => match.tollId)).toEqual(['TXN_NY_1', 'TXN_NY_2', 'TXN_NY_3']);
+  });
+
+  test('skips claims that were not reviewed, are no longer eligible, or changed since review', async () => {
+    const bot = new TuroBot({
+      approve: ['51234567', '51239876', '51241102', '51299999'],
+      reviewDir: await reviewedDir(reviewed)
+    });
+
+    const current = [
+      reviewed[0],
+      // A notice fee was added to one of the trip's tolls after the review, so the claim amount changed
+      makeMatch('TXN_NY_2', '51234567', 16.06, { totalAmount: 21.06 }),
+      // TXN_NY_3 was submitted since the review
+      reviewed[3]
+    ];
+
+    const approved = await bot.selectApprovedMatches(current);
+
+    expect(approved.map(match => match.tollId)).toEqual(['TXN_NY_4']);
+    expect(console.warn.mock.calls.map(([message]) => message.split(':')[0])).toEqual(
+      expect.arrayContaining(['Skipping 51234567', 'Skipping 51239876', 'Skipping 51299999'])
+    );
+  });
+
+  test('refuses to approve without a review bundle', async () => {
+    const bot = new TuroBot({ approve: '51234567', reviewDir: fs.mkdtempSync(path.join(os.tmpdir(), 'review-')) });
+
+    await expect(bot.selectApprovedMatches(reviewed)).rejects.toThrow(/run with --dry-run first/);
+  });
+});
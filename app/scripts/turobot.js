@@ -11,6 +11,12 @@ const { chromium } = require('playwright');
 const AWS = require('aws-sdk');
 const fs = require('fs').promises;
 const path = require('path');
+const { LEDGER_STATUS, createLedger } = require('./utils/ledger');
+const { SelectorRegistry } = require('./utils/selectors');
+const { parseArgs } = require('./utils/cli');
+const { POLICY_ACTIONS, loadSubmissionPolicy, resolvePolicy, evaluatePolicy } = require('./utils/policy');
+const { buildTripClaims, describeTripClaim, claimLocations } = require('./utils/claims');
+const { combineEvidence } = require('./utils/evidence');
 
 // Configure AWS
 AWS.config.update({
@@ -25,14 +31,52 @@ AWS.config.update({
 
 const secretsManager = new AWS.SecretsManager();
 
+/**
+ * Approved IDs from `--approve TXN_NY_1,TXN_NY_2` (or `--approve all`)
+ * @returns {Array<string>|null} null when not in approve mode
+ */
+const parseApprovedIds = (approve) => {
+  if (!approve) return null;
+
+  const ids = Array.isArray(approve) ? approve : String(approve).split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
+};
+
+/**
+ * Claim or toll ID made safe for a file name
+ */
+const fileSafeId = (id) => String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+
 class TuroBot {
-  constructor() {
+  /**
+   * @param {Object} options - { ledger, dryRun, approve, reviewDir, policy, policyFile, user, onProgress }
+   *   dryRun fills every claim and writes a review bundle without submitting;
+   *   approve (claim IDs, or "all") submits only those claims from the last review;
+   *   policy (or policyFile) decides what is submitted without approval, with
+   *   user's overrides applied (LEDGER_USER_ID by default);
+   *   onProgress(step, claim) is called as each claim moves through the flow
+   */
+  constructor(options = {}) {
+    this.ledger = options.ledger || null;
+    this.policy = options.policy || null;
+    this.policyFile = options.policyFile || undefined;
+    this.user = options.user || process.env.LEDGER_USER_ID || null;
+    this.submissionPolicy = null;
+    this.heldMatches = [];
+    this.dryRun = Boolean(options.dryRun);
+    this.approve = parseApprovedIds(options.approve);
+    this.reviewDir = options.reviewDir || path.join(__dirname, 'review');
+    this.reviewItems = [];
     this.browser = null;
     this.page = null;
     this.matches = [];
+    this.claims = [];
     this.submissionResults = [];
     this.failureScreenshotsDir = path.join(__dirname, 'failure-screenshots');
+    this.attachmentsDir = path.join(__dirname, 'claim-attachments');
     this.screenshotsDir = path.join(__dirname, 'scrapers', 'screenshots');
+    this.selectors = new SelectorRegistry('turobot');
+    this.onProgress = options.onProgress || null;
     
     // Rate limiting and retry configuration
     this.requestDelay = 3000; // 3 seconds between actions
@@ -81,9 +125,26 @@ class TuroBot {
   }
 
   /**
-   * Load matched toll-trip records
+   * Load the submission policy and apply this user's overrides
+   */
+  async loadPolicy() {
+    if (!this.policy) {
+      this.policy = await loadSubmissionPolicy(this.policyFile);
+    }
+
+    this.submissionPolicy = resolvePolicy(this.policy, this.user);
+    return this.submissionPolicy;
+  }
+
+  /**
+   * Load matched toll-trip records and keep those the submission policy lets through
+   * In --dry-run and --approve modes, matches held for approval are kept too so
+   * they can be reviewed and approved; matches the policy never submits are not.
    */
   async loadMatches() {
+    // Outside the try below, so a missing policy file isn't mistaken for no matches
+    const policy = await this.loadPolicy();
+
     try {
       const matchesPath = path.join(__dirname, 'matches.json');
       console.log(`Loading matches from: ${matchesPath}`);
@@ -91,18 +152,58 @@ class TuroBot {
       const matchesContent = await fs.readFile(matchesPath, 'utf8');
       const matchesData = JSON.parse(matchesContent);
       
-      this.matches = matchesData.matches || [];
-      console.log(`Loaded ${this.matches.length} toll-trip matches`);
-      
-      // Filter for matches that need submission (high/medium confidence)
-      const submittableMatches = this.matches.filter(match => 
-        match.confidence.category === 'high' || 
-        match.confidence.category === 'medium'
+      const loadedMatches = matchesData.matches || [];
+      console.log(`Loaded ${loadedMatches.length} toll-trip matches`);
+
+      // Never resubmit a toll an earlier run claimed, or one the backend's worker is filing
+      if (!this.ledger) {
+        this.ledger = createLedger();
+      }
+      await this.ledger.open();
+
+      // A toll recorded before a source showed its transaction number is under its content ID
+      const contentId = (match) => (match.toll && match.toll.contentId) || null;
+      const claimed = await this.ledger.findClaimed(
+        loadedMatches.flatMap(match => [match.tollId, contentId(match)].filter(Boolean))
       );
-      
-      console.log(`${submittableMatches.length} matches eligible for automatic submission`);
-      this.matches = submittableMatches;
-      
+      const ledgerEntry = (match) => claimed.get(match.tollId) || claimed.get(contentId(match));
+      const alreadySubmitted = loadedMatches.filter(match =>
+        ledgerEntry(match) && ledgerEntry(match).status !== LEDGER_STATUS.MATCHED
+      );
+
+      if (alreadySubmitted.length > 0) {
+        console.log(`Skipping ${alreadySubmitted.length} matches already submitted or queued for the submission worker`);
+      }
+
+      const eligible = loadedMatches.filter(match => !alreadySubmitted.includes(match));
+      const submittedTotals = await this.ledger.findSubmittedTotals(eligible.map(match => match.tripId));
+      const { submit, held } = evaluatePolicy(eligible, policy, {
+        claimAmount: (match) => this.getClaimAmount(match),
+        submittedTotals: submittedTotals
+      });
+
+      const neverSubmitted = held.filter(entry => entry.action === POLICY_ACTIONS.NEVER);
+      console.log(`📋 Submission policy ${policy.version}${policy.user ? ` (user ${policy.user})` : ''}: ` +
+        `${submit.length} to submit automatically, ${held.length - neverSubmitted.length} held for approval, ` +
+        `${neverSubmitted.length} never submitted`);
+
+      if (this.dryRun || this.approve) {
+        this.matches = eligible.filter(match => !neverSubmitted.some(entry => entry.match === match));
+      } else {
+        this.matches = submit;
+      }
+
+      if (this.approve) {
+        this.matches = await this.selectApprovedMatches(this.matches);
+      }
+
+      // Whatever isn't going in this run is reported with the rule that held it
+      this.heldMatches = held.filter(entry => !this.matches.includes(entry.match));
+
+      // One claim per trip, itemizing each of its tolls
+      this.claims = buildTripClaims(this.matches);
+      console.log(`${this.matches.length} matches grouped into ${this.claims.length} trip claims`);
+
       return this.matches;
     } catch (error) {
       console.error('Failed to load matches:', error);
@@ -182,63 +283,34 @@ class TuroBot {
       // Fill login form
       console.log('Filling login credentials...');
       
-      const emailSelectors = [
-        'input[type="email"]',
-        'input[name="email"]',
-        '#email',
-        'input[placeholder*="email" i]'
-      ];
-
-      let emailField = null;
-      for (const selector of emailSelectors) {
-        emailField = await this.page.$(selector);
-        if (emailField) {
-          console.log(`Found email field: ${selector}`);
-          break;
-        }
-      }
-
-      if (!emailField) {
+      const emailMatch = await this.selectors.find(this.page, 'turobot.login.email');
+      if (!emailMatch) {
         throw new Error('Could not locate email input field');
       }
+      console.log(`Found email field: ${emailMatch.selector}`);
+      const emailField = emailMatch.element;
 
       await emailField.fill(credentials.email);
       await this.waitWithDelay(1000);
 
-      const passwordField = await this.page.waitForSelector('input[type="password"]', {
-        timeout: 5000
-      });
+      const passwordMatch = await this.selectors.find(this.page, 'turobot.login.password', { waitTimeout: 5000 });
+      if (!passwordMatch) {
+        throw new Error('Could not locate password input field');
+      }
 
-      await passwordField.fill(credentials.password);
+      await passwordMatch.element.fill(credentials.password);
       await this.waitWithDelay(1000);
 
       // Handle potential CAPTCHA
       await this.handleCaptcha();
 
       // Submit login form
-      const loginButtonSelectors = [
-        'button[type="submit"]',
-        'button:has-text("Log in")',
-        'button:has-text("Sign in")',
-        '.login-button'
-      ];
-
-      let loginButton = null;
-      for (const selector of loginButtonSelectors) {
-        try {
-          loginButton = await this.page.$(selector);
-          if (loginButton) {
-            console.log(`Found login button: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
-
-      if (!loginButton) {
+      const loginMatch = await this.selectors.find(this.page, 'turobot.login.submit');
+      if (!loginMatch) {
         throw new Error('Could not locate login button');
       }
+      console.log(`Found login button: ${loginMatch.selector}`);
+      const loginButton = loginMatch.element;
 
       console.log('Submitting login form...');
       
@@ -269,27 +341,13 @@ class TuroBot {
    */
   async handleCaptcha() {
     try {
-      const captchaSelectors = [
-        '.captcha',
-        '.recaptcha',
-        '#captcha',
-        '[class*="captcha"]',
-        '[class*="recaptcha"]',
-        'iframe[src*="recaptcha"]'
-      ];
-
-      for (const selector of captchaSelectors) {
-        const captchaElement = await this.page.$(selector);
-        if (captchaElement) {
-          console.warn('CAPTCHA detected - manual intervention may be required');
-          await this.captureFailureScreenshot('captcha_detected');
-          
-          // Wait for manual intervention or automatic solving
-          console.log('Waiting 30 seconds for CAPTCHA resolution...');
-          await this.waitWithDelay(30000);
-          
-          break;
-        }
+      if (await this.selectors.find(this.page, 'turobot.login.captcha')) {
+        console.warn('CAPTCHA detected - manual intervention may be required');
+        await this.captureFailureScreenshot('captcha_detected');
+        
+        // Wait for manual intervention or automatic solving
+        console.log('Waiting 30 seconds for CAPTCHA resolution...');
+        await this.waitWithDelay(30000);
       }
     } catch (error) {
       console.warn('Error checking for CAPTCHA:', error);
@@ -301,6 +359,10 @@ class TuroBot {
    */
   async navigateToTrip(tripId) {
     try {
+      if (!tripId) {
+        throw new Error('Match has no Turo reservation ID - cannot open the trip');
+      }
+
       console.log(`Navigating to trip: ${tripId}`);
       
       // Try direct navigation first
@@ -330,30 +392,13 @@ class TuroBot {
       await this.waitWithDelay(2000);
 
       // Look for the specific trip in the list
-      const tripLinkSelectors = [
-        `a[href*="${tripId}"]`,
-        `[data-trip-id="${tripId}"]`,
-        `.trip-card:has-text("${tripId}")`,
-        `.trip-item:has-text("${tripId}")`
-      ];
-
-      let tripLink = null;
-      for (const selector of tripLinkSelectors) {
-        try {
-          tripLink = await this.page.$(selector);
-          if (tripLink) {
-            console.log(`Found trip link: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
+      const tripLinkMatch = await this.selectors.find(this.page, 'turobot.trip.link', { params: { tripId } });
 
-      if (tripLink) {
+      if (tripLinkMatch) {
+        console.log(`Found trip link: ${tripLinkMatch.selector}`);
         await Promise.all([
           this.page.waitForNavigation({ waitUntil: 'networkidle', timeout: 30000 }),
-          tripLink.click()
+          tripLinkMatch.element.click()
         ]);
         
         console.log(`Successfully navigated to trip ${tripId} via trips list`);
@@ -375,32 +420,9 @@ class TuroBot {
     try {
       console.log('Navigating to charge incidents section...');
 
-      const incidentLinkSelectors = [
-        'a:has-text("Charge incidents")',
-        'a:has-text("Charge Incidents")',
-        'a:has-text("Request reimbursement")',
-        'a:has-text("Add charges")',
-        'button:has-text("Charge incidents")',
-        'button:has-text("Request reimbursement")',
-        '.charge-incidents',
-        '.incident-button',
-        '[class*="incident"]'
-      ];
-
-      let incidentLink = null;
-      for (const selector of incidentLinkSelectors) {
-        try {
-          incidentLink = await this.page.$(selector);
-          if (incidentLink) {
-            console.log(`Found charge incidents link: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
+      let incidentMatch = await this.selectors.find(this.page, 'turobot.claim.incidentLink');
 
-      if (!incidentLink) {
+      if (!incidentMatch) {
         // Try scrolling down to find the section
         await this.page.evaluate(() => {
           window.scrollTo(0, document.body.scrollHeight / 2);
@@ -408,22 +430,14 @@ class TuroBot {
         await this.waitWithDelay(1000);
 
         // Try again after scrolling
-        for (const selector of incidentLinkSelectors) {
-          try {
-            incidentLink = await this.page.$(selector);
-            if (incidentLink) {
-              console.log(`Found charge incidents link after scroll: ${selector}`);
-              break;
-            }
-          } catch (e) {
-            // Continue to next selector
-          }
-        }
+        incidentMatch = await this.selectors.find(this.page, 'turobot.claim.incidentLink');
       }
 
-      if (!incidentLink) {
+      if (!incidentMatch) {
         throw new Error('Could not find charge incidents section');
       }
+      console.log(`Found charge incidents link: ${incidentMatch.selector}`);
+      const incidentLink = incidentMatch.element;
 
       await incidentLink.click();
       await this.waitWithDelay(3000);
@@ -438,219 +452,161 @@ class TuroBot {
   }
 
   /**
-   * Fill out the toll reimbursement form
+   * Amount to claim: the toll plus any notice fees
+   */
+  getClaimAmount(match) {
+    return match.totalAmount || match.amount;
+  }
+
+  /**
+   * Fill out the toll reimbursement form for a trip claim
+   * @returns {Promise<Object>} field -> { selector, value } for every field that was filled
    */
-  async fillTollForm(match) {
+  async fillTollForm(claim) {
     try {
-      console.log(`Filling toll form for amount: $${match.amount}`);
+      console.log(`Filling toll form for amount: $${claim.claimAmount.toFixed(2)}`);
+      const fields = {};
 
       // Wait for form to load
       await this.waitWithDelay(2000);
 
       // Select incident type (tolls)
-      const incidentTypeSelectors = [
-        'select[name*="type"]',
-        'select[name*="incident"]',
-        '#incident-type',
-        '.incident-type select'
-      ];
-
-      for (const selector of incidentTypeSelectors) {
-        try {
-          const typeSelect = await this.page.$(selector);
-          if (typeSelect) {
-            console.log(`Found incident type selector: ${selector}`);
-            await typeSelect.selectOption('tolls');
-            await this.waitWithDelay(1000);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const typeMatch = await this.selectors.find(this.page, 'turobot.claim.incidentType');
+      if (typeMatch) {
+        console.log(`Found incident type selector: ${typeMatch.selector}`);
+        await typeMatch.element.selectOption('tolls');
+        fields.incidentType = { selector: typeMatch.selector, value: 'tolls' };
+        await this.waitWithDelay(1000);
       }
 
       // Fill amount field
-      const amountSelectors = [
-        'input[name*="amount"]',
-        'input[type="number"]',
-        'input[placeholder*="amount" i]',
-        '#amount',
-        '.amount input'
-      ];
-
-      let amountField = null;
-      for (const selector of amountSelectors) {
-        amountField = await this.page.$(selector);
-        if (amountField) {
-          console.log(`Found amount field: ${selector}`);
-          break;
-        }
-      }
-
-      if (amountField) {
-        await amountField.fill(match.amount.toString());
+      const amountMatch = await this.selectors.find(this.page, 'turobot.claim.amount');
+      if (amountMatch) {
+        console.log(`Found amount field: ${amountMatch.selector}`);
+        const amount = claim.claimAmount.toString();
+        await amountMatch.element.fill(amount);
+        fields.amount = { selector: amountMatch.selector, value: amount };
         await this.waitWithDelay(1000);
       }
 
       // Fill description
-      const descriptionSelectors = [
-        'textarea[name*="description"]',
-        'textarea[placeholder*="description" i]',
-        '#description',
-        '.description textarea',
-        'input[name*="description"]'
-      ];
-
-      for (const selector of descriptionSelectors) {
-        try {
-          const descField = await this.page.$(selector);
-          if (descField) {
-            console.log(`Found description field: ${selector}`);
-            const description = `Toll charge for ${match.toll.location} on ${match.toll.date}. Trip: ${match.trip.tripId}`;
-            await descField.fill(description);
-            await this.waitWithDelay(1000);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const descriptionMatch = await this.selectors.find(this.page, 'turobot.claim.description');
+      if (descriptionMatch) {
+        console.log(`Found description field: ${descriptionMatch.selector}`);
+        const description = describeTripClaim(claim);
+        await descriptionMatch.element.fill(description);
+        fields.description = { selector: descriptionMatch.selector, value: description };
+        await this.waitWithDelay(1000);
       }
 
       // Fill toll-specific fields if available
-      const tollLocationSelectors = [
-        'input[name*="location"]',
-        'input[placeholder*="location" i]',
-        '#toll-location',
-        '.location input'
-      ];
-
-      for (const selector of tollLocationSelectors) {
-        try {
-          const locationField = await this.page.$(selector);
-          if (locationField) {
-            console.log(`Found location field: ${selector}`);
-            await locationField.fill(match.toll.location || '');
-            await this.waitWithDelay(1000);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
+      const locationMatch = await this.selectors.find(this.page, 'turobot.claim.location');
+      if (locationMatch) {
+        console.log(`Found location field: ${locationMatch.selector}`);
+        const location = claimLocations(claim);
+        await locationMatch.element.fill(location);
+        fields.location = { selector: locationMatch.selector, value: location };
+        await this.waitWithDelay(1000);
       }
 
       console.log('Toll form filled successfully');
-      return true;
+      return fields;
     } catch (error) {
       console.error('Failed to fill toll form:', error);
-      await this.captureFailureScreenshot(`fill_form_${match.tripId}_failed`);
+      await this.captureFailureScreenshot(`fill_form_${claim.tripId}_failed`);
       throw error;
     }
   }
 
   /**
-   * Upload screenshot evidence
+   * Gather a claim's receipts into one attachment
+   * A single receipt is attached as it is; several are combined into one PDF.
+   * @returns {Promise<string|null>} file to upload, or null when there is no evidence
    */
-  async uploadScreenshot(match) {
-    try {
-      if (!match.screenshotPath) {
-        console.warn('No screenshot path provided for match');
-        return false;
+  async prepareAttachment(claim) {
+    const evidence = [];
+
+    for (const match of claim.matches) {
+      // Notice tolls have the notice itself as proof
+      const evidencePath = match.screenshotPath || match.noticePath;
+      if (!evidencePath) {
+        console.warn(`No evidence for toll ${match.tollId}`);
+        continue;
       }
 
-      const screenshotPath = path.resolve(match.screenshotPath);
-      
-      // Check if screenshot file exists
+      const resolvedPath = path.resolve(evidencePath);
       try {
-        await fs.access(screenshotPath);
+        await fs.access(resolvedPath);
       } catch (error) {
-        console.warn(`Screenshot file not found: ${screenshotPath}`);
+        console.warn(`Evidence file not found for toll ${match.tollId}: ${resolvedPath}`);
+        continue;
+      }
+
+      const time = match.toll.time ? ` ${match.toll.time.slice(0, 5)}` : '';
+      evidence.push({
+        path: resolvedPath,
+        caption: `${match.tollId} - ${match.toll.date}${time} ${match.toll.location} - $${match.amount.toFixed(2)}`
+      });
+    }
+
+    if (evidence.length <= 1) {
+      return evidence.length === 1 ? evidence[0].path : null;
+    }
+
+    const attachmentPath = path.join(this.attachmentsDir, `${fileSafeId(claim.id)}.pdf`);
+    const combined = await combineEvidence(evidence, attachmentPath);
+    console.log(`Combined ${combined.files} receipts into a ${combined.pages}-page attachment: ${attachmentPath}`);
+
+    return attachmentPath;
+  }
+
+  /**
+   * Upload the claim's attachment
+   */
+  async uploadAttachment(claim, attachmentPath) {
+    try {
+      if (!attachmentPath) {
+        console.warn(`No evidence to attach for trip ${claim.tripId}`);
         return false;
       }
 
-      console.log(`Uploading screenshot: ${screenshotPath}`);
+      console.log(`Uploading attachment: ${attachmentPath}`);
 
       // Find file upload input
-      const fileInputSelectors = [
-        'input[type="file"]',
-        'input[accept*="image"]',
-        '.file-upload input',
-        '.upload-input',
-        '[class*="upload"] input[type="file"]'
-      ];
-
-      let fileInput = null;
-      for (const selector of fileInputSelectors) {
-        fileInput = await this.page.$(selector);
-        if (fileInput) {
-          console.log(`Found file input: ${selector}`);
-          break;
-        }
-      }
+      let fileInputMatch = await this.selectors.find(this.page, 'turobot.upload.fileInput');
 
-      if (!fileInput) {
+      if (!fileInputMatch) {
         // Try to find and click upload button first
-        const uploadButtonSelectors = [
-          'button:has-text("Upload")',
-          'button:has-text("Choose file")',
-          'button:has-text("Add file")',
-          '.upload-button',
-          '.file-upload-button'
-        ];
-
-        for (const selector of uploadButtonSelectors) {
-          try {
-            const uploadButton = await this.page.$(selector);
-            if (uploadButton) {
-              console.log(`Found upload button: ${selector}`);
-              await uploadButton.click();
-              await this.waitWithDelay(1000);
-              
-              // Try to find file input again
-              fileInput = await this.page.$('input[type="file"]');
-              if (fileInput) break;
-            }
-          } catch (e) {
-            // Continue to next selector
-          }
+        const uploadButtonMatch = await this.selectors.find(this.page, 'turobot.upload.button');
+        if (uploadButtonMatch) {
+          console.log(`Found upload button: ${uploadButtonMatch.selector}`);
+          await uploadButtonMatch.element.click();
+          await this.waitWithDelay(1000);
+
+          // Try to find file input again
+          fileInputMatch = await this.selectors.find(this.page, 'turobot.upload.fileInput');
         }
       }
 
-      if (!fileInput) {
+      if (!fileInputMatch) {
         throw new Error('Could not find file upload input');
       }
+      console.log(`Found file input: ${fileInputMatch.selector}`);
 
       // Upload the file
-      await fileInput.setInputFiles(screenshotPath);
+      await fileInputMatch.element.setInputFiles(attachmentPath);
       await this.waitWithDelay(3000); // Wait for upload to process
 
       // Wait for upload confirmation
-      const uploadSuccessSelectors = [
-        '.upload-success',
-        '.file-uploaded',
-        '.upload-complete',
-        ':has-text("uploaded")',
-        ':has-text("success")'
-      ];
-
-      let uploadSuccess = false;
-      for (const selector of uploadSuccessSelectors) {
-        try {
-          const element = await this.page.$(selector);
-          if (element) {
-            uploadSuccess = true;
-            console.log('Upload success confirmed');
-            break;
-          }
-        } catch (e) {
-          // Continue checking
-        }
+      if (await this.selectors.find(this.page, 'turobot.upload.success')) {
+        console.log('Upload success confirmed');
       }
 
-      console.log('Screenshot uploaded successfully');
+      console.log('Attachment uploaded successfully');
       return true;
     } catch (error) {
-      console.error('Failed to upload screenshot:', error);
-      await this.captureFailureScreenshot(`upload_${match.tripId}_failed`);
+      console.error('Failed to upload attachment:', error);
+      await this.captureFailureScreenshot(`upload_${claim.tripId}_failed`);
       return false;
     }
   }
@@ -658,37 +614,17 @@ class TuroBot {
   /**
    * Submit the reimbursement claim
    */
-  async submitClaim(match) {
+  async submitClaim(claim) {
     try {
-      console.log(`Submitting reimbursement claim for trip ${match.tripId}`);
+      console.log(`Submitting reimbursement claim for trip ${claim.tripId}`);
 
       // Look for submit button
-      const submitButtonSelectors = [
-        'button[type="submit"]',
-        'button:has-text("Submit")',
-        'button:has-text("Send request")',
-        'button:has-text("Submit request")',
-        'input[type="submit"]',
-        '.submit-button',
-        '.submit-btn'
-      ];
-
-      let submitButton = null;
-      for (const selector of submitButtonSelectors) {
-        try {
-          submitButton = await this.page.$(selector);
-          if (submitButton) {
-            console.log(`Found submit button: ${selector}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next selector
-        }
-      }
-
-      if (!submitButton) {
+      const submitMatch = await this.selectors.find(this.page, 'turobot.claim.submit');
+      if (!submitMatch) {
         throw new Error('Could not find submit button');
       }
+      console.log(`Found submit button: ${submitMatch.selector}`);
+      const submitButton = submitMatch.element;
 
       // Click submit and wait for response
       await Promise.all([
@@ -706,58 +642,26 @@ class TuroBot {
       await this.waitWithDelay(5000); // Wait for form processing
 
       // Check for success confirmation
-      const successSelectors = [
-        '.success-message',
-        '.confirmation',
-        ':has-text("submitted")',
-        ':has-text("success")',
-        ':has-text("confirmed")',
-        '.alert-success'
-      ];
-
-      let submissionSuccess = false;
+      const successMatch = await this.selectors.find(this.page, 'turobot.claim.success');
+      const submissionSuccess = Boolean(successMatch);
       let confirmationMessage = '';
 
-      for (const selector of successSelectors) {
-        try {
-          const element = await this.page.$(selector);
-          if (element) {
-            submissionSuccess = true;
-            confirmationMessage = await element.textContent();
-            console.log(`Submission success confirmed: ${confirmationMessage}`);
-            break;
-          }
-        } catch (e) {
-          // Continue checking
-        }
+      if (successMatch) {
+        confirmationMessage = await successMatch.element.textContent();
+        console.log(`Submission success confirmed: ${confirmationMessage}`);
       }
 
       // Check for error messages
-      const errorSelectors = [
-        '.error-message',
-        '.alert-error',
-        '.alert-danger',
-        ':has-text("error")',
-        ':has-text("failed")',
-        '.validation-error'
-      ];
-
+      const errorMatch = await this.selectors.find(this.page, 'turobot.claim.error');
       let errorMessage = '';
-      for (const selector of errorSelectors) {
-        try {
-          const element = await this.page.$(selector);
-          if (element) {
-            errorMessage = await element.textContent();
-            console.log(`Error detected: ${errorMessage}`);
-            break;
-          }
-        } catch (e) {
-          // Continue checking
-        }
+
+      if (errorMatch) {
+        errorMessage = await errorMatch.element.textContent();
+        console.log(`Error detected: ${errorMessage}`);
       }
 
       if (submissionSuccess) {
-        console.log(`Claim submitted successfully for trip ${match.tripId}`);
+        console.log(`Claim submitted successfully for trip ${claim.tripId}`);
         return {
           success: true,
           message: confirmationMessage || 'Submission confirmed',
@@ -767,7 +671,7 @@ class TuroBot {
         throw new Error(`Submission failed: ${errorMessage}`);
       } else {
         // Assume success if no error detected
-        console.log(`Claim submission completed for trip ${match.tripId} (status unclear)`);
+        console.log(`Claim submission completed for trip ${claim.tripId} (status unclear)`);
         return {
           success: true,
           message: 'Submission completed (confirmation pending)',
@@ -775,8 +679,8 @@ class TuroBot {
         };
       }
     } catch (error) {
-      console.error(`Failed to submit claim for trip ${match.tripId}:`, error);
-      await this.captureFailureScreenshot(`submit_${match.tripId}_failed`);
+      console.error(`Failed to submit claim for trip ${claim.tripId}:`, error);
+      await this.captureFailureScreenshot(`submit_${claim.tripId}_failed`);
       throw error;
     }
   }
@@ -805,18 +709,53 @@ class TuroBot {
   }
 
   /**
-   * Process a single toll-trip match
+   * Result fields shared by every outcome of a claim
    */
-  async processMatch(match, index, total) {
+  describeClaimResult(claim, startTime) {
+    return {
+      claimId: claim.id,
+      tripId: claim.tripId,
+      tollIds: claim.tollIds,
+      amount: claim.amount,
+      feeAmount: claim.feeAmount,
+      claimAmount: claim.claimAmount,
+      confidence: claim.confidence ? claim.confidence.category : null,
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Report a claim's step (opening_trip, filling_form, uploading_proof,
+   * submitting, submitted or failed) to the onProgress listener
+   * A failing listener is logged and never fails the claim.
+   */
+  async reportProgress(step, claim) {
+    if (!this.onProgress) return;
+
+    try {
+      await this.onProgress(step, claim);
+    } catch (error) {
+      console.warn(`Progress listener failed at ${step}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process one trip claim, covering every matched toll on the trip
+   */
+  async processClaim(claim, index, total) {
     const startTime = Date.now();
     
     try {
-      console.log(`\n=== Processing match ${index + 1}/${total} ===`);
-      console.log(`Trip: ${match.tripId}, Toll: ${match.tollId}, Amount: $${match.amount}`);
-      console.log(`Confidence: ${match.confidence.category} (${match.confidence.score.toFixed(2)})`);
+      console.log(`\n=== Processing claim ${index + 1}/${total} ===`);
+      console.log(`Trip: ${claim.tripId}, Tolls: ${claim.tollIds.join(', ')}, Amount: $${claim.claimAmount.toFixed(2)}`);
+      if (claim.confidence) {
+        console.log(`Confidence: ${claim.confidence.category} (${claim.confidence.score.toFixed(2)})`);
+      }
 
       // Navigate to trip
-      await this.navigateToTrip(match.tripId);
+      await this.reportProgress('opening_trip', claim);
+      await this.navigateToTrip(claim.tripId);
       await this.waitWithDelay(this.requestDelay);
 
       // Navigate to charge incidents
@@ -824,59 +763,211 @@ class TuroBot {
       await this.waitWithDelay(this.requestDelay);
 
       // Fill toll form
-      await this.fillTollForm(match);
+      await this.reportProgress('filling_form', claim);
+      const fields = await this.fillTollForm(claim);
       await this.waitWithDelay(this.requestDelay);
 
-      // Upload screenshot
-      const uploadSuccess = await this.uploadScreenshot(match);
+      // Upload the receipts as one attachment
+      await this.reportProgress('uploading_proof', claim);
+      const attachment = await this.prepareAttachment(claim);
+      const uploadSuccess = await this.uploadAttachment(claim, attachment);
       await this.waitWithDelay(this.requestDelay);
 
+      // In review mode the filled claim is captured and left unsubmitted
+      if (this.dryRun) {
+        return await this.reviewClaim(claim, fields, attachment, uploadSuccess, startTime);
+      }
+
       // Submit claim
-      const submissionResult = await this.submitClaim(match);
-      
-      const processingTime = Date.now() - startTime;
+      await this.reportProgress('submitting', claim);
+      const submissionResult = await this.submitClaim(claim);
       
       const result = {
-        tripId: match.tripId,
-        tollId: match.tollId,
-        amount: match.amount,
+        ...this.describeClaimResult(claim, startTime),
         status: 'success',
         message: submissionResult.message,
         confirmationId: submissionResult.confirmationId,
-        uploadSuccess: uploadSuccess,
-        confidence: match.confidence.category,
-        processingTime: processingTime,
-        timestamp: new Date().toISOString()
+        attachment: attachment,
+        uploadSuccess: uploadSuccess
       };
 
-      console.log(`✅ Successfully processed trip ${match.tripId} in ${processingTime}ms`);
+      console.log(`✅ Successfully processed trip ${claim.tripId} in ${result.processingTime}ms`);
+      await this.reportProgress('submitted', claim);
       return result;
       
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-      
       const result = {
-        tripId: match.tripId,
-        tollId: match.tollId,
-        amount: match.amount,
+        ...this.describeClaimResult(claim, startTime),
         status: 'failed',
         message: error.message,
         confirmationId: null,
+        attachment: null,
         uploadSuccess: false,
-        confidence: match.confidence.category,
-        processingTime: processingTime,
-        timestamp: new Date().toISOString(),
         error: {
           name: error.name,
           stack: error.stack
         }
       };
 
-      console.log(`❌ Failed to process trip ${match.tripId}: ${error.message}`);
+      console.log(`❌ Failed to process trip ${claim.tripId}: ${error.message}`);
+      await this.reportProgress('failed', claim);
       return result;
     }
   }
 
+  /**
+   * Capture a filled claim for the review bundle, then back out without submitting
+   */
+  async reviewClaim(claim, fields, attachment, uploadSuccess, startTime) {
+    await fs.mkdir(this.reviewDir, { recursive: true });
+
+    const screenshotPath = path.join(this.reviewDir, `${fileSafeId(claim.id)}.png`);
+    await this.page.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+      type: 'png'
+    });
+    console.log(`Review screenshot saved: ${screenshotPath}`);
+
+    await this.abandonClaim();
+
+    this.reviewItems.push({
+      id: claim.id,
+      tripId: claim.tripId,
+      tollIds: claim.tollIds,
+      amount: claim.amount,
+      feeAmount: claim.feeAmount,
+      claimAmount: claim.claimAmount,
+      confidence: claim.confidence ? claim.confidence.category : null,
+      fields: fields,
+      screenshot: screenshotPath,
+      attachment: attachment,
+      uploadSuccess: uploadSuccess,
+      matches: claim.matches
+    });
+
+    console.log(`📝 Filled claim for trip ${claim.tripId} ready for review (not submitted)`);
+
+    return {
+      ...this.describeClaimResult(claim, startTime),
+      status: 'review',
+      message: 'Claim filled for review - not submitted',
+      confirmationId: null,
+      attachment: attachment,
+      uploadSuccess: uploadSuccess
+    };
+  }
+
+  /**
+   * Leave a filled claim form without submitting it
+   */
+  async abandonClaim() {
+    const cancelMatch = await this.selectors.find(this.page, 'turobot.claim.cancel', { visible: true });
+
+    if (cancelMatch) {
+      console.log(`Backing out of claim with: ${cancelMatch.selector}`);
+      await cancelMatch.element.click();
+    } else {
+      // Navigating away discards the form; a "leave page?" prompt is accepted by the dialog handler
+      console.log('No cancel control found - leaving the claim page');
+      await this.page.goto('about:blank');
+    }
+
+    await this.waitWithDelay(1000);
+  }
+
+  /**
+   * Load the review bundle written by the last dry run
+   * @returns {Promise<Object|null>} null when there is none
+   */
+  async loadReviewBundle() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.reviewDir, 'review.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Narrow eligible matches to the tolls on the approved claims of the last review
+   * A claim is skipped if it wasn't reviewed, if any of its tolls is no longer
+   * eligible (already submitted or unmatched), or if a toll changed trip or
+   * amount since it was reviewed.
+   */
+  async selectApprovedMatches(matches) {
+    const bundle = await this.loadReviewBundle();
+    if (!bundle) {
+      throw new Error(`No review bundle in ${this.reviewDir} - run with --dry-run first`);
+    }
+
+    const reviewed = new Map((bundle.items || []).map(item => [item.id, item]));
+    const ids = this.approve.includes('all') ? [...reviewed.keys()] : this.approve;
+    const approved = [];
+    let approvedClaims = 0;
+
+    for (const id of ids) {
+      const item = reviewed.get(id);
+      const current = item ? item.tollIds.map(tollId => matches.find(candidate => candidate.tollId === tollId)) : [];
+
+      if (!item) {
+        console.warn(`Skipping ${id}: not in the review bundle - run with --dry-run to review it`);
+      } else if (current.some(match => !match)) {
+        console.warn(`Skipping ${id}: a toll on it is no longer eligible for submission (already submitted, no longer matched, or never submitted under the policy)`);
+      } else if (current.some(match => match.tripId !== item.tripId) ||
+        buildTripClaims(current)[0].claimAmount !== item.claimAmount) {
+        console.warn(`Skipping ${id}: the claim changed since it was reviewed - run with --dry-run again`);
+      } else {
+        approved.push(...current);
+        approvedClaims++;
+      }
+    }
+
+    console.log(`${approvedClaims} of ${ids.length} approved claims will be submitted`);
+    return approved;
+  }
+
+  /**
+   * Save the review bundle: each filled claim with its screenshot and field values
+   */
+  async saveReviewBundle() {
+    try {
+      await fs.mkdir(this.reviewDir, { recursive: true });
+      const bundlePath = path.join(this.reviewDir, 'review.json');
+      const failed = this.submissionResults.filter(r => r.status === 'failed');
+
+      const bundle = {
+        reviewDate: new Date().toISOString(),
+        summary: {
+          totalMatches: this.matches.length,
+          totalClaims: this.claims.length,
+          readyForReview: this.reviewItems.length,
+          failed: failed.length,
+          totalClaimAmount: this.reviewItems.reduce((sum, item) => sum + item.claimAmount, 0)
+        },
+        items: this.reviewItems,
+        failed: failed.map(r => ({ id: r.claimId, tripId: r.tripId, tollIds: r.tollIds, message: r.message })),
+        held: this.describeHeldMatches()
+      };
+
+      await fs.writeFile(bundlePath, JSON.stringify(bundle, null, 2));
+
+      console.log(`\n=== REVIEW BUNDLE ===`);
+      console.log(`Claims ready for review: ${bundle.summary.readyForReview}`);
+      console.log(`Failed to fill: ${bundle.summary.failed}`);
+      console.log(`Total amount to claim: $${bundle.summary.totalClaimAmount.toFixed(2)}`);
+      console.log(`Bundle saved to: ${bundlePath}`);
+      if (this.reviewItems.length > 0) {
+        console.log(`Submit approved claims with: npm run submit -- --approve ${this.reviewItems.map(item => item.id).join(',')}`);
+      }
+
+      return bundlePath;
+    } catch (error) {
+      console.error('Failed to save review bundle:', error);
+      throw error;
+    }
+  }
+
   /**
    * Wait with human-like delay
    */
@@ -936,6 +1027,22 @@ class TuroBot {
     }
   }
 
+  /**
+   * Held matches as listed in the submission report and review bundle
+   */
+  describeHeldMatches() {
+    return this.heldMatches.map(({ match, action, rule, reason }) => ({
+      tripId: match.tripId,
+      tollId: match.tollId,
+      amount: match.amount,
+      claimAmount: this.getClaimAmount(match),
+      confidence: match.confidence ? match.confidence.category : null,
+      action: action,
+      rule: rule,
+      reason: reason
+    }));
+  }
+
   /**
    * Save submission report
    */
@@ -947,6 +1054,7 @@ class TuroBot {
         submissionDate: new Date().toISOString(),
         summary: {
           totalMatches: this.matches.length,
+          totalClaims: this.claims.length,
           successfulSubmissions: this.submissionResults.filter(r => r.status === 'success').length,
           failedSubmissions: this.submissionResults.filter(r => r.status === 'failed').length,
           totalAmount: this.submissionResults
@@ -954,9 +1062,19 @@ class TuroBot {
             .reduce((sum, r) => sum + r.amount, 0),
           averageProcessingTime: this.submissionResults.length > 0 
             ? this.submissionResults.reduce((sum, r) => sum + r.processingTime, 0) / this.submissionResults.length
-            : 0
+            : 0,
+          heldForApproval: this.heldMatches.filter(entry => entry.action === POLICY_ACTIONS.APPROVAL).length,
+          neverSubmitted: this.heldMatches.filter(entry => entry.action === POLICY_ACTIONS.NEVER).length
         },
         submissions: this.submissionResults,
+        held: this.describeHeldMatches(),
+        policy: this.submissionPolicy && {
+          version: this.submissionPolicy.version,
+          source: this.submissionPolicy.source,
+          user: this.submissionPolicy.user,
+          confidence: this.submissionPolicy.confidence,
+          limits: this.submissionPolicy.limits
+        },
         configuration: {
           requestDelay: this.requestDelay,
           submissionDelay: this.submissionDelay,
@@ -967,11 +1085,13 @@ class TuroBot {
       await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
       
       console.log(`\n=== SUBMISSION REPORT ===`);
-      console.log(`Total matches processed: ${report.summary.totalMatches}`);
+      console.log(`Total matches processed: ${report.summary.totalMatches} in ${report.summary.totalClaims} trip claims`);
       console.log(`Successful submissions: ${report.summary.successfulSubmissions}`);
       console.log(`Failed submissions: ${report.summary.failedSubmissions}`);
       console.log(`Total amount submitted: $${report.summary.totalAmount.toFixed(2)}`);
       console.log(`Average processing time: ${report.summary.averageProcessingTime.toFixed(0)}ms`);
+      console.log(`Held for approval: ${report.summary.heldForApproval}`);
+      console.log(`Never submitted under the policy: ${report.summary.neverSubmitted}`);
       console.log(`Report saved to: ${reportPath}`);
       
       return reportPath;
@@ -981,10 +1101,25 @@ class TuroBot {
     }
   }
 
+  /**
+   * Write which selectors matched this run, flagging any that fell back
+   */
+  async saveSelectorDrift() {
+    if (this.selectors.usage.size === 0) return;
+
+    try {
+      await this.selectors.saveDriftReport();
+    } catch (error) {
+      console.warn('Failed to save selector drift report:', error.message);
+    }
+  }
+
   /**
    * Cleanup browser resources
    */
   async cleanup() {
+    await this.saveSelectorDrift();
+
     try {
       if (this.page) {
         await this.page.close();
@@ -992,6 +1127,9 @@ class TuroBot {
       if (this.browser) {
         await this.browser.close();
       }
+      if (this.ledger) {
+        await this.ledger.close();
+      }
       console.log('Browser cleanup completed');
     } catch (error) {
       console.error('Error during cleanup:', error);
@@ -1003,7 +1141,9 @@ class TuroBot {
    */
   async run() {
     try {
-      console.log('🤖 Starting TuroBot automated toll reimbursement submission...');
+      console.log(this.dryRun
+        ? '🤖 Starting TuroBot in review mode - claims will be filled but not submitted...'
+        : '🤖 Starting TuroBot automated toll reimbursement submission...');
 
       // Ensure directories exist
       await fs.mkdir(this.failureScreenshotsDir, { recursive: true });
@@ -1013,6 +1153,10 @@ class TuroBot {
       
       if (this.matches.length === 0) {
         console.log('No matches found for submission');
+        if (this.dryRun) {
+          await this.saveReviewBundle();
+          return { success: true, dryRun: true, reviewed: 0 };
+        }
         await this.saveSubmissionReport();
         return { success: true, submitted: 0 };
       }
@@ -1025,33 +1169,52 @@ class TuroBot {
       await this.login(credentials);
       await this.waitWithDelay(this.submissionDelay);
 
-      // Process each match
-      for (let i = 0; i < this.matches.length; i++) {
-        const match = this.matches[i];
+      // Process each trip claim
+      for (let i = 0; i < this.claims.length; i++) {
+        const claim = this.claims[i];
         
         const result = await this.withRetry(async () => {
-          return await this.processMatch(match, i, this.matches.length);
+          return await this.processClaim(claim, i, this.claims.length);
         });
         
         this.submissionResults.push(result);
+
+        if (result.status === 'success') {
+          for (const match of claim.matches) {
+            await this.ledger.markSubmitted(match, result.confirmationId, claim.tollIds);
+          }
+        }
         
         // Respectful delay between submissions
-        if (i < this.matches.length - 1) {
+        if (i < this.claims.length - 1) {
           console.log(`Waiting ${this.submissionDelay}ms before next submission...`);
           await this.waitWithDelay(this.submissionDelay);
         }
       }
 
+      if (this.dryRun) {
+        const reviewBundle = await this.saveReviewBundle();
+        console.log(`\n🎉 TuroBot review completed! ${this.reviewItems.length}/${this.claims.length} claims ready for review`);
+
+        return {
+          success: true,
+          dryRun: true,
+          reviewed: this.reviewItems.length,
+          failed: this.claims.length - this.reviewItems.length,
+          reviewBundle: reviewBundle
+        };
+      }
+
       // Save report
       await this.saveSubmissionReport();
       
       const successCount = this.submissionResults.filter(r => r.status === 'success').length;
-      console.log(`\n🎉 TuroBot completed! ${successCount}/${this.matches.length} submissions successful`);
+      console.log(`\n🎉 TuroBot completed! ${successCount}/${this.claims.length} claims submitted successfully`);
       
       return {
         success: true,
         submitted: successCount,
-        failed: this.matches.length - successCount,
+        failed: this.claims.length - successCount,
         results: this.submissionResults
       };
       
@@ -1070,7 +1233,20 @@ module.exports = TuroBot;
 
 // Run if called directly
 if (require.main === module) {
-  const bot = new TuroBot();
+  const { options } = parseArgs();
+
+  if (options.approve === true || (options.dryRun && options.approve) || options.policy === true || options.user === true) {
+    console.error('Usage: node turobot.js [--dry-run | --approve <claim IDs|all>] [--review-dir path] [--policy file] [--user id]');
+    process.exit(1);
+  }
+
+  const bot = new TuroBot({
+    dryRun: options.dryRun,
+    approve: options.approve,
+    reviewDir: options.reviewDir ? path.resolve(options.reviewDir) : undefined,
+    policyFile: options.policy,
+    user: options.user
+  });
   
   bot.run()
     .then(result => {
@@ -0,0 +1,82 @@
+/**
+ * Claim Status
+ *
+ * States a submitted reimbursement claim moves through on Turo, and the
+ * mapping from the status text Turo shows to those states. Each toll's ledger
+ * entry (or backend job) keeps the claim's state history as a list of
+ * { status, at, label, detail } entries, one per change.
+ */
+
+const CLAIM_STATES = {
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  APPROVED: 'approved',
+  PAID: 'paid',
+  DISPUTED: 'disputed',
+  DENIED: 'denied'
+};
+
+// Claims in these states need a host to follow up with the guest or Turo support
+const FOLLOW_UP_STATES = [CLAIM_STATES.DISPUTED, CLAIM_STATES.DENIED];
+
+// Claims in these states won't change again, so they are no longer checked
+const SETTLED_STATES = [CLAIM_STATES.PAID];
+
+/**
+ * Status text patterns, most specific first: "Payment approved" is paid,
+ * "Dispute under review" is disputed. Negated payment text is checked before
+ * the paid pattern: "Payout pending" and "Not yet paid" are approved, "Not
+ * paid" and "Not reimbursed" are denied.
+ */
+const STATUS_PATTERNS = [
+  [CLAIM_STATES.APPROVED, /\b(not yet (paid|reimbursed)|(awaiting|pending) (payment|payout)|(payment|payout) pending)/i],
+  [CLAIM_STATES.DENIED, /\b((not|never) (been )?(paid|reimbursed)|unpaid)\b/i],
+  [CLAIM_STATES.PAID, /\b(paid|reimbursed|payout|payment (sent|approved|complete))/i],
+  [CLAIM_STATES.DISPUTED, /\bdisput/i],
+  [CLAIM_STATES.DENIED, /\b(denied|declined|rejected|not approved)/i],
+  [CLAIM_STATES.APPROVED, /\b(approved|accepted)/i],
+  [CLAIM_STATES.UNDER_REVIEW, /\b(review|pending|in progress|processing)/i],
+  [CLAIM_STATES.SUBMITTED, /\b(submitted|requested|received|open)\b/i]
+];
+
+/**
+ * Map the status text shown on Turo to a claim state
+ * @returns {string|null} null when the text isn't recognised
+ */
+const normalizeClaimStatus = (text) => {
+  if (!text) return null;
+
+  const entry = STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * History with a new entry appended when the status changed
+ * @returns {{ changed: boolean, history: Array }}
+ */
+const appendClaimStatus = (history, status, details = {}) => {
+  const entries = history || [];
+  const current = entries.length > 0 ? entries[entries.length - 1].status : null;
+
+  if (current === status) {
+    return { changed: false, history: entries };
+  }
+
+  return {
+    changed: true,
+    history: [...entries, {
+      status: status,
+      at: details.at || new Date().toISOString(),
+      label: details.label || null,
+      detail: details.detail || null
+    }]
+  };
+};
+
+module.exports = {
+  CLAIM_STATES,
+  FOLLOW_UP_STATES,
+  SETTLED_STATES,
+  normalizeClaimStatus,
+  appendClaimStatus
+};
@@ -0,0 +1,116 @@
+/**
+ * Trip Claims
+ *
+ * Groups matched tolls into one reimbursement claim per trip. A guest who
+ * crosses the same bridge six times gets a single claim itemizing six tolls,
+ * with the toll IDs it covers, instead of six separate claims.
+ */
+
+const CONFIDENCE_ORDER = ['high', 'medium', 'low'];
+
+const formatAmount = (amount) => `$${amount.toFixed(2)}`;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Amount claimed for one toll: the toll plus any notice fees
+ */
+const matchClaimAmount = (match) => match.totalAmount || match.amount;
+
+/**
+ * Sort key for a toll: its timestamp, or date and time when there is none
+ */
+const tollSortKey = (match) => {
+  const toll = match.toll || {};
+  return toll.timestamp || `${toll.date || ''}T${toll.time || ''}`;
+};
+
+/**
+ * Weakest confidence among a claim's tolls, which is what a reviewer should see
+ */
+const weakestConfidence = (matches) => {
+  const rank = (confidence) => {
+    const index = CONFIDENCE_ORDER.indexOf(confidence && confidence.category);
+    return index === -1 ? CONFIDENCE_ORDER.length : index;
+  };
+
+  return matches.reduce((weakest, match) => {
+    if (!weakest) return match.confidence || null;
+    if (rank(match.confidence) > rank(weakest)) return match.confidence;
+    if (rank(match.confidence) === rank(weakest) && match.confidence.score < weakest.score) return match.confidence;
+    return weakest;
+  }, null);
+};
+
+/**
+ * Group matches into one claim per trip, tolls in the order they were driven
+ * Claims keep the order their trips first appear in.
+ * @returns {Array<Object>} { id, tripId, trip, tollIds, matches, amount, feeAmount, claimAmount, confidence }
+ */
+const buildTripClaims = (matches) => {
+  const byTrip = new Map();
+
+  for (const match of matches) {
+    if (!byTrip.has(match.tripId)) byTrip.set(match.tripId, []);
+    byTrip.get(match.tripId).push(match);
+  }
+
+  return [...byTrip.entries()].map(([tripId, tripMatches]) => {
+    const sorted = [...tripMatches].sort((a, b) => tollSortKey(a).localeCompare(tollSortKey(b)));
+
+    return {
+      id: tripId,
+      tripId: tripId,
+      trip: sorted[0].trip,
+      tollIds: sorted.map(match => match.tollId),
+      matches: sorted,
+      amount: roundCents(sorted.reduce((sum, match) => sum + match.amount, 0)),
+      feeAmount: roundCents(sorted.reduce((sum, match) => sum + (match.feeTotal || 0), 0)),
+      claimAmount: roundCents(sorted.reduce((sum, match) => sum + matchClaimAmount(match), 0)),
+      confidence: weakestConfidence(sorted)
+    };
+  });
+};
+
+/**
+ * One line per toll (date, time, plaza, amount), with its notice fees beneath
+ */
+const describeToll = (match, index) => {
+  const toll = match.toll || {};
+  const time = toll.time ? ` ${toll.time.slice(0, 5)}` : '';
+  const notice = toll.noticeNumber ? ` (notice ${toll.noticeNumber})` : '';
+  const lines = [`${index + 1}. ${toll.date}${time} ${toll.location}${notice}: ${formatAmount(match.amount)}`];
+
+  for (const fee of match.fees || []) {
+    lines.push(`   ${fee.description || `${fee.type} fee`}: ${formatAmount(fee.amount)}`);
+  }
+
+  return lines;
+};
+
+/**
+ * Claim description itemizing every toll on the trip
+ */
+const describeTripClaim = (claim) => {
+  const count = claim.matches.length;
+
+  return [
+    `Toll charges for trip ${claim.tripId}:`,
+    ...claim.matches.flatMap(describeToll),
+    `Total: ${formatAmount(claim.claimAmount)} (${count} toll${count === 1 ? '' : 's'})`
+  ].join('\n');
+};
+
+/**
+ * Plazas on the claim, for the form's single location field
+ */
+const claimLocations = (claim) => {
+  const locations = claim.matches.map(match => (match.toll && match.toll.location) || '').filter(Boolean);
+  return [...new Set(locations)].join(', ');
+};
+
+module.exports = {
+  buildTripClaims,
+  describeTripClaim,
+  claimLocations
+};
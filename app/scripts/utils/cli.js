@@ -0,0 +1,42 @@
+/**
+ * Command Line Helpers
+ *
+ * Minimal `--name value` / `--name=value` / `--flag` parsing shared by the
+ * scripts so they don't each grow their own argv handling.
+ */
+
+/**
+ * Parse argv into an options object
+ * Flags without a value are set to true; everything else is kept as a string.
+ * Dashed names are camel-cased (--since-last-run -> sinceLastRun).
+ */
+const parseArgs = (argv = process.argv.slice(2)) => {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const name = rawName.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { options, positional };
+};
+
+module.exports = {
+  parseArgs
+};
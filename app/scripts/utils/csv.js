@@ -0,0 +1,85 @@
+/**
+ * CSV Parsing
+ *
+ * Minimal RFC 4180 reader for toll statements and Turo exports: quoted fields,
+ * escaped quotes ("") and line breaks inside quotes. No external dependency so
+ * it can run anywhere the scrapers run.
+ */
+
+/**
+ * Split CSV text into rows of string fields
+ * @returns {Array<Array<string>>}
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark (Excel exports start with one)
+  const content = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into { headers, records }
+ * Each record maps the trimmed header text to the trimmed cell value.
+ */
+const parseCsv = (text) => {
+  const [headerRow, ...dataRows] = parseCsvRows(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.map(header => header.trim());
+  const records = dataRows.map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv
+};
@@ -0,0 +1,85 @@
+/**
+ * Claim Evidence
+ *
+ * Combines the receipts for a claim's tolls (toll screenshots, toll-by-mail
+ * and violation notices) into a single multi-page PDF, so a claim covering
+ * several tolls still carries one attachment. Screenshots become one page
+ * each under a caption naming the toll; PDF notices keep their own pages.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+// US Letter, in PDF points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 36;
+const CAPTION_SIZE = 11;
+
+/**
+ * Standard PDF fonts only cover Latin-1 - anything else would fail to encode
+ */
+const printable = (text) => String(text).replace(/[^\x20-\x7E]/g, '?');
+
+/**
+ * Add an image as one page, scaled to fit below its caption
+ */
+const addImagePage = async (document, font, bytes, extension, caption) => {
+  const image = extension === '.png' ? await document.embedPng(bytes) : await document.embedJpg(bytes);
+  const page = document.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+
+  page.drawText(printable(caption), {
+    x: MARGIN,
+    y: PAGE_HEIGHT - MARGIN - CAPTION_SIZE,
+    size: CAPTION_SIZE,
+    font: font,
+    color: rgb(0, 0, 0)
+  });
+
+  const maxWidth = PAGE_WIDTH - MARGIN * 2;
+  const maxHeight = PAGE_HEIGHT - MARGIN * 2 - CAPTION_SIZE * 2;
+  const { width, height } = image.scaleToFit(maxWidth, maxHeight);
+
+  page.drawImage(image, {
+    x: MARGIN,
+    y: PAGE_HEIGHT - MARGIN - CAPTION_SIZE * 2 - height,
+    width: width,
+    height: height
+  });
+};
+
+/**
+ * Write the given receipts into one PDF
+ * @param {Array<Object>} items - { path, caption } in page order; .png, .jpg/.jpeg or .pdf
+ * @param {string} outputPath - PDF to write
+ * @returns {Promise<Object>} { path, pages, files }
+ */
+const combineEvidence = async (items, outputPath) => {
+  const document = await PDFDocument.create();
+  const font = await document.embedFont(StandardFonts.Helvetica);
+
+  for (const item of items) {
+    const extension = path.extname(item.path).toLowerCase();
+    const bytes = await fs.readFile(item.path);
+
+    if (extension === '.pdf') {
+      const source = await PDFDocument.load(bytes, { ignoreEncryption: true });
+      const pages = await document.copyPages(source, source.getPageIndices());
+      pages.forEach(page => document.addPage(page));
+    } else if (['.png', '.jpg', '.jpeg'].includes(extension)) {
+      await addImagePage(document, font, bytes, extension, item.caption || path.basename(item.path));
+    } else {
+      throw new Error(`Unsupported evidence file type "${extension}" for ${item.path} (expected .png, .jpg or .pdf)`);
+    }
+  }
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, await document.save());
+
+  return { path: outputPath, pages: document.getPageCount(), files: items.length };
+};
+
+module.exports = {
+  combineEvidence
+};
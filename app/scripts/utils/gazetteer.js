@@ -0,0 +1,174 @@
+/**
+ * Toll Plaza Gazetteer
+ *
+ * Resolves free-text E-ZPass locations ("GWB Upper Lvl") and Turo pickup
+ * locations ("Newark Liberty Intl Airport") to canonical gazetteer entries
+ * with an authority, facility, plaza ID and coordinates.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_GAZETTEER_FILE = path.join(__dirname, '..', 'data', 'plazas.json');
+
+// Abbreviations seen on toll statements and in Turo addresses
+const ABBREVIATIONS = {
+  br: 'bridge',
+  brg: 'bridge',
+  bdg: 'bridge',
+  tun: 'tunnel',
+  tnl: 'tunnel',
+  tunl: 'tunnel',
+  lvl: 'level',
+  upr: 'upper',
+  lwr: 'lower',
+  pkwy: 'parkway',
+  pky: 'parkway',
+  tpke: 'turnpike',
+  tpk: 'turnpike',
+  expwy: 'expressway',
+  expy: 'expressway',
+  intl: 'international',
+  intchg: 'interchange',
+  arpt: 'airport',
+  mem: 'memorial',
+  geo: 'george',
+  wash: 'washington',
+  st: 'street',
+  ave: 'avenue'
+};
+
+// Direction tokens that may follow a plaza name ("Holland Tunnel EB")
+const DIRECTIONS = {
+  eb: 'eastbound',
+  wb: 'westbound',
+  nb: 'northbound',
+  sb: 'southbound',
+  eastbound: 'eastbound',
+  westbound: 'westbound',
+  northbound: 'northbound',
+  southbound: 'southbound'
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Lowercase, strip punctuation and expand abbreviations
+ */
+const normalizeLocationText = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ');
+};
+
+/**
+ * Great-circle distance between two { lat, lon } points in kilometres
+ */
+const distanceKm = (a, b) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+class PlazaGazetteer {
+  constructor(data = { plazas: [], places: [] }) {
+    this.version = data.version || null;
+    this.plazas = (data.plazas || []).map(plaza => ({ ...plaza, type: 'plaza' }));
+    this.places = (data.places || []).map(place => ({ ...place, type: 'place' }));
+
+    this.plazaAliases = this.buildAliasIndex(this.plazas);
+    this.placeAliases = this.buildAliasIndex(this.places);
+  }
+
+  /**
+   * Load a gazetteer file (defaults to data/plazas.json)
+   */
+  static async load(filePath = DEFAULT_GAZETTEER_FILE) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return new PlazaGazetteer(JSON.parse(content));
+  }
+
+  /**
+   * Normalized alias -> entry pairs, longest alias first so the most
+   * specific name wins ("newark airport" before "newark")
+   */
+  buildAliasIndex(entries) {
+    const aliases = [];
+
+    for (const entry of entries) {
+      for (const alias of [entry.name, ...(entry.aliases || [])]) {
+        const normalized = normalizeLocationText(alias);
+        if (normalized) aliases.push({ alias: normalized, entry });
+      }
+    }
+
+    return aliases.sort((a, b) => b.alias.length - a.alias.length);
+  }
+
+  /**
+   * Find the best { alias, entry } whose alias appears as whole words in the text
+   */
+  findMatch(text, aliasIndex) {
+    const normalized = normalizeLocationText(text);
+    if (!normalized) return null;
+
+    const padded = ` ${normalized} `;
+    const direction = normalized.split(' ').map(word => DIRECTIONS[word]).find(Boolean) || null;
+
+    let best = null;
+    for (const { alias, entry } of aliasIndex) {
+      // Index is sorted longest first, so shorter aliases can't beat the current best
+      if (best && alias.length < best.alias.length) break;
+      if (!padded.includes(` ${alias} `)) continue;
+
+      // Same-length tie: prefer the plaza facing the direction on the statement
+      if (!best || (direction && entry.direction === direction && best.entry.direction !== direction)) {
+        best = { alias, entry };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Resolve a toll statement location to a plaza
+   */
+  resolvePlaza(text) {
+    const match = this.findMatch(text, this.plazaAliases);
+    return match ? match.entry : null;
+  }
+
+  /**
+   * Resolve a Turo pickup location to a place, falling back to a plaza
+   * (some listings use a bridge or tunnel as the meeting point)
+   */
+  resolvePickup(text) {
+    const place = this.findMatch(text, this.placeAliases);
+    const plaza = this.findMatch(text, this.plazaAliases);
+
+    // When both match, the longer (more specific) alias wins
+    if (place && plaza) {
+      return plaza.alias.length > place.alias.length ? plaza.entry : place.entry;
+    }
+
+    return (place || plaza || { entry: null }).entry;
+  }
+}
+
+module.exports = {
+  DEFAULT_GAZETTEER_FILE,
+  PlazaGazetteer,
+  normalizeLocationText,
+  distanceKm
+};
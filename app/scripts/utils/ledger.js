@@ -0,0 +1,597 @@
+/**
+ * Toll Claim Ledger
+ *
+ * Persistent record of every toll that has been matched to a trip or submitted
+ * to Turo, keyed by toll transaction ID. match.js skips tolls already in the
+ * ledger and TuroBot skips tolls already submitted, so overlapping daily runs
+ * never claim the same toll twice.
+ *
+ * Two backends share the same interface:
+ * - SqliteLedger: a local SQLite file (default)
+ * - PostgresLedger: the backend's `jobs` table, when a database is configured
+ */
+
+const path = require('path');
+const { CLAIM_STATES, SETTLED_STATES, appendClaimStatus } = require('./claimStatus');
+
+const DEFAULT_LEDGER_FILE = path.join(__dirname, '..', 'toll-ledger.sqlite3');
+
+const LEDGER_STATUS = {
+  MATCHED: 'matched',
+  // Postgres only: a backend job queued for, or being filed by, the submission worker
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted'
+};
+
+/**
+ * Group submitted toll rows into the claims they were filed on
+ * Tolls submitted before per-trip claims each stand as their own claim.
+ */
+const groupClaims = (rows) => {
+  const claims = new Map();
+
+  for (const row of rows) {
+    const tollIds = row.claimTollIds || [row.tollId];
+    const key = `${row.confirmationId || ''}|${tollIds.join(',')}`;
+
+    if (!claims.has(key)) {
+      claims.set(key, {
+        claimId: row.confirmationId,
+        tripId: row.tripId,
+        tollIds: tollIds,
+        status: row.status || CLAIM_STATES.SUBMITTED,
+        history: row.history,
+        checkedAt: row.checkedAt
+      });
+    }
+  }
+
+  return [...claims.values()];
+};
+
+/**
+ * A jobs row as events and webhooks carry it: the public fields of the
+ * backend's Job.toJSON (app/backend/services/webhookService.js PUBLIC_JOB_FIELDS)
+ */
+const publicJob = (row) => ({
+  id: row.id,
+  turoTripId: row.turo_trip_id,
+  status: row.status,
+  tollAmount: parseFloat(row.toll_amount),
+  tollLocation: row.toll_location,
+  tollDate: row.toll_date || null,
+  tripStartDate: row.trip_start_date,
+  tripEndDate: row.trip_end_date,
+  submissionAttempts: row.submission_attempts || 0,
+  lastSubmissionDate: row.last_submission_date,
+  nextAttemptAt: row.next_attempt_at || null,
+  submissionId: row.submission_id,
+  claimStatus: row.claim_status || null,
+  errorMessage: row.error_message,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+class SqliteLedger {
+  constructor(filePath = DEFAULT_LEDGER_FILE) {
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  /**
+   * Open the ledger file, creating the table on first use
+   */
+  async open() {
+    // Loaded lazily so Postgres-only deployments don't need the native module
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS toll_ledger (
+        toll_id TEXT PRIMARY KEY,
+        trip_id TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('matched', 'submitted')),
+        amount REAL,
+        toll_date TEXT,
+        location TEXT,
+        rules_version TEXT,
+        confirmation_id TEXT,
+        claim_toll_ids TEXT,
+        claim_status TEXT,
+        claim_status_history TEXT,
+        claim_checked_at TEXT,
+        matched_at TEXT NOT NULL,
+        submitted_at TEXT
+      )
+    `);
+
+    // Ledgers created before per-trip claims and claim tracking lack these columns
+    const columns = this.db.prepare('PRAGMA table_info(toll_ledger)').all().map(column => column.name);
+    for (const column of ['claim_toll_ids', 'claim_status', 'claim_status_history', 'claim_checked_at']) {
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE toll_ledger ADD COLUMN ${column} TEXT`);
+      }
+    }
+
+    console.log(`Opened toll ledger: ${this.filePath}`);
+    return this;
+  }
+
+  /**
+   * Look up ledger entries for the given toll IDs
+   * @returns {Promise<Map>} toll id -> { status, tripId }
+   */
+  async findClaimed(tollIds) {
+    const claimed = new Map();
+    const select = this.db.prepare('SELECT toll_id, trip_id, status FROM toll_ledger WHERE toll_id = ?');
+
+    for (const tollId of tollIds) {
+      const row = select.get(tollId);
+      if (row) claimed.set(row.toll_id, { status: row.status, tripId: row.trip_id });
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Toll amounts already submitted for each of the given trips
+   * @returns {Promise<Map>} trip id -> total submitted
+   */
+  async findSubmittedTotals(tripIds) {
+    const totals = new Map();
+    const select = this.db.prepare(
+      'SELECT COALESCE(SUM(amount), 0) AS total FROM toll_ledger WHERE trip_id = ? AND status = ?'
+    );
+
+    for (const tripId of new Set(tripIds)) {
+      const row = select.get(tripId, LEDGER_STATUS.SUBMITTED);
+      if (row.total > 0) totals.set(tripId, row.total);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Submitted claims that haven't been paid yet, one entry per claim
+   * @returns {Promise<Array>} { claimId, tripId, tollIds, status, history, checkedAt }
+   */
+  async findSubmittedClaims() {
+    const rows = this.db.prepare(`
+      SELECT toll_id, trip_id, confirmation_id, claim_toll_ids, claim_status, claim_status_history,
+             claim_checked_at
+      FROM toll_ledger
+      WHERE status = ? AND COALESCE(claim_status, ?) NOT IN (${SETTLED_STATES.map(() => '?').join(', ')})
+      ORDER BY submitted_at, toll_id
+    `).all(LEDGER_STATUS.SUBMITTED, CLAIM_STATES.SUBMITTED, ...SETTLED_STATES);
+
+    return groupClaims(rows.map(row => ({
+      tollId: row.toll_id,
+      tripId: row.trip_id,
+      confirmationId: row.confirmation_id,
+      claimTollIds: row.claim_toll_ids ? JSON.parse(row.claim_toll_ids) : null,
+      status: row.claim_status,
+      history: row.claim_status_history ? JSON.parse(row.claim_status_history) : [],
+      checkedAt: row.claim_checked_at
+    })));
+  }
+
+  /**
+   * Record a claim's latest status on every toll it covers
+   * History only grows when the status changes; the check time always moves.
+   * @returns {Promise<Object>} { changed, history }
+   */
+  async recordClaimStatus(claim, status, details = {}) {
+    const { changed, history } = appendClaimStatus(claim.history, status, details);
+    const update = this.db.prepare(`
+      UPDATE toll_ledger
+      SET claim_status = ?, claim_status_history = ?, claim_checked_at = ?
+      WHERE toll_id = ?
+    `);
+
+    const updateAll = this.db.transaction((tollIds) => {
+      for (const tollId of tollIds) {
+        update.run(status, JSON.stringify(history), new Date().toISOString(), tollId);
+      }
+    });
+    updateAll(claim.tollIds);
+
+    return { changed, history };
+  }
+
+  /**
+   * Record new matches; tolls already in the ledger are left untouched
+   */
+  async recordMatches(matches) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO toll_ledger (
+        toll_id, trip_id, status, amount, toll_date, location, rules_version, matched_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertAll = this.db.transaction((rows) => {
+      let recorded = 0;
+      for (const match of rows) {
+        const result = insert.run(
+          match.tollId,
+          match.tripId,
+          LEDGER_STATUS.MATCHED,
+          match.amount,
+          match.toll.timestamp || match.toll.date,
+          match.toll.location,
+          match.rulesVersion || null,
+          match.matchedAt
+        );
+        recorded += result.changes;
+      }
+      return recorded;
+    });
+
+    return insertAll(matches);
+  }
+
+  /**
+   * Mark a toll as submitted to Turo
+   * A toll already submitted is left as it is, claim status history included.
+   * @param {Array<string>} [claimTollIds] - every toll on the claim it was submitted with
+   */
+  async markSubmitted(match, confirmationId = null, claimTollIds = [match.tollId]) {
+    const submittedAt = new Date().toISOString();
+    const { history } = appendClaimStatus([], CLAIM_STATES.SUBMITTED, { at: submittedAt });
+
+    this.db.prepare(`
+      INSERT INTO toll_ledger (
+        toll_id, trip_id, status, amount, toll_date, location, confirmation_id, claim_toll_ids,
+        claim_status, claim_status_history, matched_at, submitted_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (toll_id) DO UPDATE SET
+        status = excluded.status,
+        confirmation_id = excluded.confirmation_id,
+        claim_toll_ids = excluded.claim_toll_ids,
+        claim_status = excluded.claim_status,
+        claim_status_history = excluded.claim_status_history,
+        submitted_at = excluded.submitted_at
+      WHERE toll_ledger.status <> excluded.status
+    `).run(
+      match.tollId,
+      match.tripId,
+      LEDGER_STATUS.SUBMITTED,
+      match.amount,
+      match.toll ? (match.toll.timestamp || match.toll.date) : null,
+      match.toll ? match.toll.location : null,
+      confirmationId,
+      JSON.stringify(claimTollIds),
+      CLAIM_STATES.SUBMITTED,
+      JSON.stringify(history),
+      match.matchedAt || submittedAt,
+      submittedAt
+    );
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+class PostgresLedger {
+  constructor({ userId, connectionConfig }) {
+    if (!userId) {
+      throw new Error('LEDGER_USER_ID is required to use the Postgres jobs table as the toll ledger');
+    }
+
+    this.userId = userId;
+    this.connectionConfig = connectionConfig;
+    this.pool = null;
+  }
+
+  /**
+   * Connect to the backend database
+   */
+  async open() {
+    const { Pool } = require('pg');
+
+    this.pool = new Pool(this.connectionConfig);
+    await this.pool.query('SELECT 1');
+
+    console.log('Opened toll ledger: Postgres jobs table');
+    return this;
+  }
+
+  /**
+   * Look up jobs for the given toll IDs
+   * Any job counts as matched; completed jobs have been submitted.
+   * @returns {Promise<Map>} toll id -> { status, tripId }
+   */
+  async findClaimed(tollIds) {
+    const claimed = new Map();
+    if (tollIds.length === 0) return claimed;
+
+    const result = await this.pool.query(
+      'SELECT toll_id, turo_trip_id, status, queued_at FROM jobs WHERE user_id = $1 AND toll_id = ANY($2)',
+      [this.userId, tollIds]
+    );
+
+    const ledgerStatus = (row) => {
+      if (row.status === 'completed') return LEDGER_STATUS.SUBMITTED;
+      if (row.status === 'processing' || (row.queued_at && ['pending', 'retry'].includes(row.status))) {
+        return LEDGER_STATUS.QUEUED;
+      }
+      return LEDGER_STATUS.MATCHED;
+    };
+
+    for (const row of result.rows) {
+      claimed.set(row.toll_id, {
+        status: ledgerStatus(row),
+        tripId: row.turo_trip_id
+      });
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Toll amounts of completed jobs for each of the given trips
+   * @returns {Promise<Map>} trip id -> total submitted
+   */
+  async findSubmittedTotals(tripIds) {
+    const totals = new Map();
+    if (tripIds.length === 0) return totals;
+
+    const result = await this.pool.query(`
+      SELECT turo_trip_id, SUM(toll_amount) AS total
+      FROM jobs
+      WHERE user_id = $1 AND status = 'completed' AND turo_trip_id = ANY($2)
+      GROUP BY turo_trip_id
+    `, [this.userId, [...new Set(tripIds)]]);
+
+    for (const row of result.rows) {
+      totals.set(row.turo_trip_id, parseFloat(row.total));
+    }
+
+    return totals;
+  }
+
+  /**
+   * Completed jobs whose claim hasn't been paid yet, one entry per claim
+   * @returns {Promise<Array>} { claimId, tripId, tollIds, status, history, checkedAt }
+   */
+  async findSubmittedClaims() {
+    const result = await this.pool.query(`
+      SELECT toll_id, turo_trip_id, submission_id, claim_toll_ids, claim_status, claim_status_history,
+             claim_status_checked_at
+      FROM jobs
+      WHERE user_id = $1 AND status = 'completed' AND COALESCE(claim_status, $2) <> ALL($3)
+      ORDER BY last_submission_date, toll_id
+    `, [this.userId, CLAIM_STATES.SUBMITTED, SETTLED_STATES]);
+
+    return groupClaims(result.rows.map(row => ({
+      tollId: row.toll_id,
+      tripId: row.turo_trip_id,
+      confirmationId: row.submission_id,
+      claimTollIds: row.claim_toll_ids,
+      status: row.claim_status,
+      history: row.claim_status_history || [],
+      checkedAt: row.claim_status_checked_at ? row.claim_status_checked_at.toISOString() : null
+    })));
+  }
+
+  /**
+   * Record a claim's latest status on the job of every toll it covers
+   * History only grows when the status changes; the check time always moves.
+   * @returns {Promise<Object>} { changed, history }
+   */
+  async recordClaimStatus(claim, status, details = {}) {
+    const { changed, history } = appendClaimStatus(claim.history, status, details);
+
+    const result = await this.pool.query(`
+      UPDATE jobs
+      SET claim_status = $3, claim_status_history = $4, claim_status_checked_at = NOW()
+      WHERE user_id = $1 AND toll_id = ANY($2)
+      RETURNING id
+    `, [this.userId, claim.tollIds, status, JSON.stringify(history)]);
+
+    if (changed) {
+      const jobIds = result.rows.map(row => row.id);
+      const data = {
+        claimId: claim.claimId,
+        tripId: claim.tripId,
+        tollIds: claim.tollIds,
+        oldStatus: claim.status,
+        newStatus: status,
+        label: details.label || null,
+        detail: details.detail || null
+      };
+
+      await this.recordJobEvents(jobIds, 'claim.status_changed', data);
+
+      if (status === CLAIM_STATES.PAID) {
+        await this.queueWebhookDeliveries('claim.paid', { ...data, jobIds });
+      }
+    }
+
+    return { changed, history };
+  }
+
+  /**
+   * Queue an event for the user's webhooks subscribed to it; the backend's
+   * webhook sender (app/backend/services/webhookService.js) delivers it
+   */
+  async queueWebhookDeliveries(type, data) {
+    await this.pool.query(`
+      INSERT INTO webhook_deliveries (webhook_id, event_type, payload)
+      SELECT id, $2, $3 FROM webhooks
+      WHERE user_id = $1 AND enabled = true AND events @> $4
+    `, [this.userId, type, JSON.stringify(data), JSON.stringify([type])]);
+  }
+
+  /**
+   * Add an event for each job to the backend's job event log, which streams
+   * it to the user's open GET /api/jobs/events connections
+   */
+  async recordJobEvents(jobIds, type, data) {
+    if (jobIds.length === 0) return;
+
+    // Same NOTIFY channel and payload as app/backend/models/JobEvent.js
+    await this.pool.query(`
+      WITH events AS (
+        INSERT INTO job_events (user_id, job_id, type, data)
+        SELECT $1, job_id, $3, $4 FROM UNNEST($2::uuid[]) AS job_id
+        RETURNING id, user_id
+      )
+      SELECT pg_notify('job_events', json_build_object('id', events.id, 'userId', events.user_id)::text)
+      FROM events
+    `, [this.userId, jobIds, type, JSON.stringify(data)]);
+  }
+
+  /**
+   * Toll-by-mail and violation notices entered through the backend
+   * @returns {Promise<Array>} notices in the utils/notices.js shape
+   */
+  async findNotices() {
+    const result = await this.pool.query(`
+      SELECT notice_number, agency, notice_type, state, plate, plate_state,
+             TO_CHAR(issued_date, 'YYYY-MM-DD') AS issued_date,
+             TO_CHAR(due_date, 'YYYY-MM-DD') AS due_date,
+             items, fees, document_url
+      FROM toll_notices
+      WHERE user_id = $1 AND status <> 'void'
+      ORDER BY toll_notices.issued_date, toll_notices.id
+    `, [this.userId]);
+
+    return result.rows.map(row => ({
+      noticeNumber: row.notice_number,
+      noticeType: row.notice_type,
+      agency: row.agency,
+      state: row.state,
+      plate: row.plate,
+      plateState: row.plate_state,
+      issuedDate: row.issued_date,
+      dueDate: row.due_date,
+      documentPath: row.document_url,
+      items: row.items || [],
+      fees: row.fees || []
+    }));
+  }
+
+  /**
+   * Create a pending job for each new match; existing tolls are left untouched
+   */
+  async recordMatches(matches) {
+    let recorded = 0;
+
+    for (const match of matches) {
+      const result = await this.pool.query(`
+        INSERT INTO jobs (
+          user_id, turo_trip_id, toll_id, toll_amount, toll_location, toll_date,
+          trip_start_date, trip_end_date, proof_image_url, status
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
+        ON CONFLICT (user_id, toll_id) WHERE toll_id IS NOT NULL DO NOTHING
+      `, [
+        this.userId,
+        match.tripId,
+        match.tollId,
+        match.amount,
+        match.toll.location || 'Unknown',
+        match.toll.timestamp || match.toll.date || null,
+        match.trip.startDate,
+        match.trip.endDate,
+        // The worker only fetches proofs from the upload bucket, never a local path
+        /^https:\/\//.test(match.screenshotPath || '') ? match.screenshotPath : null
+      ]);
+      recorded += result.rowCount;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Mark a toll's job as completed
+   * Like the backend's jobService.markJobAsCompleted, this records a
+   * job.status_changed event and queues job.completed webhooks; a job that is
+   * already completed is left as it is.
+   * @param {Array<string>} [claimTollIds] - every toll on the claim it was submitted with
+   */
+  async markSubmitted(match, confirmationId = null, claimTollIds = [match.tollId]) {
+    const { history } = appendClaimStatus([], CLAIM_STATES.SUBMITTED);
+
+    const result = await this.pool.query(`
+      WITH previous AS (
+        SELECT id, status FROM jobs
+        WHERE user_id = $1 AND toll_id = $2 AND status <> 'completed'
+        FOR UPDATE
+      )
+      UPDATE jobs
+      SET status = 'completed', submission_id = $3, claim_toll_ids = $4, last_submission_date = NOW(),
+          error_message = NULL, next_attempt_at = NULL,
+          claim_status = $5, claim_status_history = $6
+      FROM previous
+      WHERE jobs.id = previous.id
+      RETURNING jobs.*, previous.status AS previous_status
+    `, [
+      this.userId,
+      match.tollId,
+      confirmationId,
+      JSON.stringify(claimTollIds),
+      CLAIM_STATES.SUBMITTED,
+      JSON.stringify(history)
+    ]);
+
+    for (const row of result.rows) {
+      const data = { job: publicJob(row), oldStatus: row.previous_status, newStatus: 'completed' };
+
+      await this.recordJobEvents([row.id], 'job.status_changed', data);
+      await this.queueWebhookDeliveries('job.completed', data);
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+/**
+ * Build the ledger for the current environment
+ * LEDGER_BACKEND picks the backend explicitly; otherwise Postgres is used
+ * when DATABASE_URL is set and SQLite everywhere else.
+ */
+const createLedger = () => {
+  const backend = process.env.LEDGER_BACKEND || (process.env.DATABASE_URL ? 'postgres' : 'sqlite');
+
+  if (backend === 'postgres') {
+    return new PostgresLedger({
+      userId: process.env.LEDGER_USER_ID,
+      connectionConfig: process.env.DATABASE_URL
+        ? { connectionString: process.env.DATABASE_URL }
+        : {
+          host: process.env.DB_HOST || 'localhost',
+          port: parseInt(process.env.DB_PORT) || 5432,
+          database: process.env.DB_NAME || 'turoezpass',
+          user: process.env.DB_USER || 'postgres',
+          password: process.env.DB_PASSWORD,
+          ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
+        }
+    });
+  }
+
+  if (backend === 'sqlite') {
+    return new SqliteLedger(process.env.LEDGER_FILE || DEFAULT_LEDGER_FILE);
+  }
+
+  throw new Error(`Unknown LEDGER_BACKEND "${backend}" (expected sqlite or postgres)`);
+};
+
+module.exports = {
+  DEFAULT_LEDGER_FILE,
+  LEDGER_STATUS,
+  SqliteLedger,
+  PostgresLedger,
+  createLedger
+};
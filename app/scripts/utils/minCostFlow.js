@@ -0,0 +1,110 @@
+/**
+ * Min-Cost Flow
+ *
+ * A small directed flow network solved by successive shortest paths. Paths
+ * are found with a queue-based Bellman-Ford, so edge costs may be negative
+ * (match.js uses negated confidence scores) as long as the network has no
+ * negative cycle.
+ */
+
+class FlowNetwork {
+  constructor(nodeCount) {
+    this.nodeCount = nodeCount;
+    this.edges = [];
+    this.adjacency = Array.from({ length: nodeCount }, () => []);
+  }
+
+  /**
+   * Add an edge (and its residual twin)
+   * @returns {number} edge index, for flowOn
+   */
+  addEdge(from, to, capacity, cost) {
+    const index = this.edges.length;
+
+    this.edges.push({ from, to, capacity, cost, flow: 0 });
+    this.edges.push({ from: to, to: from, capacity: 0, cost: -cost, flow: 0 });
+    this.adjacency[from].push(index);
+    this.adjacency[to].push(index + 1);
+
+    return index;
+  }
+
+  /**
+   * Flow carried by an edge after solve
+   */
+  flowOn(index) {
+    return this.edges[index].flow;
+  }
+
+  /**
+   * Cheapest path from source to sink with spare capacity, or null
+   * @returns {Array<number>|null} edge indexes, source first
+   */
+  findCheapestPath(source, sink) {
+    const distance = new Array(this.nodeCount).fill(Infinity);
+    const viaEdge = new Array(this.nodeCount).fill(-1);
+    const queued = new Array(this.nodeCount).fill(false);
+    const queue = [source];
+
+    distance[source] = 0;
+    queued[source] = true;
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      queued[node] = false;
+
+      for (const index of this.adjacency[node]) {
+        const edge = this.edges[index];
+        if (edge.capacity - edge.flow <= 0) continue;
+
+        const through = distance[node] + edge.cost;
+        if (through < distance[edge.to]) {
+          distance[edge.to] = through;
+          viaEdge[edge.to] = index;
+          if (!queued[edge.to]) {
+            queued[edge.to] = true;
+            queue.push(edge.to);
+          }
+        }
+      }
+    }
+
+    if (distance[sink] === Infinity) return null;
+
+    const path = [];
+    for (let node = sink; node !== source; node = this.edges[viaEdge[node]].from) {
+      path.unshift(viaEdge[node]);
+    }
+    return path;
+  }
+
+  /**
+   * Send up to maxFlow units from source to sink at the lowest total cost
+   * @returns {Object} { flow, cost }
+   */
+  solve(source, sink, maxFlow = Infinity) {
+    let flow = 0;
+    let cost = 0;
+
+    while (flow < maxFlow) {
+      const path = this.findCheapestPath(source, sink);
+      if (!path) break;
+
+      const amount = Math.min(maxFlow - flow, ...path.map(index => this.edges[index].capacity - this.edges[index].flow));
+
+      for (const index of path) {
+        this.edges[index].flow += amount;
+        // Edges are added in pairs, so index ^ 1 is the residual twin
+        this.edges[index ^ 1].flow -= amount;
+        cost += amount * this.edges[index].cost;
+      }
+      flow += amount;
+    }
+
+    return { flow, cost };
+  }
+}
+
+module.exports = {
+  FlowNetwork
+};
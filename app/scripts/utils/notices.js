@@ -0,0 +1,147 @@
+/**
+ * Toll Notices
+ *
+ * Toll-by-mail invoices and violation notices bill tolls that never reached a
+ * transponder, by plate, weeks after the trip, with fees on top. A notice is
+ * read into this structured shape (from a PDF, a JSON file or a backend
+ * toll_notices row):
+ *
+ *   {
+ *     noticeNumber, noticeType: 'toll-by-mail' | 'violation', agency, state,
+ *     plate, plateState, issuedDate, dueDate, documentPath,
+ *     items: [{ transactionNumber, date, time, timestamp, location, amount, fees: [...] }],
+ *     fees: [{ type, description, amount }]   // notice-level fees
+ *   }
+ *
+ * and turned into toll records in the ezpass.json shape so the matcher treats
+ * them like any other toll. Fees stay itemized on the record, apart from the
+ * toll amount.
+ */
+
+const { DEFAULT_TIMEZONE, AUTHORITY_TIMEZONES, toZonedTimestamp } = require('./time');
+const { assignTollIds } = require('./tollId');
+
+const NOTICE_TYPES = ['toll-by-mail', 'violation'];
+
+/**
+ * Fee types by description; the first matching pattern wins
+ */
+const FEE_TYPES = [
+  { type: 'late', pattern: /\blate\b|past\s*due|escalat|second\s*notice/i },
+  { type: 'violation', pattern: /violation|penalty|civil|citation/i },
+  { type: 'admin', pattern: /admin|processing|service/i },
+  { type: 'mail', pattern: /mail|invoice|statement|plate|video/i }
+];
+
+/**
+ * Fee type for a fee description ("Administrative Fee" -> "admin")
+ */
+const classifyFee = (description) => {
+  const match = FEE_TYPES.find(({ pattern }) => pattern.test(description || ''));
+  return match ? match.type : 'other';
+};
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Fees with a type and a rounded amount; zero fees are dropped
+ */
+const normalizeFees = (fees = []) => {
+  return fees
+    .map(fee => ({
+      type: fee.type || classifyFee(fee.description),
+      description: fee.description || null,
+      amount: roundAmount(fee.amount)
+    }))
+    .filter(fee => fee.amount > 0);
+};
+
+const sumAmounts = (items) => roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+/**
+ * Timezone and authority state for a notice's agency
+ * The provider registry knows the agencies we scrape; other agencies need `state`.
+ */
+const resolveAgency = (notice) => {
+  let portal = null;
+
+  if (notice.agency) {
+    try {
+      // Loaded here so reading notices doesn't pull in the scrapers up front
+      portal = require('../providers').getProvider(notice.agency);
+    } catch (error) {
+      portal = null;
+    }
+  }
+
+  const state = String(notice.state || (portal && portal.state) || notice.plateState || '').toLowerCase() || null;
+
+  return {
+    provider: portal ? portal.id : null,
+    state: state,
+    timezone: notice.timezone || (portal && portal.timezone) || AUTHORITY_TIMEZONES[state] || DEFAULT_TIMEZONE
+  };
+};
+
+/**
+ * Toll records for every item on a notice
+ *
+ * IDs are built like any other toll's, so re-importing a notice (or the same
+ * notice from PDF and from the backend) gives the same IDs. Notice-level fees
+ * go on the first item so the fees across a notice's records add up to the
+ * notice's fees once.
+ */
+const buildNoticeRecords = (notice) => {
+  const { provider, state, timezone } = resolveAgency(notice);
+  const noticeFees = normalizeFees(notice.fees).map(fee => ({ ...fee, scope: 'notice' }));
+  const label = notice.noticeType === 'violation' ? 'Violation notice' : 'Toll-by-mail invoice';
+
+  const records = (notice.items || []).map((item, index) => {
+    const hasTime = Boolean(item.time || (item.timestamp && /T\d/.test(item.timestamp)));
+    const zoned = toZonedTimestamp(item.timestamp || item.date, item.timestamp ? null : item.time, timezone);
+
+    if (!zoned) {
+      console.warn(`Could not parse date "${item.timestamp || `${item.date} ${item.time || ''}`}" on notice ${notice.noticeNumber}`);
+    }
+
+    const fees = [
+      ...normalizeFees(item.fees).map(fee => ({ ...fee, scope: 'toll' })),
+      ...(index === 0 ? noticeFees : [])
+    ];
+
+    return {
+      transactionNumber: item.transactionNumber || null,
+      date: zoned ? zoned.date : null,
+      time: hasTime && zoned ? zoned.timestamp.slice(11, 19) : '',
+      // Date-only lines keep no timestamp so the matcher spans the whole day
+      timestamp: zoned && hasTime ? zoned.timestamp : null,
+      timezone: timezone,
+      location: item.location || '',
+      amount: roundAmount(item.amount),
+      description: `${label} ${notice.noticeNumber}`,
+      tagNumber: null,
+      plate: item.plate || notice.plate || null,
+      raw_data: item.raw_data || null,
+      source: 'notice',
+      provider: provider,
+      noticeNumber: notice.noticeNumber,
+      noticeType: notice.noticeType,
+      noticeAgency: notice.agency || null,
+      issuedDate: notice.issuedDate || null,
+      dueDate: notice.dueDate || null,
+      noticePath: notice.documentPath || null,
+      fees: fees,
+      feeTotal: sumAmounts(fees)
+    };
+  });
+
+  return assignTollIds(records, state || '');
+};
+
+module.exports = {
+  NOTICE_TYPES,
+  classifyFee,
+  normalizeFees,
+  sumAmounts,
+  buildNoticeRecords
+};
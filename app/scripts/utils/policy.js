@@ -0,0 +1,272 @@
+/**
+ * Submission Policy
+ *
+ * Decides which matches TuroBot may submit on its own. Each confidence
+ * category maps to an action - `auto` (submit), `approval` (hold until a human
+ * approves it from a --dry-run review) or `never` - and optional limits send
+ * trip claims over a per-claim amount, or that would take a trip's submitted
+ * total over a ceiling, to approval instead. `users` overrides any of these
+ * for one backend user. Policies are JSON or YAML, checked against
+ * POLICY_SCHEMA.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { getPath } = require('./rules');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'policies', 'default.json');
+
+const POLICY_ACTIONS = {
+  AUTO: 'auto',
+  APPROVAL: 'approval',
+  NEVER: 'never'
+};
+
+/**
+ * Fields a user override may set, as [path, type, constraints]
+ */
+const OVERRIDE_SCHEMA = [
+  ['confidence.high', 'action', {}],
+  ['confidence.medium', 'action', {}],
+  ['confidence.low', 'action', {}],
+  ['limits.maxClaimAmount', 'number', { min: 0 }],
+  ['limits.maxTripTotal', 'number', { min: 0 }]
+];
+
+/**
+ * Schema every policy file must satisfy, as [path, type, constraints]
+ */
+const POLICY_SCHEMA = [
+  ['version', 'string', { required: true }],
+  ['description', 'string', {}],
+  ['confidence.high', 'action', { required: true }],
+  ['confidence.medium', 'action', { required: true }],
+  ['confidence.low', 'action', { required: true }],
+  ['limits.maxClaimAmount', 'number', { min: 0 }],
+  ['limits.maxTripTotal', 'number', { min: 0 }]
+];
+
+/**
+ * Check an object against a policy schema
+ * @returns {Array<string>} list of problems, with field names prefixed
+ */
+const checkFields = (object, schema, prefix = '') => {
+  const errors = [];
+
+  for (const [field, type, constraints] of schema) {
+    const value = getPath(object, field);
+    const name = `${prefix}${field}`;
+
+    if (value === undefined || value === null) {
+      if (constraints.required) errors.push(`${name} is required`);
+      continue;
+    }
+
+    if (type === 'action') {
+      if (!Object.values(POLICY_ACTIONS).includes(value)) {
+        errors.push(`${name} must be one of ${Object.values(POLICY_ACTIONS).join(', ')}`);
+      }
+      continue;
+    }
+
+    if (type === 'number' && (typeof value !== 'number' || isNaN(value))) {
+      errors.push(`${name} must be a number`);
+      continue;
+    }
+
+    if (type === 'string' && typeof value !== 'string') {
+      errors.push(`${name} must be a string`);
+      continue;
+    }
+
+    if (constraints.min !== undefined && value < constraints.min) {
+      errors.push(`${name} must be >= ${constraints.min}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check a policy against POLICY_SCHEMA, and each user override against OVERRIDE_SCHEMA
+ * @returns {Array<string>} list of problems (empty when valid)
+ */
+const validatePolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['policy file must contain an object'];
+  }
+
+  const errors = checkFields(policy, POLICY_SCHEMA);
+
+  if (policy.users !== undefined && policy.users !== null) {
+    if (typeof policy.users !== 'object' || Array.isArray(policy.users)) {
+      errors.push('users must map user IDs to overrides');
+    } else {
+      for (const [userId, override] of Object.entries(policy.users)) {
+        errors.push(...checkFields(override || {}, OVERRIDE_SCHEMA, `users.${userId}.`));
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Load and validate a policy file
+ * @param {string} [filePath] - SUBMISSION_POLICY_FILE or policies/default.json by default
+ * @returns {Promise<Object>} policy with the resolved `source` path attached
+ */
+const loadSubmissionPolicy = async (filePath = process.env.SUBMISSION_POLICY_FILE || DEFAULT_POLICY_FILE) => {
+  const resolvedPath = path.resolve(filePath);
+  const content = await fs.readFile(resolvedPath, 'utf8');
+  const extension = path.extname(resolvedPath).toLowerCase();
+
+  let policy;
+  if (extension === '.yaml' || extension === '.yml') {
+    policy = yaml.load(content);
+  } else if (extension === '.json') {
+    policy = JSON.parse(content);
+  } else {
+    throw new Error(`Unsupported policy file type "${extension}" (expected .json, .yaml or .yml)`);
+  }
+
+  // YAML reads `version: 3` as a number - versions are always compared as strings
+  if (policy && typeof policy.version === 'number') {
+    policy.version = String(policy.version);
+  }
+
+  const errors = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid submission policy in ${resolvedPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { ...policy, source: resolvedPath };
+};
+
+/**
+ * The policy that applies to one user: the file's settings with that user's overrides on top
+ * @returns {Object} { version, source, user, confidence, limits }
+ */
+const resolvePolicy = (policy, userId = null) => {
+  const hasOverride = Boolean(userId && policy.users && policy.users[userId]);
+  const override = hasOverride ? policy.users[userId] : {};
+
+  return {
+    version: policy.version,
+    source: policy.source || null,
+    user: hasOverride ? userId : null,
+    confidence: { ...policy.confidence, ...override.confidence },
+    limits: {
+      maxClaimAmount: null,
+      maxTripTotal: null,
+      ...policy.limits,
+      ...override.limits
+    }
+  };
+};
+
+const formatAmount = (amount) => `$${amount.toFixed(2)}`;
+
+/**
+ * Sort matches into those to submit now and those held back
+ * Limits apply to claims as filed - one per trip (utils/claims.js) - not to
+ * single tolls. Each trip's tolls are taken in order, so when its ceiling is
+ * reached the earlier tolls go in and the later ones are held; the claim made
+ * of the tolls that went in is then held whole if it is over maxClaimAmount.
+ * @param {Array} matches - eligible matches (not yet submitted)
+ * @param {Object} policy - from resolvePolicy
+ * @param {Object} options - { claimAmount: match -> amount claimed,
+ *   submittedTotals: Map of trip id -> amount already submitted in earlier runs }
+ * @returns {{ submit: Array, held: Array<{ match, action, rule, reason }> }}
+ */
+const evaluatePolicy = (matches, policy, options = {}) => {
+  const claimAmount = options.claimAmount || (match => match.totalAmount || match.amount);
+  const submittedTotals = options.submittedTotals || new Map();
+  const { maxClaimAmount, maxTripTotal } = policy.limits;
+
+  // match -> held entry, or null when it is submitted
+  const decisions = new Map();
+  const autoByTrip = new Map();
+
+  for (const match of matches) {
+    const category = match.confidence ? match.confidence.category : 'unknown';
+    const action = policy.confidence[category] || POLICY_ACTIONS.NEVER;
+
+    if (action !== POLICY_ACTIONS.AUTO) {
+      const score = match.confidence ? ` (${match.confidence.score.toFixed(2)})` : '';
+      decisions.set(match, {
+        match,
+        action,
+        rule: `confidence.${category}`,
+        reason: action === POLICY_ACTIONS.NEVER
+          ? `${category} confidence${score} is never submitted`
+          : `${category} confidence${score} needs approval`
+      });
+      continue;
+    }
+
+    if (!autoByTrip.has(match.tripId)) autoByTrip.set(match.tripId, []);
+    autoByTrip.get(match.tripId).push(match);
+  }
+
+  for (const [tripId, tripMatches] of autoByTrip) {
+    const previous = submittedTotals.get(tripId) || 0;
+    const claim = [];
+    let claimTotal = 0;
+
+    for (const match of tripMatches) {
+      const amount = claimAmount(match);
+      // Rounded to cents so sums like 0.1 + 0.2 don't creep over an exact ceiling
+      const tripTotal = Math.round((previous + claimTotal + amount) * 100) / 100;
+
+      if (maxTripTotal !== null && tripTotal > maxTripTotal) {
+        decisions.set(match, {
+          match,
+          action: POLICY_ACTIONS.APPROVAL,
+          rule: 'limits.maxTripTotal',
+          reason: `trip ${tripId} would reach ${formatAmount(tripTotal)}` +
+            `${previous > 0 ? ` (${formatAmount(previous)} already submitted)` : ''}, ` +
+            `over the ${formatAmount(maxTripTotal)} auto-submit limit`
+        });
+        continue;
+      }
+
+      claim.push(match);
+      claimTotal += amount;
+    }
+
+    claimTotal = Math.round(claimTotal * 100) / 100;
+
+    if (maxClaimAmount !== null && claimTotal > maxClaimAmount) {
+      const tolls = claim.length > 1 ? ` (${claim.length} tolls on trip ${tripId})` : '';
+
+      for (const match of claim) {
+        decisions.set(match, {
+          match,
+          action: POLICY_ACTIONS.APPROVAL,
+          rule: 'limits.maxClaimAmount',
+          reason: `${formatAmount(claimTotal)} claim${tolls} is over the ${formatAmount(maxClaimAmount)} auto-submit limit`
+        });
+      }
+      continue;
+    }
+
+    claim.forEach(match => decisions.set(match, null));
+  }
+
+  return {
+    submit: matches.filter(match => decisions.get(match) === null),
+    held: matches.map(match => decisions.get(match)).filter(Boolean)
+  };
+};
+
+module.exports = {
+  DEFAULT_POLICY_FILE,
+  POLICY_ACTIONS,
+  POLICY_SCHEMA,
+  validatePolicy,
+  loadSubmissionPolicy,
+  resolvePolicy,
+  evaluatePolicy
+};
@@ -0,0 +1,164 @@
+/**
+ * Matching Rules Loader
+ *
+ * Loads the versioned rules file that drives TollTripMatcher scoring (weights,
+ * amount boost, thresholds, category cut-offs, distance limits, common
+ * locations) from JSON or YAML and checks it against RULES_SCHEMA before any
+ * matching runs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'rules', 'default.json');
+
+/**
+ * Schema every rules file must satisfy, as [path, type, constraints]
+ */
+const RULES_SCHEMA = [
+  ['version', 'string', { required: true }],
+  ['description', 'string', {}],
+  ['weights.time', 'number', { required: true, min: 0, max: 1 }],
+  ['weights.location', 'number', { required: true, min: 0, max: 1 }],
+  ['amount.min', 'number', { required: true, min: 0 }],
+  ['amount.max', 'number', { required: true, min: 0 }],
+  ['amount.boost', 'number', { required: true, min: 0, max: 1 }],
+  ['amount.highAmountPenalty', 'number', { required: true, min: 0, max: 1 }],
+  ['minScore', 'number', { required: true, min: 0, max: 1 }],
+  ['categories.high', 'number', { required: true, min: 0, max: 1 }],
+  ['categories.medium', 'number', { required: true, min: 0, max: 1 }],
+  ['categories.low', 'number', { required: true, min: 0, max: 1 }],
+  ['closeCallMargin', 'number', { required: true, min: 0, max: 1 }],
+  ['time.justOutsideTripMinutes', 'number', { required: true, exclusiveMin: 0 }],
+  ['time.bufferHours', 'number', { required: true, exclusiveMin: 0 }],
+  ['location.nearKm', 'number', { required: true, min: 0 }],
+  ['location.maxDistanceKm', 'number', { required: true, min: 0 }],
+  ['commonLocations', 'string[]', { required: true }]
+];
+
+/**
+ * Read a dotted path from an object
+ */
+const getPath = (object, dottedPath) => {
+  return dottedPath.split('.').reduce((value, key) => (
+    value !== null && typeof value === 'object' ? value[key] : undefined
+  ), object);
+};
+
+/**
+ * Check rules against RULES_SCHEMA
+ * @returns {Array<string>} list of problems (empty when valid)
+ */
+const validateRules = (rules) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['rules file must contain an object'];
+  }
+
+  const errors = [];
+
+  for (const [field, type, constraints] of RULES_SCHEMA) {
+    const value = getPath(rules, field);
+
+    if (value === undefined || value === null) {
+      if (constraints.required) errors.push(`${field} is required`);
+      continue;
+    }
+
+    if (type === 'string[]') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        errors.push(`${field} must be a list of strings`);
+      }
+      continue;
+    }
+
+    if (type === 'number' && (typeof value !== 'number' || isNaN(value))) {
+      errors.push(`${field} must be a number`);
+      continue;
+    }
+
+    if (type === 'string' && typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+
+    if (constraints.min !== undefined && value < constraints.min) {
+      errors.push(`${field} must be >= ${constraints.min}`);
+    }
+    if (constraints.exclusiveMin !== undefined && value <= constraints.exclusiveMin) {
+      errors.push(`${field} must be > ${constraints.exclusiveMin}`);
+    }
+    if (constraints.max !== undefined && value > constraints.max) {
+      errors.push(`${field} must be <= ${constraints.max}`);
+    }
+  }
+
+  // Cross-field checks only make sense once the fields themselves are valid
+  if (errors.length === 0) {
+    if (Math.abs(rules.weights.time + rules.weights.location - 1) > 1e-6) {
+      errors.push('weights.time + weights.location must equal 1');
+    }
+    if (rules.amount.min > rules.amount.max) {
+      errors.push('amount.min must not exceed amount.max');
+    }
+    if (rules.location.nearKm >= rules.location.maxDistanceKm) {
+      errors.push('location.nearKm must be less than location.maxDistanceKm');
+    }
+    if (!(rules.categories.high >= rules.categories.medium && rules.categories.medium >= rules.categories.low)) {
+      errors.push('categories must satisfy high >= medium >= low');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parse rules file content by extension (.json, .yaml, .yml)
+ */
+const parseRules = (content, filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.yaml' || extension === '.yml') {
+    return yaml.load(content);
+  }
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+
+  throw new Error(`Unsupported rules file type "${extension}" (expected .json, .yaml or .yml)`);
+};
+
+/**
+ * Load and validate a rules file
+ * @param {string} [filePath] - defaults to rules/default.json
+ * @returns {Promise<Object>} rules with the resolved `source` path attached
+ */
+const loadRules = async (filePath = DEFAULT_RULES_FILE) => {
+  const resolvedPath = path.resolve(filePath);
+  const content = await fs.readFile(resolvedPath, 'utf8');
+  const rules = parseRules(content, resolvedPath);
+
+  // YAML reads `version: 3` as a number - versions are always compared as strings
+  if (rules && typeof rules.version === 'number') {
+    rules.version = String(rules.version);
+  }
+
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid matching rules in ${resolvedPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    ...rules,
+    commonLocations: rules.commonLocations.map(location => location.toLowerCase().trim()),
+    source: resolvedPath
+  };
+};
+
+module.exports = {
+  DEFAULT_RULES_FILE,
+  RULES_SCHEMA,
+  getPath,
+  validateRules,
+  loadRules
+};
@@ -0,0 +1,163 @@
+/**
+ * Scrape Window and Checkpoints
+ *
+ * Works out the date window a scraper or match.js run should cover from
+ * `--from/--to`, `--since-last-run` or the default lookback, and records the
+ * last successful window per job in a checkpoint file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_TIMEZONE, formatZonedDate, formatZonedISO, parseZonedDateTime } = require('./time');
+
+const DEFAULT_CHECKPOINT_FILE = path.join(__dirname, '..', 'scrape-checkpoint.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getCheckpointFile = () => process.env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_FILE;
+
+/**
+ * Read the whole checkpoint file ({} when there isn't one yet)
+ */
+const readCheckpoints = async () => {
+  try {
+    return JSON.parse(await fs.readFile(getCheckpointFile(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+};
+
+/**
+ * Last successful window for a job ("ezpass", "turo", "match"), or null
+ */
+const loadCheckpoint = async (job) => {
+  const checkpoints = await readCheckpoints();
+  return checkpoints[job] || null;
+};
+
+/**
+ * Record a job's window after it completed successfully
+ */
+const saveCheckpoint = async (job, window, details = {}) => {
+  const checkpoints = await readCheckpoints();
+
+  checkpoints[job] = {
+    lastWindow: {
+      start: window.start.toISOString(),
+      end: window.end.toISOString(),
+      mode: window.mode
+    },
+    completedAt: new Date().toISOString(),
+    ...details
+  };
+
+  await fs.writeFile(getCheckpointFile(), JSON.stringify(checkpoints, null, 2));
+  console.log(`Checkpoint saved for ${job}: ${window.start.toISOString()} to ${window.end.toISOString()}`);
+};
+
+/**
+ * Parse a --from/--to value; bare dates are read in the given timezone and
+ * --to dates cover the whole day
+ */
+const parseWindowDate = (value, timezone, endOfDay = false) => {
+  const isBareDate = /^\d{4}-\d{1,2}-\d{1,2}$/.test(String(value).trim());
+  const date = parseZonedDateTime(value, isBareDate && endOfDay ? '23:59:59' : null, timezone);
+
+  if (!date) {
+    throw new Error(`Invalid date "${value}" - use YYYY-MM-DD or an ISO timestamp`);
+  }
+  return date;
+};
+
+/**
+ * Resolve the window for a run
+ *
+ * @param {string} job - checkpoint key
+ * @param {Object} options - { from, to, sinceLastRun } from the command line
+ * @param {Object} settings - { timezone, defaultDays, overlapDays }
+ *   overlapDays re-covers the end of the last window in --since-last-run mode,
+ *   for records that are posted late (E-ZPass tolls can post weeks later)
+ * @returns {Promise<Object>} { start, end, mode }
+ */
+const resolveScrapeWindow = async (job, options = {}, settings = {}) => {
+  const {
+    timezone = DEFAULT_TIMEZONE,
+    defaultDays = 7,
+    overlapDays = 0
+  } = settings;
+
+  const now = new Date();
+  const end = options.to ? parseWindowDate(options.to, timezone, true) : now;
+  let start;
+  let mode;
+
+  if (options.from) {
+    start = parseWindowDate(options.from, timezone);
+    mode = 'range';
+  } else if (options.sinceLastRun) {
+    const checkpoint = await loadCheckpoint(job);
+
+    if (checkpoint && checkpoint.lastWindow) {
+      start = new Date(new Date(checkpoint.lastWindow.end).getTime() - overlapDays * DAY_MS);
+      mode = 'since-last-run';
+    } else {
+      console.warn(`No checkpoint for ${job} yet - using the default ${defaultDays}-day window`);
+      start = new Date(end.getTime() - defaultDays * DAY_MS);
+      mode = 'default';
+    }
+  } else {
+    start = new Date(end.getTime() - defaultDays * DAY_MS);
+    mode = 'default';
+  }
+
+  if (start > end) {
+    throw new Error(`Scrape window starts after it ends (${start.toISOString()} > ${end.toISOString()})`);
+  }
+
+  return { start, end, mode, timezone };
+};
+
+/**
+ * Window as written to output files: calendar dates plus the exact instants
+ */
+const describeWindow = (window) => ({
+  start: formatZonedDate(window.start, window.timezone),
+  end: formatZonedDate(window.end, window.timezone),
+  startTimestamp: formatZonedISO(window.start, window.timezone),
+  endTimestamp: formatZonedISO(window.end, window.timezone),
+  mode: window.mode
+});
+
+/**
+ * Whether an instant (Date or ISO string) falls inside the window
+ */
+const isWithinWindow = (value, window) => {
+  if (!value) return false;
+  const date = value instanceof Date ? value : new Date(value);
+  return !isNaN(date.getTime()) && date >= window.start && date <= window.end;
+};
+
+/**
+ * Drop records whose key repeats, keeping the first occurrence
+ */
+const dedupeBy = (records, getKey) => {
+  const seen = new Set();
+
+  return records.filter(record => {
+    const key = getKey(record);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+module.exports = {
+  DEFAULT_CHECKPOINT_FILE,
+  loadCheckpoint,
+  saveCheckpoint,
+  resolveScrapeWindow,
+  describeWindow,
+  isWithinWindow,
+  dedupeBy
+};
@@ -0,0 +1,364 @@
+/**
+ * Selector Registry
+ *
+ * Every Playwright flow (E-ZPass portals, the Turo scraper and TuroBot) looks
+ * up its selectors in the versioned data/selectors.json instead of keeping
+ * inline arrays. Each key ("turobot.claim.amount") lists candidates best-first:
+ * the first is the primary selector and the rest are fallbacks.
+ *
+ * A SelectorRegistry records which candidate matched each key during a run.
+ * When the primary stops matching and a fallback takes over, that is selector
+ * drift: it is logged the first time it happens and written to the drift
+ * report, so the registry can be updated before the fallbacks run out too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SELECTORS_FILE = path.join(__dirname, '..', 'data', 'selectors.json');
+const DEFAULT_DRIFT_REPORT_FILE = path.join(__dirname, '..', 'selector-drift.json');
+
+const KEY_PATTERN = /^[a-z]+(\.[a-zA-Z]+){2}$/;
+
+/**
+ * Check a registry's shape
+ * @returns {Array<string>} list of problems (empty when valid)
+ */
+const validateSelectorRegistry = (registry) => {
+  if (!registry || typeof registry !== 'object' || Array.isArray(registry)) {
+    return ['selector registry must contain an object'];
+  }
+
+  const errors = [];
+
+  if (typeof registry.version !== 'string' || !registry.version) {
+    errors.push('version is required');
+  }
+  if (!registry.selectors || typeof registry.selectors !== 'object' || Array.isArray(registry.selectors)) {
+    errors.push('selectors must be an object keyed by flow.step.element');
+    return errors;
+  }
+
+  for (const [key, entry] of Object.entries(registry.selectors)) {
+    if (!KEY_PATTERN.test(key)) {
+      errors.push(`${key} must be named flow.step.element`);
+    }
+    if (!entry || !Array.isArray(entry.candidates) || entry.candidates.length === 0) {
+      errors.push(`${key}.candidates must be a non-empty list`);
+      continue;
+    }
+    if (entry.candidates.some(candidate => typeof candidate !== 'string' || !candidate.trim())) {
+      errors.push(`${key}.candidates must only contain selector strings`);
+    }
+    if (new Set(entry.candidates).size !== entry.candidates.length) {
+      errors.push(`${key}.candidates lists the same selector twice`);
+    }
+  }
+
+  return errors;
+};
+
+const registryCache = new Map();
+
+/**
+ * Load and validate a selector registry
+ * Read synchronously (and cached) so scrapers can build a SelectorRegistry in their constructors.
+ */
+const loadSelectorRegistry = (filePath = DEFAULT_SELECTORS_FILE) => {
+  const resolvedPath = path.resolve(filePath);
+
+  if (!registryCache.has(resolvedPath)) {
+    const registry = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+
+    const errors = validateSelectorRegistry(registry);
+    if (errors.length > 0) {
+      throw new Error(`Invalid selector registry in ${resolvedPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    registryCache.set(resolvedPath, { ...registry, source: resolvedPath });
+  }
+
+  return registryCache.get(resolvedPath);
+};
+
+/**
+ * Fill `{name}` placeholders in a selector
+ */
+const renderSelector = (selector, params = {}) => {
+  return selector.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] !== undefined ? String(params[name]) : placeholder
+  ));
+};
+
+class SelectorRegistry {
+  /**
+   * @param {string} flow - flow prefix of the keys this run uses ("ezpass", "turo", "turobot")
+   * @param {Object} options - { label, file, registry }; label names the run in the drift report
+   */
+  constructor(flow, options = {}) {
+    this.flow = flow;
+    this.label = options.label || flow;
+    this.registry = options.registry || loadSelectorRegistry(
+      options.file || process.env.SELECTOR_REGISTRY_FILE || DEFAULT_SELECTORS_FILE
+    );
+    this.version = this.registry.version;
+    this.usage = new Map();
+  }
+
+  /**
+   * Registry entry for a key
+   */
+  entry(key) {
+    const entry = this.registry.selectors[key];
+    if (!entry) {
+      throw new Error(`Selector "${key}" is not in the selector registry (${this.registry.source || 'inline'})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Candidates for a key, best-first, with `{name}` placeholders filled from params
+   */
+  candidates(key, params = {}) {
+    return this.entry(key).candidates.map(candidate => renderSelector(candidate, params));
+  }
+
+  /**
+   * Candidates for several keys, for passing into page.evaluate
+   * @returns {Object} key -> candidates
+   */
+  lists(keys) {
+    return Object.fromEntries(keys.map(key => [key, this.candidates(key)]));
+  }
+
+  /**
+   * Usage record for a key
+   */
+  usageFor(key) {
+    if (!this.usage.has(key)) {
+      this.usage.set(key, { lookups: 0, misses: 0, primaryMatches: 0, matches: {}, fallbacks: {} });
+    }
+    return this.usage.get(key);
+  }
+
+  /**
+   * Record that a candidate matched a key
+   * The first time a fallback is used instead of the primary, the drift is logged.
+   */
+  record(key, selector, params = {}) {
+    const candidates = this.candidates(key, params);
+    const index = candidates.indexOf(selector);
+    const usage = this.usageFor(key);
+
+    usage.lookups++;
+    usage.matches[selector] = (usage.matches[selector] || 0) + 1;
+
+    if (index === 0) {
+      usage.primaryMatches++;
+    } else if (!(selector in usage.fallbacks)) {
+      usage.fallbacks[selector] = index;
+      console.warn(`⚠️ Selector drift: ${key} matched fallback #${index} "${selector}" - primary "${candidates[0]}" no longer matches`);
+    }
+  }
+
+  /**
+   * Record that no candidate matched a key
+   */
+  recordMiss(key) {
+    const usage = this.usageFor(key);
+    usage.lookups++;
+    usage.misses++;
+  }
+
+  /**
+   * Record the candidates that matched inside page.evaluate
+   * @param {Object} matched - key -> selector (or null when nothing matched)
+   */
+  recordMatches(matched = {}) {
+    for (const [key, selector] of Object.entries(matched)) {
+      if (selector) {
+        this.record(key, selector);
+      } else {
+        this.recordMiss(key);
+      }
+    }
+  }
+
+  /**
+   * Find the first candidate for a key that matches on the page
+   * @param {Object} options - { params, visible, enabled, waitTimeout, deadline }
+   *   waitTimeout waits up to that long for each candidate to become visible;
+   *   deadline (ms timestamp) stops trying further candidates.
+   * @returns {Promise<Object|null>} { element, selector } or null when nothing matched
+   */
+  async find(page, key, options = {}) {
+    const { params = {}, visible = false, enabled = false, waitTimeout = 0, deadline = null } = options;
+
+    for (const selector of this.candidates(key, params)) {
+      if (deadline && Date.now() > deadline) break;
+
+      try {
+        if (waitTimeout > 0) {
+          await page.waitForSelector(selector, { timeout: waitTimeout, state: 'visible' });
+        }
+
+        const element = await page.$(selector);
+        if (!element) continue;
+        if ((visible || waitTimeout > 0) && !(await element.isVisible())) continue;
+        if (enabled && !(await element.isEnabled())) continue;
+
+        this.record(key, selector, params);
+        return { element, selector };
+      } catch (e) {
+        // Selector not found or not valid on this page - try the next one
+      }
+    }
+
+    this.recordMiss(key);
+    return null;
+  }
+
+  /**
+   * All elements matching any of a key's candidates, in document order
+   * The candidate the first element matches is recorded.
+   */
+  async queryAll(page, key) {
+    const candidates = this.candidates(key);
+    const elements = await page.$$(candidates.join(', '));
+
+    if (elements.length === 0) {
+      this.recordMiss(key);
+      return elements;
+    }
+
+    const selector = await elements[0].evaluate((element, selectors) => selectors.find(selector => {
+      try {
+        return element.matches(selector);
+      } catch (e) {
+        return false; // Playwright-only syntax such as :has-text()
+      }
+    }), candidates);
+
+    if (selector) {
+      this.record(key, selector);
+    }
+    return elements;
+  }
+
+  /**
+   * Find every element matched by any candidate for a key, grouped by candidate
+   * @returns {Promise<Array>} [{ selector, elements }] for candidates with matches
+   */
+  async findAll(page, key, options = {}) {
+    const groups = [];
+
+    for (const selector of this.candidates(key, options.params)) {
+      try {
+        const elements = await page.$$(selector);
+        if (elements.length > 0) groups.push({ selector, elements });
+      } catch (e) {
+        // Continue to next selector
+      }
+    }
+
+    if (groups.length > 0) {
+      this.record(key, groups[0].selector, options.params);
+    } else {
+      this.recordMiss(key);
+    }
+    return groups;
+  }
+
+  /**
+   * Drift report for this run
+   * drift lists keys that were matched by a fallback; missing lists required
+   * keys that no candidate matched all run.
+   */
+  getDriftReport() {
+    const drift = [];
+    const missing = [];
+    const selectors = {};
+
+    for (const [key, usage] of [...this.usage.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      const entry = this.entry(key);
+      const primary = entry.candidates[0];
+      const matchedSelectors = Object.keys(usage.matches);
+
+      selectors[key] = {
+        lookups: usage.lookups,
+        misses: usage.misses,
+        matches: usage.matches
+      };
+
+      const fallbacks = Object.keys(usage.fallbacks);
+      if (fallbacks.length > 0) {
+        drift.push({
+          key: key,
+          primary: primary,
+          fallbacks: fallbacks.map(selector => ({
+            selector: selector,
+            position: usage.fallbacks[selector],
+            matches: usage.matches[selector]
+          })),
+          // Both matching in one run usually means the page is mid-rollout
+          primaryStillMatches: usage.primaryMatches > 0
+        });
+      }
+
+      if (matchedSelectors.length === 0 && !entry.optional) {
+        missing.push({ key: key, candidates: entry.candidates.length, description: entry.description || null });
+      }
+    }
+
+    return {
+      flow: this.flow,
+      label: this.label,
+      registryVersion: this.version,
+      runAt: new Date().toISOString(),
+      drift: drift,
+      missing: missing,
+      selectors: selectors
+    };
+  }
+
+  /**
+   * Write this run's drift report into the shared report file
+   * Each flow (and E-ZPass portal) keeps its latest run under runs[label].
+   */
+  async saveDriftReport(filePath = process.env.SELECTOR_DRIFT_FILE || DEFAULT_DRIFT_REPORT_FILE) {
+    const report = this.getDriftReport();
+
+    let existing = {};
+    try {
+      existing = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (e) {
+      // No report yet
+    }
+
+    const output = {
+      registryVersion: this.version,
+      updatedAt: report.runAt,
+      runs: {
+        ...(existing.runs || {}),
+        [this.label]: report
+      }
+    };
+
+    await fs.promises.writeFile(filePath, JSON.stringify(output, null, 2));
+
+    if (report.drift.length > 0 || report.missing.length > 0) {
+      console.warn(`Selector drift report: ${report.drift.length} drifted, ${report.missing.length} missing - see ${filePath}`);
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = {
+  DEFAULT_SELECTORS_FILE,
+  DEFAULT_DRIFT_REPORT_FILE,
+  SelectorRegistry,
+  validateSelectorRegistry,
+  loadSelectorRegistry,
+  renderSelector
+};
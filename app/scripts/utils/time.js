@@ -0,0 +1,250 @@
+/**
+ * Timezone Helpers
+ *
+ * Toll authorities and Turo listings show wall-clock times in their own local
+ * timezone. These helpers turn that text into zoned instants (ISO strings with
+ * an explicit UTC offset) so that a toll at 11:50pm stays on the right day no
+ * matter where the scripts run.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Local timezone each toll authority posts transactions in, keyed by state/agency code
+const AUTHORITY_TIMEZONES = {
+  ny: 'America/New_York',
+  nj: 'America/New_York',
+  pa: 'America/New_York',
+  ma: 'America/New_York',
+  de: 'America/New_York',
+  md: 'America/New_York',
+  va: 'America/New_York',
+  fl: 'America/New_York',
+  il: 'America/Chicago',
+  ca: 'America/Los_Angeles'
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter that reports wall-clock parts in a timezone
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of an instant in the given timezone
+ */
+const getWallTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getFormatter(timeZone).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+/**
+ * UTC offset of a timezone at a given instant, in minutes (e.g. -240 for EDT)
+ */
+const getTimezoneOffsetMinutes = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const wall = getWallTime(date, timeZone);
+  const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+  return Math.round((wallAsUtc - instant) / 60000);
+};
+
+/**
+ * Convert wall-clock parts in a timezone to the instant they describe
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIMEZONE) => {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offsets change across DST transitions, so re-check with the first guess
+  const firstOffset = getTimezoneOffsetMinutes(new Date(wallAsUtc), timeZone);
+  let instant = wallAsUtc - firstOffset * 60000;
+
+  const secondOffset = getTimezoneOffsetMinutes(new Date(instant), timeZone);
+  if (secondOffset !== firstOffset) {
+    instant = wallAsUtc - secondOffset * 60000;
+
+    // A wall time skipped by spring-forward (02:30 on the changeover) doesn't
+    // exist; read it with the offset from before the change, which moves it
+    // forward by the gap (03:30 EDT) instead of back an hour
+    const wall = getWallTime(new Date(instant), timeZone);
+    if (wall.hour !== hour || wall.minute !== minute || wall.day !== day) {
+      instant = wallAsUtc - Math.min(firstOffset, secondOffset) * 60000;
+    }
+  }
+
+  return new Date(instant);
+};
+
+/**
+ * Format an instant as an ISO string with the timezone's UTC offset
+ * e.g. 2025-07-20T23:50:00-04:00
+ */
+const formatZonedISO = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const wall = getWallTime(date, timeZone);
+  const offset = getTimezoneOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absOffset = Math.abs(offset);
+
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}` +
+    `T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in the given timezone
+ */
+const formatZonedDate = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return formatZonedISO(date, timeZone).split('T')[0];
+};
+
+/**
+ * The date parts, or null when they aren't a real calendar date
+ * (month 13, June 31st), which Date.UTC would otherwise roll over
+ */
+const checkWallDate = ({ year, month, day }) => {
+  if (month < 1 || month > 12 || day < 1) return null;
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+  return { year, month, day };
+};
+
+/**
+ * Parse the date portion of a portal string into { year, month, day }
+ * Handles MM/DD/YYYY, MM/DD/YY, YYYY-MM-DD, MM-DD-YYYY and "Jul 20, 2025"
+ * style dates - US portals put the month first. Dates without a year are
+ * placed in the most recent past year; impossible dates give null.
+ */
+const parseWallDate = (text, referenceDate = new Date()) => {
+  if (!text) return null;
+  const value = String(text).trim();
+  let match;
+
+  if ((match = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    return checkWallDate({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) });
+  }
+
+  if ((match = value.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/))) {
+    const year = Number(match[3]);
+    return checkWallDate({ year: year < 100 ? 2000 + year : year, month: Number(match[1]), day: Number(match[2]) });
+  }
+
+  if ((match = value.match(/(\d{1,2})-(\d{1,2})-(\d{4})/))) {
+    return checkWallDate({ year: Number(match[3]), month: Number(match[1]), day: Number(match[2]) });
+  }
+
+  if ((match = value.match(/([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/))) {
+    const month = MONTHS[match[1].slice(0, 3).toLowerCase()];
+    if (!month) return null;
+
+    const day = Number(match[2]);
+    let year = match[3] ? Number(match[3]) : referenceDate.getFullYear();
+
+    // Turo drops the year for recent trips - a date well in the future means last year
+    if (!match[3] && Date.UTC(year, month - 1, day) > referenceDate.getTime() + 31 * 24 * 60 * 60 * 1000) {
+      year--;
+    }
+
+    return checkWallDate({ year, month, day });
+  }
+
+  return null;
+};
+
+/**
+ * Parse a time of day ("11:50 PM", "23:50:00", "9:05am") into { hour, minute, second }
+ */
+const parseWallTime = (text) => {
+  if (!text) return null;
+
+  const match = String(text).match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp])?\.?[Mm]?\.?/);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const meridiem = match[4] ? match[4].toLowerCase() : null;
+
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+
+  return { hour, minute: Number(match[2]), second: match[3] ? Number(match[3]) : 0 };
+};
+
+/**
+ * Parse portal date/time text into a Date, reading wall-clock values in the
+ * given timezone. Strings that already carry an offset (or Z) are taken as-is.
+ */
+const parseZonedDateTime = (dateText, timeText = null, timeZone = DEFAULT_TIMEZONE) => {
+  if (!dateText) return null;
+
+  const value = String(dateText).trim();
+
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const wallDate = parseWallDate(value);
+  if (!wallDate) return null;
+
+  // Time may be embedded in the date text ("07/20/2025 11:50 PM") or come separately
+  const datePart = value.replace(/^[A-Za-z]{3,9},?\s+/, '');
+  const wallTime = parseWallTime(timeText) || parseWallTime(datePart.replace(/^\d{4}-\d{1,2}-\d{1,2}T?/, ''));
+
+  const date = zonedTimeToDate({ ...wallDate, ...(wallTime || {}) }, timeZone);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the zoned timestamp fields stored on toll and trip records
+ */
+const toZonedTimestamp = (dateText, timeText = null, timeZone = DEFAULT_TIMEZONE) => {
+  const date = parseZonedDateTime(dateText, timeText, timeZone);
+  if (!date) return null;
+
+  return {
+    timestamp: formatZonedISO(date, timeZone),
+    date: formatZonedDate(date, timeZone),
+    timezone: timeZone
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  AUTHORITY_TIMEZONES,
+  getWallTime,
+  getTimezoneOffsetMinutes,
+  zonedTimeToDate,
+  formatZonedISO,
+  formatZonedDate,
+  parseWallDate,
+  parseWallTime,
+  parseZonedDateTime,
+  toZonedTimestamp
+};
@@ -0,0 +1,151 @@
+/**
+ * Stable Toll Transaction IDs
+ *
+ * Toll IDs key the claim ledger, screenshot names and claim history, so the
+ * same toll must get the same ID on every scrape. A toll with the authority's
+ * transaction/posting number is identified by it, which survives the
+ * authority adjusting the amount or posting time; one without is identified
+ * by a hash of its content (date, time, plaza, tag and amount).
+ */
+
+const crypto = require('crypto');
+const { normalizeLocationText } = require('./gazetteer');
+
+/**
+ * Uppercase alphanumerics only, for comparing identifiers
+ */
+const normalizeToken = (value) => {
+  return value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+};
+
+/**
+ * Canonical content string for a toll
+ */
+const getTollFingerprint = (toll) => {
+  return [
+    // Zoned timestamp when available so the wall-clock text format doesn't matter
+    toll.timestamp || `${toll.date || ''} ${toll.time || ''}`.trim(),
+    normalizeLocationText(toll.location),
+    normalizeToken(toll.tagNumber || toll.plate),
+    Number(toll.amount || 0).toFixed(2)
+  ].join('|');
+};
+
+/**
+ * Hash ID of a toll's content (TXN_<state>_H<hash>)
+ * Sources that don't show the transaction number (most history pages) can
+ * only identify a toll this way; assignTollIds also gives it to tolls that
+ * do, as their contentId, so the same toll read from both is recognised.
+ * @param {Object} toll - transaction with content fields
+ * @param {string} authority - issuing authority/state code, e.g. "ny"
+ */
+const buildContentTollId = (toll, authority = '') => {
+  const prefix = authority ? `TXN_${normalizeToken(authority)}_` : 'TXN_';
+
+  const hash = crypto.createHash('sha256')
+    .update(`${authority}|${getTollFingerprint(toll)}`)
+    .digest('hex')
+    .slice(0, 16);
+
+  return `${prefix}H${hash}`;
+};
+
+/**
+ * Build the stable ID for one toll: TXN_<state>_<number> when the source
+ * shows its transaction number, otherwise its content hash ID
+ */
+const buildTollId = (toll, authority = '') => {
+  const transactionNumber = normalizeToken(toll.transactionNumber);
+  if (!transactionNumber) return buildContentTollId(toll, authority);
+
+  return `${authority ? `TXN_${normalizeToken(authority)}_` : 'TXN_'}${transactionNumber}`;
+};
+
+/**
+ * Assign stable IDs to every toll read from one source - all pages of an
+ * account's history, or one statement or notice
+ * A transaction number listed twice is the same toll and is kept once. Every
+ * toll also gets a contentId; identical tolls (same plaza, tag and amount at
+ * the same instant) are numbered `_2`, `_3`, ... among themselves, those with
+ * a transaction number first in its order. Identical tolls share a timestamp,
+ * so a scrape window holds all of them or none, and the numbering doesn't
+ * depend on the window or on where the tolls fall across pages.
+ */
+const assignTollIds = (tolls, authority = '') => {
+  const seenTransactions = new Set();
+  const groups = new Map();
+  const result = [];
+
+  for (const toll of tolls) {
+    const id = buildTollId(toll, authority);
+    if (normalizeToken(toll.transactionNumber)) {
+      if (seenTransactions.has(id)) continue;
+      seenTransactions.add(id);
+    }
+
+    const record = { ...toll, id: id, contentId: buildContentTollId(toll, authority) };
+    if (!groups.has(record.contentId)) groups.set(record.contentId, []);
+    groups.get(record.contentId).push(record);
+    result.push(record);
+  }
+
+  // Tolls without a transaction number are interchangeable, so they keep their relative order
+  const numberOrder = (record) => normalizeToken(record.transactionNumber);
+  for (const [contentId, group] of groups) {
+    if (group.length === 1) continue;
+
+    const ordered = [
+      ...group.filter(numberOrder).sort((a, b) => numberOrder(a).localeCompare(numberOrder(b), 'en', { numeric: true })),
+      ...group.filter(record => !numberOrder(record))
+    ];
+    ordered.forEach((record, index) => {
+      if (index === 0) return;
+      record.contentId = `${contentId}_${index + 1}`;
+      if (!numberOrder(record)) record.id = record.contentId;
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Merge tolls from several sources (history pages, statements) that were
+ * each given IDs with assignTollIds
+ * A toll read from more than one source has the same contentId in each and is
+ * kept once, taking any field the first copy is missing from the others. A
+ * copy with the transaction number - which often only a statement shows -
+ * gives the toll its transaction ID.
+ */
+const mergeTollSources = (sources) => {
+  const merged = new Map();
+
+  for (const tolls of sources) {
+    for (const toll of tolls) {
+      const key = toll.contentId || toll.id;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...toll });
+        continue;
+      }
+
+      if (!existing.transactionNumber && toll.transactionNumber) {
+        existing.id = toll.id;
+      }
+      for (const [field, value] of Object.entries(toll)) {
+        if (existing[field] === null || existing[field] === undefined || existing[field] === '') {
+          existing[field] = value;
+        }
+      }
+    }
+  }
+
+  return [...merged.values()];
+};
+
+module.exports = {
+  buildTollId,
+  buildContentTollId,
+  assignTollIds,
+  mergeTollSources,
+  getTollFingerprint
+};
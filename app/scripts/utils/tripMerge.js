@@ -0,0 +1,130 @@
+/**
+ * Trip Source Merging
+ *
+ * Combines trips scraped from the Turo dashboard with trips imported from a
+ * Turo earnings/trip CSV. The CSV carries Turo's exact reservation data, so its
+ * values win wherever both sources have a value; the scrape still fills fields
+ * the CSV lacks (detail URL, pickup location) and contributes trips the CSV
+ * doesn't cover yet.
+ */
+
+const isPresent = (value) => value !== null && value !== undefined && value !== '' &&
+  value !== 'Unknown Guest' && value !== 'Unknown Vehicle' && value !== 'Unknown Location';
+
+/**
+ * Copy of an object without empty or placeholder values
+ */
+const presentValues = (object = {}) => {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => isPresent(value)));
+};
+
+const normalizeToken = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+/**
+ * Whether two present values disagree
+ * Zoned timestamps are compared as instants, so offsets written differently still agree.
+ */
+const differs = (a, b, asInstant = false) => {
+  if (!isPresent(a) || !isPresent(b)) return false;
+  if (asInstant) return Date.parse(a) !== Date.parse(b);
+
+  return String(a).trim() !== String(b).trim();
+};
+
+/**
+ * Merge one scraped trip with its CSV row; the CSV wins on conflicts
+ * @returns {Object} merged trip with `source` and any `conflicts`
+ */
+const mergeTrip = (scraped, exported) => {
+  const conflicts = [];
+
+  for (const field of ['status', 'location', 'amount']) {
+    if (differs(scraped[field], exported[field])) {
+      conflicts.push({ field, scraped: scraped[field], csv: exported[field] });
+    }
+  }
+  for (const group of ['guest', 'vehicle', 'dates']) {
+    for (const [key, value] of Object.entries(exported[group] || {})) {
+      if (differs((scraped[group] || {})[key], value, group === 'dates' && key !== 'timezone')) {
+        conflicts.push({ field: `${group}.${key}`, scraped: scraped[group][key], csv: value });
+      }
+    }
+  }
+
+  const merged = {
+    ...scraped,
+    ...presentValues(exported),
+    guest: { ...scraped.guest, ...presentValues(exported.guest) },
+    vehicle: { ...scraped.vehicle, ...presentValues(exported.vehicle) },
+    dates: { ...scraped.dates, ...presentValues(exported.dates) },
+    source: 'scraper+csv'
+  };
+
+  // The CSV supplied the reservation ID the scrape couldn't find
+  delete merged.incomplete;
+  delete merged.incompleteReason;
+
+  if (conflicts.length > 0) {
+    merged.conflicts = conflicts;
+  }
+
+  return merged;
+};
+
+/**
+ * Whether a scraped trip with no reservation ID is the same trip as a CSV row:
+ * same start instant and same vehicle plate, VIN or name
+ */
+const isSameUnidentifiedTrip = (scraped, exported) => {
+  const start = scraped.dates && scraped.dates.start;
+  const exportedStart = exported.dates && exported.dates.start;
+  if (!start || !exportedStart || differs(start, exportedStart, true)) {
+    return false;
+  }
+
+  const a = scraped.vehicle || {};
+  const b = exported.vehicle || {};
+  return ['licensePlate', 'vin', 'name'].some(key =>
+    isPresent(a[key]) && isPresent(b[key]) && normalizeToken(a[key]) === normalizeToken(b[key])
+  );
+};
+
+/**
+ * Merge scraped and CSV trips by reservation ID
+ * @returns {{ trips: Array, merged: number, added: number, conflicts: number }}
+ */
+const mergeTripSources = (scrapedTrips = [], exportedTrips = []) => {
+  const exportedById = new Map(exportedTrips.filter(trip => trip.tripId).map(trip => [String(trip.tripId), trip]));
+  const used = new Set();
+  const trips = [];
+  let merged = 0;
+  let conflicts = 0;
+
+  for (const scraped of scrapedTrips) {
+    let exported = scraped.tripId ? exportedById.get(String(scraped.tripId)) : null;
+
+    if (!scraped.tripId) {
+      exported = exportedTrips.find(candidate => !used.has(candidate) && isSameUnidentifiedTrip(scraped, candidate)) || null;
+    }
+
+    if (exported && !used.has(exported)) {
+      used.add(exported);
+      const trip = mergeTrip(scraped, exported);
+      merged++;
+      if (trip.conflicts) conflicts++;
+      trips.push(trip);
+    } else {
+      trips.push({ ...scraped, source: scraped.source || 'scraper' });
+    }
+  }
+
+  const added = exportedTrips.filter(trip => !used.has(trip));
+  trips.push(...added.map(trip => ({ ...trip, source: 'csv' })));
+
+  return { trips, merged, added: added.length, conflicts };
+};
+
+module.exports = {
+  mergeTrip,
+  mergeTripSources
+};